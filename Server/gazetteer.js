@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+'use strict';
+
+// City gazetteer CLI (see services/gazetteer.js).
+//
+//   npm --prefix Server run gazetteer -- status
+//   npm --prefix Server run gazetteer -- seed
+//   npm --prefix Server run gazetteer -- import <file> [--min-population <n>] [--keep-bundled]
+//
+// `import` reads an unzipped GeoNames dump, e.g. cities500.txt or cities15000.txt from
+// https://download.geonames.org/export/dump/, and replaces the bundled starter set unless
+// --keep-bundled is given. Connects with DATABASE_URL, read from the same .env files as the
+// server; geo_places must exist (run `migrate -- up` first).
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+require('dotenv').config({ path: path.join(__dirname, '.env'), quiet: true });
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+require('dotenv').config({ path: path.join(__dirname, '..', '.env.local'), quiet: true });
+
+const { createCliPool } = require('./services/cliPool');
+const { loadBundledGazetteer, parseGeoNamesLine, writeGeoPlaces } = require('./services/gazetteer');
+
+const USAGE = `Usage: gazetteer <status|seed|import> [options]
+  status                            count places by source
+  seed                              load the bundled starter set (data/cities.tsv)
+  import <file>                     load a GeoNames dump (cities500.txt, allCountries.txt, ...)
+    --min-population <n>            skip smaller places (default 0)
+    --keep-bundled                  keep the bundled starter places`;
+
+const BATCH_SIZE = 1000;
+
+class GazetteerError extends Error {}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command: command || null, file: null, minPopulation: 0, keepBundled: false };
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (arg === '--min-population') {
+      const value = Number(rest[i + 1]);
+      if (!Number.isInteger(value) || value < 0) throw new GazetteerError(`${arg} needs a whole number`);
+      options.minPopulation = value;
+      i += 1;
+    } else if (arg === '--keep-bundled') {
+      options.keepBundled = true;
+    } else if (!arg.startsWith('--') && options.file == null) {
+      options.file = arg;
+    } else {
+      throw new GazetteerError(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function assertTableExists(pool) {
+  const res = await pool.query("SELECT to_regclass('public.geo_places') IS NOT NULL AS present");
+  if (!res.rows?.[0]?.present) {
+    throw new GazetteerError('geo_places does not exist yet; run `npm --prefix Server run migrate -- up` first');
+  }
+}
+
+async function printStatus(pool) {
+  const res = await pool.query(
+    `SELECT source, COUNT(*)::int AS places, COUNT(DISTINCT country_code)::int AS countries, MAX(imported_at) AS imported_at
+     FROM geo_places GROUP BY source ORDER BY source`
+  );
+  if (!res.rows.length) {
+    console.log('geo_places is empty; the server seeds the bundled set on first use.');
+    return;
+  }
+  for (const row of res.rows) {
+    console.log(`  ${row.source.padEnd(10)} ${String(row.places).padStart(8)} places in ${row.countries} countries  ${new Date(row.imported_at).toISOString()}`);
+  }
+}
+
+async function importGeoNames(pool, options) {
+  if (!options.file) throw new GazetteerError('import needs a file');
+  const file = path.resolve(options.file);
+  if (!fs.existsSync(file)) throw new GazetteerError(`No such file: ${file}`);
+
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  const now = new Date().toISOString();
+  let batch = [];
+  let imported = 0;
+  let skipped = 0;
+  for await (const line of lines) {
+    const place = parseGeoNamesLine(line, { minPopulation: options.minPopulation });
+    if (!place) {
+      skipped += 1;
+      continue;
+    }
+    batch.push(place);
+    if (batch.length >= BATCH_SIZE) {
+      imported += await writeGeoPlaces(pool, batch, now);
+      batch = [];
+      process.stdout.write(`\r  imported ${imported}`);
+    }
+  }
+  imported += await writeGeoPlaces(pool, batch, now);
+  console.log(`\r  imported ${imported} places (${skipped} lines skipped)`);
+
+  if (!imported) throw new GazetteerError('Nothing imported; is this a GeoNames dump?');
+  if (!options.keepBundled) {
+    const res = await pool.query("DELETE FROM geo_places WHERE source = 'bundled'");
+    console.log(`  removed ${res.rowCount} bundled places`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!['status', 'seed', 'import'].includes(options.command)) {
+    console.log(USAGE);
+    process.exitCode = options.command ? 1 : 0;
+    return;
+  }
+
+  const pool = createCliPool();
+  if (!pool) throw new GazetteerError('Missing DATABASE_URL');
+  try {
+    await assertTableExists(pool);
+    if (options.command === 'status') {
+      await printStatus(pool);
+    } else if (options.command === 'seed') {
+      console.log(`  seeded ${await writeGeoPlaces(pool, loadBundledGazetteer())} bundled places`);
+    } else {
+      await importGeoNames(pool, options);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((e) => {
+  console.error(e instanceof GazetteerError ? e.message : e);
+  process.exitCode = 1;
+});
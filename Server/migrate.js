@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+'use strict';
+
+// Schema migrations CLI (see services/migrations.js).
+//
+//   npm --prefix Server run migrate -- status
+//   npm --prefix Server run migrate -- up [--to <version>]
+//   npm --prefix Server run migrate -- down [--steps <n> | --to <version>]
+//   npm --prefix Server run migrate -- create <name>
+//
+// Connects with DATABASE_URL, read from the same .env files as the server.
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '.env'), quiet: true });
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+require('dotenv').config({ path: path.join(__dirname, '..', '.env.local'), quiet: true });
+
+const { createCliPool } = require('./services/cliPool');
+const {
+  MigrationError,
+  createMigrationFiles,
+  getMigrationStatus,
+  loadMigrations,
+  migrateDown,
+  migrateUp,
+} = require('./services/migrations');
+
+const USAGE = `Usage: migrate <status|up|down|create> [options]
+  status                    list applied and pending migrations
+  up [--to <version>]       apply pending migrations
+  down [--steps <n>]        revert the newest applied migration(s) (default 1)
+  down --to <version>       revert every migration above <version> (0 reverts all)
+  create <name>             add an empty up/down pair for the next version`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command: command || null, name: null, to: null, steps: 1 };
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (arg === '--to' || arg === '--steps') {
+      const value = Number(rest[i + 1]);
+      if (!Number.isInteger(value) || value < 0) throw new MigrationError(`${arg} needs a whole number`);
+      options[arg.slice(2)] = value;
+      i += 1;
+    } else if (!arg.startsWith('--') && options.name == null) {
+      options.name = arg;
+    } else {
+      throw new MigrationError(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function createPool() {
+  const pool = createCliPool();
+  if (!pool) throw new MigrationError('Missing DATABASE_URL');
+  return pool;
+}
+
+function printStatus(status) {
+  const rows = [
+    ...status.applied.map((m) => ({
+      version: m.version,
+      name: m.name,
+      state: m.changed ? 'applied (file changed since)' : 'applied',
+      at: m.applied_at,
+    })),
+    ...status.pending.map((m) => ({ version: m.version, name: m.name, state: 'pending', at: '' })),
+  ].sort((a, b) => a.version - b.version);
+
+  console.log(`current version: ${status.current_version}, latest: ${status.latest_version}`);
+  for (const row of rows) {
+    console.log(`  ${String(row.version).padStart(4, '0')}  ${row.name.padEnd(32)} ${row.state}${row.at ? `  ${row.at}` : ''}`);
+  }
+  for (const m of status.missing) {
+    console.log(`  ${String(m.version).padStart(4, '0')}  ${m.name.padEnd(32)} applied, but no file in this checkout`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const log = (line) => console.log(line);
+
+  if (options.command === 'create') {
+    if (!options.name) throw new MigrationError('create needs a name');
+    const { upFile, downFile } = createMigrationFiles(options.name);
+    console.log(`created ${path.relative(process.cwd(), upFile)}`);
+    console.log(`created ${path.relative(process.cwd(), downFile)}`);
+    return;
+  }
+  if (!['status', 'up', 'down'].includes(options.command)) {
+    console.log(USAGE);
+    process.exitCode = options.command ? 1 : 0;
+    return;
+  }
+
+  const migrations = loadMigrations();
+  const pool = createPool();
+  try {
+    if (options.command === 'status') {
+      printStatus(await getMigrationStatus(pool, migrations));
+      return;
+    }
+    const done =
+      options.command === 'up'
+        ? await migrateUp(pool, { migrations, to: options.to, log })
+        : await migrateDown(pool, { migrations, steps: options.steps, to: options.to, log });
+    for (const m of done) console.log(`  done ${String(m.version).padStart(4, '0')}_${m.name} (${m.execution_ms} ms)`);
+    if (!done.length) console.log(options.command === 'up' ? 'Nothing to apply.' : 'Nothing to revert.');
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((e) => {
+  console.error(e instanceof MigrationError ? e.message : e);
+  process.exitCode = 1;
+});
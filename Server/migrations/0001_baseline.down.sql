@@ -0,0 +1,57 @@
+-- Drops every table the baseline creates, and all of its data. Only useful for resetting a
+-- development database; back up first (POST /admin/backup) anywhere else.
+DROP TABLE IF EXISTS llm_cache CASCADE;
+DROP TABLE IF EXISTS llm_usage CASCADE;
+DROP TABLE IF EXISTS migration_logs CASCADE;
+DROP TABLE IF EXISTS research_mode_configs CASCADE;
+DROP TABLE IF EXISTS user_challenge_stats CASCADE;
+DROP TABLE IF EXISTS challenge_completions CASCADE;
+DROP TABLE IF EXISTS challenges CASCADE;
+DROP TABLE IF EXISTS feature_flags CASCADE;
+DROP TABLE IF EXISTS leadership_roles CASCADE;
+DROP TABLE IF EXISTS user_protection_settings CASCADE;
+DROP TABLE IF EXISTS user_action_events CASCADE;
+DROP TABLE IF EXISTS user_trust_scores CASCADE;
+DROP TABLE IF EXISTS moderator_audit_log CASCADE;
+DROP TABLE IF EXISTS incident_logs CASCADE;
+DROP TABLE IF EXISTS moderation_appeal_events CASCADE;
+DROP TABLE IF EXISTS moderation_appeals CASCADE;
+DROP TABLE IF EXISTS reports CASCADE;
+DROP TABLE IF EXISTS idempotency_keys CASCADE;
+DROP TABLE IF EXISTS platform_acknowledgments CASCADE;
+DROP TABLE IF EXISTS notifications CASCADE;
+DROP TABLE IF EXISTS group_sender_keys CASCADE;
+DROP TABLE IF EXISTS messages CASCADE;
+DROP TABLE IF EXISTS conversations CASCADE;
+DROP TABLE IF EXISTS user_key_backups CASCADE;
+DROP TABLE IF EXISTS user_device_prekeys CASCADE;
+DROP TABLE IF EXISTS user_key_devices CASCADE;
+DROP TABLE IF EXISTS user_public_keys CASCADE;
+DROP TABLE IF EXISTS movement_poll_ballots CASCADE;
+DROP TABLE IF EXISTS movement_polls CASCADE;
+DROP TABLE IF EXISTS movement_evidence CASCADE;
+DROP TABLE IF EXISTS movement_discussions CASCADE;
+DROP TABLE IF EXISTS movement_tasks CASCADE;
+DROP TABLE IF EXISTS movement_impact_updates CASCADE;
+DROP TABLE IF EXISTS movement_petition_signatures CASCADE;
+DROP TABLE IF EXISTS movement_petitions CASCADE;
+DROP TABLE IF EXISTS movement_event_rsvps CASCADE;
+DROP TABLE IF EXISTS calendar_feed_tokens CASCADE;
+DROP TABLE IF EXISTS movement_events CASCADE;
+DROP TABLE IF EXISTS movement_resources CASCADE;
+DROP TABLE IF EXISTS movement_comment_settings CASCADE;
+DROP TABLE IF EXISTS movement_comment_edits CASCADE;
+DROP TABLE IF EXISTS movement_comments CASCADE;
+DROP TABLE IF EXISTS movement_follows CASCADE;
+DROP TABLE IF EXISTS collaborator_action_logs CASCADE;
+DROP TABLE IF EXISTS collaborators CASCADE;
+DROP TABLE IF EXISTS movement_revisions CASCADE;
+DROP TABLE IF EXISTS movement_locks CASCADE;
+DROP TABLE IF EXISTS movement_votes CASCADE;
+DROP TABLE IF EXISTS movements CASCADE;
+DROP TABLE IF EXISTS user_blocks CASCADE;
+DROP TABLE IF EXISTS user_follows CASCADE;
+DROP TABLE IF EXISTS user_profiles CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
+DROP FUNCTION IF EXISTS moderator_audit_log_reject_mutation();
+DROP FUNCTION IF EXISTS movements_search_vector_update();
@@ -0,0 +1,855 @@
+-- Baseline: the schema previously created at runtime by the ensure*Table functions in
+-- Server/index.js. Every statement is idempotent, so this also applies cleanly to databases
+-- those functions already set up, including ones created before later columns were added.
+
+-- Accounts
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  email TEXT UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Profiles and the social graph
+CREATE TABLE IF NOT EXISTS user_profiles (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NULL,
+  user_email TEXT NOT NULL UNIQUE,
+  display_name TEXT NULL,
+  username TEXT NULL,
+  bio TEXT NULL,
+  profile_photo_url TEXT NULL,
+  banner_url TEXT NULL,
+  location JSONB NULL,
+  catchment_radius_km INT NULL,
+  skills TEXT[] NULL,
+  ai_features_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  birthdate DATE NULL,
+  age_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  onboarding_completed BOOLEAN NOT NULL DEFAULT FALSE,
+  onboarding_current_step INT NOT NULL DEFAULT 0,
+  onboarding_interests TEXT[] NOT NULL DEFAULT '{}',
+  onboarding_completed_tutorials TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS user_id TEXT NULL;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS banner_offset_y DOUBLE PRECISION NULL;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS is_private BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS last_seen_update_version TEXT NULL;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS has_seen_tutorial_v2 BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS movement_group_opt_out BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS email_notifications_opt_in BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS birthdate DATE NULL;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS age_verified BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS onboarding_completed BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS onboarding_current_step INT NOT NULL DEFAULT 0;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS onboarding_interests TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS onboarding_completed_tutorials TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS last_unread_digest_at TIMESTAMPTZ NULL;
+CREATE INDEX IF NOT EXISTS idx_user_profiles_user_id ON user_profiles (user_id);
+DO $$
+BEGIN
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_user_profiles_user_id_unique ON user_profiles (user_id) WHERE user_id IS NOT NULL;
+EXCEPTION WHEN unique_violation THEN
+  RAISE WARNING 'idx_user_profiles_user_id_unique not created: duplicate values in user_profiles';
+END $$;
+CREATE INDEX IF NOT EXISTS idx_user_profiles_email ON user_profiles (user_email);
+CREATE INDEX IF NOT EXISTS idx_user_profiles_username ON user_profiles (username);
+DO $$
+BEGIN
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_user_profiles_username_lower ON user_profiles (LOWER(username)) WHERE username IS NOT NULL;
+EXCEPTION WHEN unique_violation THEN
+  RAISE WARNING 'idx_user_profiles_username_lower not created: duplicate values in user_profiles';
+END $$;
+
+CREATE TABLE IF NOT EXISTS user_follows (
+  follower_email TEXT NOT NULL,
+  following_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (follower_email, following_email)
+);
+CREATE INDEX IF NOT EXISTS idx_user_follows_follower ON user_follows (follower_email);
+CREATE INDEX IF NOT EXISTS idx_user_follows_following ON user_follows (following_email);
+
+CREATE TABLE IF NOT EXISTS user_blocks (
+  blocker_email TEXT NOT NULL,
+  blocked_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (blocker_email, blocked_email)
+);
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocker ON user_blocks (blocker_email);
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks (blocked_email);
+
+-- Movements
+CREATE TABLE IF NOT EXISTS movements (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT NULL,
+  summary TEXT NULL,
+  tags TEXT[] NULL,
+  category TEXT NULL,
+  visibility TEXT NOT NULL DEFAULT 'public',
+  author_email TEXT NULL,
+  creator_email TEXT NULL,
+  created_by_email TEXT NULL,
+  description_html TEXT NULL,
+  location_city TEXT NULL,
+  location_country TEXT NULL,
+  location_lat DOUBLE PRECISION NULL,
+  location_lon DOUBLE PRECISION NULL,
+  media_urls JSONB NULL,
+  claims JSONB NULL,
+  momentum_score INT NOT NULL DEFAULT 0,
+  verified_participants INT NOT NULL DEFAULT 0,
+  deleted_at TIMESTAMPTZ NULL,
+  deleted_by_user_id TEXT NULL,
+  deletion_reason TEXT NULL,
+  deletion_reason_word_count INT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+-- Databases created before these columns existed.
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS summary TEXT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS tags TEXT[] NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS category TEXT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public';
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS author_email TEXT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS creator_email TEXT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS created_by_email TEXT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS description_html TEXT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS location_city TEXT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS location_country TEXT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS location_lat DOUBLE PRECISION NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS location_lon DOUBLE PRECISION NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS media_urls JSONB NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS claims JSONB NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS momentum_score INT NOT NULL DEFAULT 0;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS verified_participants INT NOT NULL DEFAULT 0;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS deleted_by_user_id TEXT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS deletion_reason TEXT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS deletion_reason_word_count INT NULL;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+CREATE INDEX IF NOT EXISTS idx_movements_created_at ON movements (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_movements_visibility ON movements (visibility);
+CREATE INDEX IF NOT EXISTS idx_movements_author_email ON movements (LOWER(author_email));
+
+-- Movement full-text search
+-- Managed databases may not allow extensions; search then works without typo tolerance.
+DO $$
+BEGIN
+  CREATE EXTENSION IF NOT EXISTS pg_trgm;
+EXCEPTION WHEN OTHERS THEN
+  RAISE WARNING 'pg_trgm unavailable: %', SQLERRM;
+END $$;
+ALTER TABLE movements ADD COLUMN IF NOT EXISTS search_vector tsvector NULL;
+CREATE OR REPLACE FUNCTION movements_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(array_to_string(NEW.tags, ' '), '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(NEW.summary, '')), 'C') ||
+    setweight(
+      to_tsvector('english', COALESCE(NEW.description, regexp_replace(COALESCE(NEW.description_html, ''), '<[^>]*>', ' ', 'g'))),
+      'D'
+    );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS movements_search_vector_trg ON movements;
+CREATE TRIGGER movements_search_vector_trg
+BEFORE INSERT OR UPDATE OF title, tags, summary, description, description_html ON movements
+FOR EACH ROW EXECUTE FUNCTION movements_search_vector_update();
+-- Backfill rows written before the trigger existed.
+UPDATE movements SET title = title WHERE search_vector IS NULL;
+CREATE INDEX IF NOT EXISTS idx_movements_search_vector ON movements USING GIN (search_vector);
+
+-- Movement votes, locks and revisions
+CREATE TABLE IF NOT EXISTS movement_votes (
+  movement_id TEXT NOT NULL,
+  voter_email TEXT NOT NULL,
+  value SMALLINT NOT NULL CHECK (value IN (-1, 1)),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (movement_id, voter_email)
+);
+
+CREATE TABLE IF NOT EXISTS movement_locks (
+  movement_id TEXT PRIMARY KEY,
+  title_locked BOOLEAN NOT NULL DEFAULT FALSE,
+  description_locked BOOLEAN NOT NULL DEFAULT FALSE,
+  claims_locked BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE TABLE IF NOT EXISTS movement_revisions (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  revision_number INT NOT NULL,
+  author_email TEXT NULL,
+  action TEXT NOT NULL DEFAULT 'edit',
+  changed_fields JSONB NOT NULL DEFAULT '[]'::jsonb,
+  snapshot JSONB NOT NULL,
+  restored_revision_number INT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_movement_revisions_number ON movement_revisions (movement_id, revision_number);
+
+-- Collaboration
+CREATE TABLE IF NOT EXISTS collaborators (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  user_email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'viewer',
+  status TEXT NOT NULL DEFAULT 'pending',
+  invited_by TEXT NULL,
+  created_date TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  accepted_date TIMESTAMPTZ NULL
+);
+CREATE INDEX IF NOT EXISTS idx_collaborators_movement ON collaborators (movement_id);
+CREATE INDEX IF NOT EXISTS idx_collaborators_user ON collaborators (user_email);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collaborators_movement_user ON collaborators (movement_id, user_email);
+
+CREATE TABLE IF NOT EXISTS collaborator_action_logs (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  actor_user_id TEXT NOT NULL,
+  action_type TEXT NOT NULL,
+  target_id TEXT,
+  timestamp TIMESTAMPTZ NOT NULL,
+  metadata JSONB
+);
+CREATE INDEX IF NOT EXISTS idx_collab_action_logs_movement_id ON collaborator_action_logs (movement_id, timestamp DESC);
+
+-- Follows, comments and movement extras
+CREATE TABLE IF NOT EXISTS movement_follows (
+  movement_id TEXT NOT NULL,
+  follower_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (movement_id, follower_email)
+);
+CREATE INDEX IF NOT EXISTS idx_movement_follows_movement ON movement_follows (movement_id);
+CREATE INDEX IF NOT EXISTS idx_movement_follows_follower ON movement_follows (follower_email);
+
+CREATE TABLE IF NOT EXISTS movement_comments (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  author_email TEXT NOT NULL,
+  content TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_movement_comments_movement_created_at ON movement_comments (movement_id, created_at DESC);
+ALTER TABLE movement_comments
+  ADD COLUMN IF NOT EXISTS parent_id TEXT NULL,
+  ADD COLUMN IF NOT EXISTS depth INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS reactions JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS hidden_by TEXT NULL,
+  ADD COLUMN IF NOT EXISTS hidden_reason TEXT NULL;
+CREATE INDEX IF NOT EXISTS idx_movement_comments_parent_created_at ON movement_comments (parent_id, created_at);
+CREATE TABLE IF NOT EXISTS movement_comment_edits (
+  id TEXT PRIMARY KEY,
+  comment_id TEXT NOT NULL,
+  previous_content TEXT NOT NULL,
+  edited_by TEXT NOT NULL,
+  edited_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_movement_comment_edits_comment ON movement_comment_edits (comment_id, edited_at DESC);
+CREATE TABLE IF NOT EXISTS movement_comment_settings (
+  movement_id TEXT PRIMARY KEY,
+  locked BOOLEAN NOT NULL DEFAULT FALSE,
+  slow_mode_seconds INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+ALTER TABLE movement_comment_settings ADD COLUMN IF NOT EXISTS auto_locked_at TIMESTAMPTZ NULL;
+
+CREATE TABLE IF NOT EXISTS movement_resources (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  title TEXT NOT NULL,
+  url TEXT NULL,
+  file_url TEXT NULL,
+  file_name TEXT NULL,
+  mime_type TEXT NULL,
+  file_size INT NULL,
+  category TEXT NULL,
+  download_count INT NOT NULL DEFAULT 0,
+  description TEXT NULL,
+  created_by_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_movement_resources_movement_created_at ON movement_resources (movement_id, created_at DESC);
+ALTER TABLE movement_resources ADD COLUMN IF NOT EXISTS file_url TEXT NULL;
+ALTER TABLE movement_resources ADD COLUMN IF NOT EXISTS file_name TEXT NULL;
+ALTER TABLE movement_resources ADD COLUMN IF NOT EXISTS mime_type TEXT NULL;
+ALTER TABLE movement_resources ADD COLUMN IF NOT EXISTS file_size INT NULL;
+ALTER TABLE movement_resources ADD COLUMN IF NOT EXISTS category TEXT NULL;
+ALTER TABLE movement_resources ADD COLUMN IF NOT EXISTS download_count INT NOT NULL DEFAULT 0;
+CREATE TABLE IF NOT EXISTS movement_events (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  title TEXT NOT NULL,
+  starts_at TIMESTAMPTZ NULL,
+  location TEXT NULL,
+  url TEXT NULL,
+  virtual_link TEXT NULL,
+  max_attendees INT NULL,
+  description TEXT NULL,
+  created_by_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_movement_events_movement_created_at ON movement_events (movement_id, created_at DESC);
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS virtual_link TEXT NULL;
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS max_attendees INT NULL;
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ NULL;
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS time_zone TEXT NULL;
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS recurrence_rule TEXT NULL;
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS recurrence_exceptions JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'scheduled';
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ NULL;
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS cancellation_reason TEXT NULL;
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS sequence INT NOT NULL DEFAULT 0;
+ALTER TABLE movement_events ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NULL;
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+  token TEXT PRIMARY KEY,
+  scope TEXT NOT NULL,
+  subject_id TEXT NOT NULL,
+  created_by_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feed_tokens_subject ON calendar_feed_tokens (scope, subject_id);
+CREATE TABLE IF NOT EXISTS movement_event_rsvps (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  user_email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'going',
+  attended BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_rsvps_event_user ON movement_event_rsvps (event_id, user_email);
+CREATE INDEX IF NOT EXISTS idx_event_rsvps_event ON movement_event_rsvps (event_id);
+CREATE INDEX IF NOT EXISTS idx_event_rsvps_movement ON movement_event_rsvps (movement_id);
+ALTER TABLE movement_event_rsvps ADD COLUMN IF NOT EXISTS waitlisted_at TIMESTAMPTZ NULL;
+ALTER TABLE movement_event_rsvps ADD COLUMN IF NOT EXISTS check_in_code TEXT NULL;
+ALTER TABLE movement_event_rsvps ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMPTZ NULL;
+ALTER TABLE movement_event_rsvps ADD COLUMN IF NOT EXISTS checked_in_by_email TEXT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_rsvps_check_in_code ON movement_event_rsvps (event_id, check_in_code) WHERE check_in_code IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_event_rsvps_waitlist ON movement_event_rsvps (event_id, waitlisted_at) WHERE status = 'waitlisted';
+CREATE TABLE IF NOT EXISTS movement_petitions (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  title TEXT NOT NULL,
+  url TEXT NOT NULL,
+  goal_signatures INT NULL,
+  created_by_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_movement_petitions_movement_created_at ON movement_petitions (movement_id, created_at DESC);
+ALTER TABLE movement_petitions ALTER COLUMN url DROP NOT NULL;
+ALTER TABLE movement_petitions ADD COLUMN IF NOT EXISTS body TEXT NULL;
+ALTER TABLE movement_petitions ADD COLUMN IF NOT EXISTS target TEXT NULL;
+ALTER TABLE movement_petitions ADD COLUMN IF NOT EXISTS deadline TIMESTAMPTZ NULL;
+ALTER TABLE movement_petitions ADD COLUMN IF NOT EXISTS milestones_reached JSONB NOT NULL DEFAULT '[]'::jsonb;
+CREATE TABLE IF NOT EXISTS movement_petition_signatures (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  petition_id TEXT NOT NULL,
+  user_email TEXT NOT NULL,
+  comment TEXT NULL,
+  is_public BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_petition_sigs_petition_user ON movement_petition_signatures (petition_id, user_email);
+CREATE INDEX IF NOT EXISTS idx_petition_sigs_petition ON movement_petition_signatures (petition_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_petition_sigs_movement ON movement_petition_signatures (movement_id, created_at DESC);
+ALTER TABLE movement_petition_signatures ADD COLUMN IF NOT EXISTS signer_name TEXT NULL;
+ALTER TABLE movement_petition_signatures ADD COLUMN IF NOT EXISTS postcode TEXT NULL;
+CREATE TABLE IF NOT EXISTS movement_impact_updates (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  title TEXT NULL,
+  content TEXT NOT NULL,
+  created_by_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_movement_impact_movement_created_at ON movement_impact_updates (movement_id, created_at DESC);
+CREATE TABLE IF NOT EXISTS movement_tasks (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  title TEXT NOT NULL,
+  description TEXT NULL,
+  status TEXT NOT NULL DEFAULT 'todo',
+  assigned_to_email TEXT NULL,
+  created_by_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_movement_tasks_movement_updated_at ON movement_tasks (movement_id, updated_at DESC);
+CREATE TABLE IF NOT EXISTS movement_discussions (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  author_email TEXT NOT NULL,
+  message TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_movement_discussions_movement_created_at ON movement_discussions (movement_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS movement_evidence (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  submitter_email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  media_type TEXT NOT NULL,
+  url TEXT NOT NULL,
+  text TEXT NULL,
+  caption TEXT NULL,
+  file_name TEXT NULL,
+  mime_type TEXT NULL,
+  file_size INT NULL,
+  verified_by_email TEXT NULL,
+  verified_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+ALTER TABLE movement_evidence ADD COLUMN IF NOT EXISTS text TEXT NULL;
+ALTER TABLE movement_evidence ALTER COLUMN url DROP NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_movement_evidence_movement_created_at ON movement_evidence (movement_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_movement_evidence_status ON movement_evidence (status);
+CREATE INDEX IF NOT EXISTS idx_movement_evidence_submitter ON movement_evidence (submitter_email);
+
+CREATE TABLE IF NOT EXISTS movement_polls (
+  id TEXT PRIMARY KEY,
+  movement_id TEXT NOT NULL,
+  question TEXT NOT NULL,
+  description TEXT NULL,
+  voting_method TEXT NOT NULL DEFAULT 'single',
+  options JSONB NOT NULL DEFAULT '[]',
+  results_visibility TEXT NOT NULL DEFAULT 'live',
+  status TEXT NOT NULL DEFAULT 'open',
+  closes_at TIMESTAMPTZ NULL,
+  closed_at TIMESTAMPTZ NULL,
+  created_by_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_movement_polls_movement_created_at ON movement_polls (movement_id, created_at DESC);
+CREATE TABLE IF NOT EXISTS movement_poll_ballots (
+  id TEXT PRIMARY KEY,
+  poll_id TEXT NOT NULL,
+  movement_id TEXT NOT NULL,
+  voter_email TEXT NOT NULL,
+  choices JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_poll_ballots_poll_voter ON movement_poll_ballots (poll_id, voter_email);
+CREATE INDEX IF NOT EXISTS idx_poll_ballots_poll ON movement_poll_ballots (poll_id);
+
+-- End-to-end encryption keys
+CREATE TABLE IF NOT EXISTS user_public_keys (
+  email TEXT PRIMARY KEY,
+  public_key TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS user_key_devices (
+  email TEXT NOT NULL,
+  device_id TEXT NOT NULL,
+  label TEXT,
+  platform TEXT,
+  identity_key TEXT NOT NULL,
+  signing_key TEXT,
+  signed_prekey_id INTEGER,
+  signed_prekey TEXT,
+  signed_prekey_signature TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (email, device_id)
+);
+-- Account-level prekeys predate per-device keys.
+DROP TABLE IF EXISTS user_one_time_prekeys;
+CREATE TABLE IF NOT EXISTS user_device_prekeys (
+  email TEXT NOT NULL,
+  device_id TEXT NOT NULL,
+  key_id INTEGER NOT NULL,
+  public_key TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (email, device_id, key_id),
+  FOREIGN KEY (email, device_id) REFERENCES user_key_devices(email, device_id) ON DELETE CASCADE
+);
+CREATE TABLE IF NOT EXISTS user_key_backups (
+  email TEXT PRIMARY KEY,
+  identity_key TEXT NOT NULL,
+  backup JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Messages
+CREATE TABLE IF NOT EXISTS conversations (
+  id TEXT PRIMARY KEY,
+  participant_emails TEXT[] NOT NULL,
+  is_request BOOLEAN NOT NULL DEFAULT FALSE,
+  requester_email TEXT NULL,
+  request_status TEXT NOT NULL DEFAULT 'accepted',
+  blocked_by_email TEXT NULL,
+  is_group BOOLEAN NOT NULL DEFAULT FALSE,
+  group_name TEXT NULL,
+  group_avatar_url TEXT NULL,
+  group_type TEXT NULL,
+  movement_id TEXT NULL,
+  created_by_email TEXT NULL,
+  group_admin_emails TEXT[] NOT NULL DEFAULT '{}',
+  group_post_mode TEXT NOT NULL DEFAULT 'owner_only',
+  group_posters TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS messages (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_email TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  read_by TEXT[] NOT NULL DEFAULT '{}',
+  delivered_to TEXT[] NOT NULL DEFAULT '{}',
+  reactions JSONB NOT NULL DEFAULT '{}'::jsonb
+);
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS is_request BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS requester_email TEXT NULL;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS request_status TEXT NOT NULL DEFAULT 'accepted';
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS blocked_by_email TEXT NULL;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS group_name TEXT NULL;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS group_avatar_url TEXT NULL;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS group_type TEXT NULL;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS movement_id TEXT NULL;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS created_by_email TEXT NULL;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS group_admin_emails TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS group_post_mode TEXT NOT NULL DEFAULT 'owner_only';
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS group_posters TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS group_key_epoch INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reactions JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS delivered_to TEXT[] NOT NULL DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created_at ON messages (conversation_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_participants_gin ON conversations USING GIN (participant_emails);
+CREATE INDEX IF NOT EXISTS idx_conversations_movement_id ON conversations (movement_id);
+CREATE TABLE IF NOT EXISTS group_sender_keys (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_email TEXT NOT NULL,
+  recipient_email TEXT NOT NULL,
+  key_id TEXT NOT NULL,
+  epoch INTEGER NOT NULL,
+  ciphertext TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (conversation_id, sender_email, recipient_email, key_id)
+);
+CREATE INDEX IF NOT EXISTS idx_group_sender_keys_recipient ON group_sender_keys (conversation_id, recipient_email, created_at);
+
+-- Notifications, acknowledgments and idempotency
+CREATE TABLE IF NOT EXISTS notifications (
+  id TEXT PRIMARY KEY,
+  recipient_email TEXT NOT NULL,
+  type TEXT NOT NULL,
+  actor_name TEXT NULL,
+  actor_email TEXT NULL,
+  content_id TEXT NULL,
+  content_ref TEXT NULL,
+  content_title TEXT NULL,
+  metadata JSONB NULL,
+  is_read BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient_created ON notifications (recipient_email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient_unread ON notifications (recipient_email, is_read);
+CREATE INDEX IF NOT EXISTS idx_notifications_type ON notifications (type);
+
+CREATE TABLE IF NOT EXISTS platform_acknowledgments (
+  email TEXT PRIMARY KEY,
+  accepted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id TEXT NOT NULL,
+  route TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  request_body_hash TEXT NOT NULL,
+  status_code INT NOT NULL,
+  response_json JSONB NOT NULL,
+  request_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, route, idempotency_key)
+);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys (created_at);
+
+-- Moderation
+CREATE TABLE IF NOT EXISTS reports (
+  id BIGSERIAL PRIMARY KEY,
+  reporter_email TEXT NOT NULL,
+  reported_content_type TEXT NOT NULL,
+  reported_content_id TEXT NOT NULL,
+  report_category TEXT NOT NULL,
+  report_details TEXT NULL,
+  report_type TEXT NULL,
+  report_title TEXT NULL,
+  evidence_urls TEXT[] NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  moderator_email TEXT NULL,
+  moderator_notes TEXT NULL,
+  action_taken TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS evidence_urls TEXT[] NULL;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS report_type TEXT NULL;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS report_title TEXT NULL;
+CREATE INDEX IF NOT EXISTS idx_reports_status_created_at ON reports (status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS moderation_appeals (
+  id TEXT PRIMARY KEY,
+  report_id TEXT NOT NULL,
+  appellant_email TEXT NOT NULL,
+  appeal_reason TEXT NOT NULL,
+  additional_evidence TEXT[] NULL,
+  status TEXT NOT NULL DEFAULT 'submitted',
+  original_moderator_email TEXT NULL,
+  original_action_taken TEXT NULL,
+  reviewer_email TEXT NULL,
+  reviewer_notes TEXT NULL,
+  sla_due_at TIMESTAMPTZ NOT NULL,
+  first_response_at TIMESTAMPTZ NULL,
+  decided_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (report_id, appellant_email)
+);
+CREATE INDEX IF NOT EXISTS idx_moderation_appeals_status_due ON moderation_appeals (status, sla_due_at);
+CREATE INDEX IF NOT EXISTS idx_moderation_appeals_appellant ON moderation_appeals (appellant_email, created_at DESC);
+CREATE TABLE IF NOT EXISTS moderation_appeal_events (
+  id TEXT PRIMARY KEY,
+  appeal_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  actor_email TEXT NULL,
+  from_status TEXT NULL,
+  to_status TEXT NULL,
+  note TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_moderation_appeal_events_appeal ON moderation_appeal_events (appeal_id, created_at ASC);
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS appeal_status TEXT NULL;
+
+CREATE TABLE IF NOT EXISTS incident_logs (
+  id TEXT PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  event_type TEXT NOT NULL,
+  actor_user_id TEXT NULL,
+  actor_email TEXT NULL,
+  target_user_ids TEXT[] NULL,
+  target_emails TEXT[] NULL,
+  movement_id TEXT NULL,
+  trigger_system TEXT NOT NULL DEFAULT 'server',
+  human_reviewed BOOLEAN NOT NULL DEFAULT FALSE,
+  related_entity_type TEXT NULL,
+  related_entity_id TEXT NULL,
+  context JSONB NOT NULL DEFAULT '{}'::jsonb
+);
+CREATE INDEX IF NOT EXISTS idx_incident_logs_created_at ON incident_logs (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_incident_logs_event_type ON incident_logs (event_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_incident_logs_actor_email ON incident_logs (actor_email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_incident_logs_movement_id ON incident_logs (movement_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_incident_logs_trigger_system ON incident_logs (trigger_system, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS moderator_audit_log (
+  seq BIGINT PRIMARY KEY,
+  id TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL,
+  moderator_email TEXT NOT NULL,
+  action_type TEXT NOT NULL,
+  target_content_type TEXT NULL,
+  target_content_id TEXT NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ip_address TEXT NULL,
+  prev_hash TEXT NOT NULL,
+  entry_hash TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_moderator_audit_log_moderator ON moderator_audit_log (moderator_email, seq DESC);
+CREATE INDEX IF NOT EXISTS idx_moderator_audit_log_action ON moderator_audit_log (action_type, seq DESC);
+CREATE INDEX IF NOT EXISTS idx_moderator_audit_log_target ON moderator_audit_log (target_content_type, target_content_id);
+CREATE OR REPLACE FUNCTION moderator_audit_log_reject_mutation() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'moderator_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS moderator_audit_log_no_update_delete ON moderator_audit_log;
+CREATE TRIGGER moderator_audit_log_no_update_delete
+BEFORE UPDATE OR DELETE ON moderator_audit_log
+FOR EACH ROW EXECUTE FUNCTION moderator_audit_log_reject_mutation();
+DROP TRIGGER IF EXISTS moderator_audit_log_no_truncate ON moderator_audit_log;
+CREATE TRIGGER moderator_audit_log_no_truncate
+BEFORE TRUNCATE ON moderator_audit_log
+FOR EACH STATEMENT EXECUTE FUNCTION moderator_audit_log_reject_mutation();
+
+-- Trust and protections
+CREATE TABLE IF NOT EXISTS user_trust_scores (
+  user_email TEXT PRIMARY KEY,
+  computed_score REAL NOT NULL,
+  signals JSONB NOT NULL DEFAULT '{}'::jsonb,
+  factors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  account_created_at TIMESTAMPTZ NULL,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  override_score REAL NULL,
+  override_reason TEXT NULL,
+  override_by TEXT NULL,
+  override_at TIMESTAMPTZ NULL
+);
+CREATE TABLE IF NOT EXISTS user_action_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_email TEXT NOT NULL,
+  action TEXT NOT NULL,
+  context_id TEXT NULL,
+  new_account BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_user_trust_scores_effective ON user_trust_scores ((COALESCE(override_score, computed_score)));
+CREATE INDEX IF NOT EXISTS idx_user_action_events_user ON user_action_events (user_email, action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_action_events_target ON user_action_events (action, context_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_action_events_created_at ON user_action_events (created_at);
+
+CREATE TABLE IF NOT EXISTS user_protection_settings (
+  user_email TEXT PRIMARY KEY,
+  dm_audience TEXT NOT NULL DEFAULT 'everyone',
+  reaction_audience TEXT NOT NULL DEFAULT 'everyone',
+  block_new_account_dms BOOLEAN NOT NULL DEFAULT FALSE,
+  hide_new_account_comments BOOLEAN NOT NULL DEFAULT FALSE,
+  new_account_days INT NOT NULL DEFAULT 7,
+  auto_lock_comments_on_spike BOOLEAN NOT NULL DEFAULT FALSE,
+  spike_comment_threshold INT NOT NULL DEFAULT 25,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Leadership roles
+CREATE TABLE IF NOT EXISTS leadership_roles (
+  id TEXT PRIMARY KEY,
+  user_email TEXT NOT NULL,
+  role_type TEXT NOT NULL,
+  movement_id TEXT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  reached_cap BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_email, role_type, movement_id)
+);
+CREATE INDEX IF NOT EXISTS idx_leadership_roles_user ON leadership_roles (user_email);
+CREATE INDEX IF NOT EXISTS idx_leadership_roles_type_active ON leadership_roles (role_type, is_active);
+CREATE INDEX IF NOT EXISTS idx_leadership_roles_movement ON leadership_roles (movement_id);
+
+-- Feature flags, challenges and research mode
+CREATE TABLE IF NOT EXISTS feature_flags (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  rollout_percentage INT NOT NULL DEFAULT 100,
+  description TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_feature_flags_name ON feature_flags (name);
+CREATE INDEX IF NOT EXISTS idx_feature_flags_updated_at ON feature_flags (updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS challenges (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT NULL,
+  category TEXT NOT NULL,
+  start_date DATE NULL,
+  end_date DATE NULL,
+  status TEXT NOT NULL DEFAULT 'active',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_challenges_status ON challenges (status);
+CREATE INDEX IF NOT EXISTS idx_challenges_dates ON challenges (start_date, end_date);
+
+CREATE TABLE IF NOT EXISTS challenge_completions (
+  id TEXT PRIMARY KEY,
+  user_email TEXT NOT NULL,
+  challenge_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  points INTEGER NOT NULL DEFAULT 0,
+  evidence_type TEXT DEFAULT 'none',
+  evidence_text TEXT NULL,
+  evidence_image_url TEXT NULL,
+  is_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_cc_user ON challenge_completions (user_email);
+CREATE INDEX IF NOT EXISTS idx_cc_date ON challenge_completions (date);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cc_uniq ON challenge_completions (user_email, challenge_id, date);
+
+CREATE TABLE IF NOT EXISTS user_challenge_stats (
+  id TEXT PRIMARY KEY,
+  user_email TEXT NOT NULL UNIQUE,
+  total_points INTEGER NOT NULL DEFAULT 0,
+  current_streak INTEGER NOT NULL DEFAULT 0,
+  longest_streak INTEGER NOT NULL DEFAULT 0,
+  total_challenges_completed INTEGER NOT NULL DEFAULT 0,
+  last_completion_date TEXT NULL,
+  last_streak_bonus_date TEXT NULL,
+  unlocked_profile_accents JSONB NOT NULL DEFAULT '[]',
+  unlocked_post_flair JSONB NOT NULL DEFAULT '[]',
+  unlocked_profile_badges JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ucs_email ON user_challenge_stats (user_email);
+
+CREATE TABLE IF NOT EXISTS research_mode_configs (
+  id TEXT PRIMARY KEY,
+  scope TEXT NOT NULL CHECK (scope IN ('user', 'movement', 'global')),
+  scope_id TEXT NULL,
+  enabled_features TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_research_mode_scope ON research_mode_configs (scope, scope_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_research_mode_scope_unique ON research_mode_configs (scope, scope_id);
+CREATE INDEX IF NOT EXISTS idx_research_mode_updated_at ON research_mode_configs (updated_at DESC);
+
+-- Operations
+CREATE TABLE IF NOT EXISTS migration_logs (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL,
+  finished_at TIMESTAMPTZ NULL,
+  message TEXT NOT NULL,
+  details JSONB NULL
+);
+CREATE INDEX IF NOT EXISTS idx_migration_logs_started_at ON migration_logs (started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_migration_logs_type ON migration_logs (type, started_at DESC);
+
+-- LLM usage and cache
+CREATE TABLE IF NOT EXISTS llm_usage (
+  user_email TEXT NOT NULL,
+  usage_date DATE NOT NULL,
+  calls INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_email, usage_date)
+);
+CREATE TABLE IF NOT EXISTS llm_cache (
+  cache_key TEXT PRIMARY KEY,
+  payload_sha256 TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  response JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_llm_cache_expires ON llm_cache (expires_at);
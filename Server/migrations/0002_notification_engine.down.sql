@@ -0,0 +1,11 @@
+-- Reverts 0002_notification_engine.up.sql. Coalesced rows keep only their latest actor.
+DROP TABLE IF EXISTS notification_preferences CASCADE;
+DROP INDEX IF EXISTS idx_notifications_digest_pending;
+DROP INDEX IF EXISTS idx_notifications_recipient_updated;
+DROP INDEX IF EXISTS idx_notifications_open_group;
+ALTER TABLE notifications DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE notifications DROP COLUMN IF EXISTS emailed_at;
+ALTER TABLE notifications DROP COLUMN IF EXISTS channel;
+ALTER TABLE notifications DROP COLUMN IF EXISTS actor_emails;
+ALTER TABLE notifications DROP COLUMN IF EXISTS actor_count;
+ALTER TABLE notifications DROP COLUMN IF EXISTS group_key;
@@ -0,0 +1,32 @@
+-- Notification engine: coalesced groups ("12 people boosted your movement"), the delivery
+-- channel chosen by the recipient's preferences, and email digest bookkeeping.
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS group_key TEXT NULL;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS actor_count INT NOT NULL DEFAULT 1;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS actor_emails JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'in_app';
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMPTZ NULL;
+
+-- Latest activity on the row; a coalesced group moves back to the top when someone joins it.
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NULL;
+UPDATE notifications SET updated_at = created_at WHERE updated_at IS NULL;
+ALTER TABLE notifications ALTER COLUMN updated_at SET DEFAULT NOW();
+ALTER TABLE notifications ALTER COLUMN updated_at SET NOT NULL;
+
+-- At most one unread row per group: new activity is merged into it (ON CONFLICT target).
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_open_group
+  ON notifications (recipient_email, group_key)
+  WHERE is_read = FALSE AND group_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient_updated ON notifications (recipient_email, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_digest_pending
+  ON notifications (recipient_email)
+  WHERE channel = 'email' AND emailed_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_email TEXT PRIMARY KEY,
+  channels JSONB NOT NULL DEFAULT '{}'::jsonb,
+  digest TEXT NOT NULL DEFAULT 'daily',
+  last_digest_at TIMESTAMPTZ NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_notification_preferences_digest ON notification_preferences (digest, last_digest_at);
@@ -0,0 +1,7 @@
+-- Reverts 0003_push_delivery.up.sql. Registered device tokens are lost.
+ALTER TABLE notification_preferences DROP COLUMN IF EXISTS time_zone;
+ALTER TABLE notification_preferences DROP COLUMN IF EXISTS quiet_hours_end;
+ALTER TABLE notification_preferences DROP COLUMN IF EXISTS quiet_hours_start;
+DROP INDEX IF EXISTS idx_notifications_push_pending;
+ALTER TABLE notifications DROP COLUMN IF EXISTS pushed_at;
+DROP TABLE IF EXISTS user_push_tokens CASCADE;
@@ -0,0 +1,31 @@
+-- APNs push delivery: device tokens, per-row push state and quiet hours.
+
+-- One row per app install that registered for push. device_id links the token to the
+-- install's E2EE key device (user_key_devices) when it has one, so revoking that device
+-- also stops its pushes.
+CREATE TABLE IF NOT EXISTS user_push_tokens (
+  id TEXT PRIMARY KEY,
+  user_email TEXT NOT NULL,
+  platform TEXT NOT NULL DEFAULT 'ios',
+  token TEXT NOT NULL,
+  environment TEXT NOT NULL DEFAULT 'production',
+  device_id TEXT NULL,
+  app_version TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_push_at TIMESTAMPTZ NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_push_tokens_token ON user_push_tokens (platform, token);
+CREATE INDEX IF NOT EXISTS idx_user_push_tokens_user ON user_push_tokens (user_email);
+
+-- Rows on the 'push' channel wait here until the dispatcher sends them. Rows that existed
+-- before push delivery are treated as already sent.
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS pushed_at TIMESTAMPTZ NULL;
+UPDATE notifications SET pushed_at = updated_at WHERE channel = 'push' AND pushed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_push_pending
+  ON notifications (updated_at)
+  WHERE channel = 'push' AND pushed_at IS NULL AND is_read = FALSE;
+
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS quiet_hours_start TEXT NULL;
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS quiet_hours_end TEXT NULL;
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS time_zone TEXT NULL;
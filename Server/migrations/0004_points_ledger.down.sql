@@ -0,0 +1,9 @@
+-- Reverts 0004_points_ledger.up.sql. The ledger and gift history are lost; cached
+-- total_points in user_challenge_stats are kept.
+DROP TABLE IF EXISTS point_gifts CASCADE;
+DROP TABLE IF EXISTS points_ledger CASCADE;
+DROP FUNCTION IF EXISTS points_ledger_reject_mutation();
+ALTER TABLE challenge_completions DROP COLUMN IF EXISTS revoke_reason;
+ALTER TABLE challenge_completions DROP COLUMN IF EXISTS revoked_by;
+ALTER TABLE challenge_completions DROP COLUMN IF EXISTS revoked_at;
+ALTER TABLE challenges DROP COLUMN IF EXISTS points;
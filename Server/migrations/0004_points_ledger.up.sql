@@ -0,0 +1,57 @@
+-- Server-authoritative challenge points: per-challenge point values, an append-only
+-- points ledger, point gifts and admin revocation of completions.
+
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS points INTEGER NOT NULL DEFAULT 10;
+
+ALTER TABLE challenge_completions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ NULL;
+ALTER TABLE challenge_completions ADD COLUMN IF NOT EXISTS revoked_by TEXT NULL;
+ALTER TABLE challenge_completions ADD COLUMN IF NOT EXISTS revoke_reason TEXT NULL;
+
+-- Balances are SUM(delta) per user; user_challenge_stats.total_points caches it.
+CREATE TABLE IF NOT EXISTS points_ledger (
+  id TEXT PRIMARY KEY,
+  user_email TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('earn', 'gift', 'spend', 'revoke')),
+  delta INTEGER NOT NULL,
+  source_type TEXT NOT NULL,
+  source_id TEXT NULL,
+  counterparty_email TEXT NULL,
+  note TEXT NULL,
+  created_by TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_points_ledger_user ON points_ledger (user_email, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_points_ledger_source ON points_ledger (user_email, kind, source_type, source_id);
+
+CREATE OR REPLACE FUNCTION points_ledger_reject_mutation() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'points_ledger is append-only';
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS points_ledger_no_update_delete ON points_ledger;
+CREATE TRIGGER points_ledger_no_update_delete
+BEFORE UPDATE OR DELETE ON points_ledger
+FOR EACH ROW EXECUTE FUNCTION points_ledger_reject_mutation();
+DROP TRIGGER IF EXISTS points_ledger_no_truncate ON points_ledger;
+CREATE TRIGGER points_ledger_no_truncate
+BEFORE TRUNCATE ON points_ledger
+FOR EACH STATEMENT EXECUTE FUNCTION points_ledger_reject_mutation();
+
+-- Points held before the ledger existed carry over as one opening entry per user.
+INSERT INTO points_ledger (id, user_email, kind, delta, source_type, source_id, note, created_at)
+SELECT 'opening-balance:' || user_email, user_email, 'earn', total_points, 'opening_balance', user_email,
+       'Balance before the points ledger', NOW()
+FROM user_challenge_stats
+WHERE total_points <> 0
+ON CONFLICT DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS point_gifts (
+  id TEXT PRIMARY KEY,
+  from_user_email TEXT NOT NULL,
+  to_user_email TEXT NOT NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  message TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_point_gifts_from ON point_gifts (from_user_email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_point_gifts_to ON point_gifts (to_user_email, created_at DESC);
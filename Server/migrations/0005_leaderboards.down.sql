@@ -0,0 +1,4 @@
+-- Reverts 0005_leaderboards.up.sql.
+DROP INDEX IF EXISTS idx_movement_votes_updated_at;
+DROP INDEX IF EXISTS idx_event_rsvps_checked_in_at;
+DROP TABLE IF EXISTS leaderboard_entries CASCADE;
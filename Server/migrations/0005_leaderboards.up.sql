@@ -0,0 +1,25 @@
+-- Server-computed leaderboards (services/leaderboards.js). Rows are replaced per board and
+-- period by the periodic refresh; scope is 'global', 'country:<country>' or
+-- 'city:<country>|<city>' (lowercase).
+CREATE TABLE IF NOT EXISTS leaderboard_entries (
+  board TEXT NOT NULL,
+  period TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  rank INTEGER NOT NULL,
+  subject_id TEXT NOT NULL,
+  scope_country TEXT NULL,
+  scope_city TEXT NULL,
+  raw_score DOUBLE PRECISION NOT NULL,
+  score DOUBLE PRECISION NOT NULL,
+  factor DOUBLE PRECISION NOT NULL DEFAULT 1,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (board, period, scope, rank)
+);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_subject ON leaderboard_entries (subject_id);
+
+-- Check-ins by time window, for the participants board.
+CREATE INDEX IF NOT EXISTS idx_event_rsvps_checked_in_at
+  ON movement_event_rsvps (checked_in_at)
+  WHERE checked_in_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_movement_votes_updated_at ON movement_votes (updated_at);
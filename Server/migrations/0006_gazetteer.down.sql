@@ -0,0 +1,3 @@
+-- Reverts 0006_gazetteer.up.sql. Imported places are lost; the bundled set is seeded
+-- again if the table comes back.
+DROP TABLE IF EXISTS geo_places;
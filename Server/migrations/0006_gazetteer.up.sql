@@ -0,0 +1,20 @@
+-- City gazetteer for /geo/search and /geo/reverse (services/gazetteer.js). Seeded from
+-- data/cities.tsv when empty; `npm --prefix Server run gazetteer -- import <file>` loads a
+-- GeoNames dump. search_name and alternate_names ('|name|name|') are normalized with
+-- normalizePlaceName.
+CREATE TABLE IF NOT EXISTS geo_places (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  search_name TEXT NOT NULL,
+  alternate_names TEXT NOT NULL DEFAULT '',
+  country_code TEXT NOT NULL,
+  country_name TEXT NOT NULL,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  population BIGINT NOT NULL DEFAULT 0,
+  source TEXT NOT NULL,
+  imported_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_geo_places_search_name ON geo_places (search_name text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_geo_places_latitude ON geo_places (latitude);
+CREATE INDEX IF NOT EXISTS idx_geo_places_country ON geo_places (country_code);
@@ -0,0 +1,239 @@
+'use strict';
+
+// Apple Push Notification service client: HTTP/2 with token-based (.p8 key) auth.
+//
+// Configured from the environment (apnsConfigFromEnv):
+// - APNS_KEY_ID, APNS_TEAM_ID               the key's id and the Apple developer team
+// - APNS_PRIVATE_KEY or APNS_PRIVATE_KEY_PATH  the .p8 key (PEM; "\n" escapes are allowed)
+// - APNS_BUNDLE_ID                           the app's bundle id, sent as apns-topic
+// - APNS_ORIGIN                              optional override for both environments, e.g. a
+//                                            local mock (scripts/mock-apns.mjs)
+//
+// Each device token belongs to the production or the sandbox environment (development
+// builds), so a send goes to the matching host. One HTTP/2 session per host is kept open
+// and reused; the provider token is re-signed every APNS_TOKEN_TTL_MS, within Apple's
+// 20–60 minute window.
+
+const http2 = require('http2');
+const fs = require('fs');
+const { createHash, createPrivateKey, sign } = require('crypto');
+
+const APNS_PRODUCTION_ORIGIN = 'https://api.push.apple.com';
+const APNS_SANDBOX_ORIGIN = 'https://api.sandbox.push.apple.com';
+const APNS_ENVIRONMENTS = ['production', 'sandbox'];
+const APNS_TOKEN_TTL_MS = 40 * 60 * 1000;
+const APNS_REQUEST_TIMEOUT_MS = 10_000;
+const APNS_MAX_PAYLOAD_BYTES = 4096;
+const APNS_MAX_COLLAPSE_ID_BYTES = 64;
+const DEFAULT_BUNDLE_ID = 'app.peoplepower.mobile';
+
+// Reasons APNs gives for tokens that will never work again; the device should be dropped.
+const INVALID_TOKEN_REASONS = new Set(['BadDeviceToken', 'DeviceTokenNotForTopic', 'Unregistered']);
+
+class ApnsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApnsError';
+  }
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Reads the APNs settings from `env`. Returns null when push isn't configured (no key id,
+ * team id or key), so callers can skip sending.
+ */
+function apnsConfigFromEnv(env = process.env) {
+  const keyId = String(env.APNS_KEY_ID || '').trim();
+  const teamId = String(env.APNS_TEAM_ID || '').trim();
+  let privateKey = String(env.APNS_PRIVATE_KEY || '').trim().replace(/\\n/g, '\n');
+  const keyPath = String(env.APNS_PRIVATE_KEY_PATH || '').trim();
+  if (!privateKey && keyPath) privateKey = fs.readFileSync(keyPath, 'utf8');
+  if (!keyId || !teamId || !privateKey) return null;
+  return {
+    keyId,
+    teamId,
+    privateKey,
+    bundleId: String(env.APNS_BUNDLE_ID || '').trim() || DEFAULT_BUNDLE_ID,
+    origin: String(env.APNS_ORIGIN || '').trim().replace(/\/$/, '') || null,
+  };
+}
+
+/** True when an APNs response means the token is gone for good (uninstall, wrong app). */
+function isInvalidTokenResponse(result) {
+  if (!result) return false;
+  return result.status === 410 || (result.status === 400 && INVALID_TOKEN_REASONS.has(String(result.reason || '')));
+}
+
+// Collapse ids are capped at 64 bytes by APNs; longer ones are hashed (still stable).
+function normalizeCollapseId(value) {
+  const id = String(value || '').trim();
+  if (!id) return null;
+  if (Buffer.byteLength(id) <= APNS_MAX_COLLAPSE_ID_BYTES) return id;
+  return createHash('sha256').update(id).digest('hex');
+}
+
+/**
+ * Builds an alert payload. Title and body are shortened until the whole payload fits the
+ * 4 KB APNs limit; `data` is delivered to the app as custom keys.
+ */
+function buildAlertPayload({ title, body, badge = null, threadId = null, sound = 'default', data = null }) {
+  let alertTitle = String(title || '').trim().slice(0, 120);
+  let alertBody = String(body || '').trim().slice(0, 1000);
+  const build = () => ({
+    aps: {
+      alert: { ...(alertTitle ? { title: alertTitle } : {}), body: alertBody },
+      ...(Number.isInteger(badge) && badge >= 0 ? { badge } : {}),
+      ...(sound ? { sound } : {}),
+      ...(threadId ? { 'thread-id': String(threadId) } : {}),
+    },
+    ...(data && typeof data === 'object' ? data : {}),
+  });
+  let payload = build();
+  while (Buffer.byteLength(JSON.stringify(payload)) > APNS_MAX_PAYLOAD_BYTES && alertBody.length > 0) {
+    alertBody = alertBody.slice(0, Math.floor(alertBody.length / 2));
+    alertTitle = alertTitle.slice(0, 60);
+    payload = build();
+  }
+  return payload;
+}
+
+/**
+ * Creates a client for `config` (see apnsConfigFromEnv). `send` resolves to
+ * `{ ok, status, reason, apnsId }` and only rejects on connection errors and timeouts.
+ */
+function createApnsClient(config) {
+  if (!config?.keyId || !config?.teamId || !config?.privateKey) throw new ApnsError('APNs is not configured');
+  const key = createPrivateKey(config.privateKey);
+  const sessions = new Map();
+  let providerToken = null;
+  let providerTokenAt = 0;
+
+  function getProviderToken(now = Date.now()) {
+    if (providerToken && now - providerTokenAt < APNS_TOKEN_TTL_MS) return providerToken;
+    const header = base64url(JSON.stringify({ alg: 'ES256', kid: config.keyId }));
+    const claims = base64url(JSON.stringify({ iss: config.teamId, iat: Math.floor(now / 1000) }));
+    const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+    providerToken = `${header}.${claims}.${base64url(signature)}`;
+    providerTokenAt = now;
+    return providerToken;
+  }
+
+  function originFor(environment) {
+    if (config.origin) return config.origin;
+    return environment === 'sandbox' ? APNS_SANDBOX_ORIGIN : APNS_PRODUCTION_ORIGIN;
+  }
+
+  function getSession(origin) {
+    const existing = sessions.get(origin);
+    if (existing && !existing.closed && !existing.destroyed) return existing;
+    const session = http2.connect(origin);
+    const forget = () => {
+      if (sessions.get(origin) === session) sessions.delete(origin);
+    };
+    session.on('error', forget);
+    session.on('goaway', forget);
+    session.on('close', forget);
+    // An idle connection shouldn't keep the process alive; requests ref it while in flight.
+    session.unref();
+    session.inFlight = 0;
+    sessions.set(origin, session);
+    return session;
+  }
+
+  function request(origin, headers, body) {
+    return new Promise((resolve, reject) => {
+      let session;
+      let req;
+      try {
+        session = getSession(origin);
+        req = session.request(headers);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      session.inFlight += 1;
+      session.ref();
+      req.on('close', () => {
+        session.inFlight -= 1;
+        if (session.inFlight <= 0 && !session.destroyed) session.unref();
+      });
+      let status = 0;
+      let apnsId = null;
+      const chunks = [];
+      req.setTimeout(APNS_REQUEST_TIMEOUT_MS, () => {
+        req.close(http2.constants.NGHTTP2_CANCEL);
+        reject(new ApnsError('APNs request timed out'));
+      });
+      req.on('response', (h) => {
+        status = Number(h[':status']) || 0;
+        apnsId = h['apns-id'] ? String(h['apns-id']) : null;
+      });
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('error', reject);
+      req.on('end', () => {
+        let reason = null;
+        if (chunks.length) {
+          try {
+            reason = JSON.parse(Buffer.concat(chunks).toString('utf8'))?.reason || null;
+          } catch {
+            reason = null;
+          }
+        }
+        resolve({ ok: status === 200, status, reason, apnsId });
+      });
+      req.end(body);
+    });
+  }
+
+  async function send({ token, environment = 'production', payload, collapseId = null, pushType = 'alert', priority = 10, expiresAt = null }) {
+    const deviceToken = String(token || '').trim();
+    if (!deviceToken) throw new ApnsError('Device token is required');
+    const body = JSON.stringify(payload ?? {});
+    const collapse = normalizeCollapseId(collapseId);
+    const headers = {
+      ':method': 'POST',
+      ':path': `/3/device/${encodeURIComponent(deviceToken)}`,
+      'apns-topic': config.bundleId,
+      'apns-push-type': pushType,
+      'apns-priority': String(priority),
+      'apns-expiration': expiresAt ? String(Math.floor(new Date(expiresAt).getTime() / 1000)) : '0',
+      'content-type': 'application/json',
+      ...(collapse ? { 'apns-collapse-id': collapse } : {}),
+    };
+
+    const origin = originFor(environment);
+    let result = await request(origin, { ...headers, authorization: `bearer ${getProviderToken()}` }, body);
+    if (result.status === 403 && result.reason === 'ExpiredProviderToken') {
+      providerToken = null;
+      result = await request(origin, { ...headers, authorization: `bearer ${getProviderToken()}` }, body);
+    }
+    return result;
+  }
+
+  function close() {
+    for (const session of sessions.values()) {
+      try {
+        session.close();
+      } catch {
+        // ignore
+      }
+    }
+    sessions.clear();
+  }
+
+  return { bundleId: config.bundleId, send, close };
+}
+
+module.exports = {
+  APNS_ENVIRONMENTS,
+  APNS_PRODUCTION_ORIGIN,
+  APNS_SANDBOX_ORIGIN,
+  ApnsError,
+  apnsConfigFromEnv,
+  buildAlertPayload,
+  createApnsClient,
+  isInvalidTokenResponse,
+};
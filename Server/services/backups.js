@@ -0,0 +1,609 @@
+'use strict';
+
+// Database backups, used by the scheduled backup timer and the /admin/backups routes in
+// Server/index.js.
+//
+// A backup is a directory under the backup root holding one gzipped NDJSON file per table
+// plus manifest.json. Every table in the public schema is exported inside a single
+// REPEATABLE READ transaction, so all files describe the same moment (`snapshot_at`) and
+// large tables stream through a server-side cursor instead of being loaded into memory.
+//
+// - Full backups copy every row.
+// - Incremental backups copy rows whose `updated_at` is at or after the previous backup's
+//   snapshot, and copy tables without that column in full. Deletes only show up in the next
+//   full backup (manifests say so with `includes_deletes`). Restoring an incremental replays
+//   its chain: the full backup, then each incremental in order, by primary key: changed rows
+//   of tables with `updated_at` are updated, rows of other tables are inserted if missing.
+//
+// The manifest records each file's row count, size and SHA-256, and the column types and
+// keys needed to recreate the table. Restores verify every checksum before writing anything.
+// They load into an empty Postgres database in one transaction, or into a new SQLite file
+// for local development.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createHash } = require('crypto');
+
+const BACKUP_FORMAT = 'pp-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const EXPORT_BATCH_ROWS = 1000;
+const RESTORE_BATCH_ROWS = 500;
+const BACKUP_ID_PATTERN = /^[A-Za-z0-9_-]{1,120}$/;
+// A write that started before the previous snapshot but committed after it carries an older
+// updated_at, so incrementals reach back a little further. Upserts make the overlap harmless.
+const INCREMENTAL_OVERLAP_MS = 10 * 60 * 1000;
+
+class BackupError extends Error {
+  constructor(message, { statusCode = 400 } = {}) {
+    super(message);
+    this.name = 'BackupError';
+    this.statusCode = statusCode;
+  }
+}
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function isValidBackupId(id) {
+  return BACKUP_ID_PATTERN.test(String(id || ''));
+}
+
+function sha256Hex(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Tables in the public schema with their columns, primary key and foreign-key parents.
+ * `db` is a pg pool or client.
+ */
+async function describeTables(db) {
+  const columnsRes = await db.query(
+    `SELECT c.relname AS table_name,
+            a.attname AS column_name,
+            format_type(a.atttypid, a.atttypmod) AS data_type,
+            a.attnotnull AS not_null
+     FROM pg_class c
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+     WHERE n.nspname = 'public' AND c.relkind IN ('r', 'p') AND NOT c.relispartition
+     ORDER BY c.relname, a.attnum`
+  );
+  const keysRes = await db.query(
+    `SELECT t.relname AS table_name,
+            con.contype AS kind,
+            r.relname AS references_table,
+            a.attname AS column_name,
+            array_position(con.conkey, a.attnum) AS position
+     FROM pg_constraint con
+     JOIN pg_class t ON t.oid = con.conrelid
+     JOIN pg_namespace n ON n.oid = t.relnamespace
+     LEFT JOIN pg_class r ON r.oid = con.confrelid
+     JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = ANY (con.conkey)
+     WHERE n.nspname = 'public' AND con.contype IN ('p', 'f')
+     ORDER BY t.relname, con.contype, position`
+  );
+
+  const tables = new Map();
+  for (const row of columnsRes.rows || []) {
+    if (!tables.has(row.table_name)) {
+      tables.set(row.table_name, { name: row.table_name, columns: [], primary_key: [], depends_on: [] });
+    }
+    tables.get(row.table_name).columns.push({
+      name: row.column_name,
+      type: row.data_type,
+      not_null: !!row.not_null,
+    });
+  }
+  for (const row of keysRes.rows || []) {
+    const table = tables.get(row.table_name);
+    if (!table) continue;
+    if (row.kind === 'p') table.primary_key.push(row.column_name);
+    else if (row.references_table && row.references_table !== row.table_name && !table.depends_on.includes(row.references_table)) {
+      table.depends_on.push(row.references_table);
+    }
+  }
+  return Array.from(tables.values());
+}
+
+/** Parents before children, so foreign keys hold while loading; otherwise alphabetical. */
+function orderByDependencies(tables) {
+  const byName = new Map(tables.map((t) => [t.name, t]));
+  const ordered = [];
+  const state = new Map();
+  const visit = (table) => {
+    const seen = state.get(table.name);
+    if (seen === 'done' || seen === 'visiting') return; // a cycle keeps name order
+    state.set(table.name, 'visiting');
+    for (const parent of [...(table.depends_on || [])].sort()) {
+      if (byName.has(parent)) visit(byName.get(parent));
+    }
+    state.set(table.name, 'done');
+    ordered.push(table);
+  };
+  for (const table of [...tables].sort((a, b) => a.name.localeCompare(b.name))) visit(table);
+  return ordered;
+}
+
+// Rows of tables with `updated_at` can change, so incrementals carry only changed rows and
+// restores let later copies win. Tables without it are mostly append-only (some, like
+// moderator_audit_log and points_ledger, reject updates with a trigger): incrementals copy
+// them in full and restores keep the row already loaded.
+function isVersionedTable(table) {
+  return (table.columns || []).some((c) => c.name === 'updated_at');
+}
+
+// bytea comes back as a Buffer; Postgres reads the same hex form back on restore.
+function encodeRow(row) {
+  const out = {};
+  for (const [key, value] of Object.entries(row)) {
+    out[key] = Buffer.isBuffer(value) ? `\\x${value.toString('hex')}` : value;
+  }
+  return out;
+}
+
+async function exportTable(client, backupDir, table, { since, cursorName }) {
+  const file = `${table.name}.ndjson.gz`;
+  const hash = createHash('sha256');
+  let bytes = 0;
+  const gzip = zlib.createGzip();
+  const written = pipeline(
+    gzip,
+    new Transform({
+      transform(chunk, _encoding, callback) {
+        hash.update(chunk);
+        bytes += chunk.length;
+        callback(null, chunk);
+      },
+    }),
+    fs.createWriteStream(path.join(backupDir, file))
+  );
+
+  const incremental = !!since && isVersionedTable(table);
+  await client.query(
+    `DECLARE ${cursorName} NO SCROLL CURSOR FOR SELECT * FROM ${quoteIdent(table.name)}${incremental ? ' WHERE updated_at >= $1' : ''}`,
+    incremental ? [since] : []
+  );
+
+  let rows = 0;
+  try {
+    for (;;) {
+      const res = await client.query(`FETCH ${EXPORT_BATCH_ROWS} FROM ${cursorName}`);
+      const batch = res.rows || [];
+      if (!batch.length) break;
+      rows += batch.length;
+      const chunk = `${batch.map((row) => JSON.stringify(encodeRow(row))).join('\n')}\n`;
+      if (!gzip.write(chunk)) await Promise.race([once(gzip, 'drain'), written]);
+    }
+    await client.query(`CLOSE ${cursorName}`);
+  } finally {
+    gzip.end();
+    await written;
+  }
+
+  return {
+    name: table.name,
+    file,
+    rows,
+    bytes,
+    sha256: hash.digest('hex'),
+    incremental,
+    columns: table.columns,
+    primary_key: table.primary_key,
+    depends_on: table.depends_on,
+  };
+}
+
+/**
+ * Writes a backup of every public table to `<rootDir>/<id>/` and returns its manifest.
+ * Pass `base` (a manifest) for an incremental backup; without it the backup is full.
+ */
+async function createBackup({ pool, rootDir, base = null, now = new Date() }) {
+  const kind = base ? 'incremental' : 'full';
+  const id = `${now.toISOString().replace(/[:.]/g, '-')}_${kind}`;
+  const backupDir = path.join(rootDir, id);
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const snapshotRes = await client.query('SELECT NOW() AS snapshot_at');
+    const snapshotAt = new Date(snapshotRes.rows[0].snapshot_at).toISOString();
+    const tables = orderByDependencies(await describeTables(client));
+    const since = base ? new Date(Date.parse(base.snapshot_at) - INCREMENTAL_OVERLAP_MS).toISOString() : null;
+
+    const entries = [];
+    for (let i = 0; i < tables.length; i += 1) {
+      entries.push(await exportTable(client, backupDir, tables[i], { since, cursorName: `pp_backup_${i}` }));
+    }
+    await client.query('COMMIT');
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_FORMAT_VERSION,
+      id,
+      kind,
+      base_backup_id: base ? base.id : null,
+      since,
+      // Incrementals only add and update rows: anything deleted after the full backup comes
+      // back on restore until the next full backup.
+      includes_deletes: !base,
+      snapshot_at: snapshotAt,
+      created_at: new Date().toISOString(),
+      tables: entries,
+    };
+    const text = JSON.stringify(manifest, null, 2);
+    fs.writeFileSync(path.join(backupDir, MANIFEST_FILE), text, 'utf8');
+    return { manifest, manifestSha256: sha256Hex(text) };
+  } catch (e) {
+    try {
+      await client.query('ROLLBACK');
+    } catch {
+      // ignore
+    }
+    fs.rmSync(backupDir, { recursive: true, force: true });
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+function readManifest(rootDir, id) {
+  if (!isValidBackupId(id)) throw new BackupError('Invalid backup id');
+  const file = path.join(rootDir, id, MANIFEST_FILE);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    throw new BackupError(`Backup ${id} not found`, { statusCode: 404 });
+  }
+  if (manifest?.format !== BACKUP_FORMAT || manifest?.version !== BACKUP_FORMAT_VERSION || manifest?.id !== id) {
+    throw new BackupError(`Backup ${id} has an unsupported manifest`);
+  }
+  return manifest;
+}
+
+/** Manifests under `rootDir`, newest first. Directories without a readable manifest are skipped. */
+function listBackups(rootDir) {
+  let names = [];
+  try {
+    names = fs.readdirSync(rootDir, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name);
+  } catch {
+    return [];
+  }
+  const manifests = [];
+  for (const name of names) {
+    try {
+      manifests.push(readManifest(rootDir, name));
+    } catch {
+      // Partial or foreign directory.
+    }
+  }
+  return manifests.sort((a, b) => String(b.snapshot_at).localeCompare(String(a.snapshot_at)));
+}
+
+/** The full backup and each incremental leading to `id`, oldest first. */
+function loadBackupChain(rootDir, id) {
+  const chain = [];
+  const seen = new Set();
+  let current = readManifest(rootDir, id);
+  for (;;) {
+    if (seen.has(current.id)) throw new BackupError(`Backup ${id} has a circular base chain`);
+    seen.add(current.id);
+    chain.unshift(current);
+    if (current.kind === 'full') return chain;
+    if (!current.base_backup_id) throw new BackupError(`Incremental backup ${current.id} has no base`);
+    current = readManifest(rootDir, current.base_backup_id);
+  }
+}
+
+async function hashFile(file) {
+  const hash = createHash('sha256');
+  await pipeline(
+    fs.createReadStream(file),
+    new Transform({
+      transform(chunk, _encoding, callback) {
+        hash.update(chunk);
+        callback();
+      },
+    })
+  );
+  return hash.digest('hex');
+}
+
+/** Checks that every file in the chain exists and matches its recorded checksum. */
+async function verifyBackupChain(rootDir, chain) {
+  const problems = [];
+  for (const manifest of chain) {
+    for (const table of manifest.tables || []) {
+      const file = path.join(rootDir, manifest.id, path.basename(String(table.file || '')));
+      if (!fs.existsSync(file)) {
+        problems.push(`${manifest.id}: missing ${table.file}`);
+        continue;
+      }
+      const actual = await hashFile(file);
+      if (actual !== table.sha256) problems.push(`${manifest.id}: checksum mismatch for ${table.file}`);
+    }
+  }
+  return problems;
+}
+
+async function* readTableRows(rootDir, manifest, table) {
+  const file = path.join(rootDir, manifest.id, path.basename(String(table.file)));
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity,
+  });
+  let batch = [];
+  for await (const line of lines) {
+    if (!line) continue;
+    batch.push(JSON.parse(line));
+    if (batch.length >= RESTORE_BATCH_ROWS) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length) yield batch;
+}
+
+// Tables in restore order with the backups that hold rows for them.
+function planChainTables(chain) {
+  const latest = new Map();
+  for (const manifest of chain) {
+    for (const table of manifest.tables || []) latest.set(table.name, table);
+  }
+  return orderByDependencies(Array.from(latest.values())).map((table) => ({
+    table,
+    sources: chain
+      .map((manifest) => ({ manifest, entry: (manifest.tables || []).find((t) => t.name === table.name) }))
+      .filter((s) => s.entry),
+    rows: chain.reduce((sum, m) => sum + ((m.tables || []).find((t) => t.name === table.name)?.rows || 0), 0),
+  }));
+}
+
+function createTableSql(table) {
+  const columns = table.columns.map((c) => `${quoteIdent(c.name)} ${c.type}${c.not_null ? ' NOT NULL' : ''}`);
+  if (table.primary_key?.length) columns.push(`PRIMARY KEY (${table.primary_key.map(quoteIdent).join(', ')})`);
+  return `CREATE TABLE IF NOT EXISTS ${quoteIdent(table.name)} (${columns.join(', ')})`;
+}
+
+/**
+ * Restores a backup chain into Postgres. Tables named in `mergeTables` may already hold rows
+ * (they are upserted); every other table must be empty. `ensureSchema` runs before loading so
+ * the app's own DDL (indexes, triggers, defaults) is in place; tables it doesn't create are
+ * built from the manifest. With `dryRun`, nothing is written and the plan is returned.
+ */
+async function restoreToPostgres({ pool, rootDir, chain, dryRun = true, ensureSchema = null, mergeTables = [] }) {
+  const problems = await verifyBackupChain(rootDir, chain);
+  const plan = planChainTables(chain);
+  const merge = new Set(mergeTables);
+
+  const existing = new Map((await describeTables(pool)).map((t) => [t.name, t]));
+  const report = [];
+  for (const { table, rows } of plan) {
+    const target = existing.get(table.name) || null;
+    let targetHasRows = false;
+    if (target) {
+      const res = await pool.query(`SELECT EXISTS (SELECT 1 FROM ${quoteIdent(table.name)}) AS has_rows`);
+      targetHasRows = !!res.rows?.[0]?.has_rows;
+    }
+    const targetColumns = new Set((target?.columns || []).map((c) => c.name));
+    report.push({
+      name: table.name,
+      rows,
+      exists: !!target,
+      target_has_rows: targetHasRows,
+      skipped_columns: target ? table.columns.map((c) => c.name).filter((c) => !targetColumns.has(c)) : [],
+    });
+    if (targetHasRows && !merge.has(table.name)) problems.push(`${table.name} already has rows`);
+  }
+
+  const result = { target: 'postgres', dry_run: dryRun, backup_id: chain[chain.length - 1].id, chain: chain.map((m) => m.id), problems, tables: report };
+  if (dryRun || problems.length) return result;
+
+  if (ensureSchema) await ensureSchema();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const targetTables = new Map((await describeTables(client)).map((t) => [t.name, t]));
+    let restoredRows = 0;
+    for (const { table, sources } of plan) {
+      if (!targetTables.has(table.name)) {
+        await client.query(createTableSql(table));
+        targetTables.set(table.name, { ...table, depends_on: [] });
+      }
+      const target = targetTables.get(table.name);
+      const targetColumns = new Set(target.columns.map((c) => c.name));
+      const columns = table.columns.map((c) => c.name).filter((c) => targetColumns.has(c));
+      if (!columns.length) continue;
+
+      const key = (target.primary_key || []).filter((c) => columns.includes(c));
+      const updatable = isVersionedTable(table) ? columns.filter((c) => !key.includes(c)) : [];
+      const conflict = key.length
+        ? ` ON CONFLICT (${key.map(quoteIdent).join(', ')}) DO ${
+            updatable.length ? `UPDATE SET ${updatable.map((c) => `${quoteIdent(c)} = EXCLUDED.${quoteIdent(c)}`).join(', ')}` : 'NOTHING'
+          }`
+        : '';
+      const columnList = columns.map(quoteIdent).join(', ');
+      const sql = `INSERT INTO ${quoteIdent(table.name)} (${columnList})
+        SELECT ${columnList} FROM json_populate_recordset(NULL::${quoteIdent(table.name)}, $1::json)${conflict}`;
+
+      for (const { manifest, entry } of sources) {
+        for await (const batch of readTableRows(rootDir, manifest, entry)) {
+          await client.query(sql, [JSON.stringify(batch)]);
+          restoredRows += batch.length;
+        }
+      }
+    }
+
+    // Serial columns: move each sequence past the restored ids.
+    const serials = await client.query(
+      `SELECT table_name, column_name FROM information_schema.columns
+       WHERE table_schema = 'public' AND column_default LIKE 'nextval(%'`
+    );
+    for (const { table_name: tableName, column_name: columnName } of serials.rows || []) {
+      await client.query(
+        `SELECT setval(pg_get_serial_sequence($1, $2), GREATEST(COALESCE((SELECT MAX(${quoteIdent(columnName)}) FROM ${quoteIdent(tableName)}), 0), 1))`,
+        [quoteIdent(tableName), columnName]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { ...result, restored_rows: restoredRows };
+  } catch (e) {
+    try {
+      await client.query('ROLLBACK');
+    } catch {
+      // ignore
+    }
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+function sqliteType(pgType) {
+  const t = String(pgType || '').toLowerCase();
+  if (t.endsWith('[]')) return 'TEXT';
+  if (/^(smallint|integer|bigint|boolean)$/.test(t)) return 'INTEGER';
+  if (/^(real|double precision|numeric)/.test(t)) return 'REAL';
+  if (t === 'bytea') return 'BLOB';
+  return 'TEXT';
+}
+
+function sqliteValue(value) {
+  if (value == null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'string' && value.startsWith('\\x') && /^\\x[0-9a-f]*$/i.test(value)) {
+    return Buffer.from(value.slice(2), 'hex');
+  }
+  return value;
+}
+
+/**
+ * Restores a backup chain into a new SQLite file for local development. Arrays and JSON are
+ * stored as JSON text, booleans as 0/1 and timestamps as ISO strings. The file must not exist.
+ */
+async function restoreToSqlite({ rootDir, chain, file, dryRun = true, openDatabase }) {
+  const problems = await verifyBackupChain(rootDir, chain);
+  if (fs.existsSync(file)) problems.push(`${path.basename(file)} already exists`);
+  const plan = planChainTables(chain);
+  const result = {
+    target: 'sqlite',
+    dry_run: dryRun,
+    backup_id: chain[chain.length - 1].id,
+    chain: chain.map((m) => m.id),
+    file: path.basename(file),
+    problems,
+    tables: plan.map(({ table, rows }) => ({ name: table.name, rows })),
+  };
+  if (dryRun || problems.length) return result;
+
+  const db = openDatabase(file);
+  let restoredRows = 0;
+  try {
+    for (const { table, sources } of plan) {
+      const columns = table.columns.map((c) => `${quoteIdent(c.name)} ${sqliteType(c.type)}`);
+      if (table.primary_key?.length) columns.push(`PRIMARY KEY (${table.primary_key.map(quoteIdent).join(', ')})`);
+      db.prepare(`CREATE TABLE ${quoteIdent(table.name)} (${columns.join(', ')})`).run();
+
+      const names = table.columns.map((c) => c.name);
+      const insert = db.prepare(
+        `INSERT OR ${isVersionedTable(table) ? 'REPLACE' : 'IGNORE'} INTO ${quoteIdent(table.name)} (${names.map(quoteIdent).join(', ')}) VALUES (${names.map(() => '?').join(', ')})`
+      );
+      const insertBatch = db.transaction((batch) => {
+        for (const row of batch) insert.run(names.map((n) => sqliteValue(row[n])));
+      });
+      for (const { manifest, entry } of sources) {
+        for await (const batch of readTableRows(rootDir, manifest, entry)) {
+          insertBatch(batch);
+          restoredRows += batch.length;
+        }
+      }
+    }
+    db.close();
+  } catch (e) {
+    try {
+      db.close();
+    } catch {
+      // ignore
+    }
+    fs.rmSync(file, { force: true });
+    throw e;
+  }
+  return { ...result, restored_rows: restoredRows };
+}
+
+/**
+ * Deletes backups older than `retentionDays`, keeping the newest full backup, everything
+ * after it, and any backup a kept incremental is built on. Returns the removed ids.
+ */
+function pruneBackups(rootDir, { retentionDays, now = Date.now() }) {
+  const manifests = listBackups(rootDir);
+  if (!manifests.length || !(retentionDays > 0)) return [];
+  const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+  const byId = new Map(manifests.map((m) => [m.id, m]));
+  const keep = new Set();
+
+  const newestFullIndex = manifests.findIndex((m) => m.kind === 'full');
+  manifests.forEach((m, index) => {
+    if (Date.parse(m.snapshot_at) >= cutoff || (newestFullIndex !== -1 && index <= newestFullIndex)) keep.add(m.id);
+  });
+  for (const id of Array.from(keep)) {
+    let base = byId.get(id)?.base_backup_id;
+    while (base && byId.has(base) && !keep.has(base)) {
+      keep.add(base);
+      base = byId.get(base).base_backup_id;
+    }
+  }
+
+  const removed = [];
+  for (const m of manifests) {
+    if (keep.has(m.id)) continue;
+    fs.rmSync(path.join(rootDir, m.id), { recursive: true, force: true });
+    removed.push(m.id);
+  }
+  return removed;
+}
+
+/** Manifest fields worth listing or logging: no column definitions. */
+function summarizeManifest(manifest) {
+  const tables = manifest.tables || [];
+  return {
+    id: manifest.id,
+    kind: manifest.kind,
+    base_backup_id: manifest.base_backup_id,
+    since: manifest.since,
+    // Manifests written before this field existed: only full backups captured deletes.
+    includes_deletes: manifest.includes_deletes ?? manifest.kind === 'full',
+    snapshot_at: manifest.snapshot_at,
+    created_at: manifest.created_at,
+    table_count: tables.length,
+    total_rows: tables.reduce((sum, t) => sum + (t.rows || 0), 0),
+    total_bytes: tables.reduce((sum, t) => sum + (t.bytes || 0), 0),
+    tables: tables.map((t) => ({ name: t.name, file: t.file, rows: t.rows, bytes: t.bytes, sha256: t.sha256, incremental: t.incremental })),
+  };
+}
+
+module.exports = {
+  BackupError,
+  createBackup,
+  describeTables,
+  isValidBackupId,
+  listBackups,
+  loadBackupChain,
+  pruneBackups,
+  readManifest,
+  restoreToPostgres,
+  restoreToSqlite,
+  summarizeManifest,
+  verifyBackupChain,
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+// Postgres pool for the command-line tools (migrate.js, gazetteer.js). Mirrors the server:
+// TLS for remote hosts, DATABASE_SSL=true or any sslmode, verified only when
+// DATABASE_SSL_REJECT_UNAUTHORIZED=true.
+
+const { Pool } = require('pg');
+
+function createCliPool(databaseUrl = process.env.DATABASE_URL) {
+  const raw = String(databaseUrl || '').trim();
+  if (!raw) return null;
+  const url = new URL(raw);
+  const sslMode = url.searchParams.get('sslmode');
+  for (const key of ['sslmode', 'sslrootcert', 'sslcert', 'sslkey']) url.searchParams.delete(key);
+  const host = url.hostname.toLowerCase();
+  const useSsl =
+    !!sslMode ||
+    String(process.env.DATABASE_SSL || '').toLowerCase() === 'true' ||
+    (host !== 'localhost' && host !== '127.0.0.1');
+  const rejectUnauthorized = String(process.env.DATABASE_SSL_REJECT_UNAUTHORIZED || '').toLowerCase() === 'true';
+  return new Pool({
+    connectionString: url.toString(),
+    max: 1,
+    ...(useSsl ? { ssl: { rejectUnauthorized, servername: url.hostname } } : null),
+  });
+}
+
+module.exports = {
+  createCliPool,
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+// Threaded movement comments: reply placement, reactions and per-viewer presentation.
+// Storage and routes live in Server/index.js (movement_comments + movement_comment_edits).
+//
+// Depth 0 is a top-level comment. Replies nest up to MAX_COMMENT_DEPTH; replying to a
+// comment already at the limit attaches the reply to that comment's parent instead, so
+// deep back-and-forths continue as siblings rather than being rejected.
+
+const MAX_COMMENT_DEPTH = 3;
+const MAX_REACTION_EMOJI_LENGTH = 16;
+
+function normalizeEmailValue(value) {
+  const s = String(value || '').trim().toLowerCase();
+  return s || null;
+}
+
+/**
+ * Where a reply to `parent` is stored: { parent_id, depth }.
+ */
+function resolveReplyPlacement(parent) {
+  const parentDepth = Number.isFinite(Number(parent?.depth)) ? Number(parent.depth) : 0;
+  if (parentDepth >= MAX_COMMENT_DEPTH && parent?.parent_id) {
+    return { parent_id: String(parent.parent_id), depth: parentDepth };
+  }
+  return { parent_id: String(parent.id), depth: Math.min(MAX_COMMENT_DEPTH, parentDepth + 1) };
+}
+
+function normalizeReactions(value) {
+  let raw = value;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      raw = null;
+    }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+  const out = {};
+  for (const [emoji, list] of Object.entries(raw)) {
+    const emails = Array.isArray(list) ? Array.from(new Set(list.map(normalizeEmailValue).filter(Boolean))) : [];
+    if (emoji && emails.length) out[emoji] = emails;
+  }
+  return out;
+}
+
+/**
+ * Toggle `email`'s `emoji` reaction. Returns { reactions, added }.
+ */
+function toggleReaction(reactions, emoji, email) {
+  const me = normalizeEmailValue(email);
+  const current = normalizeReactions(reactions);
+  const prev = current[emoji] || [];
+  const has = prev.includes(me);
+  const nextList = has ? prev.filter((x) => x !== me) : [...prev, me];
+  const next = { ...current };
+  if (nextList.length) next[emoji] = nextList;
+  else delete next[emoji];
+  return { reactions: next, added: !has };
+}
+
+function hasReaction(reactions, emoji, email) {
+  const me = normalizeEmailValue(email);
+  const list = normalizeReactions(reactions)[emoji];
+  return !!(me && Array.isArray(list) && list.includes(me));
+}
+
+/**
+ * Shape a stored comment for a viewer. Reactor emails are reduced to counts plus the
+ * viewer's own reactions. Deleted comments lose their content for everyone; hidden ones
+ * keep it only for moderators (movement owner / staff).
+ */
+function presentComment(row, { viewerEmail = null, canModerate = false } = {}) {
+  const viewer = normalizeEmailValue(viewerEmail);
+  const reactions = normalizeReactions(row?.reactions);
+  const reactionCounts = {};
+  const myReactions = [];
+  for (const [emoji, list] of Object.entries(reactions)) {
+    reactionCounts[emoji] = list.length;
+    if (viewer && list.includes(viewer)) myReactions.push(emoji);
+  }
+
+  const deleted = !!row?.deleted_at;
+  const hidden = !!row?.hidden_at;
+  const showContent = !deleted && (!hidden || canModerate);
+
+  const out = {
+    id: String(row?.id ?? ''),
+    movement_id: row?.movement_id != null ? String(row.movement_id) : null,
+    parent_id: row?.parent_id != null ? String(row.parent_id) : null,
+    depth: Number.isFinite(Number(row?.depth)) ? Number(row.depth) : 0,
+    author_email: row?.author_email ?? null,
+    author_user_id: row?.author_user_id ?? null,
+    content: showContent ? String(row?.content ?? '') : null,
+    created_at: row?.created_at ?? null,
+    edited: !!row?.edited_at,
+    edited_at: row?.edited_at ?? null,
+    deleted,
+    hidden,
+    hidden_reason: hidden ? row?.hidden_reason ?? null : null,
+    reply_count: Number.isFinite(Number(row?.reply_count)) ? Number(row.reply_count) : 0,
+    reactions: reactionCounts,
+    my_reactions: myReactions,
+  };
+  if (canModerate && hidden) {
+    out.hidden_at = row?.hidden_at ?? null;
+  }
+  return out;
+}
+
+// Deleted comments are only worth showing as a placeholder while they still anchor replies.
+function isTombstoneWorthShowing(row) {
+  if (!row?.deleted_at) return true;
+  return Number(row?.reply_count) > 0;
+}
+
+module.exports = {
+  MAX_COMMENT_DEPTH,
+  MAX_REACTION_EMOJI_LENGTH,
+  hasReaction,
+  isTombstoneWorthShowing,
+  normalizeReactions,
+  presentComment,
+  resolveReplyPlacement,
+  toggleReaction,
+};
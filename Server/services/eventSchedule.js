@@ -0,0 +1,535 @@
+'use strict';
+
+// Scheduling helpers for movement events: recurrence rules, time zones and iCalendar output,
+// used by the /movements/:id/events, /events/:id and calendar feed routes in Server/index.js.
+//
+// Events store `starts_at`/`ends_at` as UTC instants plus an IANA `time_zone`. A recurring
+// event repeats the *local* wall-clock time of its first occurrence in that zone, so a
+// 6pm weekly meeting stays at 6pm across daylight-saving changes. Rules are a subset of
+// RFC 5545 RRULE:
+// - FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL
+// - BYDAY=MO,WE (weekly) or a single ordinal weekday such as 1MO or -1FR (monthly)
+// - BYMONTHDAY=15 (monthly)
+// - at most one of COUNT or UNTIL
+// Skipped occurrences are listed in `recurrence_exceptions` (UTC instants, emitted as EXDATE).
+
+const FREQUENCIES = new Set(['DAILY', 'WEEKLY', 'MONTHLY']);
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 500;
+// Upper bound on periods walked while expanding one rule, so a sparse rule cannot spin.
+const MAX_EXPANSION_PERIODS = 5000;
+// VTIMEZONE blocks cover at most this many years; calendar apps fall back to their own tz data.
+const MAX_VTIMEZONE_YEARS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ICS_UID_DOMAIN = 'peoplepower.app';
+const ICS_PRODID = '-//People Power//Movement events//EN';
+
+class EventScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EventScheduleError';
+  }
+}
+
+function fail(message) {
+  throw new EventScheduleError(message);
+}
+
+const zonedFormatters = new Map();
+
+function getZonedFormatter(timeZone) {
+  let formatter = zonedFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    zonedFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    getZonedFormatter(timeZone.trim());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeTimeZone(timeZone) {
+  const tz = typeof timeZone === 'string' ? timeZone.trim() : '';
+  return tz && isValidTimeZone(tz) ? tz : 'UTC';
+}
+
+/** Wall-clock fields of `ms` in `timeZone`; `weekday` is 0 for Monday. */
+function toZonedParts(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of getZonedFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  const year = parts.year;
+  const month = parts.month;
+  const day = parts.day;
+  return {
+    year,
+    month,
+    day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7,
+  };
+}
+
+/** UTC offset of `timeZone` at instant `ms`, in milliseconds. */
+function zoneOffsetMs(ms, timeZone) {
+  const p = toZonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/** Instant of a wall-clock time in `timeZone`. Times skipped by a DST jump move forward. */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstOffset = zoneOffsetMs(guess, timeZone);
+  const candidate = guess - firstOffset;
+  const secondOffset = zoneOffsetMs(candidate, timeZone);
+  return secondOffset === firstOffset ? candidate : guess - secondOffset;
+}
+
+function toMs(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const ms = value instanceof Date ? value.getTime() : Date.parse(String(value));
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function addDays({ year, month, day }, count) {
+  const d = new Date(Date.UTC(year, month - 1, day) + count * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function parseRuleUntil(value, timeZone) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!m) fail('UNTIL must be a date (YYYYMMDD) or UTC time (YYYYMMDDTHHMMSSZ)');
+  const [, y, mo, d, h, mi, s, z] = m;
+  const fields = { year: Number(y), month: Number(mo), day: Number(d) };
+  if (fields.month < 1 || fields.month > 12 || fields.day < 1 || fields.day > daysInMonth(fields.year, fields.month)) {
+    fail('UNTIL is not a valid date');
+  }
+  if (h == null) {
+    // A bare date includes every occurrence on that local day.
+    return zonedTimeToUtc({ ...fields, hour: 23, minute: 59, second: 59 }, timeZone);
+  }
+  const time = { ...fields, hour: Number(h), minute: Number(mi), second: Number(s) };
+  return z ? Date.UTC(time.year, time.month - 1, time.day, time.hour, time.minute, time.second) : zonedTimeToUtc(time, timeZone);
+}
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=TU", with or without the "RRULE:" prefix).
+ * Throws EventScheduleError for anything outside the supported subset.
+ */
+function parseRecurrenceRule(text, { timeZone = 'UTC' } = {}) {
+  const raw = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!raw) fail('Recurrence rule is empty');
+  const tz = normalizeTimeZone(timeZone);
+
+  const fields = new Map();
+  for (const part of raw.split(';')) {
+    if (!part) continue;
+    const eq = part.indexOf('=');
+    if (eq <= 0) fail(`Invalid recurrence rule part "${part}"`);
+    const key = part.slice(0, eq).trim().toUpperCase();
+    const value = part.slice(eq + 1).trim().toUpperCase();
+    if (fields.has(key)) fail(`${key} is repeated`);
+    fields.set(key, value);
+  }
+
+  const freq = fields.get('FREQ');
+  if (!FREQUENCIES.has(freq)) fail('FREQ must be DAILY, WEEKLY or MONTHLY');
+
+  const rule = { freq, interval: 1, byDay: [], byMonthDay: null, count: null, until: null };
+  for (const [key, value] of fields) {
+    if (key === 'FREQ') continue;
+    if (key === 'INTERVAL') {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1 || n > MAX_INTERVAL) fail(`INTERVAL must be between 1 and ${MAX_INTERVAL}`);
+      rule.interval = n;
+    } else if (key === 'COUNT') {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1 || n > MAX_COUNT) fail(`COUNT must be between 1 and ${MAX_COUNT}`);
+      rule.count = n;
+    } else if (key === 'UNTIL') {
+      rule.until = parseRuleUntil(value, tz);
+    } else if (key === 'BYDAY') {
+      for (const item of value.split(',')) {
+        const m = /^([+-]?\d)?(MO|TU|WE|TH|FR|SA|SU)$/.exec(item.trim());
+        if (!m) fail(`Invalid BYDAY value "${item}"`);
+        const ordinal = m[1] != null ? Number(m[1]) : null;
+        if (ordinal != null && (ordinal === 0 || ordinal < -1 || ordinal > 4)) fail('BYDAY ordinals must be 1 to 4 or -1');
+        rule.byDay.push({ weekday: WEEKDAYS.indexOf(m[2]), ordinal });
+      }
+    } else if (key === 'BYMONTHDAY') {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1 || n > 31) fail('BYMONTHDAY must be a single day between 1 and 31');
+      rule.byMonthDay = n;
+    } else if (key !== 'WKST') {
+      fail(`${key} is not supported`);
+    }
+  }
+
+  if (rule.count != null && rule.until != null) fail('Use COUNT or UNTIL, not both');
+  if (freq === 'DAILY' && (rule.byDay.length || rule.byMonthDay != null)) fail('DAILY rules cannot use BYDAY or BYMONTHDAY');
+  if (freq === 'WEEKLY') {
+    if (rule.byMonthDay != null) fail('WEEKLY rules cannot use BYMONTHDAY');
+    if (rule.byDay.some((d) => d.ordinal != null)) fail('WEEKLY rules cannot use BYDAY ordinals');
+    rule.byDay = Array.from(new Map(rule.byDay.map((d) => [d.weekday, d])).values()).sort((a, b) => a.weekday - b.weekday);
+  }
+  if (freq === 'MONTHLY') {
+    if (rule.byMonthDay != null && rule.byDay.length) fail('MONTHLY rules use BYDAY or BYMONTHDAY, not both');
+    if (rule.byDay.length > 1 || (rule.byDay.length === 1 && rule.byDay[0].ordinal == null)) {
+      fail('MONTHLY rules take a single ordinal weekday, such as BYDAY=1MO');
+    }
+  }
+  return rule;
+}
+
+function formatUtcStamp(ms) {
+  const d = new Date(ms);
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`
+  );
+}
+
+function formatLocalStamp(ms, timeZone) {
+  const p = toZonedParts(ms, timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+/** Canonical RRULE text for a parsed rule (no "RRULE:" prefix, UNTIL in UTC). */
+function formatRecurrenceRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map((d) => `${d.ordinal != null ? d.ordinal : ''}${WEEKDAYS[d.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay != null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.count != null) parts.push(`COUNT=${rule.count}`);
+  if (rule.until != null) parts.push(`UNTIL=${formatUtcStamp(rule.until)}`);
+  return parts.join(';');
+}
+
+function nthWeekdayOfMonth(year, month, weekday, ordinal) {
+  const total = daysInMonth(year, month);
+  if (ordinal > 0) {
+    const firstWeekday = (new Date(Date.UTC(year, month - 1, 1)).getUTCDay() + 6) % 7;
+    const day = 1 + ((weekday - firstWeekday + 7) % 7) + (ordinal - 1) * 7;
+    return day <= total ? day : null;
+  }
+  const lastWeekday = (new Date(Date.UTC(year, month - 1, total)).getUTCDay() + 6) % 7;
+  return total - ((lastWeekday - weekday + 7) % 7);
+}
+
+// Local dates in period `index` of the rule, in order.
+function periodDates(rule, first, index) {
+  if (rule.freq === 'DAILY') return [addDays(first, index * rule.interval)];
+
+  if (rule.freq === 'WEEKLY') {
+    const monday = addDays(first, -first.weekday + index * rule.interval * 7);
+    const days = rule.byDay.length ? rule.byDay.map((d) => d.weekday) : [first.weekday];
+    return days.map((weekday) => addDays(monday, weekday));
+  }
+
+  const monthIndex = first.month - 1 + index * rule.interval;
+  const year = first.year + Math.floor(monthIndex / 12);
+  const month = (monthIndex % 12) + 1;
+  let day;
+  if (rule.byDay.length) day = nthWeekdayOfMonth(year, month, rule.byDay[0].weekday, rule.byDay[0].ordinal);
+  else day = rule.byMonthDay != null ? rule.byMonthDay : first.day;
+  return day && day <= daysInMonth(year, month) ? [{ year, month, day }] : [];
+}
+
+function eventRule(event) {
+  const text = event?.recurrence_rule ? String(event.recurrence_rule) : '';
+  return text ? parseRecurrenceRule(text, { timeZone: normalizeTimeZone(event?.time_zone) }) : null;
+}
+
+function exceptionSet(event) {
+  const list = Array.isArray(event?.recurrence_exceptions) ? event.recurrence_exceptions : [];
+  return new Set(list.map(toMs).filter((ms) => ms != null));
+}
+
+/**
+ * Occurrences of `event` that start within [from, to], as { starts_at, ends_at } ISO strings,
+ * skipping recurrence exceptions. Non-recurring events yield at most their single slot.
+ */
+function expandEventOccurrences(event, { from = null, to = null, limit = 100 } = {}) {
+  const startMs = toMs(event?.starts_at);
+  if (startMs == null) return [];
+  const endMs = toMs(event?.ends_at);
+  const durationMs = endMs != null && endMs > startMs ? endMs - startMs : null;
+  const fromMs = toMs(from) ?? -Infinity;
+  const toMsLimit = toMs(to) ?? Infinity;
+  const max = Math.max(0, Math.min(Number(limit) || 0, MAX_COUNT));
+
+  const toOccurrence = (ms) => ({
+    starts_at: new Date(ms).toISOString(),
+    ends_at: durationMs != null ? new Date(ms + durationMs).toISOString() : null,
+  });
+
+  const rule = eventRule(event);
+  if (!rule) {
+    return startMs >= fromMs && startMs <= toMsLimit && max > 0 ? [toOccurrence(startMs)] : [];
+  }
+
+  const timeZone = normalizeTimeZone(event?.time_zone);
+  const first = toZonedParts(startMs, timeZone);
+  const skipped = exceptionSet(event);
+  const out = [];
+  let generated = 0;
+
+  for (let index = 0; index < MAX_EXPANSION_PERIODS; index += 1) {
+    for (const date of periodDates(rule, first, index)) {
+      const ms = zonedTimeToUtc({ ...date, hour: first.hour, minute: first.minute, second: first.second }, timeZone);
+      if (ms < startMs) continue;
+      if (rule.until != null && ms > rule.until) return out;
+      if (ms > toMsLimit) return out;
+      generated += 1;
+      if (ms >= fromMs && !skipped.has(ms)) {
+        out.push(toOccurrence(ms));
+        if (out.length >= max) return out;
+      }
+      if (rule.count != null && generated >= rule.count) return out;
+    }
+  }
+  return out;
+}
+
+/** True when `occurrenceStart` is one of the event's scheduled (not already skipped) starts. */
+function isEventOccurrence(event, occurrenceStart) {
+  const ms = toMs(occurrenceStart);
+  if (ms == null) return false;
+  const [hit] = expandEventOccurrences(event, { from: ms, to: ms, limit: 1 });
+  return !!hit && toMs(hit.starts_at) === ms;
+}
+
+/** Start of the first occurrence still running or upcoming at `now`, or null. */
+function nextEventOccurrence(event, now = Date.now()) {
+  const startMs = toMs(event?.starts_at);
+  const endMs = toMs(event?.ends_at);
+  const durationMs = startMs != null && endMs != null && endMs > startMs ? endMs - startMs : 0;
+  const [next] = expandEventOccurrences(event, { from: toMs(now) - durationMs, limit: 1 });
+  return next ? next.starts_at : null;
+}
+
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Fold content lines at 75 octets without splitting a UTF-8 sequence (RFC 5545 §3.1).
+function foldIcsLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+  const out = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch, 'utf8');
+    const limit = out.length ? 74 : 75;
+    if (currentBytes + bytes > limit) {
+      out.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += bytes;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+function formatUtcOffset(ms) {
+  const sign = ms < 0 ? '-' : '+';
+  const minutes = Math.round(Math.abs(ms) / 60000);
+  return `${sign}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+}
+
+// Offset transitions of `timeZone` between two instants, found by weekly sampling and then a
+// binary search down to the minute.
+function findZoneTransitions(timeZone, fromMs, untilMs) {
+  const step = 7 * DAY_MS;
+  const transitions = [];
+  let prevMs = fromMs;
+  let prevOffset = zoneOffsetMs(prevMs, timeZone);
+  for (let ms = fromMs + step; ms <= untilMs + step; ms += step) {
+    const offset = zoneOffsetMs(ms, timeZone);
+    if (offset !== prevOffset) {
+      let lo = prevMs;
+      let hi = ms;
+      while (hi - lo > 60000) {
+        const mid = lo + Math.floor((hi - lo) / 2 / 60000) * 60000;
+        if (zoneOffsetMs(mid, timeZone) === prevOffset) lo = mid;
+        else hi = mid;
+      }
+      transitions.push({ at: hi, from: prevOffset, to: offset });
+    }
+    prevMs = ms;
+    prevOffset = offset;
+  }
+  return transitions;
+}
+
+function buildVTimezone(timeZone, fromYear, toYear) {
+  const startMs = Date.UTC(fromYear, 0, 1);
+  const endMs = Date.UTC(toYear + 1, 0, 1);
+  const initial = zoneOffsetMs(startMs, timeZone);
+  const transitions = findZoneTransitions(timeZone, startMs, endMs);
+  const standardOffset = Math.min(initial, ...transitions.map((t) => t.to));
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const observance = (kind, atMs, from, to) => {
+    lines.push(
+      `BEGIN:${kind}`,
+      // DTSTART is the local time of the change, read on the clock before it.
+      `DTSTART:${formatUtcStamp(atMs + from).slice(0, -1)}`,
+      `TZOFFSETFROM:${formatUtcOffset(from)}`,
+      `TZOFFSETTO:${formatUtcOffset(to)}`,
+      `END:${kind}`
+    );
+  };
+  observance(initial > standardOffset ? 'DAYLIGHT' : 'STANDARD', startMs, initial, initial);
+  for (const t of transitions) observance(t.to > standardOffset ? 'DAYLIGHT' : 'STANDARD', t.at, t.from, t.to);
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+function ruleYearSpan(event, startMs, nowMs) {
+  const startYear = new Date(startMs).getUTCFullYear();
+  let endYear = startYear;
+  try {
+    const rule = eventRule(event);
+    if (rule) {
+      endYear = rule.until != null ? new Date(rule.until).getUTCFullYear() : Math.max(startYear, new Date(nowMs).getUTCFullYear()) + 2;
+    }
+  } catch {
+    // Invalid stored rules are emitted as single events.
+  }
+  return [startYear, Math.min(endYear, startYear + MAX_VTIMEZONE_YEARS - 1)];
+}
+
+function eventDescription(event) {
+  const parts = [];
+  if (event?.description) parts.push(String(event.description));
+  if (event?.virtual_link) parts.push(`Join online: ${event.virtual_link}`);
+  if (event?.status === 'cancelled' && event?.cancellation_reason) parts.unshift(`Cancelled: ${event.cancellation_reason}`);
+  return parts.join('\n\n');
+}
+
+function buildVEvent(event, { timeZone, nowMs }) {
+  const startMs = toMs(event.starts_at);
+  const endMs = toMs(event.ends_at);
+  const utc = timeZone === 'UTC';
+  const stamp = (ms) => (utc ? `:${formatUtcStamp(ms)}` : `;TZID=${timeZone}:${formatLocalStamp(ms, timeZone)}`);
+
+  let rule = null;
+  try {
+    rule = eventRule(event);
+  } catch {
+    rule = null;
+  }
+
+  const modifiedMs = toMs(event.updated_at) ?? toMs(event.created_at) ?? nowMs;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${ICS_UID_DOMAIN}`,
+    `DTSTAMP:${formatUtcStamp(modifiedMs)}`,
+    `DTSTART${stamp(startMs)}`,
+  ];
+  if (endMs != null && endMs > startMs) lines.push(`DTEND${stamp(endMs)}`);
+  if (rule) {
+    lines.push(`RRULE:${formatRecurrenceRule(rule)}`);
+    const skipped = Array.from(exceptionSet(event)).sort((a, b) => a - b);
+    if (skipped.length) {
+      lines.push(`EXDATE${utc ? ':' : `;TZID=${timeZone}:`}${skipped.map((ms) => (utc ? formatUtcStamp(ms) : formatLocalStamp(ms, timeZone))).join(',')}`);
+    }
+  }
+  lines.push(`SUMMARY:${escapeIcsText(event.title || 'Event')}`);
+  const description = eventDescription(event);
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  const url = event.url || event.virtual_link;
+  if (url) lines.push(`URL:${String(url).replace(/[\r\n]/g, '')}`);
+  lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push(`SEQUENCE:${Number.isInteger(Number(event.sequence)) ? Number(event.sequence) : 0}`);
+  if (toMs(event.created_at) != null) lines.push(`CREATED:${formatUtcStamp(toMs(event.created_at))}`);
+  lines.push(`LAST-MODIFIED:${formatUtcStamp(modifiedMs)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Render events as an iCalendar (RFC 5545) document. Events without a start time are left
+ * out; `name` becomes the calendar title shown by subscribing apps.
+ */
+function buildICalendar(events, { name = null, refreshMinutes = null, now = Date.now() } = {}) {
+  const nowMs = toMs(now) ?? Date.now();
+  const scheduled = (Array.isArray(events) ? events : []).filter((e) => e?.id && toMs(e.starts_at) != null);
+
+  const zoneYears = new Map();
+  for (const event of scheduled) {
+    const timeZone = normalizeTimeZone(event.time_zone);
+    if (timeZone === 'UTC') continue;
+    const [from, to] = ruleYearSpan(event, toMs(event.starts_at), nowMs);
+    const span = zoneYears.get(timeZone);
+    zoneYears.set(timeZone, span ? [Math.min(span[0], from), Math.max(span[1], to)] : [from, to]);
+  }
+
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (name) lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`);
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+  for (const [timeZone, [from, to]] of zoneYears) {
+    lines.push(...buildVTimezone(timeZone, from, Math.min(to, from + MAX_VTIMEZONE_YEARS - 1)));
+  }
+  for (const event of scheduled) {
+    lines.push(...buildVEvent(event, { timeZone: normalizeTimeZone(event.time_zone), nowMs }));
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  EventScheduleError,
+  isValidTimeZone,
+  normalizeTimeZone,
+  toZonedParts,
+  parseRecurrenceRule,
+  formatRecurrenceRule,
+  expandEventOccurrences,
+  isEventOccurrence,
+  nextEventOccurrence,
+  buildICalendar,
+};
@@ -0,0 +1,336 @@
+'use strict';
+
+// City gazetteer behind GET /geo/search and GET /geo/reverse (Server/index.js), so the app
+// never sends what people type or their GPS position to a third-party geocoder.
+//
+// Places live in geo_places: a bundled starter set (data/cities.tsv) seeded when the table
+// is empty, replaced by a GeoNames dump imported with `npm --prefix Server run gazetteer`.
+// Everything resolves locally; no network access is needed.
+//
+// Privacy rules:
+// - Results are city-level: a place's own centroid, rounded to POSITION_DECIMALS. A reverse
+//   lookup answers with the nearest city, never with the coordinates it was given.
+// - Coordinates sent to /geo/reverse are only used for the lookup; they aren't stored or
+//   logged (request logs carry the path without the query string).
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED_GAZETTEER_PATH = path.join(__dirname, '..', 'data', 'cities.tsv');
+
+// ~1 km; finer than a city centroid needs, coarse enough not to pin anyone down.
+const POSITION_DECIMALS = 2;
+// Reverse lookups farther than this from any known place resolve to nothing.
+const REVERSE_MAX_KM = 150;
+const GEO_SEARCH_MAX_RESULTS = 10;
+const MAX_ALTERNATE_NAMES = 20;
+
+// Populated-place feature codes that aren't places people live in today.
+const EXCLUDED_FEATURE_CODES = new Set(['PPLCH', 'PPLH', 'PPLQ', 'PPLW', 'PPLX']);
+
+// Everyday names for countries that don't match their ISO short names.
+const COUNTRY_ALIASES = Object.freeze({
+  uk: 'GB',
+  'great britain': 'GB',
+  britain: 'GB',
+  england: 'GB',
+  scotland: 'GB',
+  wales: 'GB',
+  'northern ireland': 'GB',
+  usa: 'US',
+  'united states of america': 'US',
+  america: 'US',
+  uae: 'AE',
+  'south korea': 'KR',
+  korea: 'KR',
+  'north korea': 'KP',
+  russia: 'RU',
+  'czech republic': 'CZ',
+  holland: 'NL',
+  'ivory coast': 'CI',
+  drc: 'CD',
+  'democratic republic of the congo': 'CD',
+});
+
+const EARTH_RADIUS_KM = 6371;
+
+let regionNames = null;
+const countryNameCache = new Map();
+
+/** English name for an ISO 3166 alpha-2 code, or the code itself when it's unknown. */
+function countryName(code) {
+  const cc = String(code || '').trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(cc)) return null;
+  if (countryNameCache.has(cc)) return countryNameCache.get(cc);
+  let name = cc;
+  try {
+    if (!regionNames) regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+    name = regionNames.of(cc) || cc;
+  } catch {
+    // Builds without ICU data; the code is still a usable label.
+  }
+  countryNameCache.set(cc, name);
+  return name;
+}
+
+/** Lowercase, accent-free, punctuation-free form used for matching place names. */
+function normalizePlaceName(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function roundPosition(value) {
+  const factor = 10 ** POSITION_DECIMALS;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+function isValidPosition(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+function buildPlace({ id, name, countryCode, alternateNames, latitude, longitude, population, source }) {
+  const cleanName = String(name || '').trim();
+  const cc = String(countryCode || '').trim().toUpperCase();
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!cleanName || !/^[A-Z]{2}$/.test(cc) || !isValidPosition(lat, lng)) return null;
+
+  const searchName = normalizePlaceName(cleanName);
+  if (!searchName) return null;
+  const alternates = new Set();
+  for (const alt of alternateNames || []) {
+    const normalized = normalizePlaceName(alt);
+    if (normalized && normalized !== searchName && normalized.length <= 60) alternates.add(normalized);
+    if (alternates.size >= MAX_ALTERNATE_NAMES) break;
+  }
+
+  return {
+    id: String(id),
+    name: cleanName.slice(0, 200),
+    search_name: searchName,
+    alternate_names: alternates.size ? `|${Array.from(alternates).join('|')}|` : '',
+    country_code: cc,
+    country_name: countryName(cc),
+    latitude: lat,
+    longitude: lng,
+    population: Math.max(0, Number.parseInt(String(population ?? '0'), 10) || 0),
+    source,
+  };
+}
+
+/** One row of data/cities.tsv, or null for comments and malformed lines. */
+function parseBundledLine(line) {
+  if (!line || line.startsWith('#')) return null;
+  const [countryCode, name, alternates, latitude, longitude, population] = line.split('\t');
+  return buildPlace({
+    id: `bundled:${String(countryCode || '').toUpperCase()}:${normalizePlaceName(name).replace(/ /g, '-')}`,
+    name,
+    countryCode,
+    alternateNames: String(alternates || '').split(',').filter(Boolean),
+    latitude,
+    longitude,
+    population,
+    source: 'bundled',
+  });
+}
+
+/**
+ * One row of a GeoNames dump (cities500.txt, cities15000.txt, a country file or
+ * allCountries.txt; tab-separated, 19 columns), or null when it isn't a populated place of
+ * at least `minPopulation` people.
+ */
+function parseGeoNamesLine(line, { minPopulation = 0 } = {}) {
+  const cols = String(line || '').split('\t');
+  if (cols.length < 15) return null;
+  const [geonameId, name, asciiName, alternateNames, latitude, longitude, featureClass, featureCode, countryCode] = cols;
+  if (featureClass !== 'P' || EXCLUDED_FEATURE_CODES.has(featureCode)) return null;
+  const population = Number.parseInt(cols[14], 10) || 0;
+  if (population < minPopulation) return null;
+  return buildPlace({
+    id: `geonames:${geonameId}`,
+    name,
+    countryCode,
+    alternateNames: [asciiName, ...String(alternateNames || '').split(',')],
+    latitude,
+    longitude,
+    population,
+    source: 'geonames',
+  });
+}
+
+function loadBundledGazetteer(filePath = BUNDLED_GAZETTEER_PATH) {
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(parseBundledLine)
+    .filter(Boolean);
+}
+
+let countryCodesByName = null;
+
+function countryCodeIndex() {
+  if (countryCodesByName) return countryCodesByName;
+  countryCodesByName = new Map();
+  for (let a = 65; a <= 90; a += 1) {
+    for (let b = 65; b <= 90; b += 1) {
+      const cc = String.fromCharCode(a, b);
+      const name = countryName(cc);
+      // Deprecated codes ("UK") share a name with the current one ("GB"), which comes first.
+      const key = normalizePlaceName(name);
+      if (name !== cc && !countryCodesByName.has(key)) countryCodesByName.set(key, cc);
+    }
+  }
+  return countryCodesByName;
+}
+
+/** ISO code for a country typed as an alias, a code, an English name or a unique prefix of one. */
+function resolveCountryCode(value) {
+  const search = normalizePlaceName(value);
+  if (!search) return null;
+  if (COUNTRY_ALIASES[search]) return COUNTRY_ALIASES[search];
+  const index = countryCodeIndex();
+  if (/^[a-z]{2}$/.test(search)) {
+    const cc = search.toUpperCase();
+    if (index.get(normalizePlaceName(countryName(cc))) === cc) return cc;
+  }
+  if (index.has(search)) return index.get(search);
+  const prefixed = Array.from(index).filter(([name]) => name.startsWith(search));
+  return prefixed.length === 1 ? prefixed[0][1] : null;
+}
+
+/**
+ * Splits "City, Country" into a normalized name and an optional country code. A country
+ * that can't be resolved (or is ambiguous, like "Aus") doesn't filter the results.
+ */
+function parseGeoQuery(q, country = null) {
+  const raw = String(q || '').trim();
+  const comma = raw.lastIndexOf(',');
+  const name = normalizePlaceName(comma >= 0 ? raw.slice(0, comma) : raw);
+  const countryInput = String(country || '').trim() || (comma >= 0 ? raw.slice(comma + 1) : '');
+  return { name, countryCode: resolveCountryCode(countryInput) };
+}
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Latitude/longitude box around a point that contains every place within `km`. Boxes that
+ * reach a pole or cross the antimeridian cover all longitudes (`allLongitudes`).
+ */
+function boundingBox(lat, lng, km = REVERSE_MAX_KM) {
+  const dLat = km / 111;
+  const minLat = Math.max(-90, lat - dLat);
+  const maxLat = Math.min(90, lat + dLat);
+  const cos = Math.cos((Math.max(Math.abs(minLat), Math.abs(maxLat)) * Math.PI) / 180);
+  const dLng = cos > 0.01 ? km / (111 * cos) : 360;
+  const allLongitudes = dLng >= 180 || lng - dLng < -180 || lng + dLng > 180;
+  return { minLat, maxLat, minLng: allLongitudes ? -180 : lng - dLng, maxLng: allLongitudes ? 180 : lng + dLng, allLongitudes };
+}
+
+/** Closest place to a position within `maxKm`, or null. */
+function nearestPlace(places, lat, lng, maxKm = REVERSE_MAX_KM) {
+  let best = null;
+  let bestKm = Infinity;
+  for (const place of places || []) {
+    const km = distanceKm(lat, lng, Number(place.latitude), Number(place.longitude));
+    if (km <= maxKm && (km < bestKm || (km === bestKm && Number(place.population) > Number(best?.population)))) {
+      best = place;
+      bestKm = km;
+    }
+  }
+  return best;
+}
+
+function compareSearchResults(name) {
+  return (a, b) =>
+    Number(b.search_name === name) - Number(a.search_name === name) ||
+    Number(b.population) - Number(a.population) ||
+    String(a.name).localeCompare(String(b.name));
+}
+
+/** Search over in-memory places (no database); same matching as the SQL in /geo/search. */
+function searchPlaces(places, query, limit = GEO_SEARCH_MAX_RESULTS) {
+  if (!query?.name) return [];
+  const matches = (places || []).filter(
+    (p) =>
+      (p.search_name.startsWith(query.name) || p.alternate_names.includes(`|${query.name}`)) &&
+      (!query.countryCode || p.country_code === query.countryCode)
+  );
+  return matches.sort(compareSearchResults(query.name)).slice(0, limit);
+}
+
+/** Public shape of a place: its name, country and rounded centroid. */
+function formatGeoPlace(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    name: String(row.name),
+    country: row.country_name ? String(row.country_name) : countryName(row.country_code),
+    country_code: String(row.country_code),
+    lat: roundPosition(row.latitude),
+    lng: roundPosition(row.longitude),
+  };
+}
+
+/** Upserts places into geo_places with `client` (a pg Pool or client). */
+async function writeGeoPlaces(client, places, now = new Date().toISOString()) {
+  const rows = (places || []).filter(Boolean);
+  if (!rows.length) return 0;
+  const col = (key) => rows.map((p) => p[key]);
+  await client.query(
+    `INSERT INTO geo_places
+       (id, name, search_name, alternate_names, country_code, country_name, latitude, longitude, population, source, imported_at)
+     SELECT s.*, $11::timestamptz
+     FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::float8[], $8::float8[], $9::bigint[], $10::text[])
+       AS s(id, name, search_name, alternate_names, country_code, country_name, latitude, longitude, population, source)
+     ON CONFLICT (id) DO UPDATE SET
+       name = EXCLUDED.name,
+       search_name = EXCLUDED.search_name,
+       alternate_names = EXCLUDED.alternate_names,
+       country_code = EXCLUDED.country_code,
+       country_name = EXCLUDED.country_name,
+       latitude = EXCLUDED.latitude,
+       longitude = EXCLUDED.longitude,
+       population = EXCLUDED.population,
+       source = EXCLUDED.source,
+       imported_at = EXCLUDED.imported_at`,
+    [
+      col('id'),
+      col('name'),
+      col('search_name'),
+      col('alternate_names'),
+      col('country_code'),
+      col('country_name'),
+      col('latitude'),
+      col('longitude'),
+      col('population'),
+      col('source'),
+      now,
+    ]
+  );
+  return rows.length;
+}
+
+module.exports = {
+  GEO_SEARCH_MAX_RESULTS,
+  REVERSE_MAX_KM,
+  boundingBox,
+  formatGeoPlace,
+  loadBundledGazetteer,
+  nearestPlace,
+  normalizePlaceName,
+  parseGeoNamesLine,
+  parseGeoQuery,
+  searchPlaces,
+  writeGeoPlaces,
+};
@@ -0,0 +1,460 @@
+'use strict';
+
+// Metadata scrubbing for uploaded photos, applied by handleUpload() and /uploads/verify in
+// Server/index.js before a file is stored or published.
+//
+// Camera files carry EXIF (GPS position, device serials, timestamps), XMP and IPTC blocks
+// that can identify or locate the people in a protest photo. The scrubbers below rewrite the
+// container without those blocks and never re-encode pixels. Since pixels stay as the camera
+// stored them, the EXIF Orientation tag is carried over in a new EXIF block holding nothing
+// else, or portrait photos would display sideways:
+// - JPEG: drops APP1 (EXIF/XMP), APP13 (IPTC), COM and other APPn segments; keeps JFIF, the
+//   ICC profile and Adobe colour info. Bytes after the first image (MPF secondaries such as
+//   iPhone gain maps, which carry their own EXIF) are dropped.
+// - PNG: drops eXIf, text and timestamp chunks and any unrecognised ancillary chunk.
+// - WebP: drops EXIF/XMP chunks and clears the matching VP8X flags.
+// - HEIC/HEIF/AVIF: zeroes the payload of Exif and XMP items in place, so item offsets stay
+//   valid without rewriting the box tree.
+//
+// The format is sniffed from the bytes, not taken from the client's MIME type.
+
+const JPEG_KEEP_APP_SEGMENTS = new Set([0xe0, 0xee]); // JFIF/JFXX, Adobe
+const PNG_KEEP_ANCILLARY_CHUNKS = new Set([
+  'tRNS', 'gAMA', 'cHRM', 'sRGB', 'iCCP', 'sBIT', 'bKGD', 'pHYs', 'sPLT', 'hIST',
+  'acTL', 'fcTL', 'fdAT', 'cICP', 'mDCv', 'cLLi',
+]);
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const WEBP_KEEP_CHUNKS = new Set(['VP8 ', 'VP8L', 'VP8X', 'ALPH', 'ANIM', 'ANMF', 'ICCP']);
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1', 'avif', 'avis']);
+const TIFF_GPS_IFD_TAG = 0x8825;
+const TIFF_ORIENTATION_TAG = 0x0112;
+const TIFF_TYPE_SHORT = 3;
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+
+class ImageMetadataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageMetadataError';
+  }
+}
+
+function fail(message) {
+  throw new ImageMetadataError(message);
+}
+
+/** 'jpeg' | 'png' | 'webp' | 'heif' | null, from the file's leading bytes. */
+function detectImageFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const size = buffer.readUInt32BE(0);
+    const end = Math.min(buffer.length, size >= 16 ? size : 16);
+    for (let i = 8; i + 4 <= end; i += 4) {
+      if (i === 12) continue; // minor_version
+      if (HEIF_BRANDS.has(buffer.toString('latin1', i, i + 4))) return 'heif';
+    }
+  }
+  return null;
+}
+
+// Entries of IFD0 in a TIFF-structured EXIF block, as { tag, type, offset, u16 }.
+function tiffIfd0Entries(tiff) {
+  if (!tiff || tiff.length < 8) return [];
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return [];
+  const le = order === 'II';
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) return [];
+  const count = u16(ifd);
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    entries.push({ tag: u16(entry), type: u16(entry + 2), offset: entry, u16 });
+  }
+  return entries;
+}
+
+// True when a TIFF-structured EXIF block points at a GPS IFD.
+function tiffHasGps(tiff) {
+  return tiffIfd0Entries(tiff).some((entry) => entry.tag === TIFF_GPS_IFD_TAG);
+}
+
+// The Orientation tag (2-8) of a TIFF-structured EXIF block; null when absent or 1 (upright).
+function tiffOrientation(tiff) {
+  const entry = tiffIfd0Entries(tiff).find((e) => e.tag === TIFF_ORIENTATION_TAG && e.type === TIFF_TYPE_SHORT);
+  const value = entry ? entry.u16(entry.offset + 8) : null;
+  return value >= 2 && value <= 8 ? value : null;
+}
+
+// A big-endian TIFF structure whose only tag is Orientation.
+function orientationTiff(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4); // IFD0 offset
+  tiff.writeUInt16BE(1, 8); // entry count
+  tiff.writeUInt16BE(TIFF_ORIENTATION_TAG, 10);
+  tiff.writeUInt16BE(TIFF_TYPE_SHORT, 12);
+  tiff.writeUInt32BE(1, 14); // value count
+  tiff.writeUInt16BE(orientation, 18); // value, left-aligned in the 4-byte field
+  tiff.writeUInt32BE(0, 22); // no next IFD
+  return tiff;
+}
+
+function stripJpeg(buffer, removed) {
+  const out = [buffer.subarray(0, 2)];
+  let pos = 2;
+  let sawImage = false;
+  let sawExif = false;
+
+  while (pos < buffer.length) {
+    if (buffer[pos] !== 0xff) fail('Malformed JPEG segment');
+    while (buffer[pos] === 0xff && pos < buffer.length) pos += 1; // fill bytes
+    const marker = buffer[pos];
+    pos += 1;
+
+    if (marker === 0xd9) {
+      out.push(Buffer.from([0xff, 0xd9]));
+      if (pos < buffer.length) removed.add('trailing_data');
+      return Buffer.concat(out);
+    }
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      out.push(Buffer.from([0xff, marker]));
+      continue;
+    }
+    if (pos + 2 > buffer.length) fail('Truncated JPEG');
+    const length = buffer.readUInt16BE(pos);
+    if (length < 2 || pos + length > buffer.length) fail('Truncated JPEG');
+    const segment = buffer.subarray(pos - 2, pos + length);
+    const payload = buffer.subarray(pos + 2, pos + length);
+    pos += length;
+
+    if (marker === 0xe1) {
+      if (payload.toString('latin1', 0, 6) === 'Exif\0\0') {
+        removed.add('exif');
+        const tiff = payload.subarray(6);
+        if (tiffHasGps(tiff)) removed.add('gps');
+        const orientation = sawExif ? null : tiffOrientation(tiff);
+        sawExif = true;
+        if (orientation) {
+          const app1 = Buffer.concat([EXIF_HEADER, orientationTiff(orientation)]);
+          const header = Buffer.from([0xff, 0xe1, 0, 0]);
+          header.writeUInt16BE(app1.length + 2, 2);
+          out.push(header, app1);
+        }
+      } else {
+        removed.add('xmp');
+      }
+      continue;
+    }
+    if (marker === 0xed) {
+      removed.add('iptc');
+      continue;
+    }
+    if (marker === 0xfe) {
+      removed.add('comment');
+      continue;
+    }
+    if (marker === 0xe2) {
+      if (payload.toString('latin1', 0, 12) === 'ICC_PROFILE\0') out.push(segment);
+      else removed.add('app_segment');
+      continue;
+    }
+    if (marker >= 0xe0 && marker <= 0xef && !JPEG_KEEP_APP_SEGMENTS.has(marker)) {
+      removed.add('app_segment');
+      continue;
+    }
+
+    out.push(segment);
+    if (marker !== 0xda) continue;
+
+    // Entropy-coded scan data runs until a marker other than a stuffed 0xFF00 or a restart.
+    sawImage = true;
+    const start = pos;
+    while (pos < buffer.length) {
+      if (buffer[pos] === 0xff) {
+        const next = buffer[pos + 1];
+        if (next === 0x00 || (next >= 0xd0 && next <= 0xd7)) {
+          pos += 2;
+          continue;
+        }
+        if (next === 0xff) {
+          pos += 1;
+          continue;
+        }
+        break;
+      }
+      pos += 1;
+    }
+    out.push(buffer.subarray(start, pos));
+  }
+
+  // Some encoders omit the end marker; close the image ourselves.
+  if (!sawImage) fail('JPEG has no image data');
+  out.push(Buffer.from([0xff, 0xd9]));
+  return Buffer.concat(out);
+}
+
+function stripPng(buffer, removed) {
+  const out = [PNG_SIGNATURE];
+  let pos = 8;
+  while (pos + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    const end = pos + 12 + length;
+    if (end > buffer.length) fail('Truncated PNG');
+    const chunk = buffer.subarray(pos, end);
+    pos = end;
+
+    const critical = type.charCodeAt(0) >= 0x41 && type.charCodeAt(0) <= 0x5a;
+    if (type === 'eXIf') {
+      removed.add('exif');
+      if (tiffHasGps(chunk.subarray(8, 8 + length))) removed.add('gps');
+      continue;
+    }
+    if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') {
+      removed.add('text');
+      continue;
+    }
+    if (type === 'tIME') {
+      removed.add('timestamp');
+      continue;
+    }
+    if (!critical && !PNG_KEEP_ANCILLARY_CHUNKS.has(type)) {
+      removed.add('private_chunk');
+      continue;
+    }
+
+    out.push(chunk);
+    if (type === 'IEND') {
+      if (pos < buffer.length) removed.add('trailing_data');
+      return Buffer.concat(out);
+    }
+  }
+  fail('PNG is missing its end chunk');
+}
+
+function stripWebp(buffer, removed) {
+  const riffEnd = Math.min(buffer.length, 8 + buffer.readUInt32LE(4));
+  const chunks = [];
+  let keptExif = false;
+  let pos = 12;
+  while (pos + 8 <= riffEnd) {
+    const type = buffer.toString('latin1', pos, pos + 4);
+    const size = buffer.readUInt32LE(pos + 4);
+    const end = pos + 8 + size + (size % 2);
+    if (pos + 8 + size > riffEnd) fail('Truncated WebP');
+    const chunk = Buffer.alloc(8 + size + (size % 2)); // padded even if the file was not
+    buffer.copy(chunk, 0, pos, Math.min(end, riffEnd));
+    pos = end;
+
+    if (type === 'EXIF') {
+      removed.add('exif');
+      const payload = chunk.subarray(8, 8 + size);
+      const tiff = payload.toString('latin1', 0, 6) === 'Exif\0\0' ? payload.subarray(6) : payload;
+      if (tiffHasGps(tiff)) removed.add('gps');
+      const orientation = keptExif ? null : tiffOrientation(tiff);
+      if (orientation) {
+        const exif = orientationTiff(orientation);
+        const replacement = Buffer.alloc(8 + exif.length);
+        replacement.write('EXIF', 0, 'latin1');
+        replacement.writeUInt32LE(exif.length, 4);
+        exif.copy(replacement, 8);
+        chunks.push(replacement);
+        keptExif = true;
+      }
+      continue;
+    }
+    if (type === 'XMP ') {
+      removed.add('xmp');
+      continue;
+    }
+    if (!WEBP_KEEP_CHUNKS.has(type)) {
+      removed.add('private_chunk');
+      continue;
+    }
+    chunks.push(chunk);
+  }
+  if (!chunks.length) fail('WebP has no image data');
+  const vp8x = chunks.find((chunk) => chunk.toString('latin1', 0, 4) === 'VP8X');
+  if (!vp8x && keptExif) {
+    // Only the extended format (VP8X) may carry EXIF.
+    chunks.splice(chunks.findIndex((chunk) => chunk.toString('latin1', 0, 4) === 'EXIF'), 1);
+    keptExif = false;
+  }
+  if (vp8x && vp8x.length > 8) vp8x[8] &= keptExif ? ~0x04 : ~0x0c; // EXIF (0x08) and XMP (0x04) flags
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+// Iterate ISO-BMFF boxes in [start, end): yields { type, start, headerSize, end }.
+function* heifBoxes(buffer, start, end) {
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      if (pos + 16 > end) fail('Truncated HEIF box');
+      size = Number(buffer.readBigUInt64BE(pos + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < headerSize || pos + size > end) fail('Truncated HEIF box');
+    yield { type, start: pos, headerSize, end: pos + size };
+    pos += size;
+  }
+}
+
+function readUIntBE(buffer, offset, bytes) {
+  if (bytes === 0) return 0;
+  if (bytes === 8) return Number(buffer.readBigUInt64BE(offset));
+  return buffer.readUIntBE(offset, bytes);
+}
+
+function heifMetadataItems(buffer, iinf) {
+  const items = new Map();
+  const version = buffer[iinf.start + iinf.headerSize];
+  const countSize = version === 0 ? 2 : 4;
+  const childrenStart = iinf.start + iinf.headerSize + 4 + countSize;
+  for (const infe of heifBoxes(buffer, childrenStart, iinf.end)) {
+    if (infe.type !== 'infe') continue;
+    let p = infe.start + infe.headerSize;
+    const infeVersion = buffer[p];
+    if (infeVersion < 2) continue;
+    p += 4;
+    const itemId = infeVersion === 2 ? buffer.readUInt16BE(p) : buffer.readUInt32BE(p);
+    p += (infeVersion === 2 ? 2 : 4) + 2; // item_ID, item_protection_index
+    const itemType = buffer.toString('latin1', p, p + 4);
+    p += 4;
+    if (itemType === 'Exif') {
+      items.set(itemId, 'exif');
+    } else if (itemType === 'mime') {
+      const nameEnd = buffer.indexOf(0, p);
+      const typeStart = nameEnd + 1;
+      const typeEnd = buffer.indexOf(0, typeStart);
+      const contentType = typeEnd > typeStart && typeEnd <= infe.end ? buffer.toString('latin1', typeStart, typeEnd) : '';
+      if (/xmp|rdf\+xml/i.test(contentType)) items.set(itemId, 'xmp');
+    }
+  }
+  return items;
+}
+
+function heifItemExtents(buffer, iloc, wanted, idatStart) {
+  const ranges = [];
+  let p = iloc.start + iloc.headerSize;
+  const version = buffer[p];
+  p += 4;
+  const offsetSize = buffer[p] >> 4;
+  const lengthSize = buffer[p] & 0x0f;
+  const baseOffsetSize = buffer[p + 1] >> 4;
+  const indexSize = version === 1 || version === 2 ? buffer[p + 1] & 0x0f : 0;
+  p += 2;
+  const itemCount = version < 2 ? buffer.readUInt16BE(p) : buffer.readUInt32BE(p);
+  p += version < 2 ? 2 : 4;
+
+  for (let i = 0; i < itemCount; i += 1) {
+    const itemId = version < 2 ? buffer.readUInt16BE(p) : buffer.readUInt32BE(p);
+    p += version < 2 ? 2 : 4;
+    let constructionMethod = 0;
+    if (version === 1 || version === 2) {
+      constructionMethod = buffer.readUInt16BE(p) & 0x0f;
+      p += 2;
+    }
+    p += 2; // data_reference_index
+    const baseOffset = readUIntBE(buffer, p, baseOffsetSize);
+    p += baseOffsetSize;
+    const extentCount = buffer.readUInt16BE(p);
+    p += 2;
+    for (let e = 0; e < extentCount; e += 1) {
+      p += indexSize;
+      const extentOffset = readUIntBE(buffer, p, offsetSize);
+      p += offsetSize;
+      const extentLength = readUIntBE(buffer, p, lengthSize);
+      p += lengthSize;
+      if (!wanted.has(itemId)) continue;
+      if (constructionMethod === 0) {
+        ranges.push({ kind: wanted.get(itemId), start: baseOffset + extentOffset, length: extentLength });
+      } else if (constructionMethod === 1 && idatStart != null) {
+        ranges.push({ kind: wanted.get(itemId), start: idatStart + baseOffset + extentOffset, length: extentLength });
+      } else {
+        fail('Unsupported HEIF item construction');
+      }
+    }
+    if (p > iloc.end) fail('Truncated HEIF item locations');
+  }
+  return ranges;
+}
+
+function stripHeif(buffer, removed) {
+  const meta = Array.from(heifBoxes(buffer, 0, buffer.length)).find((box) => box.type === 'meta');
+  if (!meta) fail('HEIF has no metadata box');
+
+  const children = Array.from(heifBoxes(buffer, meta.start + meta.headerSize + 4, meta.end));
+  const iinf = children.find((box) => box.type === 'iinf');
+  const iloc = children.find((box) => box.type === 'iloc');
+  const idat = children.find((box) => box.type === 'idat');
+  if (!iinf || !iloc) fail('HEIF is missing item tables');
+
+  const wanted = heifMetadataItems(buffer, iinf);
+  if (!wanted.size) return buffer;
+
+  const output = Buffer.from(buffer);
+  const ranges = heifItemExtents(buffer, iloc, wanted, idat ? idat.start + idat.headerSize : null);
+  for (const range of ranges) {
+    // A zero-length extent means "to the end of the file"; such items are not metadata in practice.
+    if (!range.length || range.start + range.length > output.length) fail('HEIF item outside the file');
+    if (range.kind === 'exif') {
+      // Exif items start with a 4-byte offset to the TIFF header.
+      const payload = buffer.subarray(range.start, range.start + range.length);
+      const tiffOffset = payload.length >= 4 ? payload.readUInt32BE(0) : 0;
+      if (tiffHasGps(payload.subarray(4 + tiffOffset))) removed.add('gps');
+    }
+    output.fill(0, range.start, range.start + range.length);
+    removed.add(range.kind);
+  }
+  return output;
+}
+
+/**
+ * Remove identifying metadata from an image buffer.
+ *
+ * Resolves to { buffer, format, removed } where `removed` lists what was found and dropped
+ * (e.g. 'exif', 'gps', 'xmp'). Returns format null and the original buffer for files that
+ * are not a supported image; throws ImageMetadataError when a supported image is malformed.
+ */
+function stripImageMetadata(buffer) {
+  const format = detectImageFormat(buffer);
+  const removed = new Set();
+  if (!format) return { buffer, format: null, removed: [] };
+
+  let output;
+  try {
+    if (format === 'jpeg') output = stripJpeg(buffer, removed);
+    else if (format === 'png') output = stripPng(buffer, removed);
+    else if (format === 'webp') output = stripWebp(buffer, removed);
+    else output = stripHeif(buffer, removed);
+  } catch (e) {
+    if (e instanceof ImageMetadataError) throw e;
+    // Out-of-range reads on corrupt files.
+    throw new ImageMetadataError(`Malformed ${format.toUpperCase()} file`);
+  }
+  return { buffer: output, format, removed: Array.from(removed) };
+}
+
+module.exports = {
+  ImageMetadataError,
+  detectImageFormat,
+  stripImageMetadata,
+};
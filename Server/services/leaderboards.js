@@ -0,0 +1,163 @@
+'use strict';
+
+// Leaderboards are computed on the server from raw activity and stored in
+// leaderboard_entries by a periodic refresh (refreshLeaderboards in Server/index.js); reads
+// never aggregate on the fly.
+//
+// Boards:
+// - creators:     people, by the momentum (net boosts) their movements gained
+// - participants: people, by events they were checked in at by an organizer
+// - points:       people, by challenge points earned (gifts and spending don't count)
+// - movements:    movements, by the momentum they gained
+// Each is kept for the last week, the last month and all time, worldwide and per country
+// and city (the movement's location; a person's profile location for points).
+//
+// Anti-gaming rules:
+// - Boosting your own movement or checking yourself in doesn't count.
+// - One source (a voter, a check-in organizer) adds at most SOURCE_CAP[period] to one
+//   person, so a handful of friends can't carry someone to the top.
+// - Private profiles are left out of the people boards.
+// - Decentralization, as in applyDecentralizationBoost (PowerConcentrationLimiter.jsx):
+//   accounts holding many active movement leadership roles score 15% less over 5 roles
+//   and 30% less over 10. Unlike the feed, staff aren't exempt here.
+// - Rotation: on the weekly and monthly boards, the previous period's worldwide top
+//   INCUMBENT_TOP score INCUMBENT_FACTOR of their total, so the same few accounts don't
+//   hold the top slots period after period.
+
+const LEADERBOARD_BOARDS = ['creators', 'participants', 'points', 'movements'];
+const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+
+const PERIOD_DAYS = Object.freeze({ week: 7, month: 30, all: null });
+const SOURCE_CAP = Object.freeze({ week: 3, month: 10, all: 50 });
+
+// Entries kept per board, period and scope.
+const LEADERBOARD_SIZE = 100;
+const INCUMBENT_TOP = 3;
+const INCUMBENT_FACTOR = 0.9;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The activity window for `period` ending at `now`, or the one just before it when
+ * `previous` is set. `since` is null for all time.
+ */
+function periodRange(period, now = new Date(), { previous = false } = {}) {
+  const days = PERIOD_DAYS[period];
+  const end = new Date(now).getTime();
+  if (!days) return { since: null, until: new Date(end).toISOString() };
+  const until = previous ? end - days * DAY_MS : end;
+  return { since: new Date(until - days * DAY_MS).toISOString(), until: new Date(until).toISOString() };
+}
+
+function decentralizationFactor(leadershipCount) {
+  const n = Number(leadershipCount) || 0;
+  if (n > 10) return 0.7;
+  if (n > 5) return 0.85;
+  return 1;
+}
+
+function cleanPlace(value) {
+  const s = String(value ?? '').trim().replace(/\s+/g, ' ');
+  return s ? s.slice(0, 120) : null;
+}
+
+/**
+ * Storage key for a scope. Country and city are compared case-insensitively; a city is
+ * only meaningful together with its country.
+ */
+function leaderboardScopeKey(country, city) {
+  const c = cleanPlace(country)?.toLowerCase() || null;
+  const t = cleanPlace(city)?.toLowerCase() || null;
+  if (c && t) return `city:${c}|${t}`;
+  if (c) return `country:${c}`;
+  return 'global';
+}
+
+function addDetails(into, details) {
+  for (const [key, value] of Object.entries(details || {})) {
+    const n = Number(value);
+    if (Number.isFinite(n)) into[key] = (Number(into[key]) || 0) + n;
+  }
+}
+
+function sortEntries(a, b) {
+  return b.score - a.score || b.raw_score - a.raw_score || String(a.subject_id).localeCompare(String(b.subject_id));
+}
+
+/**
+ * Ranks activity rows into scoped leaderboards.
+ *
+ * `rows` are `{ subject_id, owner_email, country, city, score, details }`, already
+ * aggregated per subject and place; the same subject may appear in several places.
+ * `leadershipCounts` (owner email -> active roles) applies the decentralization factor and
+ * `incumbents` (subject ids) the rotation factor.
+ *
+ * Returns a Map of scope key -> `{ scope_country, scope_city, entries }`, where entries
+ * are `{ rank, subject_id, raw_score, score, factor, details }`, best first.
+ */
+function rankLeaderboard(rows, { leadershipCounts = null, incumbents = null, size = LEADERBOARD_SIZE } = {}) {
+  const scopes = new Map();
+  const add = (key, country, city, row) => {
+    if (!scopes.has(key)) scopes.set(key, { scope_country: country, scope_city: city, subjects: new Map() });
+    const subjects = scopes.get(key).subjects;
+    const id = String(row.subject_id);
+    const prev = subjects.get(id) || { subject_id: id, owner_email: row.owner_email || null, raw_score: 0, details: {} };
+    prev.raw_score += Number(row.score) || 0;
+    addDetails(prev.details, row.details);
+    subjects.set(id, prev);
+  };
+
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row?.subject_id) continue;
+    const country = cleanPlace(row.country);
+    const city = cleanPlace(row.city);
+    add('global', null, null, row);
+    if (country) {
+      add(leaderboardScopeKey(country, null), country, null, row);
+      if (city) add(leaderboardScopeKey(country, city), country, city, row);
+    }
+  }
+
+  const result = new Map();
+  for (const [key, scope] of scopes) {
+    const entries = [];
+    for (const s of scope.subjects.values()) {
+      if (!(s.raw_score > 0)) continue;
+      let factor = 1;
+      if (leadershipCounts && s.owner_email) factor *= decentralizationFactor(leadershipCounts.get(s.owner_email));
+      if (incumbents && incumbents.has(s.subject_id)) factor *= INCUMBENT_FACTOR;
+      entries.push({
+        subject_id: s.subject_id,
+        raw_score: s.raw_score,
+        score: Math.round(s.raw_score * factor * 100) / 100,
+        factor,
+        details: s.details,
+      });
+    }
+    entries.sort(sortEntries);
+    result.set(key, {
+      scope_country: scope.scope_country,
+      scope_city: scope.scope_city,
+      entries: entries.slice(0, size).map((e, i) => ({ rank: i + 1, ...e })),
+    });
+  }
+  return result;
+}
+
+/** Subject ids in the worldwide top INCUMBENT_TOP of a ranking from rankLeaderboard. */
+function topIncumbents(ranked) {
+  const global = ranked?.get('global');
+  return new Set((global?.entries || []).slice(0, INCUMBENT_TOP).map((e) => e.subject_id));
+}
+
+module.exports = {
+  LEADERBOARD_BOARDS,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_SIZE,
+  SOURCE_CAP,
+  decentralizationFactor,
+  leaderboardScopeKey,
+  periodRange,
+  rankLeaderboard,
+  topIncumbents,
+};
@@ -0,0 +1,313 @@
+'use strict';
+
+// LLM providers behind POST /integrations/llm.
+//
+// Every provider exposes the same interface:
+//   { name, model, complete({ prompt, system, schema, temperature, maxTokens }) -> Promise<string> }
+// and returns the raw model text; callers parse/validate it with parseModelJson()
+// and validateJsonSchema().
+//
+// Providers:
+// - openai:  any OpenAI-compatible /chat/completions endpoint (OpenAI, Together, vLLM, LM Studio, ...)
+// - ollama:  a local Ollama-style server (/api/chat)
+// - fixture: deterministic, offline output for tests and local dev (no network)
+
+const fs = require('fs');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function envString(name, fallback = '') {
+  const value = (process.env[name] || '').trim();
+  return value || fallback;
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** Canonical JSON with sorted keys; same output as src/utils/aiGuardrail.js. */
+function stableStringify(value) {
+  if (value == null) return 'null';
+  if (typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+
+  const keys = Object.keys(value).sort();
+  const parts = keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`);
+  return `{${parts.join(',')}}`;
+}
+
+function hashString(input) {
+  const s = String(input ?? '');
+  let hash = 5381;
+  for (let i = 0; i < s.length; i += 1) {
+    hash = ((hash << 5) + hash) ^ s.charCodeAt(i);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/** Port of the client's hashPayload() so server and client cache keys line up. */
+function hashPayload(payload) {
+  return hashString(stableStringify(payload));
+}
+
+async function postJson(url, { headers, body, timeoutMs }) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(headers || {}) },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const text = await res.text();
+  if (!res.ok) {
+    const err = new Error(`LLM provider responded ${res.status}`);
+    err.statusCode = res.status;
+    err.responseText = text.slice(0, 500);
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('LLM provider returned non-JSON response');
+  }
+}
+
+function schemaInstruction(schema) {
+  return schema
+    ? `Respond with a single JSON value that matches this JSON schema. No prose, no code fences.\n${JSON.stringify(schema)}`
+    : '';
+}
+
+// ---------------------------------------------------------------------------
+// Providers
+// ---------------------------------------------------------------------------
+
+function createOpenAiProvider({ baseUrl, apiKey, model, timeoutMs }) {
+  return {
+    name: 'openai',
+    model,
+    async complete({ prompt, system, schema, temperature, maxTokens }) {
+      const messages = [];
+      if (system) messages.push({ role: 'system', content: system });
+      messages.push({ role: 'user', content: prompt });
+
+      const body = { model, messages, temperature, max_tokens: maxTokens };
+      if (schema) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema, strict: false },
+        };
+      }
+
+      const data = await postJson(`${baseUrl}/chat/completions`, {
+        headers: apiKey ? { authorization: `Bearer ${apiKey}` } : {},
+        body,
+        timeoutMs,
+      });
+      const content = data?.choices?.[0]?.message?.content;
+      return typeof content === 'string' ? content : '';
+    },
+  };
+}
+
+function createOllamaProvider({ baseUrl, model, timeoutMs }) {
+  return {
+    name: 'ollama',
+    model,
+    async complete({ prompt, system, schema, temperature, maxTokens }) {
+      const messages = [];
+      const systemText = [system, schemaInstruction(schema)].filter(Boolean).join('\n\n');
+      if (systemText) messages.push({ role: 'system', content: systemText });
+      messages.push({ role: 'user', content: prompt });
+
+      const body = {
+        model,
+        messages,
+        stream: false,
+        options: { temperature, num_predict: maxTokens },
+      };
+      // Ollama accepts a JSON schema directly in `format` for structured output.
+      if (schema) body.format = schema;
+
+      const data = await postJson(`${baseUrl}/api/chat`, { body, timeoutMs });
+      const content = data?.message?.content;
+      return typeof content === 'string' ? content : '';
+    },
+  };
+}
+
+/**
+ * Deterministic provider: the same payload always yields the same output.
+ * Canned responses can be supplied via LLM_FIXTURES_PATH, a JSON file mapping
+ * hashPayload({ prompt, response_json_schema, system }) -> response. Anything else
+ * is synthesized from the schema.
+ */
+function createFixtureProvider({ fixturesPath }) {
+  let fixtures = null;
+  const loadFixtures = () => {
+    if (fixtures) return fixtures;
+    fixtures = {};
+    if (!fixturesPath) return fixtures;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+      if (parsed && typeof parsed === 'object') fixtures = parsed;
+    } catch {
+      // Missing/invalid fixture file: fall back to synthesized output.
+    }
+    return fixtures;
+  };
+
+  return {
+    name: 'fixture',
+    model: 'fixture-v1',
+    async complete({ prompt, system, schema }) {
+      const key = hashPayload({ prompt, response_json_schema: schema ?? null, system: system ?? null });
+      const canned = loadFixtures()[key];
+      if (canned !== undefined) return typeof canned === 'string' ? canned : JSON.stringify(canned);
+
+      if (!schema) return `Fixture response ${key}.`;
+      return JSON.stringify(synthesizeFromSchema(schema, key, 'response'));
+    },
+  };
+}
+
+function synthesizeFromSchema(schema, seed, name) {
+  const type = Array.isArray(schema?.type) ? schema.type.find((t) => t !== 'null') : schema?.type;
+  if (Array.isArray(schema?.enum) && schema.enum.length) return schema.enum[0];
+
+  const n = parseInt(hashString(`${seed}:${name}`).slice(0, 4), 16) % 101;
+  switch (type) {
+    case 'object': {
+      const out = {};
+      for (const [key, sub] of Object.entries(schema.properties || {})) {
+        out[key] = synthesizeFromSchema(sub, seed, key);
+      }
+      return out;
+    }
+    case 'array':
+      return [0, 1, 2].map((i) => synthesizeFromSchema(schema.items || { type: 'string' }, seed, `${name}.${i}`));
+    case 'number':
+      return n;
+    case 'integer':
+      return n;
+    case 'boolean':
+      return n % 2 === 0;
+    case 'null':
+      return null;
+    default:
+      return `Fixture ${String(name).replace(/_/g, ' ')}`;
+  }
+}
+
+/**
+ * Resolve the configured provider, or null when AI is disabled.
+ *
+ * LLM_PROVIDER=openai|ollama|fixture|off. When unset: openai if LLM_API_KEY is set,
+ * fixture outside production, otherwise off.
+ */
+function createLlmProvider({ isProd } = {}) {
+  const apiKey = envString('LLM_API_KEY', envString('OPENAI_API_KEY'));
+  const configured = envString('LLM_PROVIDER').toLowerCase();
+  const name = configured || (apiKey ? 'openai' : isProd ? 'off' : 'fixture');
+  const timeoutMs = envNumber('LLM_TIMEOUT_MS', 30000);
+
+  if (name === 'openai') {
+    return createOpenAiProvider({
+      baseUrl: envString('LLM_BASE_URL', 'https://api.openai.com/v1').replace(/\/$/, ''),
+      apiKey,
+      model: envString('LLM_MODEL', 'gpt-4o-mini'),
+      timeoutMs,
+    });
+  }
+  if (name === 'ollama') {
+    return createOllamaProvider({
+      baseUrl: envString('LLM_BASE_URL', 'http://127.0.0.1:11434').replace(/\/$/, ''),
+      model: envString('LLM_MODEL', 'llama3.1'),
+      timeoutMs,
+    });
+  }
+  if (name === 'fixture') {
+    return createFixtureProvider({ fixturesPath: envString('LLM_FIXTURES_PATH') });
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Output handling
+// ---------------------------------------------------------------------------
+
+/** Parse model text as JSON, tolerating ```json fences and leading prose. */
+function parseModelJson(text) {
+  const raw = String(text || '').trim();
+  if (!raw) return { ok: false };
+
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [raw, fenced ? fenced[1].trim() : null];
+  const firstBrace = raw.search(/[[{]/);
+  if (firstBrace > 0) candidates.push(raw.slice(firstBrace));
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch {
+      // try next
+    }
+  }
+  return { ok: false };
+}
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Minimal JSON-schema check covering what the app's prompts use:
+ * type (incl. unions), properties, required, additionalProperties:false, items, enum.
+ * Returns a list of error strings (empty when valid).
+ */
+function validateJsonSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = jsonType(value);
+    const ok = allowed.some((t) => t === actual || (t === 'number' && actual === 'integer'));
+    if (!ok) return [`${path}: expected ${allowed.join('|')}, got ${actual}`];
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => stableStringify(e) === stableStringify(value))) {
+    errors.push(`${path}: not one of the allowed values`);
+  }
+
+  if (jsonType(value) === 'object') {
+    const props = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, sub] of Object.entries(value)) {
+      if (props[key]) errors.push(...validateJsonSchema(sub, props[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, idx) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${idx}]`)));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  createLlmProvider,
+  hashPayload,
+  parseModelJson,
+  stableStringify,
+  validateJsonSchema,
+};
@@ -0,0 +1,258 @@
+'use strict';
+
+// Versioned schema migrations, used by the boot-time check in Server/index.js and by the
+// `npm run migrate` CLI (Server/migrate.js).
+//
+// Migrations live in Server/migrations as numbered pairs of SQL files:
+//
+//   0002_add_widgets.up.sql     applied by `migrate up`
+//   0002_add_widgets.down.sql   applied by `migrate down`
+//
+// Versions are applied in order, each in its own transaction together with its
+// `schema_migrations` row, so a failing migration leaves nothing behind. A session advisory
+// lock keeps two processes (say, two instances booting at once) from migrating together.
+// The SHA-256 of each applied up script is recorded; editing a migration after it shipped
+// shows up as `changed` in the status instead of being silently re-run. Add a new migration
+// rather than editing an applied one.
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+const MIGRATION_NAME_PATTERN = /^[a-z0-9_]{1,80}$/;
+const MIGRATION_ADVISORY_LOCK_KEY = 7_305_120;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+function sha256Hex(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Reads the migration files in `dir`, sorted by version. Throws on a version with two names
+ * or without an up script; `down` is null when the down script is missing.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir);
+  } catch (e) {
+    if (e?.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const byVersion = new Map();
+  for (const file of files) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const version = Number(match[1]);
+    const name = match[2];
+    const entry = byVersion.get(version) || { version, name, up: null, down: null, checksum: null };
+    if (entry.name !== name) {
+      throw new MigrationError(`Migration ${match[1]} has two names: ${entry.name} and ${name}`);
+    }
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8').replace(/\r\n/g, '\n');
+    if (match[3] === 'up') {
+      entry.up = sql;
+      entry.checksum = sha256Hex(sql);
+    } else {
+      entry.down = sql;
+    }
+    byVersion.set(version, entry);
+  }
+
+  const migrations = Array.from(byVersion.values()).sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (m.up == null) throw new MigrationError(`Migration ${formatVersion(m.version)}_${m.name} has no up script`);
+  }
+  return migrations;
+}
+
+function formatVersion(version) {
+  return String(version).padStart(4, '0');
+}
+
+async function ensureSchemaMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      execution_ms INT NOT NULL DEFAULT 0
+    );
+  `);
+}
+
+async function readAppliedMigrations(db) {
+  const res = await db.query(
+    `SELECT version, name, checksum, applied_at, execution_ms
+     FROM schema_migrations
+     ORDER BY version ASC`
+  );
+  return (res.rows || []).map((row) => ({
+    version: Number(row.version),
+    name: String(row.name),
+    checksum: String(row.checksum),
+    applied_at: row.applied_at ? new Date(row.applied_at).toISOString() : null,
+    execution_ms: Number(row.execution_ms) || 0,
+  }));
+}
+
+/**
+ * Compares the files with `schema_migrations`.
+ * - applied: rows in the table, each flagged `changed` when its file no longer matches.
+ * - pending: files not applied yet.
+ * - missing: applied versions with no file here (the database is ahead of this code).
+ */
+async function getMigrationStatus(db, migrations = loadMigrations()) {
+  await ensureSchemaMigrationsTable(db);
+  const applied = await readAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const filesByVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  return {
+    current_version: applied.length ? applied[applied.length - 1].version : 0,
+    latest_version: migrations.length ? migrations[migrations.length - 1].version : 0,
+    applied: applied.map((row) => {
+      const file = filesByVersion.get(row.version);
+      return { ...row, changed: !!file && file.checksum !== row.checksum };
+    }),
+    pending: migrations
+      .filter((m) => !appliedByVersion.has(m.version))
+      .map((m) => ({ version: m.version, name: m.name })),
+    missing: applied
+      .filter((row) => !filesByVersion.has(row.version))
+      .map((row) => ({ version: row.version, name: row.name })),
+  };
+}
+
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_ADVISORY_LOCK_KEY]);
+    try {
+      await ensureSchemaMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_ADVISORY_LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    try {
+      await client.query('ROLLBACK');
+    } catch {
+      // ignore
+    }
+    throw e;
+  }
+}
+
+/**
+ * Applies pending migrations in order, up to and including `to` when given.
+ * Returns the applied versions as `{ version, name, execution_ms }`.
+ */
+async function migrateUp(pool, { migrations = loadMigrations(), to = null, log = () => {} } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set((await readAppliedMigrations(client)).map((row) => row.version));
+    const done = [];
+    for (const m of migrations) {
+      if (applied.has(m.version)) continue;
+      if (to != null && m.version > to) break;
+      const label = `${formatVersion(m.version)}_${m.name}`;
+      log(`applying ${label}`);
+      const started = Date.now();
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(m.up);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+            [m.version, m.name, m.checksum, Date.now() - started]
+          );
+        });
+      } catch (e) {
+        throw new MigrationError(`Migration ${label} failed: ${e?.message || e}`);
+      }
+      done.push({ version: m.version, name: m.name, execution_ms: Date.now() - started });
+    }
+    return done;
+  });
+}
+
+/**
+ * Reverts the newest applied migrations: `steps` of them (default 1), or every one above
+ * `to` when given. Stops with an error at a migration that has no down script.
+ */
+async function migrateDown(pool, { migrations = loadMigrations(), steps = 1, to = null, log = () => {} } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const filesByVersion = new Map(migrations.map((m) => [m.version, m]));
+    const applied = (await readAppliedMigrations(client)).reverse();
+    const targets = to != null ? applied.filter((row) => row.version > to) : applied.slice(0, Math.max(0, steps));
+
+    const done = [];
+    for (const row of targets) {
+      const label = `${formatVersion(row.version)}_${row.name}`;
+      const m = filesByVersion.get(row.version);
+      if (!m) throw new MigrationError(`Migration ${label} is applied but its files are missing`);
+      if (m.down == null) throw new MigrationError(`Migration ${label} has no down script`);
+      log(`reverting ${label}`);
+      const started = Date.now();
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(m.down);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+        });
+      } catch (e) {
+        throw new MigrationError(`Reverting ${label} failed: ${e?.message || e}`);
+      }
+      done.push({ version: row.version, name: row.name, execution_ms: Date.now() - started });
+    }
+    return done;
+  });
+}
+
+/** Writes an empty up/down pair for the next version and returns their paths. */
+function createMigrationFiles(name, dir = MIGRATIONS_DIR) {
+  const slug = String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  if (!MIGRATION_NAME_PATTERN.test(slug)) throw new MigrationError('Migration name must contain letters or digits');
+
+  const migrations = loadMigrations(dir);
+  const version = formatVersion((migrations.length ? migrations[migrations.length - 1].version : 0) + 1);
+  fs.mkdirSync(dir, { recursive: true });
+  const upFile = path.join(dir, `${version}_${slug}.up.sql`);
+  const downFile = path.join(dir, `${version}_${slug}.down.sql`);
+  fs.writeFileSync(upFile, `-- ${slug.replace(/_/g, ' ')}\n`, { flag: 'wx' });
+  fs.writeFileSync(downFile, `-- Reverts ${version}_${slug}.up.sql\n`, { flag: 'wx' });
+  return { version: Number(version), upFile, downFile };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  createMigrationFiles,
+  getMigrationStatus,
+  loadMigrations,
+  migrateDown,
+  migrateUp,
+};
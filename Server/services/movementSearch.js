@@ -0,0 +1,257 @@
+'use strict';
+
+// Movement search helpers shared by the Postgres and in-memory paths of
+// GET /search/movements, so both modes parse queries, rank, facet and sort the same way.
+//
+// Query syntax:
+//   climate justice     -> every term must match (AND)
+//   "bike lanes"        -> phrase: words adjacent and in order
+//   clim*               -> explicit prefix; the last bare term is also treated as a prefix
+//                          so search-as-you-type works
+// Terms that do not match exactly can still match a title through trigram similarity
+// (typo tolerance), e.g. "climte" -> "climate".
+
+const SEARCH_SORTS = ['relevance', 'momentum', 'newest', 'nearest'];
+const SEARCH_MAX_TERMS = 8;
+const TRGM_THRESHOLD = 0.4;
+
+// Postgres ts_rank default weights for {D, C, B, A}; A = title, B = tags, C = summary, D = description.
+const FIELD_WEIGHTS = { title: 1.0, tags: 0.4, summary: 0.2, description: 0.1 };
+
+// ---------------------------------------------------------------------------
+// Query parsing
+// ---------------------------------------------------------------------------
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Parse a raw query into { terms: [{ text, prefix }], phrases: [[word, ...]], text }.
+ * `text` is the normalized plain query used for trigram similarity.
+ */
+function parseSearchQuery(raw) {
+  const input = String(raw || '').slice(0, 200);
+  const phrases = [];
+  const rest = input.replace(/"([^"]*)"/g, (_m, inner) => {
+    const words = tokenize(inner);
+    if (words.length > 1) phrases.push(words.slice(0, SEARCH_MAX_TERMS));
+    else if (words.length === 1) return ` ${words[0]} `;
+    return ' ';
+  });
+
+  const terms = [];
+  const parts = rest.split(/\s+/).filter(Boolean);
+  parts.forEach((part, idx) => {
+    const explicitPrefix = part.endsWith('*');
+    const words = tokenize(part);
+    words.forEach((word, wIdx) => {
+      const isLastWord = idx === parts.length - 1 && wIdx === words.length - 1;
+      // A trailing bare term is still being typed: match it as a prefix unless the
+      // query ends with whitespace or a closing quote.
+      const trailing = isLastWord && !/[\s"]$/.test(input);
+      terms.push({ text: word, prefix: explicitPrefix || trailing });
+    });
+  });
+
+  return {
+    terms: terms.slice(0, SEARCH_MAX_TERMS),
+    phrases,
+    text: tokenize(input).join(' '),
+  };
+}
+
+function isEmptySearchQuery(parsed) {
+  return !parsed || (!parsed.terms.length && !parsed.phrases.length);
+}
+
+/**
+ * Build a to_tsquery() string. Tokens are already reduced to letters/digits, so the
+ * output cannot contain tsquery operators from user input.
+ */
+function buildTsQueryText(parsed) {
+  const clauses = parsed.terms.map((t) => (t.prefix ? `${t.text}:*` : t.text));
+  for (const words of parsed.phrases) clauses.push(`(${words.join(' <-> ')})`);
+  return clauses.join(' & ');
+}
+
+// ---------------------------------------------------------------------------
+// In-memory matching (mirrors the SQL in Server/index.js)
+// ---------------------------------------------------------------------------
+
+// Rough stand-in for Postgres' english stemmer, applied to both document and query words.
+function stemWord(word) {
+  const w = String(word || '');
+  if (w.length <= 3) return w;
+  for (const suffix of ['ations', 'ation', 'ings', 'ing', 'ies', 'ied', 'es', 'ed', 'ly', 's']) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      return suffix === 'ies' || suffix === 'ied' ? `${w.slice(0, -suffix.length)}y` : w.slice(0, -suffix.length);
+    }
+  }
+  return w;
+}
+
+function trigrams(text) {
+  const set = new Set();
+  for (const word of tokenize(text)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i += 1) set.add(padded.slice(i, i + 3));
+  }
+  return set;
+}
+
+/** pg_trgm similarity(): shared trigrams / union of trigrams. */
+function trigramSimilarity(a, b) {
+  const ta = trigrams(a);
+  const tb = trigrams(b);
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared += 1;
+  return shared / (ta.size + tb.size - shared);
+}
+
+/**
+ * pg_trgm word_similarity(query, text): best similarity between the query and any
+ * run of consecutive words in `text` of the same length.
+ */
+function wordSimilarity(query, text) {
+  const qWords = tokenize(query);
+  const tWords = tokenize(text);
+  if (!qWords.length || !tWords.length) return 0;
+  const span = Math.min(qWords.length, tWords.length);
+  const q = qWords.join(' ');
+  let best = 0;
+  for (let i = 0; i + span <= tWords.length; i += 1) {
+    best = Math.max(best, trigramSimilarity(q, tWords.slice(i, i + span).join(' ')));
+  }
+  return best;
+}
+
+function fieldWords(fields) {
+  const out = {};
+  for (const [name, value] of Object.entries(fields)) {
+    const words = tokenize(value);
+    out[name] = { words, stems: words.map(stemWord) };
+  }
+  return out;
+}
+
+function termMatchesField(term, field) {
+  const stem = stemWord(term.text);
+  return field.words.some((w, idx) => {
+    if (term.prefix) return w.startsWith(term.text);
+    return w === term.text || field.stems[idx] === stem;
+  });
+}
+
+function phraseMatchesField(words, field) {
+  const stems = words.map(stemWord);
+  for (let i = 0; i + words.length <= field.words.length; i += 1) {
+    if (stems.every((s, j) => field.stems[i + j] === s || field.words[i + j] === words[j])) return true;
+  }
+  return false;
+}
+
+/**
+ * Score a movement against a parsed query. Returns null when it does not match.
+ * `fields` = { title, tags, summary, description } as plain strings.
+ */
+function scoreSearchFields(fields, parsed) {
+  if (isEmptySearchQuery(parsed)) return 0;
+  const byField = fieldWords(fields);
+
+  let fullText = true;
+  let rank = 0;
+  const clauses = [
+    ...parsed.terms.map((term) => (f) => termMatchesField(term, f)),
+    ...parsed.phrases.map((words) => (f) => phraseMatchesField(words, f)),
+  ];
+  for (const matches of clauses) {
+    let best = 0;
+    for (const [name, weight] of Object.entries(FIELD_WEIGHTS)) {
+      if (byField[name] && matches(byField[name])) best = Math.max(best, weight);
+    }
+    if (!best) fullText = false;
+    rank += best;
+  }
+  rank /= clauses.length;
+
+  const similarity = wordSimilarity(parsed.text, fields.title);
+  if (!fullText && similarity < TRGM_THRESHOLD) return null;
+  return (fullText ? rank : 0) + 0.5 * similarity;
+}
+
+// ---------------------------------------------------------------------------
+// Facets and distance
+// ---------------------------------------------------------------------------
+
+function topCounts(map, limit) {
+  return Array.from(map.entries())
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, limit);
+}
+
+/**
+ * Facet counts over matching movements. Each item: { tags: string[], category, country }.
+ * Tags/categories are compared case-insensitively and reported in lowercase.
+ */
+function computeSearchFacets(items, { limit = 20 } = {}) {
+  const tags = new Map();
+  const categories = new Map();
+  const countries = new Map();
+  for (const item of items) {
+    for (const tag of new Set((item.tags || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean))) {
+      tags.set(tag, (tags.get(tag) || 0) + 1);
+    }
+    const category = item.category ? String(item.category).trim().toLowerCase() : '';
+    if (category) categories.set(category, (categories.get(category) || 0) + 1);
+    const country = item.country ? String(item.country).trim() : '';
+    if (country) countries.set(country, (countries.get(country) || 0) + 1);
+  }
+  return {
+    tags: topCounts(tags, limit),
+    categories: topCounts(categories, limit),
+    countries: topCounts(countries, limit),
+  };
+}
+
+/** Same shape as computeSearchFacets(), from SQL rows of { facet, value, count }. */
+function facetsFromCountRows(rows, { limit = 20 } = {}) {
+  const maps = { tags: new Map(), categories: new Map(), countries: new Map() };
+  for (const row of rows || []) {
+    const map = maps[row?.facet];
+    if (map && row.value) map.set(String(row.value), Number(row.count) || 0);
+  }
+  return {
+    tags: topCounts(maps.tags, limit),
+    categories: topCounts(maps.categories, limit),
+    countries: topCounts(maps.countries, limit),
+  };
+}
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+module.exports = {
+  SEARCH_SORTS,
+  TRGM_THRESHOLD,
+  buildTsQueryText,
+  computeSearchFacets,
+  facetsFromCountRows,
+  haversineKm,
+  isEmptySearchQuery,
+  parseSearchQuery,
+  scoreSearchFields,
+  wordSimilarity,
+};
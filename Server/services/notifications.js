@@ -0,0 +1,275 @@
+'use strict';
+
+const { normalizeTimeZone, toZonedParts } = require('./eventSchedule');
+
+// Server-side notification rules: the type catalog, per-user channel preferences, coalescing
+// and email digest scheduling. Storage, fan-out and the digest timer live in Server/index.js
+// (notifyUser / notifyUsers / notifyMovementFollowers / runNotificationDigestCycle).
+//
+// Every notification a user can receive is listed in NOTIFICATION_TYPES. Each user picks a
+// channel per type:
+// - in_app: shown in /me/notifications only
+// - email:  in-app, plus included in the daily or weekly digest email
+// - push:   in-app, plus sent to the user's devices
+// - off:    not stored at all
+// Types marked `required` (moderation outcomes about the user's own account or content)
+// can't be turned off; 'off' falls back to in_app.
+//
+// Types with their own `channels` list only offer those, defaulting to the first. Direct
+// messages (`message`) are push-only: they live in the inbox and are never stored here.
+//
+// During the user's quiet hours (a local "HH:MM"–"HH:MM" window in their time zone)
+// notification pushes are held until the window ends and message pushes are skipped.
+//
+// Types marked `coalesce` merge into a single unread row per (recipient, group) while it
+// stays unread, counting distinct actors, so a burst of boosts reads as one
+// "12 people boosted your movement" instead of twelve rows.
+
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'push', 'off'];
+const NOTIFICATION_DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+const DEFAULT_NOTIFICATION_CHANNEL = 'in_app';
+const DEFAULT_NOTIFICATION_DIGEST = 'daily';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+
+// Distinct actor emails remembered per coalesced row (for de-duplicating repeat actors).
+const MAX_COALESCED_ACTORS = 200;
+
+const QUIET_HOURS_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const NOTIFICATION_TYPES = Object.freeze({
+  follow: { label: 'New followers', category: 'activity', coalesce: true },
+  movement_follow: { label: 'People following your movements', category: 'activity', coalesce: true },
+  movement_boost: { label: 'Boosts on your movements', category: 'activity', coalesce: true },
+  comment: { label: 'Comments on your movements', category: 'activity', coalesce: true },
+  comment_reply: { label: 'Replies to your comments', category: 'activity', coalesce: true },
+  collaborator_invite: { label: 'Collaboration invites', category: 'collaboration' },
+  task_assigned: { label: 'Tasks assigned to you', category: 'collaboration' },
+  movement_event_new: { label: 'New events on movements you follow', category: 'following' },
+  movement_petition_new: { label: 'New petitions on movements you follow', category: 'following' },
+  event_reminder: { label: 'Reminders for events you RSVP’d to', category: 'events' },
+  event_rescheduled: { label: 'Rescheduled events', category: 'events' },
+  event_cancelled: { label: 'Cancelled events', category: 'events' },
+  event_waitlist_promoted: { label: 'Waitlist spots opening up', category: 'events' },
+  petition_milestone: { label: 'Petition milestones', category: 'petitions' },
+  evidence_reviewed: { label: 'Reviews of evidence you submitted', category: 'evidence' },
+  comments_auto_locked: { label: 'Comments auto-locked on your movements', category: 'moderation' },
+  report_update: { label: 'Outcomes of your reports', category: 'moderation' },
+  moderation_request_more_info: { label: 'Moderator questions about your reports', category: 'moderation', required: true },
+  moderation_notice: { label: 'Moderation actions on your content', category: 'moderation', required: true },
+  moderation_appeal_update: { label: 'Appeal updates', category: 'moderation', required: true },
+  moderation_appeal_decision: { label: 'Appeal decisions', category: 'moderation', required: true },
+  message: { label: 'New direct messages', category: 'messages', channels: ['push', 'off'] },
+});
+
+/** Channels a user may pick for `type`; the first is the default. */
+function notificationChannelsFor(type) {
+  const def = NOTIFICATION_TYPES[type];
+  if (Array.isArray(def?.channels)) return def.channels;
+  return def?.required ? NOTIFICATION_CHANNELS.filter((c) => c !== 'off') : NOTIFICATION_CHANNELS;
+}
+
+function normalizeChannel(value, type) {
+  const v = String(value || '').trim().toLowerCase();
+  const allowed = notificationChannelsFor(type);
+  if (allowed.includes(v)) return v;
+  return allowed.includes(DEFAULT_NOTIFICATION_CHANNEL) ? DEFAULT_NOTIFICATION_CHANNEL : allowed[0];
+}
+
+function normalizeDigest(value) {
+  const v = String(value || '').trim().toLowerCase();
+  return NOTIFICATION_DIGEST_FREQUENCIES.includes(v) ? v : DEFAULT_NOTIFICATION_DIGEST;
+}
+
+function parseChannels(value) {
+  let raw = value;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      raw = null;
+    }
+  }
+  return raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+}
+
+// { start, end, time_zone } (the formatted shape) -> the stored column names.
+function quietHoursColumns(quietHours) {
+  return {
+    quiet_hours_start: quietHours?.start ?? null,
+    quiet_hours_end: quietHours?.end ?? null,
+    time_zone: quietHours?.time_zone ?? null,
+  };
+}
+
+function parseQuietHours(row) {
+  const start = String(row?.quiet_hours_start || '').trim();
+  const end = String(row?.quiet_hours_end || '').trim();
+  if (!QUIET_HOURS_TIME_PATTERN.test(start) || !QUIET_HOURS_TIME_PATTERN.test(end) || start === end) return null;
+  return { start, end, time_zone: normalizeTimeZone(row?.time_zone) };
+}
+
+/**
+ * Coerce a stored preferences row into the public shape: a channel for every known type
+ * (defaults filled in), the digest frequency, quiet hours (or null) and timestamps.
+ */
+function formatNotificationPreferences(row) {
+  const r = row && typeof row === 'object' ? row : {};
+  const stored = parseChannels(r.channels);
+  const channels = {};
+  for (const type of Object.keys(NOTIFICATION_TYPES)) channels[type] = normalizeChannel(stored[type], type);
+  return {
+    channels,
+    digest: normalizeDigest(r.digest),
+    quiet_hours: parseQuietHours(r.quiet_hours !== undefined ? quietHoursColumns(r.quiet_hours) : r),
+    last_digest_at: r.last_digest_at ? new Date(r.last_digest_at).toISOString() : null,
+    updated_at: r.updated_at ? new Date(r.updated_at).toISOString() : null,
+  };
+}
+
+/**
+ * The channel a notification of `type` is delivered on for a user with `preferences`
+ * (a formatted object, a raw row, or null for defaults). Unknown types use the default.
+ */
+function resolveNotificationChannel(preferences, type) {
+  const channels = parseChannels(preferences?.channels);
+  return normalizeChannel(channels[type], type);
+}
+
+/** The catalog as a list for clients, in display order. */
+function listNotificationTypes() {
+  return Object.entries(NOTIFICATION_TYPES).map(([type, def]) => ({
+    type,
+    label: def.label,
+    category: def.category,
+    required: !!def.required,
+    channels: notificationChannelsFor(type),
+  }));
+}
+
+/**
+ * Key shared by notifications that merge into one row, or null when the type doesn't
+ * coalesce. Groups are per subject: boosts of one movement, replies to one comment, etc.
+ */
+function notificationGroupKey(type, { contentId = null, contentRef = null } = {}) {
+  if (!NOTIFICATION_TYPES[type]?.coalesce) return null;
+  return [type, contentId == null ? '' : String(contentId), contentRef == null ? '' : String(contentRef)].join(':');
+}
+
+/**
+ * True when a user on `digest` frequency, last emailed at `lastDigestAt`, is due another digest.
+ */
+function isDigestDue(digest, lastDigestAt, now = Date.now()) {
+  const period = DIGEST_PERIOD_MS[normalizeDigest(digest)];
+  if (!period) return false;
+  if (!lastDigestAt) return true;
+  const last = new Date(lastDigestAt).getTime();
+  return !Number.isFinite(last) || now - last >= period;
+}
+
+function minutesOfDay(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * True when `now` falls inside `quietHours` ({ start, end, time_zone } from the formatted
+ * preferences). Windows may wrap past midnight, e.g. 22:00–07:00; the end is exclusive.
+ */
+function isWithinQuietHours(quietHours, now = Date.now()) {
+  if (!quietHours?.start || !quietHours?.end || quietHours.start === quietHours.end) return false;
+  const local = toZonedParts(new Date(now).getTime(), normalizeTimeZone(quietHours.time_zone));
+  const minute = local.hour * 60 + local.minute;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+function quoted(title) {
+  const t = String(title || '').trim();
+  return t ? `“${t}”` : 'your movement';
+}
+
+/**
+ * One-line plain-text description of a stored notification, used for digest emails.
+ * The web app renders its own copy from the same fields (src/pages/Notifications.jsx).
+ */
+function describeNotification(n) {
+  const count = Math.max(1, Number(n?.actor_count) || 1);
+  const actor = String(n?.actor_name || '').trim() || 'Someone';
+  const who = count > 1 ? `${count} people` : actor;
+  const title = quoted(n?.content_title);
+  const meta = n?.metadata && typeof n.metadata === 'object' ? n.metadata : {};
+
+  switch (String(n?.type || '')) {
+    case 'follow':
+      return `${who} started following you`;
+    case 'movement_follow':
+      return `${who} followed ${title}`;
+    case 'movement_boost':
+      return `${who} boosted ${title}`;
+    case 'comment':
+      return `${who} commented on ${title}`;
+    case 'comment_reply':
+      return `${who} replied to your comment on ${title}`;
+    case 'collaborator_invite':
+      return `${actor} invited you to collaborate on ${title}`;
+    case 'task_assigned':
+      return `${actor} assigned you a task on ${title}${meta.task_title ? `: ${meta.task_title}` : ''}`;
+    case 'movement_event_new':
+      return `New event on ${title}${meta.event_title ? `: ${meta.event_title}` : ''}`;
+    case 'movement_petition_new':
+      return `New petition on ${title}${meta.petition_title ? `: ${meta.petition_title}` : ''}`;
+    case 'event_reminder':
+      return `Upcoming event: ${title}`;
+    case 'event_rescheduled':
+      return `${title} was rescheduled`;
+    case 'event_cancelled':
+      return `${title} was cancelled`;
+    case 'event_waitlist_promoted':
+      return `A spot opened up: you’re now going to ${title}`;
+    case 'petition_milestone':
+      return Number(meta.percent) >= 100
+        ? `${title} reached its goal`
+        : `${title} is ${Number(meta.percent) || 0}% of the way to its goal`;
+    case 'evidence_reviewed':
+      return meta.status === 'approved'
+        ? `Your evidence for ${title} was verified`
+        : `Your evidence for ${title} wasn’t accepted`;
+    case 'comments_auto_locked':
+      return `Comments on ${title} were locked automatically after a spike`;
+    case 'report_update':
+      return meta.status === 'dismissed' ? 'A report you made was reviewed and closed' : 'A report you made was resolved';
+    case 'moderation_request_more_info':
+      return 'A moderator asked for more information about your report';
+    case 'moderation_notice':
+      return meta.reversed_action
+        ? 'A moderation action on your account or content was reversed'
+        : 'A moderation action was applied to your account or content';
+    case 'moderation_appeal_update':
+      return 'Your appeal was updated';
+    case 'moderation_appeal_decision':
+      return 'A decision was made on your appeal';
+    default:
+      return String(n?.content_title || '').trim() || 'New notification';
+  }
+}
+
+module.exports = {
+  DEFAULT_NOTIFICATION_CHANNEL,
+  MAX_COALESCED_ACTORS,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_DIGEST_FREQUENCIES,
+  NOTIFICATION_TYPES,
+  QUIET_HOURS_TIME_PATTERN,
+  describeNotification,
+  formatNotificationPreferences,
+  isDigestDue,
+  isWithinQuietHours,
+  listNotificationTypes,
+  notificationChannelsFor,
+  notificationGroupKey,
+  resolveNotificationChannel,
+};
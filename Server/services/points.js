@@ -0,0 +1,106 @@
+'use strict';
+
+// Challenge points: rules for the append-only points ledger kept in Server/index.js
+// (points_ledger). A user's balance is the sum of their ledger deltas;
+// user_challenge_stats.total_points is only a cached copy of it.
+//
+// Entry kinds:
+// - earn:   challenge completions and streak bonuses (source_id is the completion)
+// - gift:   one debit for the sender and one credit for the recipient (source_id is the gift)
+// - spend:  expression rewards unlocked with points
+// - revoke: an admin reversing a fraudulent completion, including its streak bonus
+//
+// Points for a completion come from the challenge definition (challenges.points), never
+// from the client.
+
+const POINTS_LEDGER_KINDS = ['earn', 'gift', 'spend', 'revoke'];
+
+const DEFAULT_CHALLENGE_POINTS = 10;
+const MAX_CHALLENGE_POINTS = 1000;
+
+const POINT_GIFT_MIN = 5;
+// Share of the sender's balance that can be gifted at once.
+const POINT_GIFT_MAX_SHARE = 0.2;
+
+// The app falls back to built-in challenges (src/data/dailyChallengeDefaults.js) while none
+// are configured; these are their point values.
+const BUILT_IN_CHALLENGE_POINTS = Object.freeze({
+  'challenge-kindness-compliment': 10,
+  'challenge-civic-literacy-research': 15,
+  'challenge-community-care-neighbor': 15,
+  'challenge-dialogue-listen': 20,
+  'challenge-environment-cleanup': 15,
+  'challenge-wellbeing-reset': 10,
+});
+
+// Bonus awarded the day a streak reaches each length.
+const STREAK_BONUSES = Object.freeze({ 1: 5, 3: 15, 7: 40, 30: 200 });
+
+// Daily challenges roll over at midnight Australian Western Time (UTC+8), matching the
+// day keys the app shows (src/utils/awTime.js).
+const CHALLENGE_DAY_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** The challenge day (YYYY-MM-DD) for `now`, shifted back by `daysAgo`. */
+function challengeDayKey(now = new Date(), daysAgo = 0) {
+  const ms = new Date(now).getTime() + CHALLENGE_DAY_OFFSET_MS - daysAgo * DAY_MS;
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/** Points a challenge is worth, clamped to the allowed range. */
+function challengePoints(challenge) {
+  const n = Number.parseInt(String(challenge?.points ?? ''), 10);
+  if (!Number.isFinite(n)) return DEFAULT_CHALLENGE_POINTS;
+  return Math.max(0, Math.min(MAX_CHALLENGE_POINTS, n));
+}
+
+function streakBonusFor(streak) {
+  return STREAK_BONUSES[Number(streak)] || 0;
+}
+
+/** The most a user with `balance` points can gift right now. */
+function maxGiftableFor(balance) {
+  const n = Number(balance);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.floor(n * POINT_GIFT_MAX_SHARE);
+}
+
+/**
+ * Why a gift of `amount` from a user holding `balance` isn't allowed, or null when it is.
+ */
+function pointGiftDenial(amount, balance) {
+  if (!Number.isInteger(amount) || amount <= 0) return 'Invalid amount';
+  if (amount < POINT_GIFT_MIN) return `Minimum gift is ${POINT_GIFT_MIN} points`;
+  const max = maxGiftableFor(balance);
+  if (amount > max) return `You can gift up to ${max} points (20% of your total)`;
+  return null;
+}
+
+function formatLedgerEntry(row) {
+  if (!row) return null;
+  const iso = (v) => (v ? new Date(v).toISOString() : null);
+  return {
+    id: String(row.id),
+    kind: String(row.kind),
+    delta: Number(row.delta) || 0,
+    source_type: row.source_type ? String(row.source_type) : null,
+    source_id: row.source_id ? String(row.source_id) : null,
+    counterparty_email: row.counterparty_email ? String(row.counterparty_email) : null,
+    note: row.note ? String(row.note) : null,
+    created_at: iso(row.created_at),
+  };
+}
+
+module.exports = {
+  BUILT_IN_CHALLENGE_POINTS,
+  DEFAULT_CHALLENGE_POINTS,
+  MAX_CHALLENGE_POINTS,
+  POINTS_LEDGER_KINDS,
+  POINT_GIFT_MIN,
+  challengeDayKey,
+  challengePoints,
+  formatLedgerEntry,
+  maxGiftableFor,
+  pointGiftDenial,
+  streakBonusFor,
+};
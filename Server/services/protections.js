@@ -0,0 +1,111 @@
+'use strict';
+
+// Per-user harassment protection settings enforced in Server/index.js (see
+// getDirectMessageDenial / filterNewAccountComments / maybeAutoLockComments).
+//
+// Audiences describe who may reach the protected user:
+// - everyone:  anyone who isn't blocked
+// - followers: accounts that follow the protected user
+// - following: accounts the protected user follows
+// - nobody:    no one (existing conversations the user has written in still work)
+
+const PROTECTION_AUDIENCES = ['everyone', 'followers', 'following', 'nobody'];
+
+// Comments on a movement inside this window count towards the auto-lock threshold.
+const COMMENT_SPIKE_WINDOW_MS = 10 * 60 * 1000;
+
+const DEFAULT_PROTECTIONS = Object.freeze({
+  dm_audience: 'everyone',
+  reaction_audience: 'everyone',
+  block_new_account_dms: false,
+  hide_new_account_comments: false,
+  new_account_days: 7,
+  auto_lock_comments_on_spike: false,
+  spike_comment_threshold: 25,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeAudience(value) {
+  const v = String(value || '').trim().toLowerCase();
+  return PROTECTION_AUDIENCES.includes(v) ? v : DEFAULT_PROTECTIONS.dm_audience;
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = Number.parseInt(String(value ?? ''), 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+/**
+ * Coerce a stored row (or partial record) into the public settings shape, filling defaults.
+ */
+function formatProtections(row) {
+  const r = row && typeof row === 'object' ? row : {};
+  return {
+    dm_audience: normalizeAudience(r.dm_audience),
+    reaction_audience: normalizeAudience(r.reaction_audience),
+    block_new_account_dms: !!r.block_new_account_dms,
+    hide_new_account_comments: !!r.hide_new_account_comments,
+    new_account_days: clampInt(r.new_account_days, DEFAULT_PROTECTIONS.new_account_days, 1, 90),
+    auto_lock_comments_on_spike: !!r.auto_lock_comments_on_spike,
+    spike_comment_threshold: clampInt(r.spike_comment_threshold, DEFAULT_PROTECTIONS.spike_comment_threshold, 5, 500),
+    updated_at: r.updated_at ? new Date(r.updated_at).toISOString() : null,
+  };
+}
+
+/**
+ * True when the audience admits the actor. `relation` carries the follow edges between
+ * the actor and the protected user: { actorFollowsOwner, ownerFollowsActor }.
+ */
+function audienceAllows(audience, relation = {}) {
+  switch (normalizeAudience(audience)) {
+    case 'everyone':
+      return true;
+    case 'followers':
+      return !!relation.actorFollowsOwner;
+    case 'following':
+      return !!relation.ownerFollowsActor;
+    default:
+      return false;
+  }
+}
+
+function audienceNeedsFollowLookup(audience) {
+  const a = normalizeAudience(audience);
+  return a === 'followers' || a === 'following';
+}
+
+/**
+ * True when the account is younger than `days`. An unknown creation date counts as new,
+ * matching isNewAccount() in services/trust.js.
+ */
+function isYoungerThanDays(accountCreatedAt, days, now = Date.now()) {
+  const created = accountCreatedAt ? new Date(accountCreatedAt).getTime() : NaN;
+  if (!Number.isFinite(created)) return true;
+  return now - created < Math.max(0, Number(days) || 0) * DAY_MS;
+}
+
+function describeAudience(audience) {
+  switch (normalizeAudience(audience)) {
+    case 'followers':
+      return 'people who follow them';
+    case 'following':
+      return 'people they follow';
+    case 'nobody':
+      return 'no one';
+    default:
+      return 'everyone';
+  }
+}
+
+module.exports = {
+  COMMENT_SPIKE_WINDOW_MS,
+  DEFAULT_PROTECTIONS,
+  PROTECTION_AUDIENCES,
+  audienceAllows,
+  audienceNeedsFollowLookup,
+  describeAudience,
+  formatProtections,
+  isYoungerThanDays,
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+// Trust scores and action velocity rules used by enforceActionTrust() in Server/index.js.
+//
+// A trust score is a number in [0.05, 0.95] derived from account signals (age, report
+// history, blocks received, recent throttling). It picks the per-action rate tier, so
+// long-standing accounts get more headroom than brand-new or frequently-blocked ones.
+// Admins can pin a score with an override; the computed value is still kept for reference.
+
+const TRUST_MIN = 0.05;
+const TRUST_MAX = 0.95;
+const TRUST_DEFAULT = 0.5;
+
+// Accounts younger than this count towards coordinated-surge detection.
+const NEW_ACCOUNT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Per-action velocity limits: [high trust (>= 0.75), medium (>= 0.45), low].
+const ACTION_LIMITS = {
+  boost_vote: { windowMs: 5 * 60 * 1000, max: [20, 10, 5] },
+  report_create: { windowMs: 60 * 60 * 1000, max: [20, 10, 4] },
+  comment_post: { windowMs: 60 * 1000, max: [12, 6, 3] },
+  movement_create: { windowMs: 60 * 60 * 1000, max: [4, 2, 1] },
+  collaborator_invite: { windowMs: 10 * 60 * 1000, max: [12, 6, 3] },
+  message_send: { windowMs: 60 * 1000, max: [30, 15, 8] },
+  conversation_create: { windowMs: 60 * 60 * 1000, max: [20, 8, 3] },
+  user_follow: { windowMs: 10 * 60 * 1000, max: [40, 20, 10] },
+  movement_follow: { windowMs: 10 * 60 * 1000, max: [40, 20, 10] },
+  petition_sign: { windowMs: 10 * 60 * 1000, max: [25, 12, 6] },
+  petition_create: { windowMs: 60 * 60 * 1000, max: [10, 5, 2] },
+  event_create: { windowMs: 60 * 60 * 1000, max: [12, 6, 3] },
+  movement_evidence_submit: { windowMs: 60 * 60 * 1000, max: [12, 6, 3] },
+};
+const DEFAULT_ACTION_LIMIT = { windowMs: 60 * 1000, max: [20, 10, 5] };
+
+const TRUST_ACTIONS = Object.keys(ACTION_LIMITS);
+
+// Coordinated surges: this many distinct new accounts acting on the same target inside
+// the window marks the target as under a suspected brigade; further new accounts are
+// throttled on it until the window passes.
+const SURGE_RULES = {
+  boost_vote: { windowMs: 10 * 60 * 1000, minActors: 8 },
+  report_create: { windowMs: 10 * 60 * 1000, minActors: 5 },
+  comment_post: { windowMs: 10 * 60 * 1000, minActors: 10 },
+  petition_sign: { windowMs: 10 * 60 * 1000, minActors: 15 },
+};
+
+function clampTrust(n) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return TRUST_DEFAULT;
+  return Math.min(TRUST_MAX, Math.max(TRUST_MIN, Math.round(v * 100) / 100));
+}
+
+function limitsFor(action, trustScore) {
+  const rule = ACTION_LIMITS[action] || DEFAULT_ACTION_LIMIT;
+  const t = Number.isFinite(Number(trustScore)) ? Number(trustScore) : TRUST_DEFAULT;
+  const tier = t >= 0.75 ? 0 : t >= 0.45 ? 1 : 2;
+  return { windowMs: rule.windowMs, max: rule.max[tier] };
+}
+
+/**
+ * Score account signals. Returns { score, factors } where factors lists each non-zero
+ * adjustment so admins can see why an account landed where it did.
+ *
+ * signals: {
+ *   account_age_days, reports_upheld, reports_dismissed, reports_against_upheld,
+ *   blocked_by_count, throttled_24h
+ * }
+ */
+function computeTrustScore(signals = {}) {
+  const factors = [];
+  const add = (signal, delta) => {
+    const d = Math.round(delta * 100) / 100;
+    if (d !== 0) factors.push({ signal, delta: d });
+  };
+  const n = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+  const ageDays = signals.account_age_days;
+  if (ageDays == null) {
+    add('account_age_unknown', -0.05);
+  } else if (n(ageDays) < 1) {
+    add('account_age', -0.1);
+  } else {
+    add('account_age', Math.min(0.2, (n(ageDays) / 90) * 0.2));
+  }
+  add('reports_upheld', Math.min(0.15, 0.03 * n(signals.reports_upheld)));
+  add('reports_dismissed', -Math.min(0.25, 0.05 * n(signals.reports_dismissed)));
+  add('reports_against_upheld', -Math.min(0.3, 0.1 * n(signals.reports_against_upheld)));
+  add('blocked_by', -Math.min(0.2, 0.02 * n(signals.blocked_by_count)));
+  add('throttled_24h', -Math.min(0.2, 0.05 * n(signals.throttled_24h)));
+
+  const raw = factors.reduce((acc, f) => acc + f.delta, TRUST_DEFAULT);
+  return { score: clampTrust(raw), factors };
+}
+
+function isNewAccount(accountCreatedAt, now = Date.now()) {
+  const created = Date.parse(accountCreatedAt || '');
+  if (!Number.isFinite(created)) return true;
+  return now - created < NEW_ACCOUNT_AGE_MS;
+}
+
+module.exports = {
+  NEW_ACCOUNT_AGE_MS,
+  SURGE_RULES,
+  TRUST_ACTIONS,
+  clampTrust,
+  computeTrustScore,
+  isNewAccount,
+  limitsFor,
+};
@@ -1,21 +1,434 @@
+/* global WebSocketPair, WebSocketRequestResponsePair */
 /**
- * Durable Object scaffold for real-time chat.
+ * Durable Object for realtime messaging on the Worker deployment.
  *
- * Next steps:
- * - Define message protocol (join/leave/message/typing/read-receipts)
- * - Persist messages to Postgres (via Hyperdrive) and/or R2 for attachments
- * - Add auth (JWT/session) and rate limiting
+ * Speaks the same protocol as the Node server's `/ws` handler (Server/index.js), so
+ * src/utils/messagesRealtime.js works unchanged:
+ * - client -> server: ping, movement:subscribe, movement:unsubscribe, message:delivered, conversation:read, typing
+ * - server -> client: hello, pong, movement:subscribed, movement:unsubscribed, and fanned-out events
+ *   (message:new, message:updated, conversation:updated, movement:*, ...)
+ *
+ * One class, three kinds of instance, addressed by name through env.CHAT.idFromName():
+ * - `user:<email>`        owns that user's hibernatable sockets and delivers events to them.
+ * - `conversation:<id>`   per-conversation room; remembers participants and fans out to their user instances.
+ * - `movement:<id>`       remembers which users subscribed to a movement's live updates.
+ *
+ * Sockets are accepted with the hibernation API, so idle connections cost nothing. Any per-socket
+ * state (email, movement subscriptions) lives in the socket attachment and survives hibernation.
+ *
+ * The Worker has no database, so rooms call back into the Node API (NODE_API_ORIGIN, authenticated
+ * with REALTIME_PUBLISH_SECRET):
+ * - `message:delivered` acks are recorded with POST /realtime/delivered, like the Node `/ws` handler
+ *   does. The API then broadcasts the receipt, including back to this Worker.
+ * - A conversation room loads its participants from GET /realtime/conversations/:id/participants
+ *   the first time it's used (e.g. after a deploy or eviction) and when an unknown sender shows up.
+ * Read receipts are persisted by the client's HTTP call (markConversationRead); the
+ * `conversation:read` socket event is only relayed. New messages arrive via POST /realtime/publish
+ * (see index.js).
  */
 
+const INTERNAL_ORIGIN = 'https://chat.internal';
+const RECENT_MESSAGE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_MOVEMENT_SUBSCRIPTIONS_PER_SOCKET = 50;
+// An unknown sender refreshes the participant list at most this often.
+const PARTICIPANTS_REFRESH_MS = 60 * 1000;
+
+function json(data, init = {}) {
+  const headers = new Headers(init.headers);
+  if (!headers.has('content-type')) headers.set('content-type', 'application/json');
+  return new Response(JSON.stringify(data), { ...init, headers });
+}
+
+function normalizeEmail(value) {
+  const s = value == null ? '' : String(value).trim().toLowerCase();
+  return s || null;
+}
+
+function normalizeId(value) {
+  const s = value == null ? '' : String(value).trim();
+  return s || null;
+}
+
+function normalizeEmailList(list) {
+  return Array.from(new Set((Array.isArray(list) ? list : []).map(normalizeEmail).filter(Boolean)));
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+function safeSend(ws, payload) {
+  try {
+    ws.send(JSON.stringify(payload));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getAttachment(ws) {
+  try {
+    const a = ws.deserializeAttachment();
+    if (a && typeof a === 'object') {
+      return { email: normalizeEmail(a.email), movements: Array.isArray(a.movements) ? a.movements : [] };
+    }
+  } catch {
+    // ignore
+  }
+  return { email: null, movements: [] };
+}
+
+export function chatStub(env, name) {
+  return env.CHAT.get(env.CHAT.idFromName(name));
+}
+
+export async function postToChat(env, name, path, body) {
+  return chatStub(env, name).fetch(`${INTERNAL_ORIGIN}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body ?? {}),
+  });
+}
+
+/** Calls the Node API as the Worker. Returns the parsed JSON body, or null when unavailable. */
+async function callNodeApi(env, path, { method = 'GET', body } = {}) {
+  const origin = String(env.NODE_API_ORIGIN || '').replace(/\/$/, '');
+  const secret = env.REALTIME_PUBLISH_SECRET ? String(env.REALTIME_PUBLISH_SECRET) : '';
+  if (!origin || !secret) return null;
+  try {
+    const res = await fetch(`${origin}${path}`, {
+      method,
+      headers: {
+        authorization: `Bearer ${secret}`,
+        ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+      },
+      ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+    });
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+async function deliverToUsers(env, emails, body) {
+  const list = normalizeEmailList(emails);
+  const results = await Promise.allSettled(list.map((email) => postToChat(env, `user:${email}`, '/deliver', body)));
+  return list.map((email, idx) => ({ email, result: results[idx] }));
+}
+
 export class ChatRoom {
   constructor(state, env) {
     this.state = state;
     this.env = env;
-    this.sessions = new Map();
+
+    // Answer the client's heartbeat without waking a hibernated instance.
+    // messagesRealtime.js sends exactly JSON.stringify({ type: 'ping' }).
+    try {
+      this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('{"type":"ping"}', '{"type":"pong"}'));
+    } catch {
+      // Older runtimes without auto-response fall through to webSocketMessage.
+    }
   }
 
-  async fetch(_request) {
-    // This is intentionally a stub. WebSocket wiring will be added as part of migration.
-    return new Response('Not implemented', { status: 501 });
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    switch (url.pathname) {
+      case '/connect':
+        return this.handleConnect(request);
+      case '/deliver':
+        return this.handleDeliver(request);
+      case '/room/publish':
+        return this.handleRoomPublish(request);
+      case '/room/event':
+        return this.handleRoomEvent(request);
+      case '/room/subscribe':
+        return this.handleMovementSubscription(request, true);
+      case '/room/unsubscribe':
+        return this.handleMovementSubscription(request, false);
+      default:
+        return new Response('Not Found', { status: 404 });
+    }
+  }
+
+  // --- user:<email> ---
+
+  async handleConnect(request) {
+    if (String(request.headers.get('upgrade') || '').toLowerCase() !== 'websocket') {
+      return new Response('Expected WebSocket upgrade', { status: 426 });
+    }
+
+    // Set by the Worker entry after token verification; never taken from the client.
+    const email = normalizeEmail(request.headers.get('x-pp-user-email'));
+    if (!email) return new Response('Unauthorized', { status: 401 });
+
+    const pair = new WebSocketPair();
+    const [client, server] = Object.values(pair);
+    this.state.acceptWebSocket(server, [email]);
+    server.serializeAttachment({ email, movements: [] });
+    safeSend(server, { type: 'hello', ok: true });
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  async handleDeliver(request) {
+    const body = await readJson(request);
+    const payload = body?.payload && typeof body.payload === 'object' ? body.payload : null;
+    if (!payload) return json({ error: 'payload required' }, { status: 400 });
+
+    const movementId = normalizeId(body?.movementId);
+    let delivered = 0;
+    let subscribed = false;
+
+    for (const ws of this.state.getWebSockets()) {
+      if (movementId) {
+        const { movements } = getAttachment(ws);
+        if (!movements.includes(movementId)) continue;
+        subscribed = true;
+      }
+      if (safeSend(ws, payload)) delivered += 1;
+    }
+
+    // Remember which conversation a new message belongs to so a later
+    // `message:delivered` ack (which only carries messageId) can be routed.
+    const messageId = payload?.type === 'message:new' ? normalizeId(payload?.message?.id) : null;
+    const conversationId = normalizeId(payload?.conversationId);
+    if (messageId && conversationId) {
+      await this.state.storage.put(`msg:${messageId}`, { conversationId, at: Date.now() });
+      const alarm = await this.state.storage.getAlarm();
+      if (alarm == null) await this.state.storage.setAlarm(Date.now() + RECENT_MESSAGE_TTL_MS);
+    }
+
+    return json({ delivered, subscribed });
+  }
+
+  async alarm() {
+    const cutoff = Date.now() - RECENT_MESSAGE_TTL_MS;
+    const entries = await this.state.storage.list({ prefix: 'msg:' });
+    const stale = [];
+    for (const [key, value] of entries) {
+      if (!value?.at || value.at < cutoff) stale.push(key);
+    }
+    for (let i = 0; i < stale.length; i += 128) {
+      await this.state.storage.delete(stale.slice(i, i + 128));
+    }
+    if (entries.size > stale.length) await this.state.storage.setAlarm(Date.now() + RECENT_MESSAGE_TTL_MS);
+  }
+
+  async webSocketMessage(ws, raw) {
+    let msg;
+    try {
+      msg = JSON.parse(typeof raw === 'string' ? raw : new TextDecoder().decode(raw));
+    } catch {
+      return;
+    }
+
+    const type = msg?.type ? String(msg.type) : '';
+    const attachment = getAttachment(ws);
+    const byEmail = attachment.email;
+    if (!byEmail) return;
+
+    if (type === 'ping') {
+      safeSend(ws, { type: 'pong', ts: Date.now() });
+      return;
+    }
+
+    if (type === 'movement:subscribe') {
+      const movementId = normalizeId(msg?.movementId);
+      if (!movementId) return;
+      if (!attachment.movements.includes(movementId)) {
+        if (attachment.movements.length >= MAX_MOVEMENT_SUBSCRIPTIONS_PER_SOCKET) return;
+        attachment.movements.push(movementId);
+        ws.serializeAttachment(attachment);
+        await postToChat(this.env, `movement:${movementId}`, '/room/subscribe', { email: byEmail }).catch(() => null);
+      }
+      safeSend(ws, { type: 'movement:subscribed', movementId, ts: Date.now() });
+      return;
+    }
+
+    if (type === 'movement:unsubscribe') {
+      const movementId = normalizeId(msg?.movementId);
+      if (!movementId) return;
+      attachment.movements = attachment.movements.filter((id) => id !== movementId);
+      ws.serializeAttachment(attachment);
+      await this.releaseMovementIfUnused(movementId, ws);
+      safeSend(ws, { type: 'movement:unsubscribed', movementId, ts: Date.now() });
+      return;
+    }
+
+    if (type === 'message:delivered') {
+      const messageId = normalizeId(msg?.messageId);
+      if (!messageId) return;
+      const recent = await this.state.storage.get(`msg:${messageId}`);
+      const conversationId = normalizeId(recent?.conversationId);
+      if (!conversationId) return;
+      await postToChat(this.env, `conversation:${conversationId}`, '/room/event', {
+        type: 'message:delivered',
+        conversationId,
+        messageId,
+        by: byEmail,
+      }).catch(() => null);
+      return;
+    }
+
+    if (type === 'conversation:read' || type === 'typing') {
+      const conversationId = normalizeId(msg?.conversationId);
+      if (!conversationId) return;
+      await postToChat(this.env, `conversation:${conversationId}`, '/room/event', {
+        type,
+        conversationId,
+        by: byEmail,
+      }).catch(() => null);
+    }
+  }
+
+  async webSocketClose(ws, code, _reason, _wasClean) {
+    await this.releaseSocket(ws);
+    try {
+      ws.close(code === 1005 ? 1000 : code, 'closing');
+    } catch {
+      // already closed
+    }
+  }
+
+  async webSocketError(ws, _error) {
+    await this.releaseSocket(ws);
+  }
+
+  async releaseSocket(ws) {
+    const { movements } = getAttachment(ws);
+    for (const movementId of movements) {
+      await this.releaseMovementIfUnused(movementId, ws);
+    }
+  }
+
+  // Drop this user from a movement room once none of their other sockets still want it.
+  async releaseMovementIfUnused(movementId, closingWs) {
+    const stillWanted = this.state
+      .getWebSockets()
+      .some((other) => other !== closingWs && getAttachment(other).movements.includes(movementId));
+    if (stillWanted) return;
+    const email = getAttachment(closingWs).email;
+    if (!email) return;
+    await postToChat(this.env, `movement:${movementId}`, '/room/unsubscribe', { email }).catch(() => null);
+  }
+
+  // --- conversation:<id> / movement:<id> ---
+
+  async handleRoomPublish(request) {
+    const body = await readJson(request);
+    const payload = body?.payload && typeof body.payload === 'object' ? body.payload : null;
+    if (!payload) return json({ error: 'payload required' }, { status: 400 });
+
+    const movementId = normalizeId(body?.movementId);
+    if (movementId) {
+      const subscribers = normalizeEmailList(await this.state.storage.get('subscribers'));
+      const results = await deliverToUsers(this.env, subscribers, { payload, movementId });
+
+      // Prune users whose sockets have all gone away (e.g. evicted while hibernating).
+      const gone = [];
+      for (const { email, result } of results) {
+        if (result.status !== 'fulfilled' || !result.value?.ok) continue;
+        const data = await result.value.json().catch(() => null);
+        if (data && data.subscribed === false) gone.push(email);
+      }
+      if (gone.length) {
+        await this.state.storage.put(
+          'subscribers',
+          subscribers.filter((e) => !gone.includes(e))
+        );
+      }
+      return json({ ok: true, recipients: subscribers.length - gone.length });
+    }
+
+    const recipients = normalizeEmailList(body?.emails);
+    const conversationId = normalizeId(payload?.conversationId);
+    if (conversationId) {
+      const known = normalizeEmailList(await this.state.storage.get('participants'));
+      const fromConversation = normalizeEmailList(payload?.conversation?.participant_emails);
+      const next = fromConversation.length ? fromConversation : normalizeEmailList([...known, ...recipients]);
+      await this.state.storage.put('participants', next);
+    }
+
+    await deliverToUsers(this.env, recipients, { payload });
+    return json({ ok: true, recipients: recipients.length });
+  }
+
+  async handleRoomEvent(request) {
+    const body = await readJson(request);
+    const type = body?.type ? String(body.type) : '';
+    const conversationId = normalizeId(body?.conversationId);
+    const by = normalizeEmail(body?.by);
+    if (!type || !conversationId || !by) return json({ error: 'Invalid event' }, { status: 400 });
+
+    // Only the conversation's participants may emit events into it.
+    const participants = await this.loadParticipants(conversationId, by);
+    if (!participants.includes(by)) return json({ ok: false }, { status: 403 });
+
+    if (type === 'typing') {
+      const others = participants.filter((e) => e !== by);
+      await deliverToUsers(this.env, others, { payload: { type, conversationId, by, ts: Date.now() } });
+      return json({ ok: true });
+    }
+
+    if (type === 'conversation:read') {
+      await deliverToUsers(this.env, participants, { payload: { type, conversationId, by, ts: Date.now() } });
+      return json({ ok: true });
+    }
+
+    if (type === 'message:delivered') {
+      const messageId = normalizeId(body?.messageId);
+      if (!messageId) return json({ error: 'messageId required' }, { status: 400 });
+      const recorded = await callNodeApi(this.env, '/realtime/delivered', {
+        method: 'POST',
+        body: { messageId, email: by },
+      });
+      if (recorded && !recorded.ok) return json({ ok: false });
+      // The API broadcasts recorded receipts to every deployment that publishing reaches;
+      // relay it here when it can't reach this Worker (or isn't configured at all).
+      if (!recorded?.relayed) {
+        await deliverToUsers(this.env, participants, { payload: { type, conversationId, messageId, by } });
+      }
+      return json({ ok: true });
+    }
+
+    return json({ error: 'Unsupported event' }, { status: 400 });
+  }
+
+  // Participants stored by publish, loaded from the API when this room doesn't know them yet
+  // or doesn't know `by` (someone added to a group since).
+  async loadParticipants(conversationId, by) {
+    const known = normalizeEmailList(await this.state.storage.get('participants'));
+    if (known.includes(by)) return known;
+
+    const fetchedAt = Number(await this.state.storage.get('participantsFetchedAt')) || 0;
+    if (known.length && Date.now() - fetchedAt < PARTICIPANTS_REFRESH_MS) return known;
+    await this.state.storage.put('participantsFetchedAt', Date.now());
+
+    const data = await callNodeApi(
+      this.env,
+      `/realtime/conversations/${encodeURIComponent(conversationId)}/participants`
+    );
+    const fresh = normalizeEmailList(data?.participant_emails);
+    if (!fresh.length) return known;
+    await this.state.storage.put('participants', fresh);
+    return fresh;
+  }
+
+  async handleMovementSubscription(request, subscribe) {
+    const body = await readJson(request);
+    const email = normalizeEmail(body?.email);
+    if (!email) return json({ error: 'email required' }, { status: 400 });
+
+    const subscribers = normalizeEmailList(await this.state.storage.get('subscribers'));
+    const has = subscribers.includes(email);
+    if (subscribe && !has) await this.state.storage.put('subscribers', [...subscribers, email]);
+    if (!subscribe && has) await this.state.storage.put('subscribers', subscribers.filter((e) => e !== email));
+    return json({ ok: true });
   }
 }
@@ -1,15 +1,22 @@
 /**
  * Durable Object backing store for generic entity CRUD.
  *
- * This is intentionally simple and mirrors the local stub behavior:
- * - equality-only filtering (where: { field: value })
- * - optional sort (e.g. -created_date)
- * - limit/offset pagination
+ * Mirrors the local dev client (`createPersistentEntityApi` in src/api/dataClient.js); both use
+ * the query engine in src/lib/entityQuery.js, so they return identical results:
+ * - `where` filters with operators ($gt/$lt/$in/$prefix/$contains/...)
+ * - multi-key sort (e.g. "status,-created_date")
+ * - limit/offset pagination, or cursor pagination via `cursor`
  * - optional fields projection
  *
+ * Storage layout: one key per record (`r:<entity>:<id>`) plus secondary index entries
+ * (`i:<entity>:<field>:<value>:<id>`) for the fields declared in ENTITY_INDEXES. Stores written
+ * by the original single-array layout are migrated on first access.
+ *
  * Next step: replace this with Postgres via Hyperdrive.
  */
 
+import { isOperatorObject, newEntityRecord, queryEntities, validateWhere } from '../../src/lib/entityQuery.js';
+
 function json(data, init = {}) {
   const headers = new Headers(init.headers);
   if (!headers.has('content-type')) headers.set('content-type', 'application/json');
@@ -25,82 +32,102 @@ function safeJsonParse(value, fallback) {
   }
 }
 
-function normalizeSort(sort) {
-  if (!sort) return null;
-  const s = String(sort).trim();
-  return s || null;
+// --- Secondary indexes ---
+// Declared per entity type. An index only narrows the candidate set for equality, $eq, $in,
+// $prefix and $contains conditions; candidates are still checked against the full `where`,
+// so adding or removing an index never changes results. Changing this list rebuilds the
+// affected index on next access.
+
+const ENTITY_INDEXES = {
+  Notification: ['recipient_email'],
+  Message: ['conversation_id'],
+  Comment: ['movement_id'],
+  Event: ['movement_id'],
+  EventRSVP: ['event_id', 'user_email'],
+  Petition: ['movement_id'],
+  PetitionSignature: ['petition_id', 'user_email'],
+  Resource: ['movement_id'],
+  MovementTask: ['movement_id'],
+  MovementDiscussion: ['movement_id'],
+  MovementIntensity: ['movement_id'],
+  MovementAnalytics: ['movement_id'],
+  Collaborator: ['movement_id'],
+  Participation: ['user_email'],
+  Report: ['status', 'reporter_email'],
+  HarassmentProtection: ['entity_id'],
+  UserProfile: ['user_email'],
+  UserReportStats: ['user_email'],
+  UserTrustScore: ['user_email'],
+  PlatformAcknowledgment: ['user_email'],
+  User: ['email'],
+};
+
+const STORAGE_BATCH = 128;
+const INDEX_VALUE_MAX = 256;
+const LAYOUT_VERSION = 2;
+
+function recordPrefix(entityName) {
+  return `r:${entityName}:`;
 }
 
-function normalizeFields(fields) {
-  if (!fields) return null;
-  const list = String(fields)
-    .split(',')
-    .map((s) => s.trim())
-    .filter(Boolean);
-  return list.length ? Array.from(new Set(list)) : null;
+function indexPrefix(entityName, field) {
+  return field ? `i:${entityName}:${field}:` : `i:${entityName}:`;
 }
 
-function projectFields(record, fields) {
-  if (!fields) return record;
-  const out = {};
-  const want = new Set(['id', ...fields]);
-  for (const key of want) {
-    if (Object.prototype.hasOwnProperty.call(record, key)) out[key] = record[key];
-  }
-  return out;
+// Strings are lowercased so one index serves both exact and case-insensitive prefix lookups.
+function encodeIndexValue(value) {
+  if (typeof value === 'string') return `s:${value.toLowerCase().slice(0, INDEX_VALUE_MAX)}`;
+  if (typeof value === 'number' && Number.isFinite(value)) return `n:${value}`;
+  if (typeof value === 'boolean') return `b:${value}`;
+  return null;
 }
 
-function sortRecords(records, sort) {
-  const s = normalizeSort(sort);
-  if (!s) return records;
-
-  const desc = s.startsWith('-');
-  const field = desc ? s.slice(1) : s;
-  if (!field) return records;
-
-  const copy = [...records];
-  copy.sort((a, b) => {
-    const av = a?.[field];
-    const bv = b?.[field];
-    if (av == null && bv == null) return 0;
-    if (av == null) return 1;
-    if (bv == null) return -1;
-
-    const an = typeof av === 'number' ? av : Number(av);
-    const bn = typeof bv === 'number' ? bv : Number(bv);
-    if (Number.isFinite(an) && Number.isFinite(bn)) return an - bn;
-
-    const at = (() => {
-      try {
-        const t = new Date(av).getTime();
-        return Number.isFinite(t) ? t : null;
-      } catch {
-        return null;
-      }
-    })();
-    const bt = (() => {
-      try {
-        const t = new Date(bv).getTime();
-        return Number.isFinite(t) ? t : null;
-      } catch {
-        return null;
-      }
-    })();
-    if (at != null && bt != null) return at - bt;
+function indexKeysFor(entityName, fields, record) {
+  const keys = [];
+  for (const field of fields) {
+    const raw = record?.[field];
+    const values = Array.isArray(raw) ? raw : [raw];
+    for (const v of new Set(values)) {
+      const enc = encodeIndexValue(v);
+      if (enc != null) keys.push(`${indexPrefix(entityName, field)}${enc}:${record.id}`);
+    }
+  }
+  return keys;
+}
 
-    return String(av).localeCompare(String(bv));
-  });
+/**
+ * Pick an index lookup for the top-level `where`, or null to fall back to a scan.
+ * Returns a list of storage key prefixes whose entries hold candidate ids.
+ */
+function planIndexLookup(entityName, fields, where) {
+  if (!where || !fields.length) return null;
+  for (const field of fields) {
+    if (!Object.prototype.hasOwnProperty.call(where, field)) continue;
+    const cond = where[field];
+    const base = indexPrefix(entityName, field);
 
-  return desc ? copy.reverse() : copy;
-}
+    let values = null;
+    let prefixMatch = false;
+    if (!isOperatorObject(cond)) {
+      values = [cond];
+    } else if (Object.prototype.hasOwnProperty.call(cond, '$eq')) {
+      values = [cond.$eq];
+    } else if (Array.isArray(cond.$in)) {
+      values = cond.$in;
+    } else if (typeof cond.$prefix === 'string') {
+      values = [cond.$prefix];
+      prefixMatch = true;
+    } else if (Object.prototype.hasOwnProperty.call(cond, '$contains')) {
+      values = Array.isArray(cond.$contains) ? cond.$contains.slice(0, 1) : [cond.$contains];
+    }
+    if (!values) continue;
 
-function matchesWhere(record, where) {
-  if (!where) return true;
-  const entries = Object.entries(where);
-  for (const [k, v] of entries) {
-    if (record?.[k] !== v) return false;
+    const encoded = values.map(encodeIndexValue);
+    if (encoded.some((e) => e == null)) continue;
+    // Truncated values can only be matched by prefix; the full filter runs afterwards.
+    return encoded.map((e) => (prefixMatch || e.length >= INDEX_VALUE_MAX + 2 ? `${base}${e}` : `${base}${e}:`));
   }
-  return true;
+  return null;
 }
 
 function newId() {
@@ -116,6 +143,92 @@ export class EntityStore {
   constructor(state, env) {
     this.state = state;
     this.env = env;
+    this.readyEntities = new Set();
+  }
+
+  indexedFields(entityName) {
+    const list = ENTITY_INDEXES[entityName];
+    return Array.isArray(list) ? list : [];
+  }
+
+  async deletePrefix(prefix) {
+    const entries = await this.state.storage.list({ prefix });
+    const keys = Array.from(entries.keys());
+    for (let i = 0; i < keys.length; i += STORAGE_BATCH) {
+      await this.state.storage.delete(keys.slice(i, i + STORAGE_BATCH));
+    }
+  }
+
+  async putRecordWithIndexes(entityName, record) {
+    const entries = { [`${recordPrefix(entityName)}${record.id}`]: record };
+    for (const key of indexKeysFor(entityName, this.indexedFields(entityName), record)) entries[key] = record.id;
+    const keys = Object.keys(entries);
+    for (let i = 0; i < keys.length; i += STORAGE_BATCH) {
+      const batch = {};
+      for (const k of keys.slice(i, i + STORAGE_BATCH)) batch[k] = entries[k];
+      await this.state.storage.put(batch);
+    }
+  }
+
+  async deleteIndexes(entityName, record) {
+    const keys = indexKeysFor(entityName, this.indexedFields(entityName), record);
+    for (let i = 0; i < keys.length; i += STORAGE_BATCH) {
+      await this.state.storage.delete(keys.slice(i, i + STORAGE_BATCH));
+    }
+  }
+
+  /**
+   * Migrate the legacy single-array layout and (re)build indexes whose declaration changed.
+   */
+  async ensureEntityReady(entityName) {
+    if (this.readyEntities.has(entityName)) return;
+    await this.state.blockConcurrencyWhile(() => this.prepareEntity(entityName));
+  }
+
+  async prepareEntity(entityName) {
+    if (this.readyEntities.has(entityName)) return;
+
+    const metaKey = `meta:${entityName}`;
+    const fields = this.indexedFields(entityName);
+    const meta = (await this.state.storage.get(metaKey)) || null;
+
+    if (!meta || meta.version !== LAYOUT_VERSION) {
+      const legacyKey = `entities:${entityName}:records`;
+      const legacy = (await this.state.storage.get(legacyKey)) || [];
+      for (const record of legacy) {
+        if (record?.id) await this.putRecordWithIndexes(entityName, record);
+      }
+      await this.state.storage.delete(legacyKey);
+    } else if (JSON.stringify(meta.indexes || []) !== JSON.stringify(fields)) {
+      await this.deletePrefix(indexPrefix(entityName));
+      const records = await this.state.storage.list({ prefix: recordPrefix(entityName) });
+      for (const record of records.values()) await this.putRecordWithIndexes(entityName, record);
+    }
+
+    await this.state.storage.put(metaKey, { version: LAYOUT_VERSION, indexes: fields });
+    this.readyEntities.add(entityName);
+  }
+
+  async loadCandidates(entityName, where) {
+    const prefixes = planIndexLookup(entityName, this.indexedFields(entityName), where);
+    if (!prefixes) {
+      const all = await this.state.storage.list({ prefix: recordPrefix(entityName) });
+      return Array.from(all.values());
+    }
+
+    const ids = new Set();
+    for (const prefix of prefixes) {
+      const entries = await this.state.storage.list({ prefix });
+      for (const id of entries.values()) ids.add(id);
+    }
+
+    const keys = Array.from(ids, (id) => `${recordPrefix(entityName)}${id}`);
+    const records = [];
+    for (let i = 0; i < keys.length; i += STORAGE_BATCH) {
+      const found = await this.state.storage.get(keys.slice(i, i + STORAGE_BATCH));
+      for (const record of found.values()) records.push(record);
+    }
+    return records;
   }
 
   async fetch(request) {
@@ -133,35 +246,37 @@ export class EntityStore {
     const id = parts[2] || null;
     if (!entityName) return json({ error: 'Missing entity name' }, { status: 400 });
 
-    const storageKey = `entities:${entityName}:records`;
-    const records = (await this.state.storage.get(storageKey)) || [];
+    await this.ensureEntityReady(entityName);
+    const recordKey = (recordId) => `${recordPrefix(entityName)}${recordId}`;
 
     if (request.method === 'GET') {
-      const where = safeJsonParse(url.searchParams.get('where'), null);
-      const sort = url.searchParams.get('sort');
-      const limitRaw = url.searchParams.get('limit');
-      const offsetRaw = url.searchParams.get('offset');
-      const fields = normalizeFields(url.searchParams.get('fields'));
-
-      const limit = Number.isFinite(Number(limitRaw)) ? Math.max(0, Number(limitRaw)) : null;
-      const offset = Number.isFinite(Number(offsetRaw)) ? Math.max(0, Number(offsetRaw)) : 0;
+      const whereRaw = url.searchParams.get('where');
+      const where = safeJsonParse(whereRaw, null);
+      if (whereRaw && where == null) return json({ error: 'Invalid where' }, { status: 400 });
+      const whereError = validateWhere(where);
+      if (whereError) return json({ error: whereError }, { status: 400 });
 
-      const filtered = records.filter((r) => matchesWhere(r, where));
-      const sorted = sortRecords(filtered, sort);
-      const sliced = limit != null ? sorted.slice(offset, offset + limit) : sorted.slice(offset);
-      const projected = fields ? sliced.map((r) => projectFields(r, fields)) : sliced;
+      const candidates = await this.loadCandidates(entityName, where);
+      const result = queryEntities(candidates, {
+        where,
+        sort: url.searchParams.get('sort'),
+        limit: url.searchParams.get('limit'),
+        offset: url.searchParams.get('offset'),
+        cursor: url.searchParams.has('cursor') ? url.searchParams.get('cursor') : null,
+        fields: url.searchParams.get('fields'),
+      });
 
-      return json(projected);
+      if (result?.error) return json({ error: result.error }, { status: 400 });
+      return json(result);
     }
 
     if (request.method === 'POST') {
       const body = await request.json().catch(() => ({}));
-      const record = { ...body };
-      if (!record.id) record.id = newId();
-      if (!record.created_date) record.created_date = new Date().toISOString();
+      const record = newEntityRecord(body, newId);
 
-      const next = [...records, record];
-      await this.state.storage.put(storageKey, next);
+      const existing = await this.state.storage.get(recordKey(record.id));
+      if (existing) await this.deleteIndexes(entityName, existing);
+      await this.putRecordWithIndexes(entityName, record);
       return json(record, { status: 201 });
     }
 
@@ -169,22 +284,22 @@ export class EntityStore {
       if (!id) return json({ error: 'Missing id' }, { status: 400 });
       const patch = await request.json().catch(() => ({}));
 
-      let updated = null;
-      const next = records.map((r) => {
-        if (r?.id !== id) return r;
-        updated = { ...r, ...patch, id };
-        return updated;
-      });
+      const existing = await this.state.storage.get(recordKey(id));
+      if (!existing) return json({ error: 'Not Found' }, { status: 404 });
 
-      if (!updated) return json({ error: 'Not Found' }, { status: 404 });
-      await this.state.storage.put(storageKey, next);
+      const updated = { ...existing, ...patch, id };
+      await this.deleteIndexes(entityName, existing);
+      await this.putRecordWithIndexes(entityName, updated);
       return json(updated);
     }
 
     if (request.method === 'DELETE') {
       if (!id) return json({ error: 'Missing id' }, { status: 400 });
-      const next = records.filter((r) => r?.id !== id);
-      await this.state.storage.put(storageKey, next);
+      const existing = await this.state.storage.get(recordKey(id));
+      if (existing) {
+        await this.deleteIndexes(entityName, existing);
+        await this.state.storage.delete(recordKey(id));
+      }
       return json({ ok: true });
     }
 
@@ -1,3 +1,5 @@
+import { chatStub, postToChat } from './chatRoom.js';
+
 export { ChatRoom } from './chatRoom.js';
 export { EntityStore } from './entityStore.js';
 
@@ -5,8 +7,45 @@ export { EntityStore } from './entityStore.js';
  * Minimal Cloudflare Workers entry.
  *
  * This is a scaffold to begin moving off the local/stub data layer and the Node server.
- * It intentionally exposes only a simple health route and a WebSocket upgrade path placeholder.
+ * Realtime messaging is served here: `/ws` (and `/ws/chat`) upgrades are authenticated and handed
+ * to the user's ChatRoom instance; the Node API mirrors new events in via `POST /realtime/publish`.
+ */
+
+/**
+ * Resolve the caller's email from a Supabase access token.
+ * With APP_ENV = "dev" (wrangler dev / Miniflare) a `dev:<email>` token is accepted as-is.
  */
+async function authenticateToken(env, token) {
+  const clean = token ? String(token).trim() : '';
+  if (!clean) return null;
+
+  if (env.APP_ENV === 'dev' && clean.startsWith('dev:')) {
+    const email = clean.slice(4).trim().toLowerCase();
+    return email.includes('@') ? email : null;
+  }
+
+  const supabaseUrl = String(env.SUPABASE_URL || '').replace(/\/$/, '');
+  if (!supabaseUrl || !env.SUPABASE_ANON_KEY) return null;
+
+  try {
+    const res = await fetch(`${supabaseUrl}/auth/v1/user`, {
+      headers: { apikey: env.SUPABASE_ANON_KEY, authorization: `Bearer ${clean}` },
+    });
+    if (!res.ok) return null;
+    const user = await res.json();
+    const email = user?.email ? String(user.email).trim().toLowerCase() : '';
+    return email || null;
+  } catch {
+    return null;
+  }
+}
+
+function isPublisherAuthorized(request, env) {
+  const secret = env.REALTIME_PUBLISH_SECRET ? String(env.REALTIME_PUBLISH_SECRET) : '';
+  if (!secret) return false;
+  const header = request.headers.get('authorization') || '';
+  return header === `Bearer ${secret}`;
+}
 
 export default {
   async fetch(request, _env, _ctx) {
@@ -56,20 +95,73 @@ export default {
     }
 
     // Integrations (placeholders; wire to real providers later).
+    // LLM calls are served by the Node API (provider config, per-user quotas, cache).
     if (url.pathname === '/api/integrations/core/invoke-llm' && request.method === 'POST') {
-      return json({
-        text: '',
-        choices: [{ message: { content: 'Stubbed response from Cloudflare Worker.' } }],
+      const origin = String(env.NODE_API_ORIGIN || '').replace(/\/$/, '');
+      if (!origin) return json({ error: 'AI features are not configured' }, { status: 503 });
+
+      const res = await fetch(`${origin}/integrations/llm`, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          authorization: request.headers.get('authorization') || '',
+        },
+        body: await request.text(),
       });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) return json(data || { error: 'AI request failed' }, { status: res.status });
+      return json(data?.result ?? null);
     }
 
     if (url.pathname === '/api/integrations/core/upload-file' && request.method === 'POST') {
       return json({ file_url: null });
     }
 
-    // Placeholder for chat upgrade. Real routing will be added during migration.
-    if (url.pathname.startsWith('/ws/chat')) {
-      return new Response('Not implemented', { status: 501 });
+    // Realtime messaging. Same protocol as the Node server's `/ws` (see chatRoom.js).
+    if (url.pathname === '/ws' || url.pathname === '/ws/chat') {
+      if (String(request.headers.get('upgrade') || '').toLowerCase() !== 'websocket') {
+        return new Response('Expected WebSocket upgrade', { status: 426 });
+      }
+
+      const email = await authenticateToken(env, url.searchParams.get('access_token'));
+      if (!email) return new Response('Unauthorized', { status: 401 });
+
+      // Rebuild headers so a client can never supply its own identity.
+      const headers = new Headers(request.headers);
+      headers.set('x-pp-user-email', email);
+      return chatStub(env, `user:${email}`).fetch('https://chat.internal/connect', { headers });
+    }
+
+    // Server-to-server fan-out from the Node API: { emails, payload } or { movementId, payload }.
+    if (url.pathname === '/realtime/publish' && request.method === 'POST') {
+      if (!isPublisherAuthorized(request, env)) return json({ error: 'Unauthorized' }, { status: 401 });
+
+      let body = null;
+      try {
+        body = await request.json();
+      } catch {
+        return json({ error: 'Invalid payload' }, { status: 400 });
+      }
+      const payload = body?.payload && typeof body.payload === 'object' ? body.payload : null;
+      if (!payload) return json({ error: 'Invalid payload' }, { status: 400 });
+
+      const movementId = body?.movementId ? String(body.movementId).trim() : '';
+      const conversationId = payload?.conversationId ? String(payload.conversationId).trim() : '';
+      const emails = Array.isArray(body?.emails) ? body.emails : [];
+
+      let res;
+      if (movementId) {
+        res = await postToChat(env, `movement:${movementId}`, '/room/publish', { movementId, payload });
+      } else if (conversationId) {
+        res = await postToChat(env, `conversation:${conversationId}`, '/room/publish', { emails, payload });
+      } else {
+        // Not tied to a room (e.g. notifications): deliver straight to each user.
+        await Promise.allSettled(
+          emails.map((email) => postToChat(env, `user:${String(email).trim().toLowerCase()}`, '/deliver', { payload }))
+        );
+        return json({ ok: true, recipients: emails.length });
+      }
+      return json(await res.json(), { status: res.status });
     }
 
     return new Response('Not Found', { status: 404 });
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Local stand-in for APNs (cleartext HTTP/2) for exercising the push pipeline without Apple.
+//
+//   node scripts/mock-apns.mjs            # prints the env lines to give the server
+//
+// It generates a throwaway signing key, checks every request's provider token against it
+// and logs the push. Device tokens starting with "bad" get 400 BadDeviceToken and ones
+// starting with "gone" get 410 Unregistered, so token pruning can be tried out too.
+import http2 from 'node:http2';
+import { generateKeyPairSync, randomUUID, verify } from 'node:crypto';
+
+const PORT = Number(process.env.MOCK_APNS_PORT || 2197);
+const KEY_ID = 'MOCKKEY001';
+const TEAM_ID = 'MOCKTEAM01';
+
+const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+function log(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+function decodePart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+function checkProviderToken(authorization) {
+  const token = String(authorization || '').replace(/^bearer\s+/i, '');
+  const [header, claims, signature] = token.split('.');
+  if (!header || !claims || !signature) return 'MissingProviderToken';
+  try {
+    const h = decodePart(header);
+    const c = decodePart(claims);
+    if (h.alg !== 'ES256' || h.kid !== KEY_ID || c.iss !== TEAM_ID) return 'InvalidProviderToken';
+    const ok = verify('sha256', Buffer.from(`${header}.${claims}`), { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'));
+    return ok ? null : 'InvalidProviderToken';
+  } catch {
+    return 'InvalidProviderToken';
+  }
+}
+
+function respond(stream, status, reason = null) {
+  stream.respond({ ':status': status, 'apns-id': randomUUID(), ...(reason ? { 'content-type': 'application/json' } : {}) });
+  stream.end(reason ? JSON.stringify({ reason, ...(status === 410 ? { timestamp: Date.now() } : {}) }) : undefined);
+}
+
+const server = http2.createServer();
+server.on('stream', (stream, headers) => {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  stream.on('end', () => {
+    const path = String(headers[':path'] || '');
+    const match = /^\/3\/device\/([^/?]+)$/.exec(path);
+    if (headers[':method'] !== 'POST' || !match) return respond(stream, 404, 'BadPath');
+    const tokenError = checkProviderToken(headers.authorization);
+    if (tokenError) return respond(stream, 403, tokenError);
+    if (!headers['apns-topic']) return respond(stream, 400, 'MissingTopic');
+
+    const deviceToken = decodeURIComponent(match[1]);
+    let payload = null;
+    try {
+      payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+      return respond(stream, 400, 'PayloadEmpty');
+    }
+    const collapse = headers['apns-collapse-id'] ? ` collapse=${headers['apns-collapse-id']}` : '';
+    log(`[mock-apns] ${deviceToken.slice(0, 12)}… topic=${headers['apns-topic']}${collapse} ${JSON.stringify(payload)}`);
+
+    if (deviceToken.startsWith('bad')) return respond(stream, 400, 'BadDeviceToken');
+    if (deviceToken.startsWith('gone')) return respond(stream, 410, 'Unregistered');
+    return respond(stream, 200);
+  });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  log(`[mock-apns] listening on http://127.0.0.1:${PORT}`);
+  log('[mock-apns] start the server with:');
+  log(`  APNS_ORIGIN=http://127.0.0.1:${PORT}`);
+  log(`  APNS_KEY_ID=${KEY_ID}`);
+  log(`  APNS_TEAM_ID=${TEAM_ID}`);
+  log(`  APNS_PRIVATE_KEY="${pem.trim().replace(/\n/g, '\\n')}"`);
+});
@@ -25,6 +25,7 @@ const AdminDashboard = React.lazy(() => import('@/pages/AdminDashboard'));
 const AdminReports = React.lazy(() => import('@/pages/AdminReports'));
 const AdminChallenges = React.lazy(() => import('@/pages/AdminChallenges'));
 const AdminIncidentLog = React.lazy(() => import('@/pages/AdminIncidentLog'));
+const AdminTrustScores = React.lazy(() => import('@/pages/AdminTrustScores'));
 const CommunityHealth = React.lazy(() => import('@/pages/CommunityHealth'));
 const FeatureFlags = React.lazy(() => import('@/pages/FeatureFlags'));
 const ResearchConfig = React.lazy(() => import('@/pages/ResearchConfig'));
@@ -175,6 +176,7 @@ export default function App() {
                 <Route element={<RequireAdmin />}>
                   <Route path="/admin-reports" element={<AdminReports />} />
                   <Route path="/admin-incident-log" element={<AdminIncidentLog />} />
+                  <Route path="/admin-trust-scores" element={<AdminTrustScores />} />
                 </Route>
 
                 <Route path="/user-profile" element={<UserProfile />} />
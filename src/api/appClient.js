@@ -13,6 +13,7 @@ import {
 } from './dataClient';
 
 import { httpFetch } from '@/utils/httpFetch';
+import { invokeLLM } from './llmClient';
 
 // IMPORTANT: Many legacy REST clients in this repo already use VITE_API_BASE_URL
 // (pointing at the Fastify server). To avoid accidentally switching the entire
@@ -77,6 +78,7 @@ function createRemoteEntities(baseUrl) {
 						if (sort) params.set('sort', String(sort));
 						if (opts?.limit != null) params.set('limit', String(opts.limit));
 						if (opts?.offset != null) params.set('offset', String(opts.offset));
+						if (opts?.cursor != null) params.set('cursor', String(opts.cursor));
 						if (opts?.fields) params.set('fields', Array.isArray(opts.fields) ? opts.fields.join(',') : String(opts.fields));
 						const qs = params.toString();
 						return httpJson(baseUrl, `/api/entities/${encodeURIComponent(entityName)}${qs ? `?${qs}` : ''}`, {
@@ -90,6 +92,7 @@ function createRemoteEntities(baseUrl) {
 						if (sort) params.set('sort', String(sort));
 						if (opts?.limit != null) params.set('limit', String(opts.limit));
 						if (opts?.offset != null) params.set('offset', String(opts.offset));
+						if (opts?.cursor != null) params.set('cursor', String(opts.cursor));
 						if (opts?.fields) params.set('fields', Array.isArray(opts.fields) ? opts.fields.join(',') : String(opts.fields));
 						const qs = params.toString();
 						return httpJson(baseUrl, `/api/entities/${encodeURIComponent(entityName)}${qs ? `?${qs}` : ''}`, {
@@ -220,9 +223,23 @@ const prodBlockedReason =
 export const auth = remote?.auth ?? localAuth;
 export const entities =
 	remote?.entities ?? (IS_PROD ? createBlockedEntities(prodBlockedReason) : localEntities);
-export const integrations =
+const baseIntegrations =
 	remote?.integrations ?? (IS_PROD ? createBlockedIntegrations(prodBlockedReason) : localIntegrations);
 
+// InvokeLLM always goes to the Node API (`/integrations/llm`), whichever backend serves
+// entities: that is where provider config, per-user quotas and the response cache live.
+// Resolves to the parsed JSON (when `response_json_schema` is given) or the text.
+export const integrations = {
+	...baseIntegrations,
+	Core: {
+		...baseIntegrations.Core,
+		InvokeLLM: async (payload) => {
+			const data = await invokeLLM(payload);
+			return data?.result ?? null;
+		},
+	},
+};
+
 export const app = { auth, entities, integrations };
 
 export default app;
@@ -0,0 +1,137 @@
+/**
+ * Moderation appeals API client (Node backend).
+ *
+ * Endpoints (see Server/index.js):
+ * - POST /reports/:id/appeals          -> { appeal: Appeal } (affected account only, once per report)
+ * - GET  /me/appeals                   -> { appeals: Appeal[] } (with event trail)
+ * - GET  /admin/appeals                -> { appeals: Appeal[], counts, overdue, sla_hours } (staff)
+ * - POST /admin/appeals/:id/claim      -> { appeal: Appeal } (staff; not the original moderator)
+ * - POST /admin/appeals/:id/decision   -> { appeal: Appeal } (staff; not the original moderator)
+ *
+ * @typedef {'submitted'|'under_review'|'upheld'|'overturned'} AppealStatus
+ *
+ * @typedef {Object} AppealEvent
+ * @property {string} id
+ * @property {'submitted'|'review_started'|'decided'|string} event_type
+ * @property {AppealStatus|null} from_status
+ * @property {AppealStatus|null} to_status
+ * @property {string|null} note
+ * @property {string|null} created_at
+ * @property {string|null} [actor_email] Staff views only.
+ *
+ * @typedef {Object} Appeal
+ * @property {string} id
+ * @property {string} report_id
+ * @property {string} appeal_reason
+ * @property {string[]} additional_evidence
+ * @property {AppealStatus} status
+ * @property {string|null} original_action_taken
+ * @property {string|null} reviewer_notes
+ * @property {string|null} sla_due_at
+ * @property {boolean} sla_breached
+ * @property {string|null} first_response_at
+ * @property {string|null} decided_at
+ * @property {string|null} created_at
+ * @property {AppealEvent[]} [events]
+ * @property {string|null} [appellant_email] Staff views only.
+ * @property {string|null} [original_moderator_email] Staff views only.
+ * @property {string|null} [reviewer_email] Staff views only.
+ */
+
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+
+const BASE_URL = SERVER_BASE;
+
+function normalizeId(value) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  return s ? s : null;
+}
+
+function base() {
+  return String(BASE_URL || '').replace(/\/$/, '');
+}
+
+async function safeReadJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+async function authedFetch(url, { accessToken, method = 'GET', body } = {}) {
+  if (!accessToken) throw new Error('Authentication required');
+
+  const headers = { Accept: 'application/json', Authorization: `Bearer ${String(accessToken)}` };
+  if (body != null) headers['Content-Type'] = 'application/json';
+
+  const res = await httpFetch(url, {
+    method,
+    cache: 'no-store',
+    headers,
+    body: body != null ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = data && (data.error || data.message) ? String(data.error || data.message) : `Request failed: ${res.status}`;
+    const err = new Error(msg);
+    err.status = res.status;
+    throw err;
+  }
+
+  return data;
+}
+
+export async function submitAppeal(reportId, { appealReason, additionalEvidence = [] } = {}, { accessToken } = {}) {
+  const id = normalizeId(reportId);
+  if (!id) throw new Error('Report ID is required');
+  const url = `${base()}/reports/${encodeURIComponent(id)}/appeals`;
+  const data = await authedFetch(url, {
+    method: 'POST',
+    accessToken,
+    body: { appeal_reason: String(appealReason || ''), additional_evidence: additionalEvidence },
+  });
+  return data?.appeal ?? null;
+}
+
+export async function listMyAppeals({ accessToken } = {}) {
+  const data = await authedFetch(`${base()}/me/appeals`, { accessToken });
+  return Array.isArray(data?.appeals) ? data.appeals : [];
+}
+
+export async function listAdminAppeals({ status = 'open', overdue = false } = {}, { accessToken } = {}) {
+  const params = new URLSearchParams();
+  if (status) params.set('status', String(status));
+  if (overdue) params.set('overdue', '1');
+  const data = await authedFetch(`${base()}/admin/appeals?${params.toString()}`, { accessToken });
+  return {
+    appeals: Array.isArray(data?.appeals) ? data.appeals : [],
+    counts: data?.counts && typeof data.counts === 'object' ? data.counts : {},
+    overdue: Number(data?.overdue) || 0,
+    slaHours: Number(data?.sla_hours) || null,
+  };
+}
+
+export async function claimAppeal(appealId, { accessToken } = {}) {
+  const id = normalizeId(appealId);
+  if (!id) throw new Error('Appeal ID is required');
+  const data = await authedFetch(`${base()}/admin/appeals/${encodeURIComponent(id)}/claim`, {
+    method: 'POST',
+    accessToken,
+  });
+  return data?.appeal ?? null;
+}
+
+export async function decideAppeal(appealId, { decision, reviewerNotes } = {}, { accessToken } = {}) {
+  const id = normalizeId(appealId);
+  if (!id) throw new Error('Appeal ID is required');
+  const data = await authedFetch(`${base()}/admin/appeals/${encodeURIComponent(id)}/decision`, {
+    method: 'POST',
+    accessToken,
+    body: { decision, reviewer_notes: reviewerNotes || null },
+  });
+  return data?.appeal ?? null;
+}
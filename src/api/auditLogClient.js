@@ -0,0 +1,115 @@
+/**
+ * Moderator audit log API client (Node backend).
+ *
+ * Endpoints (see Server/index.js):
+ * - GET /admin/audit-log                 -> { items: AuditEntry[], limit, offset, has_more } (staff; moderators see only their own)
+ * - GET /admin/audit-log?format=csv|json -> file download (up to 5000 rows, same filters)
+ * - GET /admin/audit-log/verify          -> AuditChainStatus (admin)
+ *
+ * Entries are written server-side only; there is no create endpoint.
+ *
+ * @typedef {Object} AuditEntry
+ * @property {number} seq
+ * @property {string} id
+ * @property {string} created_at
+ * @property {string} moderator_email
+ * @property {string} action_type
+ * @property {string|null} target_content_type
+ * @property {string|null} target_content_id
+ * @property {Record<string, any>} details
+ * @property {string|null} ip_address
+ * @property {string} prev_hash
+ * @property {string} entry_hash
+ *
+ * @typedef {Object} AuditChainStatus
+ * @property {boolean} ok
+ * @property {number} checked
+ * @property {{ seq: number, entry_hash: string }|null} head
+ * @property {{ seq: number, reason: 'missing_entries'|'unexpected_seq'|'prev_hash_mismatch'|'entry_hash_mismatch' }|null} broken
+ *
+ * @typedef {Object} AuditLogFilters
+ * @property {string} [moderatorEmail]
+ * @property {string} [actionType]
+ * @property {string} [targetContentType]
+ * @property {string} [targetContentId]
+ * @property {string} [since] ISO date
+ * @property {string} [until] ISO date
+ */
+
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+
+const BASE_URL = SERVER_BASE;
+
+function base() {
+  return String(BASE_URL || '').replace(/\/$/, '');
+}
+
+async function safeReadJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+function buildFilterParams(filters = {}) {
+  const params = new URLSearchParams();
+  if (filters.moderatorEmail) params.set('moderator_email', String(filters.moderatorEmail).trim().toLowerCase());
+  if (filters.actionType) params.set('action_type', String(filters.actionType));
+  if (filters.targetContentType) params.set('target_content_type', String(filters.targetContentType));
+  if (filters.targetContentId) params.set('target_content_id', String(filters.targetContentId));
+  if (filters.since) params.set('since', String(filters.since));
+  if (filters.until) params.set('until', String(filters.until));
+  return params;
+}
+
+async function authedGet(url, accessToken) {
+  if (!accessToken) throw new Error('Authentication required');
+  const res = await httpFetch(url, {
+    method: 'GET',
+    cache: 'no-store',
+    headers: { Authorization: `Bearer ${String(accessToken)}` },
+  });
+  if (!res.ok) {
+    const data = await safeReadJson(res);
+    const msg = data && (data.error || data.message) ? String(data.error || data.message) : `Request failed: ${res.status}`;
+    const err = new Error(msg);
+    err.status = res.status;
+    throw err;
+  }
+  return res;
+}
+
+/**
+ * @param {AuditLogFilters & { limit?: number, offset?: number }} filters
+ */
+export async function listAuditLog(filters = {}, { accessToken } = {}) {
+  const params = buildFilterParams(filters);
+  if (filters.limit != null) params.set('limit', String(filters.limit));
+  if (filters.offset != null) params.set('offset', String(filters.offset));
+  const res = await authedGet(`${base()}/admin/audit-log?${params.toString()}`, accessToken);
+  const data = await safeReadJson(res);
+  return {
+    items: Array.isArray(data?.items) ? data.items : [],
+    hasMore: !!data?.has_more,
+  };
+}
+
+/**
+ * Download the filtered log as a file. Returns the Blob; callers trigger the save.
+ *
+ * @param {'csv'|'json'} format
+ * @param {AuditLogFilters} filters
+ */
+export async function exportAuditLog(format, filters = {}, { accessToken } = {}) {
+  const params = buildFilterParams(filters);
+  params.set('format', format === 'csv' ? 'csv' : 'json');
+  const res = await authedGet(`${base()}/admin/audit-log?${params.toString()}`, accessToken);
+  return res.blob();
+}
+
+export async function verifyAuditLog({ accessToken } = {}) {
+  const res = await authedGet(`${base()}/admin/audit-log/verify`, accessToken);
+  return safeReadJson(res);
+}
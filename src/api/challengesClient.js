@@ -76,3 +76,46 @@ export async function archiveAdminChallenge(id, accessToken) {
   }
   return body;
 }
+
+export async function fetchAdminChallengeCompletions({ userEmail, challengeId, includeRevoked = false } = {}, accessToken) {
+  const params = new URLSearchParams();
+  if (userEmail) params.set('user_email', String(userEmail).trim().toLowerCase());
+  if (challengeId) params.set('challenge_id', String(challengeId));
+  if (includeRevoked) params.set('include_revoked', 'true');
+  const qs = params.toString();
+  const url = `${BASE_URL.replace(/\/$/, '')}/admin/challenge-completions${qs ? `?${qs}` : ''}`;
+  const res = await httpFetch(url, {
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      Authorization: `Bearer ${accessToken}`,
+    },
+  });
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = body && typeof body === 'object' && (body.error || body.message) ? String(body.error || body.message) : 'Failed to load completions';
+    throw new Error(msg);
+  }
+  return Array.isArray(body?.completions) ? body.completions : [];
+}
+
+// Reverses a fraudulent completion: its points (and streak bonus) are taken back in the ledger.
+export async function revokeChallengeCompletion(id, reason, accessToken) {
+  const url = `${BASE_URL.replace(/\/$/, '')}/admin/challenge-completions/${encodeURIComponent(String(id))}/revoke`;
+  const res = await httpFetch(url, {
+    method: 'POST',
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`,
+    },
+    body: JSON.stringify({ reason: String(reason || '') }),
+  });
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = body && typeof body === 'object' && (body.error || body.message) ? String(body.error || body.message) : 'Failed to revoke completion';
+    throw new Error(msg);
+  }
+  return body;
+}
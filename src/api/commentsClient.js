@@ -53,7 +53,9 @@ export async function fetchMovementCommentsCount(movementId, options) {
   return Number.isFinite(count) ? count : 0;
 }
 
-export async function fetchMovementCommentsPage(movementId, { limit = 20, offset = 0, fields, accessToken } = {}) {
+// Threaded by default: top-level comments newest first, or one comment's replies oldest
+// first when `parentId` is set. Pass `view: 'flat'` for every comment newest first.
+export async function fetchMovementCommentsPage(movementId, { limit = 20, offset = 0, fields, parentId, view, accessToken } = {}) {
   const id = normalizeId(movementId);
   if (!id) throw new Error('Movement ID is required');
 
@@ -61,6 +63,8 @@ export async function fetchMovementCommentsPage(movementId, { limit = 20, offset
   if (typeof limit === 'number') params.set('limit', String(limit));
   if (typeof offset === 'number') params.set('offset', String(offset));
   if (Array.isArray(fields) && fields.length) params.set('fields', fields.join(','));
+  if (normalizeId(parentId)) params.set('parent_id', normalizeId(parentId));
+  if (view) params.set('view', String(view));
 
   const url = `${BASE_URL.replace(/\/$/, '')}/movements/${encodeURIComponent(id)}/comments${params.toString() ? `?${params.toString()}` : ''}`;
   const res = await httpFetch(url, {
@@ -127,6 +131,7 @@ export async function createMovementComment(movementId, content, options) {
 
   const accessToken = options?.accessToken ? String(options.accessToken) : null;
   const idempotencyKey = options?.idempotencyKey ? String(options.idempotencyKey) : '';
+  const parentId = normalizeId(options?.parentId);
   if (!accessToken) throw new Error('Authentication required');
 
   const text = String(content ?? '').trim();
@@ -142,7 +147,7 @@ export async function createMovementComment(movementId, content, options) {
       Authorization: `Bearer ${accessToken}`,
       ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
     },
-    body: JSON.stringify({ content: text }),
+    body: JSON.stringify({ content: text, ...(parentId ? { parent_id: parentId } : {}) }),
   });
 
   const body = await safeReadJson(res);
@@ -152,3 +157,96 @@ export async function createMovementComment(movementId, content, options) {
 
   return body?.comment ?? body;
 }
+
+async function commentRequest(movementId, commentId, suffix, { method = 'GET', body, accessToken, fallbackMessage } = {}) {
+  const id = normalizeId(movementId);
+  const cid = normalizeId(commentId);
+  if (!id || !cid) throw new Error('Comment ID is required');
+
+  const url = `${BASE_URL.replace(/\/$/, '')}/movements/${encodeURIComponent(id)}/comments/${encodeURIComponent(cid)}${suffix}`;
+  const res = await httpFetch(url, {
+    method,
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(accessToken ? { Authorization: `Bearer ${String(accessToken)}` } : {}),
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+  });
+
+  const data = await safeReadJson(res);
+  if (!res.ok) {
+    throw toApiError(res, data, `${fallbackMessage}: ${res.status}`);
+  }
+  return data && typeof data === 'object' ? data : {};
+}
+
+function requireToken(options) {
+  const accessToken = options?.accessToken ? String(options.accessToken) : null;
+  if (!accessToken) throw new Error('Authentication required');
+  return accessToken;
+}
+
+export async function editMovementComment(movementId, commentId, content, options) {
+  const text = String(content ?? '').trim();
+  if (!text) throw new Error('Comment cannot be empty');
+  const data = await commentRequest(movementId, commentId, '', {
+    method: 'PATCH',
+    body: { content: text },
+    accessToken: requireToken(options),
+    fallbackMessage: 'Failed to edit comment',
+  });
+  return data?.comment ?? null;
+}
+
+export async function deleteMovementComment(movementId, commentId, options) {
+  const data = await commentRequest(movementId, commentId, '', {
+    method: 'DELETE',
+    accessToken: requireToken(options),
+    fallbackMessage: 'Failed to delete comment',
+  });
+  return data?.comment ?? null;
+}
+
+export async function fetchMovementCommentEdits(movementId, commentId, options) {
+  const data = await commentRequest(movementId, commentId, '/edits', {
+    accessToken: options?.accessToken,
+    fallbackMessage: 'Failed to load edit history',
+  });
+  return Array.isArray(data?.edits) ? data.edits : [];
+}
+
+/** Toggle the viewer's reaction. Resolves to { reactions: Record<emoji, count>, my_reactions: string[] }. */
+export async function toggleMovementCommentReaction(movementId, commentId, emoji, options) {
+  return commentRequest(movementId, commentId, '/reactions', {
+    method: 'POST',
+    body: { emoji: String(emoji || '') },
+    accessToken: requireToken(options),
+    fallbackMessage: 'Failed to react',
+  });
+}
+
+// Movement owner / staff only. `lockComments` and `slowModeSeconds` update the movement's
+// comment settings in the same request.
+export async function hideMovementComment(movementId, commentId, { reason, lockComments, slowModeSeconds } = {}, options) {
+  return commentRequest(movementId, commentId, '/hide', {
+    method: 'POST',
+    body: {
+      reason: String(reason || '').trim(),
+      ...(lockComments ? { lock_comments: true } : {}),
+      ...(typeof slowModeSeconds === 'number' ? { slow_mode_seconds: slowModeSeconds } : {}),
+    },
+    accessToken: requireToken(options),
+    fallbackMessage: 'Failed to hide comment',
+  });
+}
+
+export async function unhideMovementComment(movementId, commentId, options) {
+  const data = await commentRequest(movementId, commentId, '/hide', {
+    method: 'DELETE',
+    accessToken: requireToken(options),
+    fallbackMessage: 'Failed to unhide comment',
+  });
+  return data?.comment ?? null;
+}
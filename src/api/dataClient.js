@@ -1,12 +1,14 @@
 // Crash-proof local fallback client.
 // Guarantees:
 // - exports: auth, entities, integrations
-// - all methods exist, never throw, never hit network
-// - return safe defaults (null/{} /[])
+// - all methods exist, never hit network
+// - return safe defaults (null/{} /[]); only malformed entity queries throw, like the Worker
 //
 // Additionally, entities are persisted locally (localStorage when available,
 // with an in-memory fallback) so onboarding/tutorial flows can complete.
 
+import { newEntityRecord, queryEntities } from '@/lib/entityQuery';
+
 // Use structured logging for warnings if needed in the future
 const warn = (..._args) => {};
 
@@ -96,131 +98,31 @@ function saveEntityRecords(entityName, records) {
   storageSet(key, JSON.stringify(records));
 }
 
-function matchesWhere(record, where) {
-  if (!where) return true;
-  const entries = Object.entries(where);
-  for (const [k, v] of entries) {
-    if (record?.[k] !== v) return false;
-  }
-  return true;
-}
-
-function normalizeSort(sort) {
-  if (!sort) return null;
-  const s = String(sort).trim();
-  return s || null;
-}
-
-function normalizeFields(fields) {
-  if (!fields) return null;
-  if (Array.isArray(fields)) {
-    const list = fields.map((f) => String(f || '').trim()).filter(Boolean);
-    return list.length ? Array.from(new Set(list)) : null;
-  }
-  const list = String(fields)
-    .split(',')
-    .map((s) => s.trim())
-    .filter(Boolean);
-  return list.length ? Array.from(new Set(list)) : null;
-}
-
-function projectFields(record, fields) {
-  if (!fields) return record;
-  const out = {};
-  const want = new Set(['id', ...fields]);
-  for (const key of want) {
-    if (Object.prototype.hasOwnProperty.call(record, key)) out[key] = record[key];
-  }
-  return out;
-}
-
-function sortRecords(records, sort) {
-  const s = normalizeSort(sort);
-  if (!s) return records;
-
-  const desc = s.startsWith('-');
-  const field = desc ? s.slice(1) : s;
-  if (!field) return records;
-
-  const copy = [...records];
-  copy.sort((a, b) => {
-    const av = a?.[field];
-    const bv = b?.[field];
-    if (av == null && bv == null) return 0;
-    if (av == null) return 1;
-    if (bv == null) return -1;
-
-    // dates and numbers sort naturally; otherwise string compare
-    const an = typeof av === 'number' ? av : Number(av);
-    const bn = typeof bv === 'number' ? bv : Number(bv);
-    if (Number.isFinite(an) && Number.isFinite(bn)) return an - bn;
-
-    const at = (() => {
-      try {
-        const t = new Date(av).getTime();
-        return Number.isFinite(t) ? t : null;
-      } catch {
-        return null;
-      }
-    })();
-    const bt = (() => {
-      try {
-        const t = new Date(bv).getTime();
-        return Number.isFinite(t) ? t : null;
-      } catch {
-        return null;
-      }
-    })();
-    if (at != null && bt != null) return at - bt;
-
-    return String(av).localeCompare(String(bv));
-  });
-
-  return desc ? copy.reverse() : copy;
+// Query results match the Worker (see src/lib/entityQuery.js): a malformed `where` or cursor
+// rejects, where the Worker answers 400.
+function runQuery(records, where, sort, options) {
+  const normalizedOptions = typeof options === 'number' ? { limit: options } : options;
+  const result = queryEntities(records, { ...normalizedOptions, where, sort });
+  if (result?.error) throw new Error(result.error);
+  return result;
 }
 
 function createPersistentEntityApi(entityName) {
   return {
     list: async (sort, optionsOrLimit) => {
       warn(`entities.${entityName}.list called`);
-      const records = loadEntityRecords(entityName);
-
-      const normalizedOptions = typeof optionsOrLimit === 'number' ? { limit: optionsOrLimit } : optionsOrLimit;
-      const sorted = sortRecords(records, sort);
-
-      const limitRaw = normalizedOptions?.limit;
-      const offsetRaw = normalizedOptions?.offset;
-      const limit = Number.isFinite(Number(limitRaw)) ? Math.max(0, Number(limitRaw)) : null;
-      const offset = Number.isFinite(Number(offsetRaw)) ? Math.max(0, Number(offsetRaw)) : 0;
-
-      const sliced = limit != null ? sorted.slice(offset, offset + limit) : sorted.slice(offset);
-      const fields = normalizeFields(normalizedOptions?.fields);
-      return fields ? sliced.map((r) => projectFields(r, fields)) : sliced;
+      return runQuery(loadEntityRecords(entityName), null, sort, optionsOrLimit);
     },
     filter: async (where, sort, options) => {
       warn(`entities.${entityName}.filter called`, where);
-      const records = loadEntityRecords(entityName);
       const safeWhere = where && typeof where === 'object' ? where : {};
-
-      const filtered = records.filter((r) => matchesWhere(r, safeWhere));
-      const sorted = sortRecords(filtered, sort);
-
-      const normalizedOptions = typeof options === 'number' ? { limit: options } : options;
-
-      const limitRaw = normalizedOptions?.limit;
-      const offsetRaw = normalizedOptions?.offset;
-      const limit = Number.isFinite(Number(limitRaw)) ? Math.max(0, Number(limitRaw)) : null;
-      const offset = Number.isFinite(Number(offsetRaw)) ? Math.max(0, Number(offsetRaw)) : 0;
-
-      const sliced = limit != null ? sorted.slice(offset, offset + limit) : sorted.slice(offset);
-
-      const fields = normalizeFields(normalizedOptions?.fields);
-      return fields ? sliced.map((r) => projectFields(r, fields)) : sliced;
+      return runQuery(loadEntityRecords(entityName), safeWhere, sort, options);
     },
     create: async (data) => {
       warn(`entities.${entityName}.create called`, data);
-      const records = loadEntityRecords(entityName);
-      const record = { id: newId(), ...(data ?? {}) };
+      const record = newEntityRecord(data, newId);
+      // Same id replaces the stored record, as in the Worker.
+      const records = loadEntityRecords(entityName).filter((r) => r?.id !== record.id);
       records.push(record);
       saveEntityRecords(entityName, records);
       return record;
@@ -230,12 +132,12 @@ function createPersistentEntityApi(entityName) {
       const records = loadEntityRecords(entityName);
       const idx = records.findIndex((r) => r?.id === id);
       if (idx === -1) {
-        const created = { id: id ?? newId(), ...(updates ?? {}) };
+        const created = newEntityRecord({ ...(updates ?? {}), id }, newId);
         records.push(created);
         saveEntityRecords(entityName, records);
         return created;
       }
-      records[idx] = { ...records[idx], ...(updates ?? {}) };
+      records[idx] = { ...records[idx], ...(updates ?? {}), id: records[idx].id };
       saveEntityRecords(entityName, records);
       return records[idx];
     },
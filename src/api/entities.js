@@ -43,8 +43,6 @@ export const MovementIntensity = makeLocalEntity();
 export const HarassmentProtection = makeLocalEntity();
 export const MovementClaim = makeLocalEntity();
 export const ModerationAction = makeLocalEntity();
-export const ModerationAppeal = makeLocalEntity();
-export const ModeratorAuditLog = makeLocalEntity();
 export const ModeratorProfile = makeLocalEntity();
 export const LeadershipRole = makeLocalEntity();
 export const PlatformConfig = makeLocalEntity();
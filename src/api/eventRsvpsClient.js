@@ -2,19 +2,35 @@
  * Event RSVP API client (Node backend).
  *
  * Endpoints (see Server/index.js):
- * - GET  /events/:id/rsvps       -> { summary: { going_count, interested_count, attended_count }, my_rsvp: EventRsvp|null }
- * - POST /events/:id/rsvp        -> { rsvp: EventRsvp|null }
+ * - GET  /events/:id/rsvps       -> { summary: RsvpSummary, my_rsvp: EventRsvp|null }
+ * - POST /events/:id/rsvp        -> { rsvp: EventRsvp|null, waitlisted?: boolean }
  * - POST /events/:id/attendance  -> { rsvp: EventRsvp }
+ * - POST /events/:id/check-in    -> { rsvp: { user_email, status, checked_in_at }, already_checked_in: boolean }
+ *
+ * A "going" RSVP to a full event comes back with status 'waitlisted'. Waitlisted people are
+ * promoted in order, with a notification, when a seat frees up.
  *
  * @typedef {Object} EventRsvp
  * @property {string} id
  * @property {string} movement_id
  * @property {string} event_id
  * @property {string} user_email
- * @property {'going'|'interested'|string} status
- * @property {boolean} attended
+ * @property {'going'|'interested'|'waitlisted'|string} status
+ * @property {boolean} attended Self-reported
+ * @property {number|null} [waitlist_position] 1-based, only while waitlisted
+ * @property {string|null} [check_in_code] Only on the viewer's own RSVP
+ * @property {string|null} [checked_in_at] Set when an organizer scanned the code
  * @property {string|null} created_at
  * @property {string|null} updated_at
+ *
+ * @typedef {Object} RsvpSummary
+ * @property {number} going_count
+ * @property {number} interested_count
+ * @property {number} waitlisted_count
+ * @property {number} attended_count
+ * @property {number} checked_in_count
+ * @property {number|null} max_attendees
+ * @property {number|null} spots_left
  */
 
 import { SERVER_BASE } from './serverBase';
@@ -94,3 +110,12 @@ export async function setMyEventAttendance(eventId, attended, { accessToken } =
   const url = `${base()}/events/${encodeURIComponent(id)}/attendance`;
   return authedFetch(url, { method: 'POST', accessToken, body: { attended: !!attended } });
 }
+
+/** Organizers only: check in the attendee holding `code` (scanned from their pass or typed). */
+export async function checkInEventAttendee(eventId, code, { accessToken } = {}) {
+  const id = normalizeId(eventId);
+  if (!id) throw new Error('Event ID is required');
+  if (!accessToken) throw new Error('Authentication required');
+  const url = `${base()}/events/${encodeURIComponent(id)}/check-in`;
+  return authedFetch(url, { method: 'POST', accessToken, body: { code: String(code || '').trim() } });
+}
@@ -2,8 +2,15 @@
  * Events API client (Node backend).
  *
  * Endpoints (see Server/index.js):
- * - GET  /movements/:id/events -> { events: Event[] }
- * - POST /movements/:id/events -> { event: Event }
+ * - GET  /movements/:id/events                -> { events: Event[] }
+ * - POST /movements/:id/events                -> { event: Event }
+ * - PATCH /events/:id                         -> { event: Event, notified: number }
+ * - POST /events/:id/cancel                   -> { event: Event, notified: number }
+ * - GET  /events/:id/calendar.ics             -> text/calendar
+ * - GET  /movements/:id/calendar-feed         -> CalendarFeed
+ * - POST /movements/:id/calendar-feed/rotate  -> CalendarFeed
+ * - GET  /me/calendar-feed                    -> CalendarFeed
+ * - POST /me/calendar-feed/rotate             -> CalendarFeed
  *
  * RSVP endpoints live in `eventRsvpsClient`.
  *
@@ -13,9 +20,24 @@
  * @property {string} title
  * @property {string|null} description
  * @property {string|null} start_date
+ * @property {string|null} starts_at
+ * @property {string|null} ends_at
+ * @property {string|null} time_zone IANA zone the event's wall-clock times are in
+ * @property {string|null} recurrence_rule RRULE text, e.g. "FREQ=WEEKLY;BYDAY=TU"
+ * @property {string[]} recurrence_exceptions Skipped occurrence starts (UTC ISO)
+ * @property {string|null} next_occurrence_at
+ * @property {'scheduled'|'cancelled'} status
+ * @property {string|null} cancellation_reason
+ * @property {boolean} can_manage Whether the viewer may reschedule or cancel it
  * @property {string|null} location
  * @property {string|null} event_type
  * @property {string|null} created_at
+ *
+ * @typedef {Object} CalendarFeed
+ * @property {string} url https:// feed URL
+ * @property {string} webcal_url Same feed as webcal://, which opens calendar apps
+ * @property {boolean} [private] Whether the URL carries a secret token
+ * @property {boolean} [can_rotate] Whether the viewer may reset the token
  */
 
 import { SERVER_BASE } from './serverBase';
@@ -81,7 +103,7 @@ export async function listMovementEvents(movementId) {
   return Array.isArray(data?.events) ? data.events : [];
 }
 
-export async function listMovementEventsPage(movementId, { limit = 20, offset = 0, fields } = {}) {
+export async function listMovementEventsPage(movementId, { limit = 20, offset = 0, fields, accessToken } = {}) {
   const id = normalizeId(movementId);
   if (!id) throw new Error('Movement ID is required');
 
@@ -92,7 +114,7 @@ export async function listMovementEventsPage(movementId, { limit = 20, offset =
   if (fieldsParam) params.set('fields', fieldsParam);
 
   const url = `${base()}/movements/${encodeURIComponent(id)}/events${params.toString() ? `?${params.toString()}` : ''}`;
-  const data = await authedFetch(url);
+  const data = await authedFetch(url, { accessToken });
   return Array.isArray(data?.events) ? data.events : [];
 }
 
@@ -103,3 +125,83 @@ export async function createMovementEvent(movementId, payload, { accessToken } =
   const data = await authedFetch(url, { method: 'POST', body: payload, accessToken });
   return data?.event ?? data;
 }
+
+export async function updateMovementEvent(eventId, patch, { accessToken } = {}) {
+  const id = normalizeId(eventId);
+  if (!id) throw new Error('Event ID is required');
+  const url = `${base()}/events/${encodeURIComponent(id)}`;
+  return authedFetch(url, { method: 'PATCH', body: patch, accessToken });
+}
+
+/** Cancel an event, or only the occurrence starting at `occurrenceStart` of a repeating one. */
+export async function cancelMovementEvent(eventId, { reason, occurrenceStart } = {}, { accessToken } = {}) {
+  const id = normalizeId(eventId);
+  if (!id) throw new Error('Event ID is required');
+  const url = `${base()}/events/${encodeURIComponent(id)}/cancel`;
+  const body = {};
+  if (reason) body.reason = String(reason);
+  if (occurrenceStart) body.occurrence_start = String(occurrenceStart);
+  return authedFetch(url, { method: 'POST', body, accessToken });
+}
+
+/** Fetch the event's .ics file and hand it to the browser as a download. */
+export async function downloadEventCalendarFile(event, { accessToken } = {}) {
+  const id = normalizeId(event?.id);
+  if (!id) throw new Error('Event ID is required');
+
+  const headers = { Accept: 'text/calendar' };
+  if (accessToken) headers.Authorization = `Bearer ${String(accessToken)}`;
+  const res = await httpFetch(`${base()}/events/${encodeURIComponent(id)}/calendar.ics`, {
+    method: 'GET',
+    cache: 'no-store',
+    headers,
+  });
+  if (!res.ok) {
+    const data = await safeReadJson(res);
+    throw new Error(data?.error ? String(data.error) : `Request failed: ${res.status}`);
+  }
+
+  const blob = new Blob([await res.text()], { type: 'text/calendar' });
+  const href = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = `${String(event?.title || 'event').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'event'}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 1000);
+}
+
+function toCalendarFeed(data) {
+  const path = String(data?.path || '');
+  if (!path) throw new Error('Calendar feed is not available');
+  const url = /^https?:\/\//i.test(base()) ? `${base()}${path}` : new URL(`${base()}${path}`, window.location.origin).toString();
+  return {
+    url,
+    webcal_url: url.replace(/^https?:/i, 'webcal:'),
+    private: !!data?.private,
+    can_rotate: !!data?.can_rotate,
+  };
+}
+
+export async function fetchMovementCalendarFeed(movementId, { accessToken } = {}) {
+  const id = normalizeId(movementId);
+  if (!id) throw new Error('Movement ID is required');
+  const url = `${base()}/movements/${encodeURIComponent(id)}/calendar-feed`;
+  return toCalendarFeed(await authedFetch(url, { accessToken }));
+}
+
+export async function rotateMovementCalendarFeed(movementId, { accessToken } = {}) {
+  const id = normalizeId(movementId);
+  if (!id) throw new Error('Movement ID is required');
+  const url = `${base()}/movements/${encodeURIComponent(id)}/calendar-feed/rotate`;
+  return toCalendarFeed(await authedFetch(url, { method: 'POST', accessToken }));
+}
+
+export async function fetchMyCalendarFeed({ accessToken } = {}) {
+  return toCalendarFeed(await authedFetch(`${base()}/me/calendar-feed`, { accessToken }));
+}
+
+export async function rotateMyCalendarFeed({ accessToken } = {}) {
+  return toCalendarFeed(await authedFetch(`${base()}/me/calendar-feed/rotate`, { method: 'POST', accessToken }));
+}
@@ -0,0 +1,67 @@
+/**
+ * Geocoding API client (Node backend). Place lookups resolve against the server's offline
+ * city gazetteer, so neither search text nor GPS positions go to a third-party geocoder.
+ *
+ * Endpoints (see Server/index.js):
+ * - GET /geo/search?q&country&limit -> { results: GeoPlace[] }
+ * - GET /geo/reverse?lat&lng        -> { place: GeoPlace|null }
+ *
+ * @typedef {Object} GeoPlace
+ * @property {string} id
+ * @property {string} name City name
+ * @property {string} country Country name
+ * @property {string} country_code ISO 3166 alpha-2
+ * @property {number} lat City centroid, rounded to 2 decimals
+ * @property {number} lng
+ */
+
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+
+const BASE = () => String(SERVER_BASE || '').replace(/\/+$/, '');
+
+async function safeReadJson(res) {
+  try { return await res.json(); } catch { return null; }
+}
+
+async function getJson(path, params, fallbackMessage) {
+  const qs = new URLSearchParams();
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value != null && String(value).trim()) qs.set(key, String(value).trim());
+  }
+  const res = await httpFetch(`${BASE()}${path}?${qs.toString()}`, {
+    headers: { Accept: 'application/json' },
+  });
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = body?.error || body?.message || fallbackMessage;
+    throw new Error(msg);
+  }
+  return body;
+}
+
+/** @returns {Promise<GeoPlace[]>} */
+export async function searchPlaces(q, { country = null, limit = 5 } = {}) {
+  const query = String(q || '').trim();
+  if (!query) return [];
+  const body = await getJson('/geo/search', { q: query, country, limit }, 'Failed to search places');
+  return Array.isArray(body?.results) ? body.results : [];
+}
+
+/**
+ * The city nearest to a position. The position is rounded to ~1 km before it's sent; the
+ * server only answers with city centroids anyway.
+ *
+ * @returns {Promise<GeoPlace|null>}
+ */
+export async function reversePlace({ lat, lng } = {}) {
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln)) return null;
+  const body = await getJson(
+    '/geo/reverse',
+    { lat: la.toFixed(2), lng: ln.toFixed(2) },
+    'Failed to look up place'
+  );
+  return body?.place || null;
+}
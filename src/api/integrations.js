@@ -1,6 +1,8 @@
+import { invokeLLM } from './llmClient';
+
 const noop = async () => ({});
 export const Core = {
-  InvokeLLM: noop,
+  InvokeLLM: async (payload) => (await invokeLLM(payload))?.result ?? null,
   SendEmail: noop,
   UploadFile: async () => ({ file_url: '' }),
   GenerateImage: noop,
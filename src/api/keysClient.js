@@ -16,8 +16,27 @@ function authHeaders(accessToken) {
   return token ? { Authorization: `Bearer ${token}` } : {};
 }
 
+function toApiError(res, body, fallbackMessage) {
+  const message = body && typeof body === 'object' && (body.error || body.message) ? String(body.error || body.message) : fallbackMessage;
+  const err = new Error(message);
+  if (body && typeof body === 'object' && body.code) err.code = String(body.code);
+  if (body && typeof body === 'object' && 'has_backup' in body) err.hasBackup = !!body.has_backup;
+  err.status = res.status;
+  return err;
+}
+
+/**
+ * Publish the identity key and register this device. `options.prekeys` ({ signing_key,
+ * signed_prekey, one_time_prekeys }) adds the device's X3DH prekey bundle; the response
+ * carries `one_time_prekey_count` so callers know when to top the pool up.
+ *
+ * Fails with code IDENTITY_KEY_MISMATCH (and `hasBackup`) when the account already has a
+ * different identity key, unless `options.replaceIdentity` is set.
+ */
 export async function upsertMyPublicKey(publicKey, options) {
   const accessToken = options?.accessToken ? String(options.accessToken) : null;
+  const prekeys = options?.prekeys && typeof options.prekeys === 'object' ? options.prekeys : null;
+  const device = options?.device && typeof options.device === 'object' ? options.device : null;
   const url = `${BASE_URL.replace(/\/$/, '')}/me/public-key`;
 
   const res = await httpFetch(url, {
@@ -28,13 +47,17 @@ export async function upsertMyPublicKey(publicKey, options) {
       'Content-Type': 'application/json',
       ...authHeaders(accessToken),
     },
-    body: JSON.stringify({ public_key: publicKey }),
+    body: JSON.stringify({
+      public_key: publicKey,
+      ...(device || {}),
+      ...(options?.replaceIdentity ? { replace_identity: true } : {}),
+      ...(prekeys || {}),
+    }),
   });
 
   const body = await safeReadJson(res);
   if (!res.ok) {
-    const messageFromBody = (body && typeof body === 'object' && (body.error || body.message)) || null;
-    throw new Error(messageFromBody ? String(messageFromBody) : `Failed to publish public key: ${res.status}`);
+    throw toApiError(res, body, `Failed to publish public key: ${res.status}`);
   }
 
   return body ?? { ok: true };
@@ -63,3 +86,147 @@ export async function fetchPublicKey(email, options) {
   if (!key) throw new Error('Recipient has no published public key');
   return String(key);
 }
+
+/**
+ * Fetch a user's identity key and one X3DH prekey bundle per registered device. Pass
+ * `claimDeviceIds` to also claim a one-time prekey on those devices; only do that when
+ * starting sessions with them.
+ */
+export async function fetchKeyDevices(email, options) {
+  const accessToken = options?.accessToken ? String(options.accessToken) : null;
+  const claimDeviceIds = Array.isArray(options?.claimDeviceIds) ? options.claimDeviceIds.filter(Boolean) : [];
+  const encoded = encodeURIComponent(String(email || '').trim());
+  const params = new URLSearchParams();
+  if (claimDeviceIds.length) {
+    params.set('claim_prekey', '1');
+    params.set('device_ids', claimDeviceIds.join(','));
+  }
+  const qs = params.toString();
+  const url = `${BASE_URL.replace(/\/$/, '')}/public-keys/${encoded}${qs ? `?${qs}` : ''}`;
+
+  const res = await httpFetch(url, {
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      ...authHeaders(accessToken),
+    },
+  });
+
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    throw toApiError(res, body, `Failed to fetch prekey bundles: ${res.status}`);
+  }
+
+  return {
+    public_key: body?.public_key ? String(body.public_key) : null,
+    devices: Array.isArray(body?.devices) ? body.devices : [],
+  };
+}
+
+export async function fetchMyDevices(options) {
+  const accessToken = options?.accessToken ? String(options.accessToken) : null;
+  const deviceId = options?.deviceId ? String(options.deviceId) : '';
+  const url = `${BASE_URL.replace(/\/$/, '')}/me/devices${deviceId ? `?device_id=${encodeURIComponent(deviceId)}` : ''}`;
+
+  const res = await httpFetch(url, {
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      ...authHeaders(accessToken),
+    },
+  });
+
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    throw toApiError(res, body, `Failed to load devices: ${res.status}`);
+  }
+
+  return {
+    identity_key: body?.identity_key ? String(body.identity_key) : null,
+    devices: Array.isArray(body?.devices) ? body.devices : [],
+  };
+}
+
+export async function removeMyDevice(deviceId, options) {
+  const accessToken = options?.accessToken ? String(options.accessToken) : null;
+  const url = `${BASE_URL.replace(/\/$/, '')}/me/devices/${encodeURIComponent(String(deviceId || ''))}`;
+
+  const res = await httpFetch(url, {
+    method: 'DELETE',
+    headers: {
+      Accept: 'application/json',
+      ...authHeaders(accessToken),
+    },
+  });
+
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    throw toApiError(res, body, `Failed to remove device: ${res.status}`);
+  }
+
+  return body ?? { ok: true };
+}
+
+/** Resolves to `{ identity_key, backup, updated_at }`, or null when no backup is stored. */
+export async function fetchMyKeyBackup(options) {
+  const accessToken = options?.accessToken ? String(options.accessToken) : null;
+  const url = `${BASE_URL.replace(/\/$/, '')}/me/key-backup`;
+
+  const res = await httpFetch(url, {
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      ...authHeaders(accessToken),
+    },
+  });
+
+  if (res.status === 404) return null;
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    throw toApiError(res, body, `Failed to load key backup: ${res.status}`);
+  }
+
+  return body;
+}
+
+export async function saveMyKeyBackup({ identityKey, backup }, options) {
+  const accessToken = options?.accessToken ? String(options.accessToken) : null;
+  const url = `${BASE_URL.replace(/\/$/, '')}/me/key-backup`;
+
+  const res = await httpFetch(url, {
+    method: 'PUT',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+      ...authHeaders(accessToken),
+    },
+    body: JSON.stringify({ identity_key: identityKey, backup }),
+  });
+
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    throw toApiError(res, body, `Failed to save key backup: ${res.status}`);
+  }
+
+  return body ?? { ok: true };
+}
+
+export async function deleteMyKeyBackup(options) {
+  const accessToken = options?.accessToken ? String(options.accessToken) : null;
+  const url = `${BASE_URL.replace(/\/$/, '')}/me/key-backup`;
+
+  const res = await httpFetch(url, {
+    method: 'DELETE',
+    headers: {
+      Accept: 'application/json',
+      ...authHeaders(accessToken),
+    },
+  });
+
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    throw toApiError(res, body, `Failed to delete key backup: ${res.status}`);
+  }
+
+  return body ?? { ok: true };
+}
@@ -0,0 +1,68 @@
+/**
+ * Leaderboards API client (Node backend). Boards are computed on the server every few
+ * minutes (see Server/services/leaderboards.js), so no emails or raw activity reach the app.
+ *
+ * Endpoints (see Server/index.js):
+ * - GET /leaderboards?board&period&country&city&limit -> Leaderboard
+ * - GET /leaderboards/places?board&period -> { places: { country, city, entries }[] }
+ *
+ * @typedef {'creators'|'participants'|'points'|'movements'} LeaderboardBoard
+ * @typedef {'week'|'month'|'all'} LeaderboardPeriod
+ *
+ * @typedef {Object} LeaderboardEntry
+ * @property {number} rank
+ * @property {number} score Score after the decentralization and rotation adjustments
+ * @property {number} raw_score
+ * @property {boolean} adjusted True when the score was reduced
+ * @property {Object} details Board-specific counts (boosters, boosts, check_ins)
+ * @property {{ user_id: string|null, display_name: string|null, username: string|null, profile_photo_url: string|null }} [user]
+ * @property {{ id: string, title: string|null, location_city: string|null, location_country: string|null }} [movement]
+ *
+ * @typedef {Object} Leaderboard
+ * @property {LeaderboardBoard} board
+ * @property {LeaderboardPeriod} period
+ * @property {{ country: string|null, city: string|null }} scope
+ * @property {string|null} computed_at
+ * @property {LeaderboardEntry[]} entries
+ */
+
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+
+const BASE = () => String(SERVER_BASE || '').replace(/\/+$/, '');
+
+async function safeReadJson(res) {
+  try { return await res.json(); } catch { return null; }
+}
+
+async function getJson(path, params, fallbackMessage) {
+  const qs = new URLSearchParams();
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value != null && String(value).trim()) qs.set(key, String(value).trim());
+  }
+  const query = qs.toString();
+  const res = await httpFetch(`${BASE()}${path}${query ? `?${query}` : ''}`, {
+    headers: { Accept: 'application/json' },
+  });
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = body?.error || body?.message || fallbackMessage;
+    throw new Error(msg);
+  }
+  return body;
+}
+
+/** @returns {Promise<Leaderboard>} */
+export async function fetchLeaderboard({ board = 'creators', period = 'week', country = null, city = null, limit = 50 } = {}) {
+  const body = await getJson('/leaderboards', { board, period, country, city, limit }, 'Failed to load leaderboard');
+  return {
+    ...body,
+    entries: Array.isArray(body?.entries) ? body.entries : [],
+  };
+}
+
+/** @returns {Promise<{ country: string, city: string|null, entries: number }[]>} */
+export async function fetchLeaderboardPlaces({ board = 'creators', period = 'week' } = {}) {
+  const body = await getJson('/leaderboards/places', { board, period }, 'Failed to load leaderboard places');
+  return Array.isArray(body?.places) ? body.places : [];
+}
@@ -0,0 +1,87 @@
+/**
+ * LLM integration client (Node backend).
+ *
+ * Endpoints (see Server/index.js):
+ * - POST /integrations/llm        -> LlmResponse (verified users; counts against the daily quota unless cached)
+ * - GET  /integrations/llm/quota  -> { enabled: boolean, quota: LlmQuota }
+ *
+ * Requests without an explicit `accessToken` rely on the global auth fetch
+ * (src/auth/authFetch.js) to attach the current session.
+ *
+ * @typedef {Object} LlmQuota
+ * @property {number} used
+ * @property {number} limit
+ * @property {number} remaining
+ * @property {string} resets_at
+ *
+ * @typedef {Object} LlmResponse
+ * @property {any} result Parsed JSON when a schema was sent, otherwise text
+ * @property {boolean} cached
+ * @property {string} provider
+ * @property {string} model
+ * @property {string} payload_hash Same value as hashPayload() in src/utils/aiGuardrail.js
+ * @property {LlmQuota} quota
+ */
+
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+import { recordAIQuota } from '@/utils/aiGuardrail';
+
+const BASE_URL = SERVER_BASE;
+
+function base() {
+  return String(BASE_URL || '').replace(/\/$/, '');
+}
+
+async function safeReadJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+function authHeaders(accessToken) {
+  return accessToken ? { Authorization: `Bearer ${String(accessToken)}` } : {};
+}
+
+/**
+ * @param {{ prompt: string, response_json_schema?: object, system?: string, temperature?: number, max_tokens?: number }} payload
+ * @returns {Promise<LlmResponse>}
+ */
+export async function invokeLLM(payload, { accessToken } = {}) {
+  const res = await httpFetch(`${base()}/integrations/llm`, {
+    method: 'POST',
+    cache: 'no-store',
+    timeoutMs: 60_000,
+    headers: { 'Content-Type': 'application/json', ...authHeaders(accessToken) },
+    body: JSON.stringify(payload ?? {}),
+  });
+  const data = await safeReadJson(res);
+  if (data?.quota) recordAIQuota(data.quota);
+
+  if (!res.ok) {
+    const msg = data && (data.error || data.message) ? String(data.error || data.message) : `Request failed: ${res.status}`;
+    const err = new Error(msg);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+/** @returns {Promise<{ enabled: boolean, quota: LlmQuota }>} */
+export async function fetchLlmQuota({ accessToken } = {}) {
+  const res = await httpFetch(`${base()}/integrations/llm/quota`, {
+    method: 'GET',
+    cache: 'no-store',
+    headers: authHeaders(accessToken),
+  });
+  const data = await safeReadJson(res);
+  if (!res.ok) {
+    const err = new Error(data?.error ? String(data.error) : `Request failed: ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  if (data?.quota) recordAIQuota(data.quota);
+  return data;
+}
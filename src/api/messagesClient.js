@@ -30,6 +30,8 @@
  * - POST /conversations/:id/messages       -> Message
  * - POST /conversations/:id/read           -> { ok: true }
  * - POST /messages/:id/reactions           -> Message
+ * - POST /conversations/:id/sender-keys    -> { ok, epoch, stored }
+ * - GET  /conversations/:id/sender-keys    -> { epoch, sender_keys }
  *
  * This module also supports a local fallback mode using `entities.*`
  * for environments where the backend is unavailable.
@@ -55,6 +57,7 @@
  * @property {string[]|null} group_admin_emails
  * @property {'owner_only'|'admins'|'selected'|'all'|string|null} group_post_mode
  * @property {string[]|null} group_posters
+ * @property {number|null} group_key_epoch
  *
  * @typedef {Object} Message
  * @property {string} id
@@ -595,6 +598,67 @@ export async function updateGroupParticipants(conversationId, payload, options)
   return body;
 }
 
+/**
+ * Publish this member's group sender key, wrapped per recipient with pairwise E2EE.
+ * `payload`: { keyId, epoch, distributions: [{ recipient_email, ciphertext }] }.
+ * Rejects with status 409 when the group's key epoch has changed.
+ */
+export async function publishGroupSenderKeys(conversationId, payload, options) {
+  const id = normalizeId(conversationId);
+  if (!id) throw new Error('Conversation ID is required');
+
+  const accessToken = options?.accessToken ? String(options.accessToken) : null;
+  const url = `${BASE_URL.replace(/\/$/, '')}/conversations/${encodeURIComponent(id)}/sender-keys`;
+
+  const res = await httpFetch(url, {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+      ...authHeaders(accessToken),
+    },
+    body: JSON.stringify({
+      key_id: String(payload?.keyId || ''),
+      epoch: Number(payload?.epoch) || 0,
+      distributions: Array.isArray(payload?.distributions) ? payload.distributions : [],
+    }),
+  });
+
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    throw toApiError(res, body, `Failed to publish sender keys: ${res.status}`);
+  }
+
+  return body;
+}
+
+/** Sender keys other members have wrapped for me: { epoch, sender_keys: [...] }. */
+export async function fetchGroupSenderKeys(conversationId, options) {
+  const id = normalizeId(conversationId);
+  if (!id) throw new Error('Conversation ID is required');
+
+  const accessToken = options?.accessToken ? String(options.accessToken) : null;
+  const url = `${BASE_URL.replace(/\/$/, '')}/conversations/${encodeURIComponent(id)}/sender-keys`;
+
+  const res = await httpFetch(url, {
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      ...authHeaders(accessToken),
+    },
+  });
+
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    throw toApiError(res, body, `Failed to load sender keys: ${res.status}`);
+  }
+
+  return {
+    epoch: Number(body?.epoch) || 0,
+    sender_keys: Array.isArray(body?.sender_keys) ? body.sender_keys : [],
+  };
+}
+
 export async function fetchMessages(conversationId, options) {
   const id = normalizeId(conversationId);
   if (!id) throw new Error('Conversation ID is required');
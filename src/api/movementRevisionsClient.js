@@ -0,0 +1,108 @@
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+
+// API client for movement revision history (owner, staff and collaborators only).
+const BASE_URL = SERVER_BASE;
+
+/**
+ * @typedef {Object} MovementRevision
+ * @property {string} id
+ * @property {number} revision_number
+ * @property {'create'|'edit'|'rollback'|'baseline'} action - `baseline` is the state before history was recorded.
+ * @property {string[]} changed_fields
+ * @property {number|null} restored_revision_number - Set on rollbacks.
+ * @property {string|null} author_display_name
+ * @property {string|null} author_username
+ * @property {string|null} created_at
+ * @property {Object} [snapshot] - Every tracked field after this revision; only on single-revision reads.
+ */
+
+function normalizeId(value) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  return s ? s : null;
+}
+
+async function safeReadJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+async function authedFetch(url, { accessToken, method = 'GET', fallbackMessage }) {
+  if (!accessToken) throw new Error('Authentication required');
+  const res = await httpFetch(url, {
+    method,
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      Authorization: `Bearer ${String(accessToken)}`,
+    },
+  });
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = body && (body.error || body.message) ? String(body.error || body.message) : `${fallbackMessage}: ${res.status}`;
+    const err = new Error(msg);
+    err.status = res.status;
+    throw err;
+  }
+  return body;
+}
+
+function revisionsUrl(movementId, suffix = '') {
+  return `${BASE_URL.replace(/\/$/, '')}/movements/${encodeURIComponent(movementId)}/revisions${suffix}`;
+}
+
+/**
+ * Newest first, without snapshots.
+ * @returns {Promise<{ revisions: MovementRevision[], has_more: boolean, can_rollback: boolean }>}
+ */
+export async function listMovementRevisions(movementId, options) {
+  const id = normalizeId(movementId);
+  if (!id) return { revisions: [], has_more: false, can_rollback: false };
+
+  const params = new URLSearchParams();
+  if (options?.limit != null) params.set('limit', String(options.limit));
+  if (options?.offset != null) params.set('offset', String(options.offset));
+  const qs = params.toString();
+
+  const body = await authedFetch(revisionsUrl(id, qs ? `?${qs}` : ''), {
+    accessToken: options?.accessToken,
+    fallbackMessage: 'Failed to load revisions',
+  });
+  return {
+    revisions: Array.isArray(body?.revisions) ? body.revisions : [],
+    has_more: !!body?.has_more,
+    can_rollback: !!body?.can_rollback,
+  };
+}
+
+/** @returns {Promise<MovementRevision>} including `snapshot` */
+export async function fetchMovementRevision(movementId, revisionId, options) {
+  const id = normalizeId(movementId);
+  const rid = normalizeId(revisionId);
+  if (!id || !rid) throw new Error('Revision ID is required');
+  const body = await authedFetch(revisionsUrl(id, `/${encodeURIComponent(rid)}`), {
+    accessToken: options?.accessToken,
+    fallbackMessage: 'Failed to load revision',
+  });
+  return body?.revision || null;
+}
+
+/**
+ * Restores the movement to a past revision. Owners and admins only.
+ * @returns {Promise<{ movement: Object, revision: MovementRevision|null }>} `revision` is null when nothing changed.
+ */
+export async function rollbackMovementRevision(movementId, revisionId, options) {
+  const id = normalizeId(movementId);
+  const rid = normalizeId(revisionId);
+  if (!id || !rid) throw new Error('Revision ID is required');
+  const body = await authedFetch(revisionsUrl(id, `/${encodeURIComponent(rid)}/rollback`), {
+    accessToken: options?.accessToken,
+    method: 'POST',
+    fallbackMessage: 'Failed to roll back',
+  });
+  return { movement: body?.movement || null, revision: body?.revision || null };
+}
@@ -0,0 +1,102 @@
+/**
+ * Notification preferences API client (Node backend).
+ *
+ * Endpoints (see Server/index.js):
+ * - GET   /me/notification-preferences  -> { preferences: NotificationPreferences, types: NotificationTypeInfo[] }
+ * - PATCH /me/notification-preferences  -> same shape (partial update of channels, digest and/or quiet hours)
+ *
+ * The server emits notifications itself and uses these to pick where each type goes.
+ * `email` types are also collected into the daily or weekly digest email; `push` types are
+ * sent to the iOS app (see pushTokensClient), held back during quiet hours.
+ *
+ * @typedef {'in_app'|'email'|'push'|'off'} NotificationChannel
+ * @typedef {'off'|'daily'|'weekly'} NotificationDigest
+ *
+ * @typedef {Object} QuietHours
+ * @property {string} start Local time, HH:MM
+ * @property {string} end Local time, HH:MM (may be earlier than start, spanning midnight)
+ * @property {string} time_zone IANA time zone
+ *
+ * @typedef {Object} NotificationPreferences
+ * @property {Record<string, NotificationChannel>} channels Channel per notification type
+ * @property {NotificationDigest} digest
+ * @property {QuietHours|null} quiet_hours
+ * @property {string|null} last_digest_at
+ * @property {string|null} updated_at
+ *
+ * @typedef {Object} NotificationTypeInfo
+ * @property {string} type
+ * @property {string} label
+ * @property {string} category
+ * @property {boolean} required Can't be turned off
+ * @property {NotificationChannel[]} channels Channels this type can be set to
+ */
+
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+
+const BASE_URL = SERVER_BASE;
+
+export const NOTIFICATION_CHANNELS = ['in_app', 'email', 'push', 'off'];
+export const NOTIFICATION_DIGESTS = ['off', 'daily', 'weekly'];
+
+function base() {
+  return String(BASE_URL || '').replace(/\/$/, '');
+}
+
+async function safeReadJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+async function authedRequest(path, { method = 'GET', body, accessToken } = {}) {
+  if (!accessToken) throw new Error('Authentication required');
+  const res = await httpFetch(`${base()}${path}`, {
+    method,
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      Authorization: `Bearer ${String(accessToken)}`,
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+  });
+  const data = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = data && (data.error || data.message) ? String(data.error || data.message) : `Request failed: ${res.status}`;
+    const err = new Error(msg);
+    err.status = res.status;
+    if (data?.code) err.code = String(data.code);
+    throw err;
+  }
+  return data;
+}
+
+function normalizeResponse(data) {
+  return {
+    preferences: data?.preferences ?? null,
+    types: Array.isArray(data?.types) ? data.types : [],
+  };
+}
+
+/** @returns {Promise<{ preferences: NotificationPreferences|null, types: NotificationTypeInfo[] }>} */
+export async function fetchMyNotificationPreferences({ accessToken } = {}) {
+  const data = await authedRequest('/me/notification-preferences', { accessToken });
+  return normalizeResponse(data);
+}
+
+/**
+ * @param {{ channels?: Record<string, NotificationChannel>, digest?: NotificationDigest, quiet_hours?: QuietHours|null }} patch
+ * @returns {Promise<{ preferences: NotificationPreferences|null, types: NotificationTypeInfo[] }>}
+ */
+export async function updateMyNotificationPreferences(patch, { accessToken } = {}) {
+  const data = await authedRequest('/me/notification-preferences', {
+    method: 'PATCH',
+    body: patch && typeof patch === 'object' ? patch : {},
+    accessToken,
+  });
+  return normalizeResponse(data);
+}
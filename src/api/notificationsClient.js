@@ -187,6 +187,10 @@ export async function markNotificationsRead(notificationIds, options) {
   return true;
 }
 
+/**
+ * Creates a notification for the signed-in user only (currently `event_reminder`).
+ * Notifications for other people are emitted by the server from the domain routes.
+ */
 export async function upsertNotification(payload, options) {
   const accessToken = requireAccessToken(options);
   const url = `${SERVER_BASE.replace(/\/$/, '')}/notifications`;
@@ -5,13 +5,18 @@
  * - GET  /petitions/:id/signatures -> { summary: { count, velocity_7d, velocity_24h }, my_signature: PetitionSignature|null }
  * - POST /petitions/:id/sign       -> { signature: PetitionSignature|null }
  *
+ * Every signature belongs to a verified account, one per account. Signing a closed petition
+ * (past its deadline) fails with 409.
+ *
  * @typedef {Object} PetitionSignature
  * @property {string} id
  * @property {string} movement_id
  * @property {string} petition_id
  * @property {string} user_email
  * @property {string|null} comment
- * @property {boolean|null} is_public
+ * @property {boolean|null} is_public Public signatures are included in the organizer's export
+ * @property {string|null} signer_name
+ * @property {string|null} postcode
  * @property {string|null} created_at
  */
 
@@ -76,7 +81,7 @@ export async function fetchPetitionSignatureSummary(petitionId, { accessToken }
   return authedFetch(url, { accessToken });
 }
 
-export async function signPetition(petitionId, { comment, isPublic = true } = {}, { accessToken } = {}) {
+export async function signPetition(petitionId, { comment, isPublic = true, signerName, postcode } = {}, { accessToken } = {}) {
   const id = normalizeId(petitionId);
   if (!id) throw new Error('Petition ID is required');
   if (!accessToken) throw new Error('Authentication required');
@@ -88,6 +93,8 @@ export async function signPetition(petitionId, { comment, isPublic = true } = {}
       action: 'sign',
       comment: comment != null ? String(comment) : undefined,
       is_public: !!isPublic,
+      signer_name: signerName ? String(signerName) : undefined,
+      postcode: postcode ? String(postcode) : undefined,
     },
   });
 }
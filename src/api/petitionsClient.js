@@ -2,8 +2,9 @@
  * Petitions API client (Node backend).
  *
  * Endpoints (see Server/index.js):
- * - GET  /movements/:id/petitions -> { petitions: Petition[] }
- * - POST /movements/:id/petitions -> { petition: Petition }
+ * - GET  /movements/:id/petitions            -> { petitions: Petition[] }
+ * - POST /movements/:id/petitions            -> { petition: Petition }
+ * - GET  /petitions/:id/signatures/export    -> PetitionExport (JSON) or text/csv with ?format=csv
  *
  * Signature endpoints live in `petitionSignaturesClient`.
  *
@@ -11,9 +12,22 @@
  * @property {string} id
  * @property {string} movement_id
  * @property {string} title
- * @property {string|null} description
- * @property {number|null} signature_goal
+ * @property {string|null} body Petition text, for petitions written in the app
+ * @property {string|null} target Decision-maker the petition is addressed to
+ * @property {string|null} deadline Signing closes after this instant
+ * @property {string|null} url External petition link, if hosted elsewhere
+ * @property {number|null} goal_signatures
+ * @property {number[]} milestones_reached Goal percentages already announced (25, 50, 100)
+ * @property {boolean} is_closed
+ * @property {boolean} can_manage Whether the viewer may export signatures
  * @property {string|null} created_at
+ *
+ * @typedef {Object} PetitionExport
+ * @property {Petition} petition
+ * @property {number} total_signatures All signatures, including private ones
+ * @property {number} public_signatures
+ * @property {boolean} truncated
+ * @property {{ name: string, postcode: string, comment: string, signed_at: string|null }[]} signatures
  */
 
 import { SERVER_BASE } from './serverBase';
@@ -79,7 +93,7 @@ export async function listMovementPetitions(movementId) {
   return Array.isArray(data?.petitions) ? data.petitions : [];
 }
 
-export async function listMovementPetitionsPage(movementId, { limit = 20, offset = 0, fields } = {}) {
+export async function listMovementPetitionsPage(movementId, { limit = 20, offset = 0, fields, accessToken } = {}) {
   const id = normalizeId(movementId);
   if (!id) throw new Error('Movement ID is required');
 
@@ -90,7 +104,7 @@ export async function listMovementPetitionsPage(movementId, { limit = 20, offset
   if (fieldsParam) params.set('fields', fieldsParam);
 
   const url = `${base()}/movements/${encodeURIComponent(id)}/petitions${params.toString() ? `?${params.toString()}` : ''}`;
-  const data = await authedFetch(url);
+  const data = await authedFetch(url, { accessToken });
   return Array.isArray(data?.petitions) ? data.petitions : [];
 }
 
@@ -101,3 +115,38 @@ export async function createMovementPetition(movementId, payload, { accessToken
   const data = await authedFetch(url, { method: 'POST', body: payload, accessToken });
   return data?.petition ?? data;
 }
+
+/** Public signatures for delivery, as JSON (used to build the PDF). Organizers only. */
+export async function fetchPetitionExport(petitionId, { accessToken } = {}) {
+  const id = normalizeId(petitionId);
+  if (!id) throw new Error('Petition ID is required');
+  if (!accessToken) throw new Error('Authentication required');
+  return authedFetch(`${base()}/petitions/${encodeURIComponent(id)}/signatures/export`, { accessToken });
+}
+
+/** Download the public signatures as a CSV file. Organizers only. */
+export async function downloadPetitionSignaturesCsv(petition, { accessToken } = {}) {
+  const id = normalizeId(petition?.id);
+  if (!id) throw new Error('Petition ID is required');
+  if (!accessToken) throw new Error('Authentication required');
+
+  const res = await httpFetch(`${base()}/petitions/${encodeURIComponent(id)}/signatures/export?format=csv`, {
+    method: 'GET',
+    cache: 'no-store',
+    headers: { Accept: 'text/csv', Authorization: `Bearer ${String(accessToken)}` },
+  });
+  if (!res.ok) {
+    const data = await safeReadJson(res);
+    throw new Error(data?.error ? String(data.error) : `Request failed: ${res.status}`);
+  }
+
+  const blob = new Blob([await res.text()], { type: 'text/csv' });
+  const href = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = `${String(petition?.title || 'petition').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'petition'}-signatures.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 1000);
+}
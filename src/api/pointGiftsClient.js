@@ -1,11 +1,13 @@
-import { entities } from '@/api/appClient';
-import { fetchOrCreateUserChallengeStats } from '@/api/userChallengeStatsClient';
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
 
-const POINT_GIFTS_ENABLED = !!import.meta?.env?.DEV;
+// Point gifts are recorded by the server in the points ledger (POST /point-gifts), which
+// enforces the 5-point minimum and the 20%-of-balance cap against the sender's balance.
 
-function assertPointGiftsEnabled() {
-  if (POINT_GIFTS_ENABLED) return;
-  throw new Error('Point gifting is temporarily disabled while we add server persistence.');
+const BASE = () => String(SERVER_BASE || '').replace(/\/+$/, '');
+
+async function safeReadJson(res) {
+  try { return await res.json(); } catch { return null; }
 }
 
 function normalizeEmail(email) {
@@ -13,42 +15,26 @@ function normalizeEmail(email) {
   return s || null;
 }
 
-export async function giftPoints(fromUserEmail, toUserEmail, { amount, message } = {}) {
-  assertPointGiftsEnabled();
-  const fromEmail = normalizeEmail(fromUserEmail);
+export async function giftPoints(toUserEmail, { amount, message } = {}) {
   const toEmail = normalizeEmail(toUserEmail);
-  if (!fromEmail || !toEmail) throw new Error('Missing users');
-  if (fromEmail === toEmail) throw new Error("You can't gift points to yourself");
+  if (!toEmail) throw new Error('Missing users');
 
   const pts = Number(amount || 0);
-  if (!Number.isFinite(pts) || pts <= 0) throw new Error('Invalid amount');
-
-  const fromStats = await fetchOrCreateUserChallengeStats(fromEmail);
-  const toStats = await fetchOrCreateUserChallengeStats(toEmail);
-
-  const fromTotal = Number(fromStats?.total_points || 0) || 0;
-  const maxGiftable = Math.floor(fromTotal * 0.2);
-  if (pts < 5) throw new Error('Minimum gift is 5 points');
-  if (pts > maxGiftable) throw new Error(`You can gift up to ${maxGiftable} points (20% of your total)`);
-
-  const nextFromTotal = fromTotal - pts;
-  const toTotal = Number(toStats?.total_points || 0) || 0;
-  const nextToTotal = toTotal + pts;
-
-  if (fromStats?.id) {
-    await entities.UserChallengeStats.update(fromStats.id, { total_points: nextFromTotal });
-  }
-  if (toStats?.id) {
-    await entities.UserChallengeStats.update(toStats.id, { total_points: nextToTotal });
-  }
-
-  const record = await entities.PointGift.create({
-    from_user_email: fromEmail,
-    to_user_email: toEmail,
-    amount: pts,
-    message: message ? String(message).slice(0, 200) : null,
-    created_at: new Date().toISOString(),
+  if (!Number.isInteger(pts) || pts <= 0) throw new Error('Invalid amount');
+
+  const res = await httpFetch(`${BASE()}/point-gifts`, {
+    method: 'POST',
+    headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      to_user_email: toEmail,
+      amount: pts,
+      message: message ? String(message).slice(0, 200) : null,
+    }),
   });
-
-  return record;
+  const body = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = body?.error || body?.message || 'Failed to send gift';
+    throw new Error(msg);
+  }
+  return body?.gift || null;
 }
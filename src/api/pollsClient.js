@@ -0,0 +1,127 @@
+/**
+ * Movement polls API client (Node backend).
+ *
+ * Endpoints (see Server/index.js):
+ * - GET  /movements/:id/polls -> { polls: Poll[], can_manage: boolean }
+ * - POST /movements/:id/polls -> { poll: Poll }
+ * - POST /polls/:id/ballot    -> { poll: Poll }
+ * - POST /polls/:id/close     -> { poll: Poll }
+ *
+ * Ballots are secret: the server only returns tallies and the caller's own ballot.
+ *
+ * @typedef {Object} PollOption
+ * @property {string} id
+ * @property {string} label
+ *
+ * @typedef {Object} PollTally
+ * @property {'single'|'approval'|'ranked'} method
+ * @property {number} total_ballots
+ * @property {Record<string, number>} counts First-preference counts for ranked polls.
+ * @property {string[]} winners Option ids; more than one means a tie.
+ * @property {Array<{counts: Record<string, number>, exhausted: number, eliminated: string|null}>|null} rounds
+ *
+ * @typedef {Object} Poll
+ * @property {string} id
+ * @property {string} movement_id
+ * @property {string} question
+ * @property {string|null} description
+ * @property {'single'|'approval'|'ranked'} voting_method
+ * @property {PollOption[]} options
+ * @property {'live'|'after_close'} results_visibility
+ * @property {'open'|'closed'} status
+ * @property {string|null} closes_at
+ * @property {number} ballot_count
+ * @property {boolean} results_published
+ * @property {PollTally|null} tally
+ * @property {{ choices: string[], updated_at: string }|null} my_ballot
+ */
+
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+
+const BASE_URL = SERVER_BASE;
+
+function normalizeId(value) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  return s ? s : null;
+}
+
+function base() {
+  return String(BASE_URL || '').replace(/\/$/, '');
+}
+
+async function safeReadJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+async function authedFetch(url, { accessToken, method = 'GET', body } = {}) {
+  const headers = { Accept: 'application/json' };
+
+  if (accessToken) headers.Authorization = `Bearer ${String(accessToken)}`;
+  if (body != null) headers['Content-Type'] = 'application/json';
+
+  const res = await httpFetch(url, {
+    method,
+    cache: 'no-store',
+    headers,
+    body: body != null ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = data && (data.error || data.message) ? String(data.error || data.message) : `Request failed: ${res.status}`;
+    const err = new Error(msg);
+    err.status = res.status;
+    throw err;
+  }
+
+  return data;
+}
+
+export async function listMovementPolls(movementId, { accessToken, limit = 50, offset = 0 } = {}) {
+  const id = normalizeId(movementId);
+  if (!id) throw new Error('Movement ID is required');
+
+  const params = new URLSearchParams();
+  if (limit != null) params.set('limit', String(limit));
+  if (offset != null) params.set('offset', String(offset));
+
+  const url = `${base()}/movements/${encodeURIComponent(id)}/polls?${params.toString()}`;
+  const data = await authedFetch(url, { accessToken });
+  return {
+    polls: Array.isArray(data?.polls) ? data.polls : [],
+    canManage: !!data?.can_manage,
+  };
+}
+
+export async function createMovementPoll(movementId, payload, { accessToken } = {}) {
+  const id = normalizeId(movementId);
+  if (!id) throw new Error('Movement ID is required');
+  if (!accessToken) throw new Error('Authentication required');
+  const url = `${base()}/movements/${encodeURIComponent(id)}/polls`;
+  const data = await authedFetch(url, { method: 'POST', body: payload, accessToken });
+  return data?.poll ?? data;
+}
+
+export async function castPollBallot(pollId, choices, { accessToken } = {}) {
+  const id = normalizeId(pollId);
+  if (!id) throw new Error('Poll ID is required');
+  if (!accessToken) throw new Error('Authentication required');
+  const url = `${base()}/polls/${encodeURIComponent(id)}/ballot`;
+  const data = await authedFetch(url, { method: 'POST', body: { choices }, accessToken });
+  return data?.poll ?? data;
+}
+
+export async function closePoll(pollId, { accessToken } = {}) {
+  const id = normalizeId(pollId);
+  if (!id) throw new Error('Poll ID is required');
+  if (!accessToken) throw new Error('Authentication required');
+  const url = `${base()}/polls/${encodeURIComponent(id)}/close`;
+  const data = await authedFetch(url, { method: 'POST', accessToken });
+  return data?.poll ?? data;
+}
@@ -0,0 +1,82 @@
+/**
+ * Harassment protection settings API client (Node backend).
+ *
+ * Endpoints (see Server/index.js):
+ * - GET   /me/protections  -> { protections: ProtectionSettings } (verified user)
+ * - PATCH /me/protections  -> { protections: ProtectionSettings } (verified user; partial update)
+ *
+ * The server enforces these on POST /conversations, POST /conversations/:id/messages,
+ * POST /messages/:id/reactions and POST /movements/:id/comments, after the user_blocks
+ * checks. Rejections are 403 with code PROTECTION_RESTRICTED. hide_new_account_comments
+ * never rejects; GET /movements/:id/comments leaves those comments out instead.
+ *
+ * @typedef {'everyone'|'followers'|'following'|'nobody'} ProtectionAudience
+ *
+ * @typedef {Object} ProtectionSettings
+ * @property {ProtectionAudience} dm_audience Who may start (or write into) a 1:1 conversation
+ * @property {ProtectionAudience} reaction_audience Who may react to your messages
+ * @property {boolean} block_new_account_dms
+ * @property {boolean} hide_new_account_comments Hide comments on your movements by new accounts from everyone but you and the author
+ * @property {number} new_account_days Accounts younger than this count as new (1-90)
+ * @property {boolean} auto_lock_comments_on_spike
+ * @property {number} spike_comment_threshold Comments per 10 minutes that trigger the auto-lock
+ * @property {string|null} updated_at
+ */
+
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+
+const BASE_URL = SERVER_BASE;
+
+export const PROTECTION_AUDIENCES = ['everyone', 'followers', 'following', 'nobody'];
+
+function base() {
+  return String(BASE_URL || '').replace(/\/$/, '');
+}
+
+async function safeReadJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+async function authedRequest(path, { method = 'GET', body, accessToken } = {}) {
+  if (!accessToken) throw new Error('Authentication required');
+  const res = await httpFetch(`${base()}${path}`, {
+    method,
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      Authorization: `Bearer ${String(accessToken)}`,
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+  });
+  const data = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = data && (data.error || data.message) ? String(data.error || data.message) : `Request failed: ${res.status}`;
+    const err = new Error(msg);
+    err.status = res.status;
+    if (data?.code) err.code = String(data.code);
+    throw err;
+  }
+  return data;
+}
+
+/** @returns {Promise<ProtectionSettings|null>} */
+export async function fetchMyProtections({ accessToken } = {}) {
+  const data = await authedRequest('/me/protections', { accessToken });
+  return data?.protections ?? null;
+}
+
+/** @returns {Promise<ProtectionSettings|null>} */
+export async function updateMyProtections(patch, { accessToken } = {}) {
+  const data = await authedRequest('/me/protections', {
+    method: 'PATCH',
+    body: patch && typeof patch === 'object' ? patch : {},
+    accessToken,
+  });
+  return data?.protections ?? null;
+}
@@ -0,0 +1,125 @@
+/**
+ * Push token API client (Node backend). Registers this app install for APNs pushes.
+ *
+ * Endpoints (see Server/index.js):
+ * - GET    /me/devices/push-tokens      -> { push_tokens: PushToken[] } (verified user)
+ * - POST   /me/devices/push-tokens      -> { push_token: PushToken } (register or refresh)
+ * - DELETE /me/devices/push-tokens/:id  -> { ok: true } (revoke)
+ *
+ * Which notifications are pushed is set per type in the notification preferences
+ * (channel 'push'), together with quiet hours.
+ *
+ * @typedef {Object} PushToken
+ * @property {string} id
+ * @property {'ios'} platform
+ * @property {'production'|'sandbox'} environment
+ * @property {string|null} device_id The install's E2EE device id, when it has one
+ * @property {string|null} app_version
+ * @property {string} token_hint Last characters of the token
+ * @property {string|null} created_at
+ * @property {string|null} updated_at
+ * @property {string|null} last_push_at
+ */
+
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+
+const BASE_URL = SERVER_BASE;
+
+// The id of this install's registered token, so it can be revoked on sign-out.
+const PUSH_TOKEN_ID_KEY = 'peoplepower:push:tokenId';
+
+function base() {
+  return String(BASE_URL || '').replace(/\/$/, '');
+}
+
+async function safeReadJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+async function authedRequest(path, { method = 'GET', body, accessToken } = {}) {
+  if (!accessToken) throw new Error('Authentication required');
+  const res = await httpFetch(`${base()}${path}`, {
+    method,
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      Authorization: `Bearer ${String(accessToken)}`,
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+  });
+  const data = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = data && (data.error || data.message) ? String(data.error || data.message) : `Request failed: ${res.status}`;
+    const err = new Error(msg);
+    err.status = res.status;
+    if (data?.code) err.code = String(data.code);
+    throw err;
+  }
+  return data;
+}
+
+function readStoredTokenId() {
+  try {
+    return window.localStorage.getItem(PUSH_TOKEN_ID_KEY) || null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredTokenId(id) {
+  try {
+    if (id) window.localStorage.setItem(PUSH_TOKEN_ID_KEY, String(id));
+    else window.localStorage.removeItem(PUSH_TOKEN_ID_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+/** @returns {Promise<PushToken[]>} */
+export async function listMyPushTokens({ accessToken } = {}) {
+  const data = await authedRequest('/me/devices/push-tokens', { accessToken });
+  return Array.isArray(data?.push_tokens) ? data.push_tokens : [];
+}
+
+/**
+ * @param {{ token: string, environment?: 'production'|'sandbox', device_id?: string|null, app_version?: string|null }} registration
+ * @returns {Promise<PushToken|null>}
+ */
+export async function registerPushToken(registration, { accessToken } = {}) {
+  const data = await authedRequest('/me/devices/push-tokens', {
+    method: 'POST',
+    body: { platform: 'ios', ...(registration || {}) },
+    accessToken,
+  });
+  const pushToken = data?.push_token ?? null;
+  if (pushToken?.id) writeStoredTokenId(pushToken.id);
+  return pushToken;
+}
+
+export async function revokePushToken(id, { accessToken } = {}) {
+  await authedRequest(`/me/devices/push-tokens/${encodeURIComponent(String(id || ''))}`, {
+    method: 'DELETE',
+    accessToken,
+  });
+  if (readStoredTokenId() === String(id)) writeStoredTokenId(null);
+  return true;
+}
+
+/** Revokes this install's token, if it registered one. Best-effort; used on sign-out. */
+export async function revokeThisDevicePushToken({ accessToken } = {}) {
+  const id = readStoredTokenId();
+  if (!id || !accessToken) return false;
+  try {
+    await revokePushToken(id, { accessToken });
+  } catch {
+    // The token may already be gone; the server prunes dead ones on its own.
+  }
+  writeStoredTokenId(null);
+  return true;
+}
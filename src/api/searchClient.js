@@ -11,11 +11,41 @@ async function safeReadJson(res) {
   }
 }
 
-export async function searchMovements({ q, city, country, limit = 20, offset = 0, accessToken } = {}) {
+/**
+ * Full-text movement search (GET /search/movements).
+ *
+ * `q` supports "quoted phrases" and prefix* terms; near-miss spellings still match titles.
+ * `sort` is relevance | momentum | newest | nearest (nearest needs lat/lon).
+ *
+ * @returns {Promise<{ movements: object[], total: number, hasMore: boolean, facets: SearchFacets }>}
+ *
+ * @typedef {{ value: string, count: number }} FacetCount
+ * @typedef {{ tags: FacetCount[], categories: FacetCount[], countries: FacetCount[] }} SearchFacets
+ */
+export async function searchMovements({
+  q,
+  city,
+  country,
+  tags,
+  category,
+  sort,
+  lat,
+  lon,
+  limit = 20,
+  offset = 0,
+  accessToken,
+} = {}) {
   const url = new URL(`${BASE_URL.replace(/\/$/, '')}/search/movements`);
   if (q) url.searchParams.set('q', String(q));
   if (city) url.searchParams.set('city', String(city));
   if (country) url.searchParams.set('country', String(country));
+  if (Array.isArray(tags) && tags.length) url.searchParams.set('tags', tags.map(String).join(','));
+  if (category) url.searchParams.set('category', String(category));
+  if (sort) url.searchParams.set('sort', String(sort));
+  if (lat != null && lon != null) {
+    url.searchParams.set('lat', String(lat));
+    url.searchParams.set('lon', String(lon));
+  }
   url.searchParams.set('limit', String(limit));
   url.searchParams.set('offset', String(offset));
 
@@ -31,7 +61,18 @@ export async function searchMovements({ q, city, country, limit = 20, offset = 0
     const msg = body?.error || body?.message || `Failed to search movements: ${res.status}`;
     throw new Error(String(msg));
   }
-  return Array.isArray(body?.movements) ? body.movements : [];
+  const movements = Array.isArray(body?.movements) ? body.movements : [];
+  const facets = body?.facets && typeof body.facets === 'object' ? body.facets : {};
+  return {
+    movements,
+    total: Number.isFinite(Number(body?.total)) ? Number(body.total) : movements.length,
+    hasMore: !!body?.has_more,
+    facets: {
+      tags: Array.isArray(facets.tags) ? facets.tags : [],
+      categories: Array.isArray(facets.categories) ? facets.categories : [],
+      countries: Array.isArray(facets.countries) ? facets.countries : [],
+    },
+  };
 }
 
 export async function searchUsers({ q, limit = 20, offset = 0, accessToken } = {}) {
@@ -0,0 +1,115 @@
+/**
+ * Trust score & action velocity API client (Node backend).
+ *
+ * Endpoints (see Server/index.js):
+ * - POST   /trust/check                          -> TrustCheck (verified user; preflight, nothing is recorded)
+ * - GET    /admin/trust-scores                   -> { items: TrustRecord[], limit, offset, has_more } (admin)
+ * - GET    /admin/trust-scores/:email            -> { trust: TrustRecord, incidents, actions_24h } (admin; recomputes)
+ * - PUT    /admin/trust-scores/:email/override   -> { trust: TrustRecord } (admin)
+ * - DELETE /admin/trust-scores/:email/override   -> { trust: TrustRecord } (admin)
+ *
+ * The server enforces the same limits on the action routes themselves (429 with
+ * code RATE_LIMITED or BRIGADING_SUSPECTED); the preflight only lets the UI explain it early.
+ *
+ * @typedef {Object} TrustCheck
+ * @property {boolean} ok
+ * @property {number|null} trust_score
+ * @property {number} retry_after_ms
+ * @property {'RATE_LIMITED'|'BRIGADING_SUSPECTED'|null} code
+ * @property {string|null} reason
+ *
+ * @typedef {Object} TrustRecord
+ * @property {string} user_email
+ * @property {number} trust_score Effective score (override when set, else computed)
+ * @property {number} computed_score
+ * @property {number|null} override_score
+ * @property {string|null} override_reason
+ * @property {string|null} override_by
+ * @property {string|null} override_at
+ * @property {Record<string, number|null>} signals
+ * @property {{ signal: string, delta: number }[]} factors
+ * @property {string|null} account_created_at
+ * @property {string|null} computed_at
+ */
+
+import { SERVER_BASE } from './serverBase';
+import { httpFetch } from '@/utils/httpFetch';
+
+const BASE_URL = SERVER_BASE;
+
+function base() {
+  return String(BASE_URL || '').replace(/\/$/, '');
+}
+
+async function safeReadJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+async function authedRequest(path, { method = 'GET', body, accessToken } = {}) {
+  if (!accessToken) throw new Error('Authentication required');
+  const res = await httpFetch(`${base()}${path}`, {
+    method,
+    cache: 'no-store',
+    headers: {
+      Accept: 'application/json',
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      Authorization: `Bearer ${String(accessToken)}`,
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+  });
+  const data = await safeReadJson(res);
+  if (!res.ok) {
+    const msg = data && (data.error || data.message) ? String(data.error || data.message) : `Request failed: ${res.status}`;
+    const err = new Error(msg);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+/** @returns {Promise<TrustCheck>} */
+export async function checkTrustAction({ action, contextId } = {}, { accessToken } = {}) {
+  return authedRequest('/trust/check', {
+    method: 'POST',
+    body: { action: String(action), context_id: contextId != null ? String(contextId) : null },
+    accessToken,
+  });
+}
+
+export async function listTrustScores({ q, sort, limit, offset } = {}, { accessToken } = {}) {
+  const params = new URLSearchParams();
+  if (q) params.set('q', String(q).trim().toLowerCase());
+  if (sort) params.set('sort', String(sort));
+  if (limit != null) params.set('limit', String(limit));
+  if (offset != null) params.set('offset', String(offset));
+  const data = await authedRequest(`/admin/trust-scores?${params.toString()}`, { accessToken });
+  return {
+    items: Array.isArray(data?.items) ? data.items : [],
+    hasMore: !!data?.has_more,
+  };
+}
+
+export async function fetchTrustScore(email, { accessToken } = {}) {
+  return authedRequest(`/admin/trust-scores/${encodeURIComponent(String(email))}`, { accessToken });
+}
+
+export async function setTrustOverride(email, { score, reason }, { accessToken } = {}) {
+  const data = await authedRequest(`/admin/trust-scores/${encodeURIComponent(String(email))}/override`, {
+    method: 'PUT',
+    body: { score: Number(score), reason: String(reason || '') },
+    accessToken,
+  });
+  return data?.trust ?? null;
+}
+
+export async function clearTrustOverride(email, { accessToken } = {}) {
+  const data = await authedRequest(`/admin/trust-scores/${encodeURIComponent(String(email))}/override`, {
+    method: 'DELETE',
+    accessToken,
+  });
+  return data?.trust ?? null;
+}
@@ -328,9 +328,9 @@ async function uploadDirectToStorage(file, options) {
     throw e;
   }
 
-  // Post-upload safeguard: ensure the stored object length matches local file size.
-  // This catches cases where a tiny placeholder/error payload was uploaded instead of the image.
-  await verifyDirectUpload({
+  // The signed URL points at a private quarantine bucket: verifying checks the stored size
+  // against the local file, strips metadata and publishes the image.
+  const verified = await verifyDirectUpload({
     accessToken,
     kind,
     object_key: signed.object_key,
@@ -342,7 +342,7 @@ async function uploadDirectToStorage(file, options) {
     kind,
     bucket: signed.bucket || bucketForDirectKind(kind),
     path: signed.object_key,
-    url: signed.public_url || null,
+    url: verified.url || signed.public_url || null,
     expires_in: signed.expires_in ?? null,
     request_id: signed.request_id ?? null,
   };
@@ -68,7 +68,6 @@ export async function recordChallengeCompletion(userEmail, challenge, completion
 
   const t = todayKey();
   const challengeId = String(challenge.id);
-  const points = Number(challenge?.points || 0) || 0;
 
   const evidenceText = completionPayload?.evidence_text ? String(completionPayload.evidence_text) : null;
   const evidenceImageUrl = completionPayload?.evidence_image_url ? String(completionPayload.evidence_image_url) : null;
@@ -87,8 +86,8 @@ export async function recordChallengeCompletion(userEmail, challenge, completion
     headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
     body: JSON.stringify({
       challenge_id: challengeId,
+      // The server uses its own challenge day and the challenge's point value.
       date: t,
-      points,
       evidence_type: derivedEvidenceType,
       evidence_text: evidenceText,
       evidence_image_url: evidenceImageUrl,
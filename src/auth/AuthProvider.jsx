@@ -5,8 +5,8 @@ import { getSupabaseClient, supabaseConfigError } from '@/api/supabaseClient';
 import { toast } from 'sonner';
 import { SERVER_BASE } from '@/api/serverBase';
 import { fetchMyProfile } from '@/api/userProfileClient';
-import { upsertMyPublicKey } from '@/api/keysClient';
-import { getOrCreateIdentityKeypair } from '@/lib/e2eeCrypto';
+import { revokeThisDevicePushToken } from '@/api/pushTokensClient';
+import { publishMyEncryptionKeys } from '@/utils/e2eeMessaging';
 import { logError } from '@/utils/logError';
 import { httpFetch } from '@/utils/httpFetch';
 import { getStaffRole } from '@/utils/staff';
@@ -306,7 +306,7 @@ export function AuthProvider({ children }) {
     };
   }, [session?.access_token, user?.email]);
 
-  // Publish the user's identity public key shortly after sign-in.
+  // Publish the user's identity key and prekeys shortly after sign-in.
   // This lets other users message a newly created account without requiring
   // them to first open the Messages page.
   useEffect(() => {
@@ -321,11 +321,10 @@ export function AuthProvider({ children }) {
     let cancelled = false;
     (async () => {
       try {
-        const kp = await getOrCreateIdentityKeypair(email);
-        if (cancelled) return;
-        await upsertMyPublicKey(kp.publicKey, { accessToken });
+        await publishMyEncryptionKeys(email, { accessToken });
       } catch (e) {
-        if (!cancelled) {
+        // A key that differs from the account's is resolved from the Messages page.
+        if (!cancelled && e?.code !== 'IDENTITY_KEY_MISMATCH') {
           logError(e, 'AuthProvider: failed to publish messaging public key', { email });
         }
       }
@@ -449,6 +448,8 @@ export function AuthProvider({ children }) {
   const logout = useCallback(async () => {
     const supabase = getSupabaseClient();
     if (supabaseConfigError || !supabase) throw new Error(AUTH_DISABLED_MESSAGE);
+    // Stop pushes to this device while the session can still authenticate the request.
+    await revokeThisDevicePushToken({ accessToken: sessionRef.current?.access_token });
     try {
       const { error } = await supabase.auth.signOut();
       if (error) throw error;
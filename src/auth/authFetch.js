@@ -30,6 +30,7 @@ function isBackendUrl(url) {
       raw.startsWith('/public-keys') ||
       raw.startsWith('/platform-acknowledgment') ||
       raw.startsWith('/incidents') ||
+      raw.startsWith('/integrations/') ||
       raw.startsWith('/events') ||
       raw.startsWith('/notifications') ||
       raw.startsWith('/reports') ||
@@ -22,7 +22,6 @@ import { entities } from "@/api/appClient";
 import { updateReport } from '@/api/reportsClient';
 import { getStaffRole, isAdmin as isAdminEmail } from '@/utils/staff';
 import { useAuth } from '@/auth/AuthProvider';
-import { upsertNotification } from '@/api/notificationsClient';
 
 function nowIso() {
   return new Date().toISOString();
@@ -42,12 +41,6 @@ function requiresSecondApproval(action) {
   return action === 'content_removed_permanent' || action === 'user_banned_permanent';
 }
 
-function genericReasonSummary(category) {
-  const c = String(category || '').trim();
-  if (!c) return 'Policy violation';
-  return c.replace(/_/g, ' ');
-}
-
 export default function ReportActions({ report, onClose, onActionComplete, moderatorEmail, accessToken }) {
   const { user } = useAuth();
   const [notes, setNotes] = useState(report.moderator_notes || '');
@@ -268,77 +261,6 @@ export default function ReportActions({ report, onClose, onActionComplete, moder
     }
   };
 
-  const writeAuditLog = async (actionType, details) => {
-    try {
-      await entities.ModeratorAuditLog.create({
-        moderator_email: me,
-        action_type: actionType,
-        target_content_type: String(report.reported_content_type || ''),
-        target_content_id: String(report.reported_content_id || ''),
-        created_date: nowIso(),
-        details: {
-          report_id: report.id,
-          ...details,
-        },
-      });
-    } catch {
-      // ignore
-    }
-  };
-
-  const notifyUserIfNeeded = async (action, statusValue) => {
-    try {
-      const affectedEmail = await getAffectedUserEmail();
-      if (!affectedEmail) return;
-
-      // Only notify the reported user if an action was actually taken.
-      if (statusValue !== 'resolved') return;
-      if (!action || action === 'none' || action === 'request_more_info') return;
-
-      if (!accessToken) return;
-      await upsertNotification(
-        {
-          recipient_email: affectedEmail,
-          type: 'moderation_notice',
-          content: `A moderation action was taken for: ${genericReasonSummary(report.report_category)}.`,
-          created_at: nowIso(),
-          metadata: {
-            report_id: report.id,
-            action_taken: action,
-            reason_category: String(report.report_category || ''),
-          },
-        },
-        { accessToken }
-      );
-    } catch {
-      // ignore
-    }
-  };
-
-  const notifyReporterIfNeeded = async (statusValue) => {
-    try {
-      const reporterEmail = normalizeEmail(report.reporter_email);
-      if (!reporterEmail) return;
-
-      if (statusValue === 'needs_info') {
-        if (!accessToken) return;
-        await upsertNotification(
-          {
-            recipient_email: reporterEmail,
-            type: 'moderation_request_more_info',
-            content:
-              'A moderator requested more information about your report. Please reply with any helpful context or evidence.',
-            created_at: nowIso(),
-            metadata: { report_id: report.id },
-          },
-          { accessToken }
-        );
-      }
-    } catch {
-      // ignore
-    }
-  };
-
   const updateReportMutation = useMutation({
     mutationFn: async () => {
       if (!accessToken) throw new Error('Authentication required');
@@ -351,13 +273,9 @@ export default function ReportActions({ report, onClose, onActionComplete, moder
       const nextStatus = actionNeedsSecond ? 'pending_second_approval' : newStatus;
 
       if (actionNeedsSecond) {
-        await writeAuditLog('requested_second_approval', {
-          requested_action: effectiveAction,
-          rule_violated: ruleViolated || null,
-        });
-
         const payload = {
           status: 'pending_second_approval',
+          audit_action: 'requested_second_approval',
           ...(canSetActionTaken ? { action_taken: effectiveAction } : {}),
           rule_violated: ruleViolated || null,
           moderator_email: me,
@@ -381,18 +299,10 @@ export default function ReportActions({ report, onClose, onActionComplete, moder
         action_timestamp: nowIso(),
       };
 
+      // The server writes the audit entry (reviewed_report) for this update and notifies the
+      // reporter and the affected user of the outcome.
       await updateReport(report.id, updatePayload, { accessToken });
 
-      await writeAuditLog('reviewed_report', {
-        new_status: nextStatus,
-        action_taken: canSetActionTaken ? effectiveAction : null,
-        rule_violated: ruleViolated || null,
-      });
-
-      if (canSetActionTaken && effectiveAction === 'request_more_info') {
-        await notifyReporterIfNeeded('needs_info');
-      }
-
       if (canSetActionTaken && nextStatus === 'resolved' && effectiveAction && effectiveAction !== 'none') {
         try {
           await entities.ModerationAction.create({
@@ -411,7 +321,6 @@ export default function ReportActions({ report, onClose, onActionComplete, moder
         }
 
         await applyLocalTargetEffects(effectiveAction);
-        await notifyUserIfNeeded(effectiveAction, nextStatus);
       }
 
       // Update reporter stats
@@ -479,40 +388,17 @@ export default function ReportActions({ report, onClose, onActionComplete, moder
       const action = currentAction;
       await reverseLocalTargetEffects(action);
 
-      await writeAuditLog('reversed_action', {
-        reversed_action: action,
-        report_id: report.id,
-      });
-
       await updateReport(
         report.id,
         {
+          audit_action: 'reversed_action',
+          audit_note: `Reversed ${action}`,
           action_reversed_by: me,
           action_reversed_at: nowIso(),
           updated_at: nowIso(),
         },
         { accessToken }
       );
-
-      try {
-        const affectedEmail = await getAffectedUserEmail();
-        if (affectedEmail) {
-          if (accessToken) {
-            await upsertNotification(
-              {
-                recipient_email: affectedEmail,
-                type: 'moderation_notice',
-                content: 'A previous moderation action was reversed after review.',
-                created_at: nowIso(),
-                metadata: { report_id: report.id, reversed_action: action },
-              },
-              { accessToken }
-            );
-          }
-        }
-      } catch {
-        // ignore
-      }
     },
     onSuccess: () => {
       toast.success('Action reversed');
@@ -535,6 +421,7 @@ export default function ReportActions({ report, onClose, onActionComplete, moder
         report.id,
         {
           status: 'resolved',
+          audit_action: 'approved_action',
           second_approval_granted_by: me,
           second_approval_granted_at: nowIso(),
           action_timestamp: nowIso(),
@@ -542,14 +429,7 @@ export default function ReportActions({ report, onClose, onActionComplete, moder
         { accessToken }
       );
 
-      await writeAuditLog('approved_action', {
-        approved_action: action,
-        requested_by: report?.second_approval_requested_by || null,
-        rule_violated: report?.rule_violated || null,
-      });
-
       await applyLocalTargetEffects(action);
-      await notifyUserIfNeeded(action, 'resolved');
     },
     onSuccess: () => {
       toast.success('Second approval recorded');
@@ -573,19 +453,14 @@ export default function ReportActions({ report, onClose, onActionComplete, moder
         {
           status: 'in_review',
           action_taken: 'none',
+          audit_action: 'denied_action',
+          audit_note: notes || null,
           second_approval_denied_by: me,
           second_approval_denied_at: nowIso(),
           updated_at: nowIso(),
         },
         { accessToken }
       );
-
-      await writeAuditLog('denied_action', {
-        denied_action: action,
-        requested_by: report?.second_approval_requested_by || null,
-        rule_violated: report?.rule_violated || null,
-        note: notes || null,
-      });
     },
     onSuccess: () => {
       toast.success('Second approval denied');
@@ -601,24 +476,19 @@ export default function ReportActions({ report, onClose, onActionComplete, moder
       if (!accessToken) throw new Error('Authentication required');
       if (!canCancelSecond) throw new Error('Cannot cancel');
 
-      const action = String(report?.action_taken || 'none');
-
       await updateReport(
         report.id,
         {
           status: 'in_review',
           action_taken: 'none',
+          audit_action: 'cancelled_second_approval',
+          audit_note: notes || null,
           second_approval_requested_by: null,
           second_approval_requested_at: null,
           updated_at: nowIso(),
         },
         { accessToken }
       );
-
-      await writeAuditLog('cancelled_second_approval', {
-        cancelled_action: action,
-        note: notes || null,
-      });
     },
     onSuccess: () => {
       toast.success('Second approval request cancelled');
@@ -11,7 +11,6 @@ import {
   cacheAIResult,
   getCachedAIResult,
   hasExceededAILimit,
-  incrementAICounter,
   hashPayload,
 } from '@/utils/aiGuardrail';
 import { listMovementEventsPage } from '@/api/eventsClient';
@@ -217,7 +216,7 @@ export default function CreatorDashboard({ movement, isOwner, userProfile }) {
 
     setAiLimitNotice('');
     if (hasExceededAILimit()) {
-      setAiLimitNotice('AI usage limit reached for this session.');
+      setAiLimitNotice('Daily AI limit reached. It resets tomorrow.');
       return;
     }
     
@@ -243,7 +242,6 @@ export default function CreatorDashboard({ movement, isOwner, userProfile }) {
         return;
       }
 
-      incrementAICounter();
       const response = await integrations.Core.InvokeLLM({
         prompt: `Analyze this movement's performance data and provide actionable insights:
 
@@ -9,7 +9,6 @@ import {
   cacheAIResult,
   getCachedAIResult,
   hasExceededAILimit,
-  incrementAICounter,
   hashPayload,
 } from '@/utils/aiGuardrail';
 
@@ -21,7 +20,7 @@ export default function PerformanceReport({ movement }) {
   const generateReport = async () => {
     setLimitNotice('');
     if (hasExceededAILimit()) {
-      setLimitNotice('AI usage limit reached for this session.');
+      setLimitNotice('Daily AI limit reached. It resets tomorrow.');
       return;
     }
     setGenerating(true);
@@ -53,8 +52,6 @@ export default function PerformanceReport({ movement }) {
         return;
       }
 
-      incrementAICounter();
-      
       const response = await integrations.Core.InvokeLLM({
         prompt: `Generate a comprehensive performance report for this movement:
 
@@ -122,8 +119,9 @@ Provide a detailed report with:
 
       setReport(response);
       cacheAIResult('aiPerformanceReport', payloadHash, response);
-    } catch {
-      toast.error('Failed to generate report');
+    } catch (e) {
+      if (e?.status === 429) setLimitNotice('Daily AI limit reached. It resets tomorrow.');
+      else toast.error('Failed to generate report');
     } finally {
       setGenerating(false);
     }
@@ -33,7 +33,7 @@ export default function GiftPointsModal({ open, onClose, toUser, userStats, onGi
       onClose();
     } catch (err) {
       logError(err, 'GiftPointsModal gift failed');
-      toast.error('Failed to send gift. Please try again.');
+      toast.error(err?.message || 'Failed to send gift. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -10,8 +10,6 @@ import { motion } from 'framer-motion';
 import { toast } from "sonner";
 import { cn } from "@/lib/utils";
 import { entities } from "@/api/appClient";
-import { useAuth } from '@/auth/AuthProvider';
-import { upsertNotification } from '@/api/notificationsClient';
 
 export default function EnhancedTaskManager({ movementId, currentUser, canEdit }) {
   const [showForm, setShowForm] = useState(false);
@@ -26,8 +24,6 @@ export default function EnhancedTaskManager({ movementId, currentUser, canEdit }
     depends_on: []
   });
   const queryClient = useQueryClient();
-  const { session } = useAuth();
-  const accessToken = session?.access_token || null;
 
   const { data: tasks = [] } = useQuery({
     queryKey: ['movementTasks', movementId],
@@ -76,26 +72,6 @@ export default function EnhancedTaskManager({ movementId, currentUser, canEdit }
         created_by: currentUser.email,
         status: 'todo'
       });
-
-      if (newTask.assigned_to && newTask.assigned_to !== currentUser.email) {
-        try {
-          if (accessToken) {
-            await upsertNotification(
-              {
-                recipient_email: newTask.assigned_to,
-                type: 'movement_update',
-                actor_email: currentUser.email,
-                actor_name: currentUser.full_name || currentUser.email,
-                content_id: movementId,
-                content_title: `assigned you: ${newTask.title}`,
-              },
-              { accessToken }
-            );
-          }
-        } catch {
-          // ignore
-        }
-      }
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['movementTasks'] });
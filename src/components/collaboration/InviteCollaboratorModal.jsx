@@ -13,7 +13,6 @@ import { checkActionAllowed, formatWaitMs } from '@/utils/antiBrigading';
 import { useAuth } from '@/auth/AuthProvider';
 import { inviteCollaborator } from '@/api/collaboratorsClient';
 import { isAdmin as isAdminEmail } from '@/utils/staff';
-import { upsertNotification } from '@/api/notificationsClient';
 
 export default function InviteCollaboratorModal({ open, onClose, movementId, currentUser, movement }) {
   const [username, setUsername] = useState('');
@@ -106,29 +105,8 @@ export default function InviteCollaboratorModal({ open, onClose, movementId, cur
         throw new Error(String(rateCheck?.reason || 'Please slow down.') + wait);
       }
 
+      // The server notifies the invitee.
       await inviteCollaborator(movementId, { username: handle, role }, { accessToken });
-
-      // Best-effort notification. Don't block invite if this fails.
-      try {
-        if (profile?.user_email) {
-          await upsertNotification(
-            {
-              recipient_email: profile.user_email,
-              type: 'movement_update',
-              actor_email: currentUser.email,
-              actor_name:
-                currentUser.full_name ||
-                currentUser.display_name ||
-                (currentUser.username ? `@${currentUser.username}` : null),
-              content_id: movementId,
-              content_title: 'invited you to collaborate',
-            },
-            { accessToken }
-          );
-        }
-      } catch {
-        // ignore
-      }
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['collaborators', movementId] });
@@ -0,0 +1,312 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { History, Loader2, RotateCcw } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { fetchMovementRevision, listMovementRevisions, rollbackMovementRevision } from '@/api/movementRevisionsClient';
+import { queryKeys } from '@/lib/queryKeys';
+import { diffLines, diffText } from '@/utils/textDiff';
+
+const PAGE_SIZE = 20;
+
+const FIELD_LABELS = {
+  title: 'Title',
+  summary: 'Summary',
+  description: 'Description',
+  description_html: 'Formatted description',
+  tags: 'Tags',
+  location_city: 'City',
+  location_country: 'Country',
+  location_lat: 'Latitude',
+  location_lon: 'Longitude',
+  media_urls: 'Media',
+  claims: 'Claims',
+};
+const LIST_FIELDS = new Set(['tags', 'media_urls', 'claims']);
+
+function authorLabel(revision) {
+  if (revision?.action === 'baseline') return 'Before history was recorded';
+  const name = String(revision?.author_display_name || '').trim();
+  if (name) return name;
+  const username = String(revision?.author_username || '').trim();
+  return username ? `@${username.replace(/^@+/, '')}` : 'Collaborator';
+}
+
+function actionLabel(revision) {
+  switch (revision?.action) {
+    case 'create':
+      return 'Created';
+    case 'baseline':
+      return 'Earlier version';
+    case 'rollback':
+      return revision.restored_revision_number ? `Rolled back to #${revision.restored_revision_number}` : 'Rolled back';
+    default:
+      return 'Edited';
+  }
+}
+
+function fieldLines(field, value) {
+  if (!Array.isArray(value)) return [];
+  if (field !== 'claims') return value.map((v) => String(v));
+  return value.map((claim) => {
+    const text = String(claim?.text || '');
+    const classification = claim?.classification ? ` [${String(claim.classification).replace(/_/g, ' ')}]` : '';
+    const evidence = Array.isArray(claim?.evidence) && claim.evidence.length ? ` (${claim.evidence.length} evidence)` : '';
+    return `${text}${classification}${evidence}`;
+  });
+}
+
+function DiffRuns({ ops, mono = false }) {
+  return (
+    <div className={`whitespace-pre-wrap break-words text-sm text-slate-800 ${mono ? 'font-mono text-xs' : 'font-medium'}`}>
+      {ops.map((op, i) =>
+        op.type === 'insert' ? (
+          <ins key={i} className="bg-green-100 text-green-900 no-underline">
+            {op.value}
+          </ins>
+        ) : op.type === 'delete' ? (
+          <del key={i} className="bg-red-100 text-red-800">
+            {op.value}
+          </del>
+        ) : (
+          <span key={i}>{op.value}</span>
+        )
+      )}
+    </div>
+  );
+}
+
+/** Field-by-field differences between two revision snapshots. */
+function RevisionDiff({ before, after }) {
+  const fields = Object.keys(FIELD_LABELS).filter(
+    (field) => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null)
+  );
+  if (!fields.length) {
+    return <div className="text-xs text-slate-500 font-semibold">These revisions are identical.</div>;
+  }
+  return (
+    <div className="space-y-3">
+      {fields.map((field) => (
+        <div key={field} className="rounded-xl border border-slate-200 bg-white p-3">
+          <div className="text-xs font-black text-slate-600 mb-1">{FIELD_LABELS[field]}</div>
+          {LIST_FIELDS.has(field) ? (
+            <DiffRuns ops={diffLines(fieldLines(field, before?.[field]), fieldLines(field, after?.[field]))} />
+          ) : (
+            <DiffRuns
+              mono={field === 'description_html'}
+              ops={diffText(before?.[field] == null ? '' : String(before[field]), after?.[field] == null ? '' : String(after[field]))}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Revision history for the movement team: pick any two revisions to compare, and (for owners
+ * and admins) restore an earlier one. `onRestored` receives the movement after a rollback.
+ */
+export default function MovementRevisionHistory({ movementId, accessToken, onRestored }) {
+  const queryClient = useQueryClient();
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+  const [confirmRevision, setConfirmRevision] = useState(null);
+
+  const listQuery = useInfiniteQuery({
+    queryKey: queryKeys.movements.revisions(movementId),
+    enabled: !!movementId && !!accessToken,
+    initialPageParam: 0,
+    queryFn: ({ pageParam = 0 }) => listMovementRevisions(movementId, { accessToken, limit: PAGE_SIZE, offset: pageParam }),
+    getNextPageParam: (lastPage, pages) =>
+      lastPage?.has_more ? pages.reduce((sum, page) => sum + (page?.revisions?.length || 0), 0) : undefined,
+  });
+
+  const revisions = useMemo(
+    () => (listQuery.data?.pages || []).flatMap((page) => (Array.isArray(page?.revisions) ? page.revisions : [])),
+    [listQuery.data]
+  );
+  const canRollback = !!listQuery.data?.pages?.[0]?.can_rollback;
+  const latestId = revisions[0]?.id || null;
+
+  // Default to the latest change: the newest revision against the one before it.
+  useEffect(() => {
+    if (!revisions.length) return;
+    if (!toId || !revisions.some((r) => r.id === toId)) setToId(revisions[0].id);
+    if (!fromId || !revisions.some((r) => r.id === fromId)) setFromId((revisions[1] || revisions[0]).id);
+  }, [revisions, fromId, toId]);
+
+  const snapshotQuery = (revisionId) => ({
+    queryKey: queryKeys.movements.revision(movementId, revisionId),
+    enabled: !!movementId && !!accessToken && !!revisionId,
+    staleTime: Infinity,
+    queryFn: () => fetchMovementRevision(movementId, revisionId, { accessToken }),
+  });
+  const fromQuery = useQuery(snapshotQuery(fromId));
+  const toQuery = useQuery(snapshotQuery(toId));
+
+  const rollbackMutation = useMutation({
+    mutationFn: (revision) => rollbackMovementRevision(movementId, revision.id, { accessToken }),
+    onSuccess: async (res, revision) => {
+      toast.success(res?.revision ? `Restored revision #${revision.revision_number}.` : 'The movement already matches that revision.');
+      if (res?.movement) onRestored?.(res.movement);
+      setToId(null);
+      setFromId(null);
+      await queryClient.invalidateQueries({ queryKey: queryKeys.movements.revisions(movementId), exact: true });
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to roll back'),
+  });
+
+  if (listQuery.isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="w-5 h-5 text-[#3A3DFF] animate-spin" />
+      </div>
+    );
+  }
+  if (listQuery.isError) {
+    return <div className="text-xs text-red-600 font-bold">{listQuery.error?.message || 'Could not load history.'}</div>;
+  }
+  if (!revisions.length) {
+    return (
+      <div className="text-xs text-slate-500 font-semibold">
+        No changes recorded yet. Every edit from now on is saved here.
+      </div>
+    );
+  }
+
+  const from = revisions.find((r) => r.id === fromId) || null;
+  const to = revisions.find((r) => r.id === toId) || null;
+  const diffLoading = fromQuery.isLoading || toQuery.isLoading;
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-500 font-black">
+              <th className="px-1 py-1 w-10">From</th>
+              <th className="px-1 py-1 w-10">To</th>
+              <th className="px-1 py-1">Revision</th>
+              <th className="px-1 py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {revisions.map((revision) => (
+              <tr key={revision.id} className="border-t border-slate-100 align-top">
+                <td className="px-1 py-2">
+                  <input
+                    type="radio"
+                    name={`revision_from_${movementId}`}
+                    aria-label={`Compare from revision ${revision.revision_number}`}
+                    checked={fromId === revision.id}
+                    onChange={() => setFromId(revision.id)}
+                  />
+                </td>
+                <td className="px-1 py-2">
+                  <input
+                    type="radio"
+                    name={`revision_to_${movementId}`}
+                    aria-label={`Compare to revision ${revision.revision_number}`}
+                    checked={toId === revision.id}
+                    onChange={() => setToId(revision.id)}
+                  />
+                </td>
+                <td className="px-1 py-2">
+                  <div className="font-black text-slate-900">
+                    #{revision.revision_number} · {actionLabel(revision)}
+                    {revision.id === latestId ? <span className="ml-1 text-green-700">(current)</span> : null}
+                  </div>
+                  <div className="text-slate-600 font-semibold">
+                    {authorLabel(revision)}
+                    {revision.created_at ? ` — ${new Date(revision.created_at).toLocaleString()}` : ''}
+                  </div>
+                  {revision.changed_fields?.length ? (
+                    <div className="text-slate-500 font-semibold">
+                      Changed: {revision.changed_fields.map((f) => FIELD_LABELS[f] || f).join(', ')}
+                    </div>
+                  ) : null}
+                </td>
+                <td className="px-1 py-2 text-right">
+                  {canRollback && revision.id !== latestId ? (
+                    <button
+                      type="button"
+                      onClick={() => setConfirmRevision(revision)}
+                      disabled={rollbackMutation.isPending}
+                      className="inline-flex items-center gap-1.5 px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 text-xs font-black hover:bg-slate-50 disabled:opacity-60"
+                    >
+                      <RotateCcw className="w-3.5 h-3.5" />
+                      Restore
+                    </button>
+                  ) : null}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {listQuery.hasNextPage ? (
+        <button
+          type="button"
+          onClick={() => listQuery.fetchNextPage()}
+          disabled={listQuery.isFetchingNextPage}
+          className="text-xs font-bold text-[#3A3DFF] disabled:opacity-60"
+        >
+          {listQuery.isFetchingNextPage ? 'Loading…' : 'Show older revisions'}
+        </button>
+      ) : null}
+
+      {from && to ? (
+        <div className="rounded-2xl border border-slate-200 bg-slate-50 p-3 space-y-2">
+          <div className="flex items-center gap-2 text-xs font-black text-slate-700">
+            <History className="w-4 h-4" />
+            Changes from #{from.revision_number} to #{to.revision_number}
+          </div>
+          {diffLoading ? (
+            <div className="flex justify-center py-2">
+              <Loader2 className="w-4 h-4 animate-spin text-slate-400" />
+            </div>
+          ) : fromQuery.isError || toQuery.isError ? (
+            <div className="text-xs text-red-600 font-bold">Could not load these revisions.</div>
+          ) : (
+            <RevisionDiff before={fromQuery.data?.snapshot} after={toQuery.data?.snapshot} />
+          )}
+        </div>
+      ) : null}
+
+      <AlertDialog open={!!confirmRevision} onOpenChange={(open) => !open && setConfirmRevision(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Restore revision #{confirmRevision?.revision_number}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The title, description, claims, tags, location and media go back to how they were in this
+              revision. The restore is saved as a new revision, so it can be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => {
+                const revision = confirmRevision;
+                setConfirmRevision(null);
+                if (revision) rollbackMutation.mutate(revision);
+              }}
+            >
+              Restore
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
@@ -1,88 +1,105 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { BarChart2, Plus, X, Loader2, CheckCircle } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { BarChart2, Plus, X, Loader2, CheckCircle, Lock, Trophy } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { format } from 'date-fns';
 import { toast } from "sonner";
-import { entities } from "@/api/appClient";
+import { useAuth } from '@/auth/AuthProvider';
+import { queryKeys } from '@/lib/queryKeys';
+import { castPollBallot, closePoll, createMovementPoll, listMovementPolls } from '@/api/pollsClient';
 import { logError } from '@/utils/logError';
 
-function PollManagerProd() {
-  return (
-    <div className="p-4 rounded-2xl border border-slate-200 bg-slate-50 text-sm text-slate-700 font-semibold">
-      Polls are temporarily disabled while we add server persistence.
-    </div>
-  );
-}
-
-function PollManagerDev({ movementId, currentUser, canCreatePolls }) {
+const VOTING_METHOD_LABELS = {
+  single: 'Single choice',
+  approval: 'Approval (pick any)',
+  ranked: 'Ranked choice',
+};
 
+export default function PollManager({ movementId, canCreatePolls }) {
   const [showForm, setShowForm] = useState(false);
   const [question, setQuestion] = useState('');
   const [options, setOptions] = useState(['', '']);
+  const [votingMethod, setVotingMethod] = useState('single');
+  const [closesAt, setClosesAt] = useState('');
+  const [hideResultsUntilClose, setHideResultsUntilClose] = useState(false);
   const queryClient = useQueryClient();
+  const { session } = useAuth();
+  const accessToken = session?.access_token || null;
 
-  const { data: polls = [] } = useQuery({
-    queryKey: ['polls', movementId],
-    queryFn: async () => {
-      return entities.MovementPoll.filter({ movement_id: movementId }, '-created_date', {
-        limit: 200,
-        fields: ['id', 'movement_id', 'question', 'options', 'votes', 'status', 'created_date', 'created_by'],
-      });
-    }
+  const { data } = useQuery({
+    queryKey: queryKeys.movements.polls(movementId),
+    queryFn: () => listMovementPolls(movementId, { accessToken }),
+    enabled: !!movementId,
   });
+  const polls = Array.isArray(data?.polls) ? data.polls : [];
+  const canManage = !!canCreatePolls || !!data?.canManage;
+
+  const setPollInCache = (poll) => {
+    if (!poll?.id) return;
+    queryClient.setQueryData(queryKeys.movements.polls(movementId), (old) => {
+      if (!old || !Array.isArray(old.polls)) return old;
+      return { ...old, polls: old.polls.map((p) => (p.id === poll.id ? poll : p)) };
+    });
+  };
 
   const createPollMutation = useMutation({
     mutationFn: async () => {
-      const validOptions = options.filter(o => o.trim());
+      const validOptions = options.map((o) => o.trim()).filter(Boolean);
       if (validOptions.length < 2) throw new Error('Need at least 2 options');
-      
-      await entities.MovementPoll.create({
-        movement_id: movementId,
-        created_by: currentUser.email,
-        question,
-        options: validOptions,
-        votes: {}
-      });
+
+      return createMovementPoll(
+        movementId,
+        {
+          question: question.trim(),
+          options: validOptions,
+          voting_method: votingMethod,
+          closes_at: closesAt ? new Date(closesAt).toISOString() : null,
+          results_visibility: hideResultsUntilClose ? 'after_close' : 'live',
+        },
+        { accessToken }
+      );
     },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['polls'] });
+      queryClient.invalidateQueries({ queryKey: queryKeys.movements.polls(movementId) });
       setQuestion('');
       setOptions(['', '']);
+      setVotingMethod('single');
+      setClosesAt('');
+      setHideResultsUntilClose(false);
       setShowForm(false);
       toast.success('Poll created!');
     },
     onError: (e) => {
       logError(e, 'Create poll failed');
-      toast.error('Could not create poll. Please try again.');
+      toast.error(e?.message || 'Could not create poll. Please try again.');
     }
   });
 
   const voteMutation = useMutation({
-    mutationFn: async ({ pollId, optionIndex }) => {
-      // Read fresh votes from server to avoid clobbering concurrent voters
-      const freshPoll = await entities.MovementPoll.getById(pollId);
-      const freshVotes = freshPoll?.votes && typeof freshPoll.votes === 'object' ? { ...freshPoll.votes } : {};
-      const optionKey = optionIndex.toString();
-      
-      // Remove user from all options
-      Object.keys(freshVotes).forEach(key => {
-        freshVotes[key] = (freshVotes[key] || []).filter(email => email !== currentUser.email);
-      });
-      
-      // Add user to selected option
-      if (!freshVotes[optionKey]) freshVotes[optionKey] = [];
-      freshVotes[optionKey].push(currentUser.email);
-      
-      await entities.MovementPoll.update(pollId, { votes: freshVotes });
-    },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['polls'] });
+    mutationFn: ({ pollId, choices }) => castPollBallot(pollId, choices, { accessToken }),
+    onSuccess: (poll) => {
+      setPollInCache(poll);
+      toast.success('Ballot recorded');
     },
     onError: (e) => {
       logError(e, 'Poll vote failed');
-      toast.error('Could not record vote. Please try again.');
+      toast.error(e?.message || 'Could not record vote. Please try again.');
+    }
+  });
+
+  const closeMutation = useMutation({
+    mutationFn: (pollId) => closePoll(pollId, { accessToken }),
+    onSuccess: (poll) => {
+      setPollInCache(poll);
+      toast.success('Poll closed and results published');
+    },
+    onError: (e) => {
+      logError(e, 'Close poll failed');
+      toast.error('Could not close poll. Please try again.');
     }
   });
 
@@ -112,7 +129,18 @@ function PollManagerDev({ movementId, currentUser, canCreatePolls }) {
               placeholder="Poll question..."
               className="rounded-lg border-2"
             />
-            
+
+            <Select value={votingMethod} onValueChange={setVotingMethod}>
+              <SelectTrigger className="rounded-lg border-2 bg-white">
+                <SelectValue placeholder="Voting method" />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(VOTING_METHOD_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
             {options.map((opt, i) => (
               <div key={i} className="flex gap-2">
                 <Input
@@ -138,17 +166,32 @@ function PollManagerDev({ movementId, currentUser, canCreatePolls }) {
                 )}
               </div>
             ))}
-            
+
             <Button
               onClick={() => setOptions([...options, ''])}
               variant="outline"
               className="w-full rounded-lg font-bold"
-              disabled={options.length >= 6}
+              disabled={options.length >= 10}
             >
               <Plus className="w-4 h-4 mr-2" />
               Add Option
             </Button>
-            
+
+            <label className="block text-xs font-bold text-slate-600">
+              Closes at (optional)
+              <Input
+                type="datetime-local"
+                value={closesAt}
+                onChange={(e) => setClosesAt(e.target.value)}
+                className="mt-1 rounded-lg border-2"
+              />
+            </label>
+
+            <label className="flex items-center justify-between gap-3 text-xs font-bold text-slate-600">
+              Hide results until the poll closes
+              <Switch checked={hideResultsUntilClose} onCheckedChange={setHideResultsUntilClose} />
+            </label>
+
             <Button
               onClick={() => createPollMutation.mutate()}
               disabled={!question.trim() || createPollMutation.isPending}
@@ -168,11 +211,11 @@ function PollManagerDev({ movementId, currentUser, canCreatePolls }) {
             <PollCard
               key={poll.id}
               poll={poll}
-              onVote={(optionIndex) => voteMutation.mutate({ 
-                pollId: poll.id, 
-                optionIndex
-              })}
-              currentUser={currentUser}
+              canManage={canManage}
+              isVoting={voteMutation.isPending && voteMutation.variables?.pollId === poll.id}
+              isClosing={closeMutation.isPending && closeMutation.variables === poll.id}
+              onVote={(choices) => voteMutation.mutate({ pollId: poll.id, choices })}
+              onClose={() => closeMutation.mutate(poll.id)}
             />
           ))
         )}
@@ -181,14 +224,31 @@ function PollManagerDev({ movementId, currentUser, canCreatePolls }) {
   );
 }
 
-const PollManager = import.meta?.env?.DEV ? PollManagerDev : PollManagerProd;
+function PollCard({ poll, canManage, isVoting, isClosing, onVote, onClose }) {
+  const method = poll.voting_method || 'single';
+  const isOpen = poll.status === 'open';
+  const myChoices = Array.isArray(poll.my_ballot?.choices) ? poll.my_ballot.choices : [];
+  const [draft, setDraft] = useState(myChoices);
+  const myChoicesKey = myChoices.join('|');
+
+  useEffect(() => {
+    setDraft(myChoicesKey ? myChoicesKey.split('|') : []);
+  }, [myChoicesKey]);
 
-export default PollManager;
+  const tally = poll.tally;
+  const counts = tally?.counts || {};
+  const winners = new Set(Array.isArray(tally?.winners) ? tally.winners : []);
+  const totalBallots = typeof poll.ballot_count === 'number' ? poll.ballot_count : 0;
+  const labelFor = (id) => poll.options.find((o) => o.id === id)?.label || id;
 
-function PollCard({ poll, onVote, currentUser }) {
-  const votes = poll.votes || {};
-  const totalVotes = Object.values(votes).reduce((sum, voters) => sum + (voters?.length || 0), 0);
-  const userVote = Object.keys(votes).find(key => votes[key]?.includes(currentUser.email));
+  const handleOptionClick = (optionId) => {
+    if (!isOpen || isVoting) return;
+    if (method === 'single') {
+      onVote([optionId]);
+      return;
+    }
+    setDraft((prev) => (prev.includes(optionId) ? prev.filter((id) => id !== optionId) : [...prev, optionId]));
+  };
 
   return (
     <div className="bg-white rounded-xl p-4 border-2 border-slate-200">
@@ -196,40 +256,101 @@ function PollCard({ poll, onVote, currentUser }) {
         <BarChart2 className="w-5 h-5 text-purple-600 flex-shrink-0 mt-1" />
         <div className="flex-1">
           <h4 className="font-black text-slate-900 mb-1">{poll.question}</h4>
-          <p className="text-xs text-slate-500">{totalVotes} vote{totalVotes !== 1 ? 's' : ''}</p>
+          <p className="text-xs text-slate-500">
+            {VOTING_METHOD_LABELS[method] || method} · {totalBallots} ballot{totalBallots !== 1 ? 's' : ''}
+            {isOpen && poll.closes_at ? ` · closes ${format(new Date(poll.closes_at), 'MMM d, h:mm a')}` : ''}
+            {!isOpen ? ' · closed' : ''}
+          </p>
         </div>
+        {canManage && isOpen && (
+          <Button size="sm" variant="outline" className="rounded-lg font-bold" onClick={onClose} disabled={isClosing}>
+            {isClosing ? <Loader2 className="w-4 h-4 animate-spin" /> : <><Lock className="w-4 h-4 mr-1" />Close</>}
+          </Button>
+        )}
       </div>
 
+      {isOpen && method !== 'single' && (
+        <p className="text-xs font-semibold text-slate-500 mb-2">
+          {method === 'ranked'
+            ? 'Tap options in order of preference, then submit your ranking.'
+            : 'Select every option you support, then submit.'}
+        </p>
+      )}
+
       <div className="space-y-2">
-        {poll.options.map((option, i) => {
-          const optionVotes = votes[i.toString()]?.length || 0;
-          const percentage = totalVotes > 0 ? (optionVotes / totalVotes) * 100 : 0;
-          const hasVoted = userVote === i.toString();
+        {poll.options.map((option) => {
+          const optionVotes = counts[option.id] || 0;
+          const percentage = tally && tally.total_ballots > 0 ? (optionVotes / tally.total_ballots) * 100 : 0;
+          const rank = draft.indexOf(option.id);
+          const selected = rank !== -1;
 
           return (
             <button
-              key={i}
-              onClick={() => poll.status === 'active' && onVote(i)}
-              disabled={poll.status === 'closed'}
+              key={option.id}
+              onClick={() => handleOptionClick(option.id)}
+              disabled={!isOpen || isVoting}
               className="w-full text-left relative"
             >
-              <div className="relative z-10 flex items-center justify-between p-3 rounded-lg border-2 border-slate-200 hover:border-purple-300 transition-colors">
+              <div className={`relative z-10 flex items-center justify-between p-3 rounded-lg border-2 transition-colors ${selected ? 'border-purple-400' : 'border-slate-200 hover:border-purple-300'}`}>
                 <span className="font-bold text-slate-900 flex items-center gap-2">
-                  {hasVoted && <CheckCircle className="w-4 h-4 text-purple-600" />}
-                  {option}
+                  {selected && method === 'ranked' ? (
+                    <span className="w-5 h-5 rounded-full bg-purple-600 text-white text-xs flex items-center justify-center">{rank + 1}</span>
+                  ) : selected ? (
+                    <CheckCircle className="w-4 h-4 text-purple-600" />
+                  ) : null}
+                  {option.label}
+                  {!isOpen && winners.has(option.id) && <Trophy className="w-4 h-4 text-amber-500" />}
                 </span>
-                <span className="text-sm font-bold text-slate-600">{Math.round(percentage)}%</span>
+                {tally ? <span className="text-sm font-bold text-slate-600">{Math.round(percentage)}%</span> : null}
               </div>
-              <motion.div
-                initial={{ width: 0 }}
-                animate={{ width: `${percentage}%` }}
-                className="absolute inset-y-0 left-0 bg-purple-100 rounded-lg"
-                style={{ zIndex: 0 }}
-              />
+              {tally ? (
+                <motion.div
+                  initial={{ width: 0 }}
+                  animate={{ width: `${percentage}%` }}
+                  className="absolute inset-y-0 left-0 bg-purple-100 rounded-lg"
+                  style={{ zIndex: 0 }}
+                />
+              ) : null}
             </button>
           );
         })}
       </div>
+
+      {isOpen && method !== 'single' && (
+        <div className="flex gap-2 mt-3">
+          <Button
+            onClick={() => onVote(draft)}
+            disabled={!draft.length || isVoting}
+            className="flex-1 bg-purple-600 hover:bg-purple-700 rounded-lg font-bold"
+          >
+            {isVoting ? <Loader2 className="w-4 h-4 animate-spin" /> : myChoices.length ? 'Update ballot' : 'Submit ballot'}
+          </Button>
+          {draft.length > 0 && (
+            <Button variant="outline" className="rounded-lg font-bold" onClick={() => setDraft([])} disabled={isVoting}>
+              Clear
+            </Button>
+          )}
+        </div>
+      )}
+
+      {!tally && (
+        <p className="text-xs font-semibold text-slate-500 mt-3">Results will be published when the poll closes.</p>
+      )}
+
+      {tally && method === 'ranked' && Array.isArray(tally.rounds) && tally.rounds.length > 1 && (
+        <ol className="mt-3 space-y-1 text-xs text-slate-600 font-semibold list-decimal list-inside">
+          {tally.rounds.map((round, i) => (
+            <li key={i}>
+              {Object.entries(round.counts).map(([id, n]) => `${labelFor(id)}: ${n}`).join(', ')}
+              {round.eliminated ? ` — ${labelFor(round.eliminated)} eliminated` : ''}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {!isOpen && tally && winners.size > 1 && (
+        <p className="text-xs font-bold text-amber-700 mt-3">Tie between {Array.from(winners).map(labelFor).join(', ')}.</p>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -10,7 +10,6 @@ import {
   cacheAIResult,
   getCachedAIResult,
   hasExceededAILimit,
-  incrementAICounter,
   hashPayload,
 } from '@/utils/aiGuardrail';
 
@@ -42,7 +41,7 @@ export default function AIMovementAssistant({ onApplySuggestion, aiEnabled = tru
     }
 
     if (hasExceededAILimit()) {
-      setLimitNotice('AI usage limit reached for this session.');
+      setLimitNotice('Daily AI limit reached. It resets tomorrow.');
       return;
     }
 
@@ -56,7 +55,6 @@ export default function AIMovementAssistant({ onApplySuggestion, aiEnabled = tru
         return;
       }
 
-      incrementAICounter();
       const response = await integrations.Core.InvokeLLM({
         prompt: `Generate 3 creative movement ideas based on: "${input}"
 
@@ -100,8 +98,9 @@ Make them actionable, inspiring, and specific without being prescriptive.`,
       };
       setResult(sanitized);
       cacheAIResult('aiMovementIdeas', payloadHash, sanitized);
-    } catch {
-      toast.error('Failed to generate ideas');
+    } catch (e) {
+      if (e?.status === 429) setLimitNotice('Daily AI limit reached. It resets tomorrow.');
+      else toast.error('Failed to generate ideas');
     } finally {
       setGenerating(false);
     }
@@ -119,7 +118,7 @@ Make them actionable, inspiring, and specific without being prescriptive.`,
     }
 
     if (hasExceededAILimit()) {
-      setLimitNotice('AI usage limit reached for this session.');
+      setLimitNotice('Daily AI limit reached. It resets tomorrow.');
       return;
     }
 
@@ -133,7 +132,6 @@ Make them actionable, inspiring, and specific without being prescriptive.`,
         return;
       }
 
-      incrementAICounter();
       const response = await integrations.Core.InvokeLLM({
         prompt: `Create a compelling movement description and objectives for: "${input}"
 
@@ -169,8 +167,9 @@ Keep it inspiring but concrete, around 200-250 words.`,
       };
       setResult(sanitized);
       cacheAIResult('aiMovementDescription', payloadHash, sanitized);
-    } catch {
-      toast.error('Failed to draft description');
+    } catch (e) {
+      if (e?.status === 429) setLimitNotice('Daily AI limit reached. It resets tomorrow.');
+      else toast.error('Failed to draft description');
     } finally {
       setGenerating(false);
     }
@@ -188,7 +187,7 @@ Keep it inspiring but concrete, around 200-250 words.`,
     }
 
     if (hasExceededAILimit()) {
-      setLimitNotice('AI usage limit reached for this session.');
+      setLimitNotice('Daily AI limit reached. It resets tomorrow.');
       return;
     }
 
@@ -202,7 +201,6 @@ Keep it inspiring but concrete, around 200-250 words.`,
         return;
       }
 
-      incrementAICounter();
       const response = await integrations.Core.InvokeLLM({
         prompt: `For this movement: "${input}"
 
@@ -233,8 +231,9 @@ Make suggestions specific and actionable.`,
 
       setResult(response);
       cacheAIResult('aiMovementStrategy', payloadHash, response);
-    } catch {
-      toast.error('Failed to generate suggestions');
+    } catch (e) {
+      if (e?.status === 429) setLimitNotice('Daily AI limit reached. It resets tomorrow.');
+      else toast.error('Failed to generate suggestions');
     } finally {
       setGenerating(false);
     }
@@ -3,11 +3,8 @@ import { getCurrentBackendStatus, subscribeBackendStatus } from '../../utils/bac
 import { Link } from 'react-router-dom';
 import { useInfiniteQuery, useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { toast } from 'sonner';
-import { User, Loader2, Lock, TimerReset } from 'lucide-react';
-import { motion } from 'framer-motion';
-import { format } from 'date-fns';
+import { Loader2, Lock, TimerReset } from 'lucide-react';
 import { useAuth } from '@/auth/AuthProvider';
-import { lookupUsers } from '@/api/usersClient';
 import { isAdmin as isAdminEmail } from '@/utils/staff';
 import {
   AlertDialog,
@@ -25,29 +22,15 @@ import {
   fetchMovementCommentSettings,
   updateMovementCommentSettings,
 } from '@/api/commentsClient';
-import ReportButton from '@/components/safety/ReportButton';
+import CommentThreadItem, { COMMENT_FIELDS } from '@/components/details/CommentThreadItem';
 import { checkActionAllowed, formatWaitMs } from '@/utils/antiBrigading';
 import { createIncident } from '@/api/incidentsClient';
 import { getInteractionErrorMessage } from '@/utils/interactionErrors';
-import { upsertNotification } from '@/api/notificationsClient';
 import { queryKeys } from '@/lib/queryKeys';
 import { isDebugUiEnabledForUser } from '@/utils/requestDebug';
 import { usePendingGuard } from '@/hooks/usePendingGuard';
 import { newIdempotencyKey } from '@/utils/idempotencyKey';
-
-function getMovementOwnerEmail(movement) {
-  const candidates = [
-    movement?.author_email,
-    movement?.creator_email,
-    movement?.created_by_email,
-    movement?.owner_email,
-  ];
-  for (const c of candidates) {
-    const s = c ? String(c).trim().toLowerCase() : '';
-    if (s) return s;
-  }
-  return null;
-}
+import { useCommentAuthors } from '@/hooks/useCommentAuthors';
 
 function looksHighIntensity(text) {
   const t = String(text || '');
@@ -105,7 +88,6 @@ export default function CommentSection({ movementId, movement, canModerate = fal
   const [pendingPostText, setPendingPostText] = useState('');
 
   const accessToken = session?.access_token ? String(session.access_token) : null;
-  const [commentAuthors, setCommentAuthors] = useState({ byEmail: {}, byUserId: {} });
 
   const { data: commentSettings, isLoading: settingsLoading } = useQuery({
     queryKey: queryKeys.movements.commentSettings(safeMovementId),
@@ -148,7 +130,7 @@ export default function CommentSection({ movementId, movement, canModerate = fal
       return fetchMovementCommentsPage(safeMovementId, {
         limit: 20,
         offset: pageParam,
-        fields: ['id', 'movement_id', 'author_email', 'author_user_id', 'content', 'created_at'],
+        fields: COMMENT_FIELDS,
         accessToken,
       });
     },
@@ -166,49 +148,7 @@ export default function CommentSection({ movementId, movement, canModerate = fal
     return pages.flatMap((p) => (Array.isArray(p) ? p : []));
   }, [commentPages]);
 
-  useEffect(() => {
-    if (!accessToken) {
-      setCommentAuthors({ byEmail: {}, byUserId: {} });
-      return;
-    }
-    const userIds = Array.from(
-      new Set(
-        comments
-          .map((c) => (c?.author_user_id ? String(c.author_user_id).trim() : ''))
-          .filter(Boolean)
-      )
-    );
-    const emails = Array.from(new Set(comments.map((c) => String(c?.author_email || '').trim().toLowerCase()).filter(Boolean)));
-
-    if (!userIds.length && !emails.length) {
-      setCommentAuthors({ byEmail: {}, byUserId: {} });
-      return;
-    }
-    let cancelled = false;
-    lookupUsers({ userIds, emails }, { accessToken })
-      .then((users) => {
-        if (cancelled) return;
-        const nextByEmail = {};
-        const nextByUserId = {};
-        for (const u of Array.isArray(users) ? users : []) {
-          const email = String(u?.email || '').trim().toLowerCase();
-          const userId = u?.user_id ? String(u.user_id).trim() : '';
-          const record = {
-            display_name: u?.display_name ?? null,
-            username: u?.username ?? null,
-          };
-          if (email) nextByEmail[email] = record;
-          if (userId) nextByUserId[userId] = record;
-        }
-        setCommentAuthors({ byEmail: nextByEmail, byUserId: nextByUserId });
-      })
-      .catch(() => {
-        if (!cancelled) setCommentAuthors({ byEmail: {}, byUserId: {} });
-      });
-    return () => {
-      cancelled = true;
-    };
-  }, [comments, accessToken]);
+  const commentAuthors = useCommentAuthors(comments, accessToken);
 
   const postMutation = useMutation({
     mutationFn: async ({ text, idempotencyKey }) => {
@@ -246,6 +186,11 @@ export default function CommentSection({ movementId, movement, canModerate = fal
         author_user_id: user?.id || '',
         content: String(text || '').trim(),
         created_at: new Date().toISOString(),
+        parent_id: null,
+        depth: 0,
+        reply_count: 0,
+        reactions: {},
+        my_reactions: [],
         _optimistic: true,
       };
 
@@ -303,6 +248,9 @@ export default function CommentSection({ movementId, movement, canModerate = fal
             pages: old.pages.map((page) => (Array.isArray(page) ? page.map(bumpCommentsCountOnMovement) : page)),
           };
         }
+        if (old && typeof old === 'object' && Array.isArray(old.movements)) {
+          return { ...old, movements: old.movements.map(bumpCommentsCountOnMovement) };
+        }
         if (Array.isArray(old)) return old.map(bumpCommentsCountOnMovement);
         return old;
       };
@@ -318,30 +266,6 @@ export default function CommentSection({ movementId, movement, canModerate = fal
       queryClient.invalidateQueries({ queryKey: queryKeys.movements.detail(safeMovementId) });
 
       toast.success('Comment posted');
-
-      // Best-effort public activity notification.
-      try {
-        const actorEmail = user?.email ? String(user.email).trim().toLowerCase() : null;
-        const recipient = getMovementOwnerEmail(movement);
-        const title = String(movement?.title || movement?.name || '').trim() || null;
-        if (actorEmail && recipient && actorEmail !== recipient) {
-          const actorName = null;
-          upsertNotification({
-            recipient_email: recipient,
-            type: 'comment',
-            actor_name: actorName,
-            actor_email: actorEmail,
-            content_id: safeMovementId,
-            content_ref: null,
-            content_title: title,
-            created_date: new Date().toISOString(),
-            is_read: false,
-            metadata: null,
-          }, { accessToken }).catch(() => {});
-        }
-      } catch {
-        // best-effort
-      }
     },
     onError: (e, _vars, context) => {
       // Rollback optimistic comment insertion.
@@ -600,60 +524,15 @@ export default function CommentSection({ movementId, movement, canModerate = fal
         ) : (
           <div className="space-y-3">
             {comments.map((c, idx) => (
-              <motion.div
+              <CommentThreadItem
                 key={String(c?.id ?? idx)}
-                initial={{ opacity: 0, y: 6 }}
-                animate={{ opacity: 1, y: 0 }}
-                className="p-4 rounded-2xl border border-slate-200 bg-white"
-              >
-                <div className="flex items-start justify-between gap-3">
-                  <div className="flex items-center gap-3">
-                    <div className="w-9 h-9 bg-gradient-to-br from-[#3A3DFF] to-[#5B5EFF] rounded-full flex items-center justify-center flex-shrink-0">
-                      <User className="w-4 h-4 text-white" />
-                    </div>
-                    <div>
-                    {(() => {
-                      const authorUserId = c?.author_user_id ? String(c.author_user_id).trim() : '';
-                      const emailKey = String(c?.author_email || '').trim().toLowerCase();
-                      const authorProfile =
-                        (authorUserId && commentAuthors?.byUserId ? commentAuthors.byUserId[authorUserId] : null) ||
-                        (emailKey && commentAuthors?.byEmail ? commentAuthors.byEmail[emailKey] : null);
-                      const authorLabel =
-                        authorProfile?.display_name ||
-                        (authorProfile?.username ? `@${authorProfile.username}` : 'Member');
-                      const authorPath = authorProfile?.username
-                        ? `/u/${encodeURIComponent(authorProfile.username)}`
-                        : null;
-                      const isAdminAuthor = emailKey ? isAdminEmail(emailKey) : false;
-                      const label = authorPath ? (
-                        <Link to={authorPath} className="text-sm font-black text-slate-900 hover:text-[#3A3DFF]">
-                          {authorLabel}
-                        </Link>
-                      ) : (
-                        <span className="text-sm font-black text-slate-900">{authorLabel}</span>
-                      );
-
-                      return (
-                        <div className="flex items-center gap-2">
-                          {label}
-                          {isAdminAuthor ? (
-                            <span className="inline-flex px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-[10px] font-black uppercase">
-                              Admin
-                            </span>
-                          ) : null}
-                        </div>
-                      );
-                    })()}
-                      <div className="text-xs text-slate-500 font-semibold">
-                        {c?.created_at ? format(new Date(c.created_at), 'MMM d, h:mm a') : ''}
-                      </div>
-                    </div>
-                  </div>
-                  <ReportButton contentType="comment" contentId={String(c?.id ?? '')} />
-                </div>
-
-                <div className="mt-3 text-slate-800 font-semibold whitespace-pre-wrap">{String(c?.content || '')}</div>
-              </motion.div>
+                comment={c}
+                movementId={safeMovementId}
+                authors={commentAuthors}
+                canModerate={canModerate}
+                locked={locked}
+                isOffline={isOffline}
+              />
             ))}
 
             {hasNextPage ? (
@@ -0,0 +1,492 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'sonner';
+import { User, EyeOff, CornerDownRight, Pencil, Trash2 } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { format } from 'date-fns';
+import { useAuth } from '@/auth/AuthProvider';
+import { isAdmin as isAdminEmail } from '@/utils/staff';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import {
+  createMovementComment,
+  deleteMovementComment,
+  editMovementComment,
+  fetchMovementCommentEdits,
+  fetchMovementCommentsPage,
+  hideMovementComment,
+  toggleMovementCommentReaction,
+  unhideMovementComment,
+} from '@/api/commentsClient';
+import ReportButton from '@/components/safety/ReportButton';
+import { getInteractionErrorMessage } from '@/utils/interactionErrors';
+import { queryKeys } from '@/lib/queryKeys';
+import { newIdempotencyKey } from '@/utils/idempotencyKey';
+import { useCommentAuthors } from '@/hooks/useCommentAuthors';
+
+export const COMMENT_FIELDS = [
+  'id',
+  'movement_id',
+  'parent_id',
+  'depth',
+  'author_email',
+  'author_user_id',
+  'content',
+  'created_at',
+  'edited',
+  'edited_at',
+  'deleted',
+  'hidden',
+  'hidden_reason',
+  'hidden_at',
+  'reply_count',
+  'reactions',
+  'my_reactions',
+];
+
+const QUICK_REACTIONS = ['👍', '❤️', '🎉', '👏', '😮', '😢'];
+const REPLIES_PAGE_SIZE = 10;
+
+function formatTime(value) {
+  try {
+    return value ? format(new Date(value), 'MMM d, h:mm a') : '';
+  } catch {
+    return '';
+  }
+}
+
+function AuthorLabel({ comment, authors }) {
+  const authorUserId = comment?.author_user_id ? String(comment.author_user_id).trim() : '';
+  const emailKey = String(comment?.author_email || '').trim().toLowerCase();
+  const authorProfile =
+    (authorUserId && authors?.byUserId ? authors.byUserId[authorUserId] : null) ||
+    (emailKey && authors?.byEmail ? authors.byEmail[emailKey] : null);
+  const authorLabel = authorProfile?.display_name || (authorProfile?.username ? `@${authorProfile.username}` : 'Member');
+  const authorPath = authorProfile?.username ? `/u/${encodeURIComponent(authorProfile.username)}` : null;
+  const isAdminAuthor = emailKey ? isAdminEmail(emailKey) : false;
+
+  return (
+    <div className="flex items-center gap-2">
+      {authorPath ? (
+        <Link to={authorPath} className="text-sm font-black text-slate-900 hover:text-[#3A3DFF]">
+          {authorLabel}
+        </Link>
+      ) : (
+        <span className="text-sm font-black text-slate-900">{authorLabel}</span>
+      )}
+      {isAdminAuthor ? (
+        <span className="inline-flex px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-[10px] font-black uppercase">
+          Admin
+        </span>
+      ) : null}
+    </div>
+  );
+}
+
+function CommentReplies({ movementId, parentId, canModerate, locked, isOffline }) {
+  const { session } = useAuth();
+  const accessToken = session?.access_token ? String(session.access_token) : null;
+
+  const { data, isLoading, fetchNextPage, hasNextPage, isFetchingNextPage } = useInfiniteQuery({
+    queryKey: queryKeys.movements.commentReplies(movementId, parentId),
+    initialPageParam: 0,
+    queryFn: ({ pageParam = 0 }) =>
+      fetchMovementCommentsPage(movementId, {
+        parentId,
+        limit: REPLIES_PAGE_SIZE,
+        offset: pageParam,
+        fields: COMMENT_FIELDS,
+        accessToken,
+      }),
+    getNextPageParam: (lastPage, pages) => {
+      const list = Array.isArray(lastPage) ? lastPage : [];
+      if (list.length < REPLIES_PAGE_SIZE) return undefined;
+      return pages.length * REPLIES_PAGE_SIZE;
+    },
+    retry: 1,
+  });
+
+  const replies = useMemo(() => {
+    const pages = Array.isArray(data?.pages) ? data.pages : [];
+    return pages.flatMap((p) => (Array.isArray(p) ? p : []));
+  }, [data]);
+  const authors = useCommentAuthors(replies, accessToken);
+
+  return (
+    <div className="mt-3 pl-4 border-l-2 border-slate-100 space-y-3">
+      {isLoading ? <div className="text-xs text-slate-500 font-semibold">Loading replies…</div> : null}
+      {replies.map((r) => (
+        <CommentThreadItem
+          key={String(r.id)}
+          comment={r}
+          movementId={movementId}
+          authors={authors}
+          canModerate={canModerate}
+          locked={locked}
+          isOffline={isOffline}
+        />
+      ))}
+      {hasNextPage ? (
+        <button
+          type="button"
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+          className="text-xs font-black text-[#3A3DFF] hover:underline"
+        >
+          {isFetchingNextPage ? 'Loading…' : 'More replies'}
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
+export default function CommentThreadItem({ comment, movementId, authors, canModerate = false, locked = false, isOffline = false }) {
+  const { user, session } = useAuth();
+  const accessToken = session?.access_token ? String(session.access_token) : null;
+  const queryClient = useQueryClient();
+
+  const [replyOpen, setReplyOpen] = useState(false);
+  const [replyDraft, setReplyDraft] = useState('');
+  const [showReplies, setShowReplies] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [editDraft, setEditDraft] = useState('');
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [dialog, setDialog] = useState(null); // 'hide' | 'delete' | null
+  const [hideReason, setHideReason] = useState('');
+  const [hideAndLock, setHideAndLock] = useState(false);
+  const replyKeyRef = useRef(null);
+
+  const commentId = String(comment?.id ?? '');
+  const isOptimistic = !!comment?._optimistic || commentId.startsWith('optimistic-');
+  const me = String(user?.email || '').trim().toLowerCase();
+  const isAuthor = !!me && me === String(comment?.author_email || '').trim().toLowerCase();
+  const deleted = !!comment?.deleted;
+  const hidden = !!comment?.hidden;
+  const replyCount = Number(comment?.reply_count) || 0;
+  const reactions = comment?.reactions && typeof comment.reactions === 'object' ? comment.reactions : {};
+  const myReactions = new Set(Array.isArray(comment?.my_reactions) ? comment.my_reactions : []);
+  const canInteract = !!user && !!accessToken && !isOffline && !isOptimistic && !deleted && !hidden;
+
+  const refreshComments = () => {
+    queryClient.invalidateQueries({ queryKey: queryKeys.movements.comments(movementId) });
+    queryClient.invalidateQueries({ queryKey: queryKeys.movements.commentsCount(movementId) });
+  };
+  const onError = (fallback) => (e) => toast.error(getInteractionErrorMessage(e, fallback));
+
+  const replyMutation = useMutation({
+    mutationFn: (text) => {
+      if (!replyKeyRef.current) replyKeyRef.current = newIdempotencyKey('comment_reply');
+      return createMovementComment(movementId, text, { accessToken, parentId: commentId, idempotencyKey: replyKeyRef.current });
+    },
+    onSuccess: () => {
+      replyKeyRef.current = null;
+      setReplyDraft('');
+      setReplyOpen(false);
+      setShowReplies(true);
+      refreshComments();
+      toast.success('Reply posted');
+    },
+    onError: onError("Couldn't post reply"),
+  });
+
+  const editMutation = useMutation({
+    mutationFn: (text) => editMovementComment(movementId, commentId, text, { accessToken }),
+    onSuccess: () => {
+      setEditing(false);
+      refreshComments();
+      queryClient.invalidateQueries({ queryKey: queryKeys.movements.commentEdits(movementId, commentId) });
+    },
+    onError: onError("Couldn't save edit"),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => deleteMovementComment(movementId, commentId, { accessToken }),
+    onSuccess: () => {
+      refreshComments();
+      toast.success('Comment deleted');
+    },
+    onError: onError("Couldn't delete comment"),
+  });
+
+  const reactMutation = useMutation({
+    mutationFn: (emoji) => toggleMovementCommentReaction(movementId, commentId, emoji, { accessToken }),
+    onSuccess: () => refreshComments(),
+    onError: onError("Couldn't react"),
+  });
+
+  const hideMutation = useMutation({
+    mutationFn: () => hideMovementComment(movementId, commentId, { reason: hideReason, lockComments: hideAndLock }, { accessToken }),
+    onSuccess: () => {
+      setHideReason('');
+      setHideAndLock(false);
+      refreshComments();
+      queryClient.invalidateQueries({ queryKey: queryKeys.movements.commentSettings(movementId) });
+      toast.success('Comment hidden');
+    },
+    onError: onError("Couldn't hide comment"),
+  });
+
+  const unhideMutation = useMutation({
+    mutationFn: () => unhideMovementComment(movementId, commentId, { accessToken }),
+    onSuccess: () => {
+      refreshComments();
+      toast.success('Comment restored');
+    },
+    onError: onError("Couldn't unhide comment"),
+  });
+
+  const { data: edits = [], isLoading: editsLoading } = useQuery({
+    queryKey: queryKeys.movements.commentEdits(movementId, commentId),
+    queryFn: () => fetchMovementCommentEdits(movementId, commentId, { accessToken }),
+    enabled: historyOpen && !!commentId && !isOptimistic,
+  });
+
+  const reactionEntries = Object.entries(reactions).filter(([, count]) => Number(count) > 0);
+  const busy = reactMutation.isPending || deleteMutation.isPending || hideMutation.isPending || unhideMutation.isPending;
+
+  let body;
+  if (deleted) {
+    body = <div className="mt-3 text-sm italic text-slate-500 font-semibold">Comment deleted by its author.</div>;
+  } else if (hidden && comment?.content == null) {
+    body = (
+      <div className="mt-3 text-sm italic text-slate-500 font-semibold inline-flex items-center gap-2">
+        <EyeOff className="w-4 h-4" />
+        Hidden by a moderator{comment?.hidden_reason ? `: ${comment.hidden_reason}` : ''}
+      </div>
+    );
+  } else if (editing) {
+    body = (
+      <div className="mt-3 space-y-2">
+        <textarea
+          value={editDraft}
+          onChange={(e) => setEditDraft(e.target.value)}
+          className="w-full min-h-20 p-3 rounded-xl border border-slate-200 bg-slate-50 text-slate-800 font-semibold outline-none"
+          disabled={editMutation.isPending}
+        />
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => editMutation.mutate(editDraft)}
+            disabled={editMutation.isPending || !editDraft.trim()}
+            className="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-xs font-black disabled:opacity-60"
+          >
+            {editMutation.isPending ? 'Saving…' : 'Save'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setEditing(false)}
+            className="px-3 py-1.5 rounded-lg border border-slate-200 text-xs font-black text-slate-700"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  } else {
+    body = (
+      <>
+        {hidden ? (
+          <div className="mt-3 text-xs font-bold text-amber-900 bg-amber-50 border border-amber-200 rounded-lg px-2 py-1 inline-flex items-center gap-2">
+            <EyeOff className="w-3.5 h-3.5" /> Hidden from others{comment?.hidden_reason ? `: ${comment.hidden_reason}` : ''}
+          </div>
+        ) : null}
+        <div className={`mt-3 font-semibold whitespace-pre-wrap ${hidden ? 'text-slate-500' : 'text-slate-800'}`}>
+          {String(comment?.content || '')}
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }}>
+      <div className="p-4 rounded-2xl border border-slate-200 bg-white">
+        <div className="flex items-start justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <div className="w-9 h-9 bg-gradient-to-br from-[#3A3DFF] to-[#5B5EFF] rounded-full flex items-center justify-center flex-shrink-0">
+              <User className="w-4 h-4 text-white" />
+            </div>
+            <div>
+              {deleted ? <span className="text-sm font-black text-slate-500">Deleted</span> : <AuthorLabel comment={comment} authors={authors} />}
+              <div className="text-xs text-slate-500 font-semibold">
+                {formatTime(comment?.created_at)}
+                {comment?.edited && !deleted ? (
+                  <>
+                    {' · '}
+                    <button type="button" onClick={() => setHistoryOpen((v) => !v)} className="underline hover:text-slate-700">
+                      edited
+                    </button>
+                  </>
+                ) : null}
+              </div>
+            </div>
+          </div>
+          {!deleted && !isAuthor && !isOptimistic ? <ReportButton contentType="comment" contentId={commentId} /> : null}
+        </div>
+
+        {body}
+
+        {historyOpen ? (
+          <div className="mt-3 p-3 rounded-xl bg-slate-50 border border-slate-200 space-y-2">
+            <div className="text-xs font-black text-slate-700 uppercase">Edit history</div>
+            {editsLoading ? <div className="text-xs text-slate-500 font-semibold">Loading…</div> : null}
+            {!editsLoading && edits.length === 0 ? <div className="text-xs text-slate-500 font-semibold">No earlier versions.</div> : null}
+            {edits.map((e) => (
+              <div key={String(e.id)} className="text-xs text-slate-600">
+                <div className="font-bold text-slate-500">Before {formatTime(e.edited_at)}</div>
+                <div className="whitespace-pre-wrap font-semibold">{String(e.previous_content || '')}</div>
+              </div>
+            ))}
+          </div>
+        ) : null}
+
+        {!deleted && !hidden && (reactionEntries.length > 0 || canInteract) ? (
+          <div className="mt-3 flex flex-wrap items-center gap-1.5">
+            {reactionEntries.map(([emoji, count]) => (
+              <button
+                key={emoji}
+                type="button"
+                onClick={() => canInteract && reactMutation.mutate(emoji)}
+                disabled={!canInteract || busy}
+                className={`px-2 py-0.5 rounded-full border text-xs font-black ${
+                  myReactions.has(emoji) ? 'bg-indigo-50 border-indigo-200 text-indigo-800' : 'bg-white border-slate-200 text-slate-700'
+                }`}
+              >
+                {emoji} {count}
+              </button>
+            ))}
+            {canInteract && !locked
+              ? QUICK_REACTIONS.filter((emoji) => !reactions[emoji]).map((emoji) => (
+                  <button
+                    key={emoji}
+                    type="button"
+                    onClick={() => reactMutation.mutate(emoji)}
+                    disabled={busy}
+                    className="px-1.5 py-0.5 rounded-full text-xs opacity-50 hover:opacity-100"
+                    aria-label={`React with ${emoji}`}
+                  >
+                    {emoji}
+                  </button>
+                ))
+              : null}
+          </div>
+        ) : null}
+
+        <div className="mt-3 flex flex-wrap items-center gap-3 text-xs font-black text-slate-500">
+          {canInteract && !locked ? (
+            <button type="button" onClick={() => setReplyOpen((v) => !v)} className="inline-flex items-center gap-1 hover:text-slate-900">
+              <CornerDownRight className="w-3.5 h-3.5" /> Reply
+            </button>
+          ) : null}
+          {isAuthor && canInteract && !locked && !editing ? (
+            <button
+              type="button"
+              onClick={() => {
+                setEditDraft(String(comment?.content || ''));
+                setEditing(true);
+              }}
+              className="inline-flex items-center gap-1 hover:text-slate-900"
+            >
+              <Pencil className="w-3.5 h-3.5" /> Edit
+            </button>
+          ) : null}
+          {isAuthor && !deleted && !isOptimistic && !isOffline ? (
+            <button type="button" onClick={() => setDialog('delete')} disabled={busy} className="inline-flex items-center gap-1 hover:text-rose-700">
+              <Trash2 className="w-3.5 h-3.5" /> Delete
+            </button>
+          ) : null}
+          {canModerate && !deleted && !isOptimistic && !isOffline ? (
+            hidden ? (
+              <button type="button" onClick={() => unhideMutation.mutate()} disabled={busy} className="inline-flex items-center gap-1 hover:text-slate-900">
+                <EyeOff className="w-3.5 h-3.5" /> Unhide
+              </button>
+            ) : (
+              <button type="button" onClick={() => setDialog('hide')} disabled={busy} className="inline-flex items-center gap-1 hover:text-amber-700">
+                <EyeOff className="w-3.5 h-3.5" /> Hide
+              </button>
+            )
+          ) : null}
+          {replyCount > 0 ? (
+            <button type="button" onClick={() => setShowReplies((v) => !v)} className="text-[#3A3DFF] hover:underline">
+              {showReplies ? 'Hide replies' : `View ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`}
+            </button>
+          ) : null}
+        </div>
+
+        {replyOpen ? (
+          <div className="mt-3 space-y-2">
+            <textarea
+              value={replyDraft}
+              onChange={(e) => setReplyDraft(e.target.value)}
+              placeholder="Write a reply…"
+              className="w-full min-h-16 p-3 rounded-xl border border-slate-200 bg-slate-50 text-slate-800 font-semibold outline-none"
+              disabled={replyMutation.isPending}
+            />
+            <button
+              type="button"
+              onClick={() => replyMutation.mutate(replyDraft)}
+              disabled={replyMutation.isPending || !replyDraft.trim()}
+              className="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-xs font-black disabled:opacity-60"
+            >
+              {replyMutation.isPending ? 'Posting…' : 'Post reply'}
+            </button>
+          </div>
+        ) : null}
+      </div>
+
+      {showReplies && replyCount > 0 ? (
+        <CommentReplies movementId={movementId} parentId={commentId} canModerate={canModerate} locked={locked} isOffline={isOffline} />
+      ) : null}
+
+      <AlertDialog open={dialog !== null} onOpenChange={(open) => !open && setDialog(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>{dialog === 'hide' ? 'Hide comment' : 'Delete comment'}</AlertDialogTitle>
+            <AlertDialogDescription>
+              {dialog === 'hide'
+                ? 'Hidden comments stay in the thread as a placeholder showing your reason. You can unhide them later.'
+                : 'Your comment will be removed. Replies to it stay visible.'}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          {dialog === 'hide' ? (
+            <div className="space-y-2">
+              <textarea
+                value={hideReason}
+                onChange={(e) => setHideReason(e.target.value)}
+                maxLength={300}
+                placeholder="Reason (shown in place of the comment)"
+                className="w-full min-h-16 p-3 rounded-xl border border-slate-200 bg-slate-50 text-sm text-slate-800 font-semibold outline-none"
+              />
+              <label className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+                <input type="checkbox" checked={hideAndLock} onChange={(e) => setHideAndLock(e.target.checked)} />
+                Also lock comments on this movement
+              </label>
+            </div>
+          ) : null}
+          <AlertDialogFooter>
+            <AlertDialogCancel type="button">Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              type="button"
+              disabled={dialog === 'hide' && !hideReason.trim()}
+              onClick={() => {
+                if (dialog === 'hide') hideMutation.mutate();
+                else deleteMutation.mutate();
+                setDialog(null);
+              }}
+            >
+              {dialog === 'hide' ? 'Hide' : 'Delete'}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </motion.div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { CalendarRange, Copy, Loader2, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import {
+  fetchMovementCalendarFeed,
+  fetchMyCalendarFeed,
+  rotateMovementCalendarFeed,
+  rotateMyCalendarFeed,
+} from '@/api/eventsClient';
+import { queryKeys } from '@/lib/queryKeys';
+
+/**
+ * Subscribe link for a calendar feed: a movement's events when `movementId` is set, otherwise
+ * every event the signed-in user RSVP'd to. Secret links can be reset, which breaks every
+ * copy handed out before.
+ */
+export default function CalendarFeedCard({ movementId = null, accessToken, myEmail, className = '' }) {
+  const queryClient = useQueryClient();
+  const [confirmReset, setConfirmReset] = useState(false);
+  const personal = !movementId;
+  const queryKey = personal ? queryKeys.calendarFeeds.mine(myEmail) : queryKeys.calendarFeeds.movement(movementId, myEmail);
+
+  const feedQuery = useQuery({
+    queryKey,
+    enabled: personal ? !!accessToken : !!movementId,
+    retry: 1,
+    queryFn: () => (personal ? fetchMyCalendarFeed({ accessToken }) : fetchMovementCalendarFeed(movementId, { accessToken })),
+  });
+
+  const rotateMutation = useMutation({
+    mutationFn: () => (personal ? rotateMyCalendarFeed({ accessToken }) : rotateMovementCalendarFeed(movementId, { accessToken })),
+    onSuccess: (feed) => {
+      queryClient.setQueryData(queryKey, feed);
+      toast.success('Calendar link reset. Re-subscribe with the new link.');
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to reset calendar link'),
+  });
+
+  const feed = feedQuery.data || null;
+  const secret = personal || !!feed?.private;
+  const canReset = personal ? !!accessToken : !!feed?.can_rotate;
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      toast.success('Calendar link copied');
+    } catch {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  if (feedQuery.isError || (!feed && !feedQuery.isLoading)) return null;
+
+  return (
+    <div className={`rounded-xl border border-slate-200 bg-white p-3 ${className}`}>
+      <div className="flex items-center gap-2 text-sm font-black text-slate-900">
+        <CalendarRange className="w-4 h-4 text-[#3A3DFF]" />
+        {personal ? 'Your events calendar' : 'Subscribe to these events'}
+      </div>
+      <p className="mt-1 text-xs font-semibold text-slate-600">
+        {personal
+          ? 'Events you RSVP to appear in your calendar app and stay up to date when they change.'
+          : 'New, rescheduled and cancelled events show up in your calendar app automatically.'}
+        {secret ? ' Anyone with this link can see these events, so keep it private.' : ''}
+      </p>
+
+      {feedQuery.isLoading ? (
+        <div className="mt-2 flex justify-center py-2">
+          <Loader2 className="w-4 h-4 animate-spin text-slate-400" />
+        </div>
+      ) : (
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          <a
+            href={feed.webcal_url}
+            className="inline-flex items-center px-3 py-2 rounded-xl bg-[#3A3DFF] text-white text-xs font-black hover:bg-[#2A2DDD]"
+          >
+            Open in calendar app
+          </a>
+          <button
+            type="button"
+            onClick={copy}
+            className="inline-flex items-center gap-1.5 px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 text-xs font-black hover:bg-slate-50"
+          >
+            <Copy className="w-3.5 h-3.5" />
+            Copy link
+          </button>
+          {canReset ? (
+            <button
+              type="button"
+              onClick={() => setConfirmReset(true)}
+              disabled={rotateMutation.isPending}
+              className="inline-flex items-center gap-1.5 px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 text-xs font-black hover:bg-slate-50 disabled:opacity-60"
+            >
+              {rotateMutation.isPending ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <RefreshCw className="w-3.5 h-3.5" />}
+              Reset link
+            </button>
+          ) : null}
+        </div>
+      )}
+
+      <AlertDialog open={confirmReset} onOpenChange={setConfirmReset}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Reset calendar link?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The current link stops working for everyone who subscribed with it. Share the new link
+              with people who should still see these events.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => {
+                setConfirmReset(false);
+                rotateMutation.mutate();
+              }}
+            >
+              Reset link
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
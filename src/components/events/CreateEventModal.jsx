@@ -2,16 +2,18 @@ import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { toast } from 'sonner';
 import { toastFriendlyError } from '@/utils/toastErrors';
 import { useAuth } from '@/auth/AuthProvider';
-import { entities } from '@/api/appClient';
+import { createMovementEvent } from '@/api/eventsClient';
 import { acceptPlatformAcknowledgment, fetchMyPlatformAcknowledgment } from '@/api/platformAckClient';
 import { checkLeadershipCap, registerLeadershipRole } from '@/components/governance/PowerConcentrationLimiter';
 import { focusFirstInteractive, trapFocusKeyDown } from '@/components/utils/focusTrap';
 import { logError } from '@/utils/logError';
+import { emptySchedule, scheduleToPayload } from '@/utils/eventSchedule';
+import EventScheduleFields from './EventScheduleFields';
 
 export default function CreateEventModal({ open, onOpenChange, movementId, onCreated }) {
   const { session, user } = useAuth();
   const [title, setTitle] = useState('');
-  const [when, setWhen] = useState('');
+  const [schedule, setSchedule] = useState(() => emptySchedule());
   const [location, setLocation] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [ackAccepted, setAckAccepted] = useState(false);
@@ -65,11 +67,19 @@ export default function CreateEventModal({ open, onOpenChange, movementId, onCre
       return;
     }
 
-    if (!myEmail) {
+    if (!myEmail || !accessToken) {
       toast.error('You need to be logged in to create an event');
       return;
     }
 
+    let schedulePayload;
+    try {
+      schedulePayload = scheduleToPayload(schedule);
+    } catch (e) {
+      toast.error(e?.message || 'Please check the event time');
+      return;
+    }
+
     if (!ackAccepted) {
       toast.error('Please acknowledge the Platform Role Declaration to create an event');
       return;
@@ -89,14 +99,18 @@ export default function CreateEventModal({ open, onOpenChange, movementId, onCre
     setSubmitting(true);
     try {
       try {
-        const created = await entities.Event.create({
-          movement_id: safeMovementId,
-          title: String(title).trim(),
-          start_time: String(when || '').trim() || null,
-          location: String(location || '').trim() || null,
-          author_email: myEmail,
-          created_date: new Date().toISOString(),
-        });
+        const created = await createMovementEvent(
+          safeMovementId,
+          {
+            title: String(title).trim(),
+            starts_at: schedulePayload.starts_at || undefined,
+            ends_at: schedulePayload.ends_at || undefined,
+            time_zone: schedulePayload.time_zone || undefined,
+            recurrence_rule: schedulePayload.recurrence_rule || undefined,
+            location: String(location || '').trim() || undefined,
+          },
+          { accessToken }
+        );
 
         try {
           // Best-effort tracking; associate to movement context.
@@ -108,13 +122,13 @@ export default function CreateEventModal({ open, onOpenChange, movementId, onCre
         onCreated?.(created || null);
       } catch (e) {
         logError(e, 'Create event failed', { movementId: safeMovementId });
-        toast.error("Couldn't create event right now");
+        toast.error(e?.message || "Couldn't create event right now");
         return;
       }
 
       toast.success('Event created');
       setTitle('');
-      setWhen('');
+      setSchedule(emptySchedule());
       setLocation('');
       close();
     } finally {
@@ -143,7 +157,7 @@ export default function CreateEventModal({ open, onOpenChange, movementId, onCre
         aria-modal="true"
         aria-labelledby="create_event_title"
         tabIndex={-1}
-        className="relative w-full max-w-md rounded-2xl bg-white border border-slate-200 shadow-lg p-5 space-y-3"
+        className="relative w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-2xl bg-white border border-slate-200 shadow-lg p-5 space-y-3"
       >
         <div id="create_event_title" className="font-black text-slate-900 text-lg">Create event</div>
 
@@ -187,12 +201,7 @@ export default function CreateEventModal({ open, onOpenChange, movementId, onCre
           className="w-full p-3 rounded-xl border border-slate-200 bg-slate-50 font-semibold"
           placeholder="Title"
         />
-        <input
-          value={when}
-          onChange={(e) => setWhen(e.target.value)}
-          className="w-full p-3 rounded-xl border border-slate-200 bg-slate-50 font-semibold"
-          placeholder="When (optional)"
-        />
+        <EventScheduleFields value={schedule} onChange={setSchedule} idPrefix="create_event" disabled={submitting} />
         <input
           value={location}
           onChange={(e) => setLocation(e.target.value)}
@@ -217,8 +226,6 @@ export default function CreateEventModal({ open, onOpenChange, movementId, onCre
             {submitting ? 'Saving…' : 'Save'}
           </button>
         </div>
-
-        <div className="text-xs text-slate-500 font-semibold">Saved locally.</div>
       </div>
     </div>
   );
@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { CalendarClock, CalendarPlus, CalendarX, Loader2, ScanLine } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { cancelMovementEvent, downloadEventCalendarFile, updateMovementEvent } from '@/api/eventsClient';
+import { formatEventTimeRange, scheduleFromEvent, scheduleToPayload } from '@/utils/eventSchedule';
+import EventScheduleFields from './EventScheduleFields';
+import EventCheckInDialog from './EventCheckInDialog';
+
+function notifiedSuffix(notified) {
+  const n = Number(notified) || 0;
+  if (!n) return '';
+  return n === 1 ? ' 1 person who RSVP’d was notified.' : ` ${n} people who RSVP’d were notified.`;
+}
+
+function RescheduleDialog({ event, open, onOpenChange, accessToken, onChanged }) {
+  const [schedule, setSchedule] = useState(() => scheduleFromEvent(event));
+
+  useEffect(() => {
+    if (open) setSchedule(scheduleFromEvent(event));
+  }, [open, event]);
+
+  const mutation = useMutation({
+    mutationFn: () => updateMovementEvent(event.id, scheduleToPayload(schedule), { accessToken }),
+    onSuccess: (res) => {
+      toast.success(`Event rescheduled.${notifiedSuffix(res?.notified)}`);
+      onOpenChange(false);
+      onChanged?.(res?.event || null);
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to reschedule event'),
+  });
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => !mutation.isPending && onOpenChange(next)}>
+      <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Reschedule event</DialogTitle>
+          <DialogDescription>
+            Everyone who RSVP’d gets a notification, and subscribed calendars update on their next refresh.
+          </DialogDescription>
+        </DialogHeader>
+        <EventScheduleFields value={schedule} onChange={setSchedule} idPrefix={`reschedule_${event.id}`} disabled={mutation.isPending} />
+        <DialogFooter>
+          <Button type="button" variant="outline" className="h-10 rounded-xl font-bold" disabled={mutation.isPending} onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            type="button"
+            className="h-10 rounded-xl font-bold bg-[#3A3DFF] hover:bg-[#2A2DDD]"
+            disabled={mutation.isPending}
+            onClick={() => mutation.mutate()}
+          >
+            {mutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+            Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function CancelDialog({ event, open, onOpenChange, accessToken, onChanged }) {
+  const repeating = !!event.recurrence_rule;
+  const nextStart = event.next_occurrence_at || null;
+  const [scope, setScope] = useState(repeating && nextStart ? 'occurrence' : 'series');
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setScope(repeating && nextStart ? 'occurrence' : 'series');
+    setReason('');
+  }, [open, repeating, nextStart]);
+
+  const mutation = useMutation({
+    mutationFn: () =>
+      cancelMovementEvent(
+        event.id,
+        { reason: reason.trim() || undefined, occurrenceStart: scope === 'occurrence' ? nextStart : undefined },
+        { accessToken }
+      ),
+    onSuccess: (res) => {
+      toast.success(`${scope === 'occurrence' ? 'Date cancelled' : 'Event cancelled'}.${notifiedSuffix(res?.notified)}`);
+      onOpenChange(false);
+      onChanged?.(res?.event || null);
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to cancel event'),
+  });
+
+  const nextLabel = nextStart ? formatEventTimeRange(nextStart, null, event.time_zone) : null;
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => !mutation.isPending && onOpenChange(next)}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Cancel event</DialogTitle>
+          <DialogDescription>Everyone who RSVP’d gets a notification. This cannot be undone.</DialogDescription>
+        </DialogHeader>
+
+        {repeating && nextStart ? (
+          <div className="space-y-2" role="radiogroup" aria-label="What to cancel">
+            <label className="flex items-start gap-3 rounded-xl border border-slate-200 px-3 py-2 text-sm font-semibold text-slate-800">
+              <input type="radio" className="mt-1" checked={scope === 'occurrence'} onChange={() => setScope('occurrence')} />
+              <span>Only the next date{nextLabel ? ` (${nextLabel})` : ''}</span>
+            </label>
+            <label className="flex items-start gap-3 rounded-xl border border-slate-200 px-3 py-2 text-sm font-semibold text-slate-800">
+              <input type="radio" className="mt-1" checked={scope === 'series'} onChange={() => setScope('series')} />
+              <span>Every date in the series</span>
+            </label>
+          </div>
+        ) : null}
+
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={500}
+          placeholder="Reason (optional, shared with attendees)"
+          className="w-full min-h-20 p-3 rounded-xl border-2 border-slate-200 bg-white text-slate-900 font-semibold outline-none focus:ring-2 focus:ring-slate-400"
+        />
+
+        <DialogFooter>
+          <Button type="button" variant="outline" className="h-10 rounded-xl font-bold" disabled={mutation.isPending} onClick={() => onOpenChange(false)}>
+            Keep event
+          </Button>
+          <Button
+            type="button"
+            variant="destructive"
+            className="h-10 rounded-xl font-bold"
+            disabled={mutation.isPending}
+            onClick={() => mutation.mutate()}
+          >
+            {mutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+            {scope === 'occurrence' ? 'Cancel this date' : 'Cancel event'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/**
+ * "Add to calendar" for any scheduled event, plus door check-in, reschedule and cancel for
+ * people who can manage it (`event.can_manage`, computed by the server).
+ */
+export default function EventActions({ event, accessToken, onChanged }) {
+  const [downloading, setDownloading] = useState(false);
+  const [rescheduleOpen, setRescheduleOpen] = useState(false);
+  const [cancelOpen, setCancelOpen] = useState(false);
+  const [checkInOpen, setCheckInOpen] = useState(false);
+
+  const cancelled = event?.status === 'cancelled';
+  const canManage = !!event?.can_manage && !!accessToken && !cancelled;
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await downloadEventCalendarFile(event, { accessToken });
+    } catch (e) {
+      toast.error(e?.message || 'Failed to download calendar file');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (!event?.id || (!event.starts_at && !canManage)) return null;
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-2">
+      {event.starts_at ? (
+        <button
+          type="button"
+          onClick={handleDownload}
+          disabled={downloading}
+          className="inline-flex items-center gap-1.5 px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 text-xs font-black hover:bg-slate-50 disabled:opacity-60"
+        >
+          {downloading ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <CalendarPlus className="w-3.5 h-3.5" />}
+          Add to calendar
+        </button>
+      ) : null}
+      {canManage ? (
+        <>
+          <button
+            type="button"
+            onClick={() => setCheckInOpen(true)}
+            className="inline-flex items-center gap-1.5 px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 text-xs font-black hover:bg-slate-50"
+          >
+            <ScanLine className="w-3.5 h-3.5" />
+            Check in
+          </button>
+          <button
+            type="button"
+            onClick={() => setRescheduleOpen(true)}
+            className="inline-flex items-center gap-1.5 px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 text-xs font-black hover:bg-slate-50"
+          >
+            <CalendarClock className="w-3.5 h-3.5" />
+            Reschedule
+          </button>
+          <button
+            type="button"
+            onClick={() => setCancelOpen(true)}
+            className="inline-flex items-center gap-1.5 px-3 py-2 rounded-xl border border-red-200 bg-white text-red-700 text-xs font-black hover:bg-red-50"
+          >
+            <CalendarX className="w-3.5 h-3.5" />
+            Cancel
+          </button>
+          <RescheduleDialog event={event} open={rescheduleOpen} onOpenChange={setRescheduleOpen} accessToken={accessToken} onChanged={onChanged} />
+          <CancelDialog event={event} open={cancelOpen} onOpenChange={setCancelOpen} accessToken={accessToken} onChanged={onChanged} />
+          <EventCheckInDialog event={event} open={checkInOpen} onOpenChange={setCheckInOpen} accessToken={accessToken} />
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -1,12 +1,14 @@
 import React from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Calendar, MapPin, Video, Users, Check } from 'lucide-react';
-import { format } from 'date-fns';
+import { MapPin, Video, Users, Check } from 'lucide-react';
 import { Button } from "@/components/ui/button";
 import { toast } from "sonner";
 import { cn } from "@/lib/utils";
-import { entities } from "@/api/appClient";
+import { fetchEventRsvpSummary, setMyEventRsvp } from '@/api/eventRsvpsClient';
 import { logError } from '@/utils/logError';
+import EventActions from './EventActions';
+import EventCheckInPass from './EventCheckInPass';
+import EventScheduleSummary from './EventScheduleSummary';
 
 const eventTypeColors = {
   rally: 'bg-red-100 text-red-700 border-red-300',
@@ -18,47 +20,27 @@ const eventTypeColors = {
   other: 'bg-slate-100 text-slate-700 border-slate-300'
 };
 
-export default function EventCard({ event, currentUser, isPast = false }) {
+export default function EventCard({ event, currentUser, accessToken, isPast = false, onChanged }) {
   const queryClient = useQueryClient();
+  const rsvpKey = ['eventRsvps', String(event?.id || ''), currentUser?.email || null];
 
-  const { data: rsvp } = useQuery({
-    queryKey: ['localRsvp', event.id, currentUser?.email],
-    queryFn: async () => {
-      if (!currentUser) return null;
-      const rsvps = await entities.EventRSVP.filter(
-        {
-          event_id: event.id,
-          user_email: currentUser.email,
-        },
-        null,
-        { limit: 1, offset: 0, fields: 'id,status' }
-      );
-      return rsvps[0] || null;
-    },
-    enabled: !!currentUser && !!event.id
+  const { data: rsvpData } = useQuery({
+    queryKey: rsvpKey,
+    queryFn: () => fetchEventRsvpSummary(event.id, { accessToken: accessToken || undefined }),
+    enabled: !!event.id,
+    retry: 1,
   });
+  const rsvp = rsvpData?.my_rsvp || null;
+  const goingCount = rsvpData?.summary?.going_count || 0;
+  const waitlistedCount = rsvpData?.summary?.waitlisted_count || 0;
+  const waitlisted = rsvp?.status === 'waitlisted';
 
   const rsvpMutation = useMutation({
-    mutationFn: async (status) => {
-      if (rsvp) {
-        await entities.EventRSVP.update(rsvp.id, { status });
-      } else {
-        await entities.EventRSVP.create({
-          event_id: event.id,
-          user_email: currentUser.email,
-          status
-        });
-        
-        // Update RSVP count
-        await entities.Event.update(event.id, {
-          rsvp_count: (event.rsvp_count || 0) + 1
-        });
-      }
-    },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['localRsvp'] });
-      queryClient.invalidateQueries({ queryKey: ['localEvents'] });
-      toast.success('RSVP updated!');
+    mutationFn: (status) => setMyEventRsvp(event.id, status, { accessToken }),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['eventRsvps', String(event?.id || '')] });
+      if (res?.waitlisted) toast.message('This event is full. You’re on the waitlist and will be notified if a spot opens.');
+      else toast.success('RSVP updated!');
     },
     onError: (e) => {
       logError(e, 'Event RSVP failed', { eventId: event?.id });
@@ -69,9 +51,7 @@ export default function EventCard({ event, currentUser, isPast = false }) {
   const title = event?.title || event?.name || 'Untitled event';
 
   const eventType = String(event?.event_type || 'other');
-  const startDateRaw = event?.start_date || event?.starts_at || event?.start_time || null;
-  const parsedStartDate = startDateRaw ? new Date(startDateRaw) : null;
-  const startDateValid = !!(parsedStartDate && !Number.isNaN(parsedStartDate.getTime()));
+  const cancelled = event?.status === 'cancelled';
 
   return (
     <div className={cn(
@@ -99,7 +79,7 @@ export default function EventCard({ event, currentUser, isPast = false }) {
           )}
         </div>
         
-        {!isPast && currentUser && (
+        {!isPast && !cancelled && currentUser && accessToken && (
           <div className="flex gap-2">
             <Button
               onClick={() => rsvpMutation.mutate('going')}
@@ -109,8 +89,11 @@ export default function EventCard({ event, currentUser, isPast = false }) {
                 "rounded-lg font-bold",
                 rsvp?.status === 'going'
                   ? "bg-green-500 hover:bg-green-600"
-                  : "bg-slate-200 hover:bg-slate-300 text-slate-700"
+                  : waitlisted
+                    ? "bg-amber-100 hover:bg-amber-200 text-amber-800"
+                    : "bg-slate-200 hover:bg-slate-300 text-slate-700"
               )}
+              title={waitlisted ? 'On the waitlist' : 'RSVP going'}
             >
               <Check className="w-4 h-4" />
             </Button>
@@ -132,28 +115,14 @@ export default function EventCard({ event, currentUser, isPast = false }) {
       </div>
 
       <div className="space-y-2 text-sm">
-        <div className="flex items-center gap-2 text-slate-600">
-          <Calendar className="w-4 h-4" />
-          <span className="font-bold">
-            {startDateValid ? (
-              <>
-                {format(parsedStartDate, 'PPP')} at {format(parsedStartDate, 'p')}
-              </>
-            ) : (
-              'Date/time not set'
-            )}
-          </span>
-        </div>
+        <EventScheduleSummary event={event} />
 
-        {event.location?.city && (
+        {event.location ? (
           <div className="flex items-center gap-2 text-slate-600">
             <MapPin className="w-4 h-4" />
-            <span className="font-bold">
-              {event.location.address && `${event.location.address}, `}
-              {event.location.city}, {event.location.country}
-            </span>
+            <span className="font-bold">{String(event.location)}</span>
           </div>
-        )}
+        ) : null}
 
         {event.virtual_link && (
           <div className="flex items-center gap-2">
@@ -172,11 +141,26 @@ export default function EventCard({ event, currentUser, isPast = false }) {
         <div className="flex items-center gap-2 text-slate-600">
           <Users className="w-4 h-4" />
           <span className="font-bold">
-            {event.rsvp_count || 0} going
+            {goingCount} going
             {event.max_attendees && ` / ${event.max_attendees} max`}
+            {waitlistedCount ? ` • ${waitlistedCount} waitlisted` : ''}
           </span>
         </div>
+
+        {waitlisted ? (
+          <div className="rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-xs font-semibold text-amber-800">
+            {rsvp?.waitlist_position ? `You’re #${rsvp.waitlist_position} on the waitlist.` : 'You’re on the waitlist.'}
+          </div>
+        ) : null}
       </div>
+
+      {rsvp && !isPast && !cancelled ? (
+        <div className="mt-2">
+          <EventCheckInPass event={event} rsvp={rsvp} />
+        </div>
+      ) : null}
+
+      <EventActions event={event} accessToken={accessToken} onChanged={onChanged} />
     </div>
   );
 }
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { AlertTriangle, Camera, CheckCircle2, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import QrScanner from '@/components/shared/QrScanner';
+import { checkInEventAttendee } from '@/api/eventRsvpsClient';
+import { parseCheckInQr } from '@/lib/eventCheckIn';
+
+/**
+ * Door check-in for organizers: scan attendees' passes (or type their code) one after another.
+ * Each check-in is verified by the server and counts towards the movement's verified participants.
+ */
+export default function EventCheckInDialog({ event, accessToken, open, onOpenChange }) {
+  const queryClient = useQueryClient();
+  const [scanning, setScanning] = useState(false);
+  const [scanKey, setScanKey] = useState(0);
+  const [manualCode, setManualCode] = useState('');
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (open) return;
+    setScanning(false);
+    setManualCode('');
+    setResult(null);
+  }, [open]);
+
+  const mutation = useMutation({
+    mutationFn: (code) => checkInEventAttendee(event.id, code, { accessToken }),
+    onSuccess: (res) => {
+      setResult({
+        ok: true,
+        email: res?.rsvp?.user_email || null,
+        message: res?.already_checked_in ? 'Already checked in' : 'Checked in',
+      });
+      setManualCode('');
+      queryClient.invalidateQueries({ queryKey: ['eventRsvps', String(event.id)] });
+    },
+    onError: (e) => setResult({ ok: false, message: e?.message || 'Check-in failed' }),
+  });
+
+  const submit = (raw) => {
+    const parsed = parseCheckInQr(raw);
+    if (!parsed) {
+      setResult({ ok: false, message: 'That is not a check-in pass' });
+      return;
+    }
+    if (parsed.eventId && String(parsed.eventId) !== String(event.id)) {
+      setResult({ ok: false, message: 'This pass is for a different event' });
+      return;
+    }
+    mutation.mutate(parsed.code);
+  };
+
+  const handleScan = (value) => {
+    setScanning(false);
+    submit(value);
+  };
+
+  const scanNext = () => {
+    setResult(null);
+    setScanKey((k) => k + 1);
+    setScanning(true);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Check in attendees</DialogTitle>
+          <DialogDescription>
+            Scan each person’s check-in pass from their app, or type the code under it.
+          </DialogDescription>
+        </DialogHeader>
+
+        {scanning ? (
+          <QrScanner key={scanKey} onResult={handleScan} onClose={() => setScanning(false)} />
+        ) : (
+          <div className="space-y-4">
+            {mutation.isPending ? (
+              <div className="flex items-center justify-center py-4">
+                <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+              </div>
+            ) : result ? (
+              <div
+                className={`flex items-start gap-2 rounded-xl border px-3 py-2 text-sm font-semibold ${
+                  result.ok ? 'border-green-200 bg-green-50 text-green-800' : 'border-red-200 bg-red-50 text-red-800'
+                }`}
+                role="status"
+              >
+                {result.ok ? <CheckCircle2 className="w-4 h-4 mt-0.5 shrink-0" /> : <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />}
+                <span>
+                  {result.message}
+                  {result.email ? `: ${result.email}` : ''}
+                </span>
+              </div>
+            ) : null}
+
+            <Button
+              type="button"
+              className="w-full h-10 rounded-xl font-bold bg-[#3A3DFF] hover:bg-[#2A2DDD]"
+              disabled={mutation.isPending}
+              onClick={scanNext}
+            >
+              <Camera className="w-4 h-4 mr-2" />
+              {result ? 'Scan next pass' : 'Scan a pass'}
+            </Button>
+
+            <form
+              className="flex gap-2"
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (manualCode.trim()) submit(manualCode);
+              }}
+            >
+              <input
+                value={manualCode}
+                onChange={(e) => setManualCode(e.target.value)}
+                placeholder="Or type a code, e.g. ABCD-EFGH"
+                aria-label="Check-in code"
+                autoCapitalize="characters"
+                className="flex-1 h-10 px-3 rounded-xl border-2 border-slate-200 bg-white text-slate-900 font-mono font-semibold outline-none focus:ring-2 focus:ring-slate-400"
+              />
+              <Button type="submit" variant="outline" className="h-10 rounded-xl font-bold" disabled={mutation.isPending || !manualCode.trim()}>
+                Check in
+              </Button>
+            </form>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+import { CheckCircle2, Loader2, QrCode } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { checkInQrValue, formatCheckInCode } from '@/lib/eventCheckIn';
+
+/** The viewer's check-in QR for an event they RSVP'd to, shown to an organizer at the door. */
+export default function EventCheckInPass({ event, rsvp }) {
+  const [open, setOpen] = useState(false);
+  const [qrDataUrl, setQrDataUrl] = useState(null);
+  const code = rsvp?.check_in_code || null;
+
+  useEffect(() => {
+    if (!open || !code || !event?.id) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const { default: QRCode } = await import('qrcode');
+        const url = await QRCode.toDataURL(checkInQrValue(event.id, code), { margin: 1, width: 280 });
+        if (!cancelled) setQrDataUrl(url);
+      } catch {
+        if (!cancelled) setQrDataUrl(null);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, code, event?.id]);
+
+  if (!code || rsvp?.status === 'waitlisted') return null;
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="inline-flex items-center gap-1.5 px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 text-xs font-black hover:bg-slate-50"
+      >
+        <QrCode className="w-3.5 h-3.5" />
+        Check-in pass
+      </button>
+
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="max-w-sm">
+          <DialogHeader>
+            <DialogTitle>Check-in pass</DialogTitle>
+            <DialogDescription>
+              Show this code to an organizer when you arrive at {event?.title ? `“${event.title}”` : 'the event'}.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="flex flex-col items-center gap-3">
+            {qrDataUrl ? (
+              <img src={qrDataUrl} alt="Check-in QR code" className="w-56 h-56 rounded-xl border border-slate-200" />
+            ) : (
+              <div className="w-56 h-56 flex items-center justify-center rounded-xl border border-slate-200">
+                <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+              </div>
+            )}
+            <div className="font-mono text-2xl font-black tracking-widest text-slate-900">{formatCheckInCode(code)}</div>
+            {rsvp?.checked_in_at ? (
+              <div className="flex items-center gap-2 rounded-xl border border-green-200 bg-green-50 px-3 py-2 text-xs font-semibold text-green-800">
+                <CheckCircle2 className="w-4 h-4" />
+                Checked in
+              </div>
+            ) : null}
+          </div>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -1,8 +1,10 @@
 import React, { useMemo, useState } from 'react';
-import { useQuery } from '@tanstack/react-query';
-import { entities } from '@/api/appClient';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '@/auth/AuthProvider';
+import { listMovementEventsPage } from '@/api/eventsClient';
 import CreateEventModal from './CreateEventModal';
 import EventCard from './EventCard';
+import CalendarFeedCard from './CalendarFeedCard';
 import { logError } from '@/utils/logError';
 
 export default function EventManager({ movementId, movement, className = '' }) {
@@ -12,6 +14,10 @@ export default function EventManager({ movementId, movement, className = '' }) {
   );
 
   const [open, setOpen] = useState(false);
+  const { user, session } = useAuth();
+  const queryClient = useQueryClient();
+  const accessToken = session?.access_token ? String(session.access_token) : null;
+  const myEmail = user?.email ? String(user.email) : null;
 
   const {
     data: events = [],
@@ -20,34 +26,40 @@ export default function EventManager({ movementId, movement, className = '' }) {
     error,
     refetch,
   } = useQuery({
-    queryKey: ['localEvents', safeMovementId],
+    queryKey: ['events', safeMovementId, 'manager', myEmail],
     enabled: !!safeMovementId,
     queryFn: async () => {
       if (!safeMovementId) return [];
-      const list = await entities.Event.filter({ movement_id: safeMovementId }, '-created_date', {
+      const list = await listMovementEventsPage(safeMovementId, {
         limit: 20,
         offset: 0,
+        accessToken: accessToken || undefined,
         fields: [
           'id',
           'title',
-          'name',
           'event_type',
           'description',
-          'start_date',
           'starts_at',
-          'start_time',
+          'ends_at',
+          'time_zone',
+          'recurrence_rule',
+          'next_occurrence_at',
+          'status',
+          'cancellation_reason',
+          'can_manage',
           'location',
           'virtual_link',
-          'rsvp_count',
           'max_attendees',
-          'created_date',
-        ].join(','),
+          'created_at',
+        ],
       });
       return Array.isArray(list) ? list : [];
     },
     retry: 1,
   });
 
+  const refreshEvents = () => queryClient.invalidateQueries({ queryKey: ['events', safeMovementId] });
+
   if (isError && error) {
     logError(error, 'Event manager load failed', { movementId: safeMovementId });
   }
@@ -70,6 +82,8 @@ export default function EventManager({ movementId, movement, className = '' }) {
         </button>
       </div>
 
+      {safeMovementId ? <CalendarFeedCard movementId={safeMovementId} accessToken={accessToken} myEmail={myEmail} className="mt-3" /> : null}
+
       {!safeMovementId ? (
         <div className="mt-2 text-sm text-slate-600 font-semibold">Events are not available yet.</div>
       ) : isLoading ? (
@@ -90,12 +104,18 @@ export default function EventManager({ movementId, movement, className = '' }) {
       ) : (
         <div className="mt-3 grid gap-3">
           {events.slice(0, 20).map((ev, idx) => (
-            <EventCard key={String(ev?.id ?? idx)} event={ev} />
+            <EventCard
+              key={String(ev?.id ?? idx)}
+              event={ev}
+              currentUser={user}
+              accessToken={accessToken}
+              onChanged={refreshEvents}
+            />
           ))}
         </div>
       )}
 
-      <CreateEventModal open={open} onOpenChange={setOpen} movementId={safeMovementId} onCreated={() => {}} />
+      <CreateEventModal open={open} onOpenChange={setOpen} movementId={safeMovementId} onCreated={refreshEvents} />
     </div>
   );
 }
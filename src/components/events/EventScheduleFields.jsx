@@ -0,0 +1,211 @@
+import React, { useMemo } from 'react';
+import { cn } from '@/lib/utils';
+import { WEEKDAYS, listTimeZones, monthlyOrdinalFor } from '@/utils/eventSchedule';
+
+const ORDINAL_WORDS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+const UNIT_LABELS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+
+function FieldLabel({ htmlFor, children }) {
+  return (
+    <label htmlFor={htmlFor} className="block text-xs font-black text-slate-600 mb-1">
+      {children}
+    </label>
+  );
+}
+
+/**
+ * Start/end time, time zone and repeat controls for an event. `value` is the form state from
+ * emptySchedule()/scheduleFromEvent() in utils/eventSchedule; turn it into API fields with
+ * scheduleToPayload().
+ */
+export default function EventScheduleFields({ value, onChange, idPrefix = 'event', inputClassName, disabled = false }) {
+  const timeZones = useMemo(() => listTimeZones(), []);
+  const fieldClass = cn(
+    'w-full h-11 px-3 rounded-xl border-2 border-slate-200 bg-white text-slate-900 font-semibold outline-none focus:ring-2 focus:ring-slate-400 disabled:opacity-60',
+    inputClassName
+  );
+  const set = (patch) => onChange?.({ ...value, ...patch });
+
+  const repeating = value.frequency && value.frequency !== 'NONE';
+  const startDay = /^\d{4}-\d{2}-(\d{2})/.exec(value.startsAt || '')?.[1];
+  const startWeekday = (() => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(value.startsAt || '');
+    if (!m) return null;
+    return WEEKDAYS[(new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]))).getUTCDay() + 6) % 7];
+  })();
+  const ordinal = monthlyOrdinalFor(value.startsAt);
+  const unit = UNIT_LABELS[value.frequency] || 'week';
+
+  const toggleWeekday = (code) => {
+    const current = value.weekdays?.length ? value.weekdays : startWeekday ? [startWeekday.code] : [];
+    const next = current.includes(code) ? current.filter((c) => c !== code) : [...current, code];
+    set({ weekdays: next });
+  };
+  const selectedWeekdays = value.weekdays?.length ? value.weekdays : startWeekday ? [startWeekday.code] : [];
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <FieldLabel htmlFor={`${idPrefix}_starts_at`}>Starts</FieldLabel>
+          <input
+            id={`${idPrefix}_starts_at`}
+            type="datetime-local"
+            value={value.startsAt}
+            disabled={disabled}
+            onChange={(e) => set({ startsAt: e.target.value })}
+            className={fieldClass}
+          />
+        </div>
+        <div>
+          <FieldLabel htmlFor={`${idPrefix}_ends_at`}>Ends (optional)</FieldLabel>
+          <input
+            id={`${idPrefix}_ends_at`}
+            type="datetime-local"
+            value={value.endsAt}
+            min={value.startsAt || undefined}
+            disabled={disabled}
+            onChange={(e) => set({ endsAt: e.target.value })}
+            className={fieldClass}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <FieldLabel htmlFor={`${idPrefix}_time_zone`}>Time zone</FieldLabel>
+          <select
+            id={`${idPrefix}_time_zone`}
+            value={value.timeZone}
+            disabled={disabled}
+            onChange={(e) => set({ timeZone: e.target.value })}
+            className={fieldClass}
+          >
+            {timeZones.map((tz) => (
+              <option key={tz} value={tz}>
+                {tz.replace(/_/g, ' ')}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <FieldLabel htmlFor={`${idPrefix}_repeat`}>Repeat</FieldLabel>
+          <select
+            id={`${idPrefix}_repeat`}
+            value={value.frequency}
+            disabled={disabled}
+            onChange={(e) => set({ frequency: e.target.value })}
+            className={fieldClass}
+          >
+            <option value="NONE">Does not repeat</option>
+            <option value="DAILY">Daily</option>
+            <option value="WEEKLY">Weekly</option>
+            <option value="MONTHLY">Monthly</option>
+          </select>
+        </div>
+      </div>
+
+      {repeating ? (
+        <div className="space-y-3 rounded-xl border border-slate-200 bg-slate-50 p-3">
+          <div className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+            <span>Every</span>
+            <input
+              type="number"
+              min={1}
+              max={99}
+              aria-label="Repeat interval"
+              value={value.interval}
+              disabled={disabled}
+              onChange={(e) => set({ interval: e.target.value })}
+              className={cn(fieldClass, 'w-20')}
+            />
+            <span>{Number(value.interval) > 1 ? `${unit}s` : unit}</span>
+          </div>
+
+          {value.frequency === 'WEEKLY' ? (
+            <div className="flex flex-wrap gap-2" role="group" aria-label="Repeat on">
+              {WEEKDAYS.map((day) => {
+                const active = selectedWeekdays.includes(day.code);
+                return (
+                  <button
+                    key={day.code}
+                    type="button"
+                    disabled={disabled}
+                    aria-pressed={active}
+                    onClick={() => toggleWeekday(day.code)}
+                    className={cn(
+                      'h-9 px-3 rounded-xl border-2 text-xs font-black',
+                      active ? 'border-[#3A3DFF] bg-[#3A3DFF] text-white' : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50'
+                    )}
+                  >
+                    {day.short}
+                  </button>
+                );
+              })}
+            </div>
+          ) : null}
+
+          {value.frequency === 'MONTHLY' ? (
+            <select
+              aria-label="Monthly on"
+              value={value.monthlyMode}
+              disabled={disabled || !value.startsAt}
+              onChange={(e) => set({ monthlyMode: e.target.value })}
+              className={fieldClass}
+            >
+              <option value="day">{startDay ? `On day ${Number(startDay)}` : 'On the same day each month'}</option>
+              <option value="weekday">
+                {startWeekday && ordinal ? `On the ${ORDINAL_WORDS[ordinal]} ${startWeekday.long}` : 'On the same weekday each month'}
+              </option>
+            </select>
+          ) : null}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <FieldLabel htmlFor={`${idPrefix}_repeat_end`}>Stops</FieldLabel>
+              <select
+                id={`${idPrefix}_repeat_end`}
+                value={value.endMode}
+                disabled={disabled}
+                onChange={(e) => set({ endMode: e.target.value })}
+                className={fieldClass}
+              >
+                <option value="never">Never</option>
+                <option value="until">On a date</option>
+                <option value="count">After a number of times</option>
+              </select>
+            </div>
+            {value.endMode === 'until' ? (
+              <div>
+                <FieldLabel htmlFor={`${idPrefix}_repeat_until`}>Last date</FieldLabel>
+                <input
+                  id={`${idPrefix}_repeat_until`}
+                  type="date"
+                  value={value.until}
+                  min={value.startsAt ? value.startsAt.slice(0, 10) : undefined}
+                  disabled={disabled}
+                  onChange={(e) => set({ until: e.target.value })}
+                  className={fieldClass}
+                />
+              </div>
+            ) : value.endMode === 'count' ? (
+              <div>
+                <FieldLabel htmlFor={`${idPrefix}_repeat_count`}>Times</FieldLabel>
+                <input
+                  id={`${idPrefix}_repeat_count`}
+                  type="number"
+                  min={1}
+                  max={500}
+                  value={value.count}
+                  disabled={disabled}
+                  onChange={(e) => set({ count: e.target.value })}
+                  className={fieldClass}
+                />
+              </div>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React from 'react';
+import { Calendar, Repeat } from 'lucide-react';
+import { describeRecurrence, formatEventTimeRange } from '@/utils/eventSchedule';
+
+function shiftIso(iso, deltaMs) {
+  const ms = Date.parse(String(iso || ''));
+  return Number.isFinite(ms) ? new Date(ms + deltaMs).toISOString() : null;
+}
+
+/** When an event happens (its next date, for repeating ones), how it repeats, and whether it was cancelled. */
+export default function EventScheduleSummary({ event }) {
+  const cancelled = event?.status === 'cancelled';
+  const recurrence = describeRecurrence(event);
+  const duration = event?.ends_at && event?.starts_at ? Date.parse(event.ends_at) - Date.parse(event.starts_at) : null;
+
+  const nextStart = recurrence && !cancelled ? event?.next_occurrence_at : null;
+  const shownStart = nextStart || event?.starts_at || null;
+  const shownEnd = nextStart ? (duration ? shiftIso(nextStart, duration) : null) : event?.ends_at || null;
+  const when = formatEventTimeRange(shownStart, shownEnd, event?.time_zone);
+  const seriesEnded = recurrence && !cancelled && !event?.next_occurrence_at;
+
+  return (
+    <div className="space-y-1">
+      {cancelled ? (
+        <div className="rounded-xl border border-red-200 bg-red-50 px-3 py-2 text-xs font-semibold text-red-800">
+          Cancelled{event?.cancellation_reason ? `: ${event.cancellation_reason}` : ''}
+        </div>
+      ) : null}
+      <div className={`flex items-center gap-2 text-xs font-bold ${cancelled ? 'text-slate-400 line-through' : 'text-slate-600'}`}>
+        <Calendar className="w-4 h-4 shrink-0" />
+        <span>{when ? `${nextStart ? 'Next: ' : ''}${when}` : 'Start time not specified'}</span>
+      </div>
+      {recurrence ? (
+        <div className="flex items-center gap-2 text-xs font-bold text-slate-600">
+          <Repeat className="w-4 h-4 shrink-0" />
+          <span>
+            {recurrence}
+            {seriesEnded ? ' (series ended)' : ''}
+          </span>
+        </div>
+      ) : null}
+    </div>
+  );
+}
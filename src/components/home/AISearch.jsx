@@ -7,7 +7,6 @@ import {
   cacheAIResult,
   getCachedAIResult,
   hasExceededAILimit,
-  incrementAICounter,
   hashPayload,
 } from '@/utils/aiGuardrail';
 
@@ -103,12 +102,16 @@ ${JSON.stringify(candidates)}
       const cached = getCachedAIResult('aiSearch', payloadHash);
       if (cached) return { results: cached.results ?? [], mode: 'cache' };
 
-      incrementAICounter();
-
-      const response = await integrations.Core.InvokeLLM({
-        prompt,
-        response_json_schema: responseSchema,
-      });
+      let response;
+      try {
+        response = await integrations.Core.InvokeLLM({
+          prompt,
+          response_json_schema: responseSchema,
+        });
+      } catch (e) {
+        if (e?.status === 429) return { results: localSearch(movementSlice, trimmed), mode: 'limit' };
+        throw e;
+      }
 
       const ids = Array.isArray(response?.ids) ? response.ids.map(String) : [];
       const byId = new Map(movementSlice.map((m) => [String(m?.id ?? m?._id), m]));
@@ -137,7 +140,7 @@ ${JSON.stringify(candidates)}
             </div>
             <div>
               <div className="text-sm font-black text-slate-900">AI Search</div>
-              <div className="text-xs font-semibold text-slate-500">Opt-in only. Uses a limited per-session budget.</div>
+              <div className="text-xs font-semibold text-slate-500">Opt-in only. Uses a limited daily budget.</div>
             </div>
           </div>
           {isFetching ? <Loader2 className="w-4 h-4 text-[#3A3DFF] animate-spin" /> : null}
@@ -163,7 +166,7 @@ ${JSON.stringify(candidates)}
 
             {mode === 'limit' ? (
               <div className="text-xs font-semibold text-slate-500">
-                AI usage limit reached for this session.
+                Daily AI limit reached. It resets tomorrow.
               </div>
             ) : null}
 
@@ -8,7 +8,6 @@ import {
   cacheAIResult,
   getCachedAIResult,
   hasExceededAILimit,
-  incrementAICounter,
   hashPayload,
 } from '@/utils/aiGuardrail';
 import { logError } from '@/utils/logError';
@@ -79,8 +78,6 @@ Return the 3 movement IDs that are genuinely trending right now.`;
         return;
       }
 
-      incrementAICounter();
-
       const response = await integrations.Core.InvokeLLM({
         prompt,
         response_json_schema: {
@@ -102,7 +99,7 @@ Return the 3 movement IDs that are genuinely trending right now.`;
       logError(error, 'AI trending analysis failed');
       // Fallback to momentum score
       setTrending(movements.slice(0, 3));
-      setLimitReached(false);
+      setLimitReached(error?.status === 429);
     } finally {
       setLoading(false);
     }
@@ -143,7 +140,7 @@ Return the 3 movement IDs that are genuinely trending right now.`;
           <p className="text-sm text-slate-600 font-semibold">AI-curated movements gaining momentum</p>
           <p className="text-xs text-slate-500 font-semibold mt-1">AI-generated — may be incomplete or inaccurate</p>
           {limitReached ? (
-            <p className="text-xs text-slate-500 font-semibold mt-1">AI usage limit reached for this session.</p>
+            <p className="text-xs text-slate-500 font-semibold mt-1">Daily AI limit reached. It resets tomorrow.</p>
           ) : null}
         </div>
       </div>
@@ -7,7 +7,6 @@ import {
   cacheAIResult,
   getCachedAIResult,
   hasExceededAILimit,
-  incrementAICounter,
   hashPayload,
 } from '@/utils/aiGuardrail';
 
@@ -83,12 +82,16 @@ ${JSON.stringify(candidates)}
       const cached = getCachedAIResult('aiRecommendations', payloadHash);
       if (cached) return { results: cached.results ?? fallback, mode: 'cache' };
 
-      incrementAICounter();
-
-      const response = await integrations.Core.InvokeLLM({
-        prompt,
-        response_json_schema: responseSchema,
-      });
+      let response;
+      try {
+        response = await integrations.Core.InvokeLLM({
+          prompt,
+          response_json_schema: responseSchema,
+        });
+      } catch (e) {
+        if (e?.status === 429) return { results: fallback, mode: 'limit' };
+        throw e;
+      }
 
       const ids = Array.isArray(response?.ids) ? response.ids.map(String) : [];
       const byId = new Map(movementSlice.map((m) => [String(m?.id ?? m?._id), m]));
@@ -129,7 +132,7 @@ ${JSON.stringify(candidates)}
 
         {mode === 'limit' ? (
           <div className="text-xs font-semibold text-slate-500 mb-3">
-            AI usage limit reached for this session.
+            Daily AI limit reached. It resets tomorrow.
           </div>
         ) : null}
 
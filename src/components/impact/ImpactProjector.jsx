@@ -11,7 +11,6 @@ import {
   cacheAIResult,
   getCachedAIResult,
   hasExceededAILimit,
-  incrementAICounter,
   hashPayload,
 } from '@/utils/aiGuardrail';
 
@@ -30,7 +29,7 @@ export default function ImpactProjector({ movementData, onProjectionGenerated })
     }
 
     if (hasExceededAILimit()) {
-      setLimitNotice('AI usage limit reached for this session.');
+      setLimitNotice('Daily AI limit reached. It resets tomorrow.');
       return;
     }
 
@@ -52,7 +51,6 @@ export default function ImpactProjector({ movementData, onProjectionGenerated })
         return;
       }
 
-      incrementAICounter();
       const response = await integrations.Core.InvokeLLM({
         prompt: `Analyze this movement and provide ESTIMATED impact projections (NOT certainties):
 
@@ -109,8 +107,9 @@ Based on similar movements and current trends, provide ESTIMATES for:
           target_audience: targetAudience
         });
       }
-    } catch {
-      toast.error('Failed to generate projection');
+    } catch (e) {
+      if (e?.status === 429) setLimitNotice('Daily AI limit reached. It resets tomorrow.');
+      else toast.error('Failed to generate projection');
     } finally {
       setGenerating(false);
     }
@@ -0,0 +1,320 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { KeyRound, Laptop, Loader2, Smartphone, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { fetchMyDevices, fetchMyKeyBackup, removeMyDevice } from '@/api/keysClient';
+import { MIN_BACKUP_PASSPHRASE_LENGTH } from '@/lib/e2eeBackup';
+import { getDeviceId } from '@/lib/e2eeStore';
+import { queryKeys } from '@/lib/queryKeys';
+import {
+  backUpIdentityKey,
+  forgetCachedKeyDevices,
+  publishMyEncryptionKeys,
+  restoreIdentityKey,
+} from '@/utils/e2eeMessaging';
+
+function formatWhen(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toLocaleString();
+}
+
+/**
+ * Devices registered for end-to-end encryption plus the passphrase-encrypted key backup.
+ * With `mismatch` set (this device's key differs from the account's) it leads with
+ * restoring the backup, or starting over with this device's key.
+ */
+export default function EncryptionKeysDialog({ open, onOpenChange, myEmail, accessToken, mismatch, onIdentityChanged }) {
+  const queryClient = useQueryClient();
+  const deviceId = getDeviceId();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [restorePassphrase, setRestorePassphrase] = useState('');
+  const [removeTarget, setRemoveTarget] = useState(null);
+  const [confirmReset, setConfirmReset] = useState(false);
+
+  useEffect(() => {
+    if (open) return;
+    setPassphrase('');
+    setConfirmPassphrase('');
+    setRestorePassphrase('');
+  }, [open]);
+
+  const devicesQuery = useQuery({
+    queryKey: queryKeys.e2ee.devices(myEmail),
+    enabled: open && !!myEmail && !!accessToken,
+    queryFn: () => fetchMyDevices({ accessToken, deviceId }),
+  });
+
+  const backupQuery = useQuery({
+    queryKey: queryKeys.e2ee.backup(myEmail),
+    enabled: open && !!myEmail && !!accessToken,
+    queryFn: () => fetchMyKeyBackup({ accessToken }),
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: queryKeys.e2ee.devices(myEmail) });
+    queryClient.invalidateQueries({ queryKey: queryKeys.e2ee.backup(myEmail) });
+  };
+
+  const removeMutation = useMutation({
+    mutationFn: (id) => removeMyDevice(id, { accessToken }),
+    onSuccess: () => {
+      forgetCachedKeyDevices(myEmail);
+      toast.success('Device removed');
+      refresh();
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to remove device'),
+  });
+
+  const backupMutation = useMutation({
+    mutationFn: () => backUpIdentityKey(myEmail, passphrase, { accessToken }),
+    onSuccess: () => {
+      setPassphrase('');
+      setConfirmPassphrase('');
+      toast.success('Key backup saved');
+      refresh();
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to save key backup'),
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: () => restoreIdentityKey(myEmail, restorePassphrase, { accessToken }),
+    onSuccess: () => {
+      setRestorePassphrase('');
+      toast.success('Encryption key restored');
+      refresh();
+      onIdentityChanged?.();
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to restore key backup'),
+  });
+
+  const resetMutation = useMutation({
+    mutationFn: () => publishMyEncryptionKeys(myEmail, { accessToken, replaceIdentity: true }),
+    onSuccess: () => {
+      toast.success("This device's key is now your encryption key");
+      refresh();
+      onIdentityChanged?.();
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to replace encryption key'),
+  });
+
+  const devices = devicesQuery.data?.devices || [];
+  const backup = backupQuery.data || null;
+  const backupMatches = !!backup && backup.identity_key === devicesQuery.data?.identity_key;
+  const passphraseTooShort = passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH;
+  const passphraseMismatch = confirmPassphrase.length > 0 && passphrase !== confirmPassphrase;
+  const hasBackup = mismatch ? !!mismatch.hasBackup : !!backup;
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="max-w-md max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Encryption keys</DialogTitle>
+            <DialogDescription>
+              Your messages are encrypted with a key that stays on your devices. Back it up with a
+              passphrase so you can read your messages on a new device.
+            </DialogDescription>
+          </DialogHeader>
+
+          {mismatch ? (
+            <div className="space-y-3 rounded-xl border border-amber-200 bg-amber-50 p-3">
+              <div className="text-sm font-semibold text-amber-900">
+                This device has a different encryption key than your account.
+              </div>
+              {hasBackup ? (
+                <div className="space-y-2">
+                  <Input
+                    type="password"
+                    value={restorePassphrase}
+                    onChange={(e) => setRestorePassphrase(e.target.value)}
+                    placeholder="Backup passphrase"
+                    autoComplete="current-password"
+                  />
+                  <Button
+                    type="button"
+                    className="w-full h-10 rounded-xl font-bold bg-[#3A3DFF] hover:bg-[#2A2DDD]"
+                    disabled={!restorePassphrase || restoreMutation.isPending}
+                    onClick={() => restoreMutation.mutate()}
+                  >
+                    {restoreMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <KeyRound className="w-4 h-4 mr-2" />}
+                    Restore from backup
+                  </Button>
+                </div>
+              ) : (
+                <div className="text-xs text-amber-900">
+                  No key backup is stored for your account. Open messages on a device that still has
+                  your key and back it up, or start over with the key on this device.
+                </div>
+              )}
+              <Button
+                type="button"
+                variant="outline"
+                className="w-full h-10 rounded-xl font-bold"
+                disabled={resetMutation.isPending}
+                onClick={() => setConfirmReset(true)}
+              >
+                Use the key on this device instead
+              </Button>
+            </div>
+          ) : null}
+
+          <div className="space-y-2">
+            <div className="text-sm font-bold text-slate-900">Devices</div>
+            {devicesQuery.isLoading ? (
+              <div className="flex justify-center py-4">
+                <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+              </div>
+            ) : devicesQuery.isError ? (
+              <div className="text-sm text-slate-600">Failed to load devices.</div>
+            ) : devices.length === 0 ? (
+              <div className="text-sm text-slate-600">No devices registered yet.</div>
+            ) : (
+              <div className="space-y-2">
+                {devices.map((device) => {
+                  const Icon = device.platform === 'web' ? Laptop : Smartphone;
+                  const seen = formatWhen(device.last_seen_at);
+                  return (
+                    <div key={device.device_id} className="flex items-center gap-3 rounded-xl border border-slate-200 px-3 py-2">
+                      <Icon className="w-4 h-4 text-slate-500 shrink-0" />
+                      <div className="min-w-0 flex-1">
+                        <div className="text-sm font-semibold text-slate-900 truncate">
+                          {device.label || 'Device'}
+                          {device.is_current ? <span className="ml-2 text-xs font-bold text-[#3A3DFF]">This device</span> : null}
+                        </div>
+                        <div className="text-xs text-slate-500">
+                          {device.identity_matches ? (seen ? `Last active ${seen}` : 'Registered') : 'Uses an old key and cannot read new messages'}
+                        </div>
+                      </div>
+                      {!device.is_current ? (
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="icon"
+                          aria-label="Remove device"
+                          disabled={removeMutation.isPending}
+                          onClick={() => setRemoveTarget(device)}
+                        >
+                          <Trash2 className="w-4 h-4 text-slate-500" />
+                        </Button>
+                      ) : null}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {!mismatch ? (
+            <div className="space-y-2">
+              <div className="text-sm font-bold text-slate-900">Key backup</div>
+              <div className="text-xs text-slate-600">
+                {backupQuery.isLoading
+                  ? 'Checking for a backup…'
+                  : backup
+                    ? backupMatches
+                      ? `Backed up ${formatWhen(backup.updated_at) || ''}`.trim()
+                      : 'Your backup holds an older key. Save a new one.'
+                    : 'No backup yet. Without one, a lost device means losing access to your message history.'}
+              </div>
+              <Input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder={`Passphrase (at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters)`}
+                autoComplete="new-password"
+              />
+              <Input
+                type="password"
+                value={confirmPassphrase}
+                onChange={(e) => setConfirmPassphrase(e.target.value)}
+                placeholder="Confirm passphrase"
+                autoComplete="new-password"
+              />
+              {passphraseMismatch ? <div className="text-xs font-semibold text-red-600">Passphrases do not match.</div> : null}
+              <div className="text-xs text-slate-500">
+                We cannot recover this passphrase. Without it the backup cannot be opened, by you or by us.
+              </div>
+              <Button
+                type="button"
+                className="w-full h-10 rounded-xl font-bold bg-[#3A3DFF] hover:bg-[#2A2DDD]"
+                disabled={passphraseTooShort || passphrase !== confirmPassphrase || backupMutation.isPending}
+                onClick={() => backupMutation.mutate()}
+              >
+                {backupMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+                {backup ? 'Update backup' : 'Back up key'}
+              </Button>
+            </div>
+          ) : null}
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={!!removeTarget} onOpenChange={(next) => !next && setRemoveTarget(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Remove this device?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {removeTarget?.label || 'This device'} will stop receiving new encrypted messages. It can
+              be added again by opening messages on it.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => {
+                if (removeTarget) removeMutation.mutate(removeTarget.device_id);
+                setRemoveTarget(null);
+              }}
+            >
+              Remove
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      <AlertDialog open={confirmReset} onOpenChange={setConfirmReset}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Replace your encryption key?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Your other devices and your key backup will stop working, earlier encrypted messages
+              will not be readable here, and your contacts will see that your key changed.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => {
+                setConfirmReset(false);
+                resetMutation.mutate();
+              }}
+            >
+              Replace key
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import { Camera, CheckCircle2, Loader2, ShieldCheck } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  computeSafetyNumber,
+  formatSafetyNumber,
+  matchSafetyNumberQr,
+  safetyNumberQrValue,
+} from '@/lib/e2eeVerification';
+import QrScanner from '@/components/shared/QrScanner';
+
+/**
+ * Shows the safety number for a direct conversation as digits and a QR code, and lets the
+ * user scan the other person's code to confirm both sides hold the same keys.
+ */
+export default function SafetyNumberDialog({
+  open,
+  onOpenChange,
+  myEmail,
+  myIdentityKey,
+  peerEmail,
+  peerIdentityKey,
+  peerLabel,
+  verified,
+  onVerifiedChange,
+}) {
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [qrDataUrl, setQrDataUrl] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) {
+      setScanning(false);
+      return undefined;
+    }
+    if (!myEmail || !myIdentityKey || !peerEmail || !peerIdentityKey) {
+      setSafetyNumber(null);
+      setQrDataUrl(null);
+      return undefined;
+    }
+    let cancelled = false;
+    (async () => {
+      try {
+        const number = await computeSafetyNumber({ myEmail, myIdentityKey, peerEmail, peerIdentityKey });
+        const { default: QRCode } = await import('qrcode');
+        const url = await QRCode.toDataURL(safetyNumberQrValue(number), { margin: 1, width: 240 });
+        if (cancelled) return;
+        setSafetyNumber(number);
+        setQrDataUrl(url);
+      } catch {
+        if (!cancelled) toast.error('Unable to compute the safety number');
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, myEmail, myIdentityKey, peerEmail, peerIdentityKey]);
+
+  const name = peerLabel || 'this contact';
+  const groups = formatSafetyNumber(safetyNumber);
+
+  const updateVerified = async (next) => {
+    if (typeof onVerifiedChange !== 'function') return;
+    setSaving(true);
+    try {
+      await onVerifiedChange(next);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleScan = (value) => {
+    setScanning(false);
+    const result = matchSafetyNumberQr(value, safetyNumber);
+    if (result === 'match') {
+      toast.success(`Safety number matches. ${name} is verified.`);
+      updateVerified(true);
+    } else if (result === 'mismatch') {
+      toast.error(`Safety number does not match. Your messages with ${name} may not be private.`);
+    } else {
+      toast.error('That is not a safety number code');
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Verify safety number</DialogTitle>
+          <DialogDescription>
+            Compare these numbers with {name} in person, or scan their code. If they match, nobody
+            has swapped the encryption keys for this conversation.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!peerIdentityKey || !myIdentityKey ? (
+          <div className="text-sm text-slate-600">Encryption keys are not available for this conversation yet.</div>
+        ) : !safetyNumber ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+          </div>
+        ) : scanning ? (
+          <QrScanner onResult={handleScan} onClose={() => setScanning(false)} />
+        ) : (
+          <div className="space-y-4">
+            {qrDataUrl ? (
+              <div className="flex justify-center">
+                <img src={qrDataUrl} alt="Safety number QR code" className="w-48 h-48 rounded-xl border border-slate-200" />
+              </div>
+            ) : null}
+
+            <div className="grid grid-cols-4 gap-2 font-mono text-base text-slate-800 text-center">
+              {groups.map((group, index) => (
+                <span key={index}>{group}</span>
+              ))}
+            </div>
+
+            {verified ? (
+              <div className="flex items-center gap-2 rounded-xl border border-green-200 bg-green-50 px-3 py-2 text-xs font-semibold text-green-800">
+                <CheckCircle2 className="w-4 h-4" />
+                You have verified {name}.
+              </div>
+            ) : null}
+
+            <div className="flex flex-col gap-2">
+              <Button
+                type="button"
+                className="h-10 rounded-xl font-bold bg-[#3A3DFF] hover:bg-[#2A2DDD]"
+                onClick={() => setScanning(true)}
+              >
+                <Camera className="w-4 h-4 mr-2" />
+                Scan their code
+              </Button>
+              <Button
+                type="button"
+                variant="outline"
+                className="h-10 rounded-xl font-bold"
+                disabled={saving}
+                onClick={() => updateVerified(!verified)}
+              >
+                <ShieldCheck className="w-4 h-4 mr-2" />
+                {verified ? 'Clear verification' : 'Mark as verified'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
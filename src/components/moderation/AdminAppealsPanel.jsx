@@ -1,6 +1,6 @@
 import React, { useMemo, useState } from 'react';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
-import { FileText, Loader2, Scale, ShieldCheck, X } from 'lucide-react';
+import { Clock, FileText, Loader2, Scale, ShieldCheck, X } from 'lucide-react';
 import { format } from 'date-fns';
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
@@ -12,193 +12,48 @@ import {
 } from '@/components/ui/dialog';
 import { toast } from 'sonner';
 import { toastFriendlyError } from '@/utils/toastErrors';
-import { entities } from '@/api/appClient';
 import { useAuth } from '@/auth/AuthProvider';
 import { isStaff } from '@/utils/staff';
 import ErrorState from '@/components/shared/ErrorState';
-import { upsertNotification } from '@/api/notificationsClient';
+import { claimAppeal, decideAppeal, listAdminAppeals } from '@/api/appealsClient';
 
-function nowIso() {
-  return new Date().toISOString();
-}
+const STATUS_LABELS = {
+  submitted: 'Submitted',
+  under_review: 'Under review',
+  upheld: 'Upheld',
+  overturned: 'Overturned',
+};
+
+const EVENT_LABELS = {
+  submitted: 'Appeal submitted',
+  review_started: 'Review started',
+  decided: 'Decision recorded',
+};
 
 function normalizeEmail(value) {
   const s = value == null ? '' : String(value).trim().toLowerCase();
   return s || null;
 }
 
-function getAppealCreatedAt(appeal) {
-  return (
-    appeal?.created_at ||
-    appeal?.created_date ||
-    appeal?.createdAt ||
-    appeal?.created ||
-    null
-  );
-}
-
-async function writeAuditLog({ moderatorEmail, actionType, appeal, details }) {
-  const moderator = normalizeEmail(moderatorEmail);
-  if (!moderator) return;
-
-  try {
-    await entities.ModeratorAuditLog.create({
-      moderator_email: moderator,
-      action_type: actionType,
-      target_content_type: 'moderation_appeal',
-      target_content_id: String(appeal?.id || ''),
-      created_date: nowIso(),
-      details: {
-        appeal_id: appeal?.id,
-        moderation_action_id: appeal?.moderation_action_id,
-        appellant_email: appeal?.appellant_email,
-        ...details,
-      },
-    });
-  } catch {
-    // ignore
-  }
-}
-
-async function notifyAppellant({ appeal, decision, reviewerNotes, accessToken }) {
-  const to = normalizeEmail(appeal?.appellant_email);
-  if (!to) return;
-
+function formatDate(value) {
+  if (!value) return '';
   try {
-    if (!accessToken) return;
-    await upsertNotification(
-      {
-        recipient_email: to,
-        type: 'moderation_appeal_decision',
-        content:
-          decision === 'approved'
-            ? 'Your appeal was approved and the action will be reviewed/reversed where possible.'
-            : 'Your appeal was denied after review.',
-        created_at: nowIso(),
-        metadata: {
-          appeal_id: appeal?.id,
-          moderation_action_id: appeal?.moderation_action_id,
-          decision,
-          reviewer_notes: reviewerNotes || null,
-        },
-      },
-      { accessToken }
-    );
+    return format(new Date(value), 'MMM d, yyyy HH:mm');
   } catch {
-    // ignore
+    return '';
   }
 }
 
-async function reverseModerationActionIfPossible({ appeal, moderatorEmail }) {
-  const actionId = String(appeal?.moderation_action_id || '');
-  if (!actionId) return;
-
-  let action;
-  try {
-    action = await entities.ModerationAction.get(actionId);
-  } catch {
-    action = null;
-  }
-
-  if (!action) return;
-
-  const actionType = String(action?.action_type || '');
-  const contentType = String(action?.content_type || '');
-  const contentId = String(action?.content_id || '');
-
-  // Mark action as reversed (best-effort)
-  try {
-    await entities.ModerationAction.update(actionId, {
-      reversed: true,
-      reversed_at: nowIso(),
-      reversed_by: normalizeEmail(moderatorEmail),
-      updated_at: nowIso(),
-    });
-  } catch {
-    // ignore
-  }
-
-  // Best-effort reversals for common local entities.
-  if (actionType === 'content_hidden') {
-    const entityName =
-      contentType === 'movement'
-        ? 'Movement'
-        : contentType === 'comment'
-          ? 'Comment'
-          : contentType === 'profile'
-            ? 'UserProfile'
-            : null;
-    if (entityName && contentId) {
-      try {
-        await entities[entityName].update(contentId, {
-          moderation_hidden: false,
-          moderation_hidden_at: null,
-          moderation_hidden_by: null,
-          updated_at: nowIso(),
-        });
-      } catch {
-        // ignore
-      }
-    }
-  }
-
-  if (actionType === 'content_removed_permanent') {
-    const entityName =
-      contentType === 'movement'
-        ? 'Movement'
-        : contentType === 'comment'
-          ? 'Comment'
-          : contentType === 'profile'
-            ? 'UserProfile'
-            : null;
-    if (entityName && contentId) {
-      try {
-        await entities[entityName].update(contentId, {
-          moderation_removed: false,
-          moderation_removed_at: null,
-          moderation_removed_by: null,
-          updated_at: nowIso(),
-        });
-      } catch {
-        // ignore
-      }
-    }
-  }
-
-  if (actionType === 'user_suspended_7d') {
-    const email = normalizeEmail(action?.affected_user_email);
-    if (email) {
-      try {
-        const stats = await entities.UserReportStats.filter({ user_email: email });
-        const record = Array.isArray(stats) && stats.length ? stats[0] : null;
-        if (record?.id) {
-          await entities.UserReportStats.update(record.id, {
-            suspended_until: null,
-            updated_at: nowIso(),
-          });
-        }
-      } catch {
-        // ignore
-      }
-    }
-  }
-
-  if (actionType === 'user_banned_permanent') {
-    const email = normalizeEmail(action?.affected_user_email);
-    if (email) {
-      try {
-        const stats = await entities.UserReportStats.filter({ user_email: email });
-        const record = Array.isArray(stats) && stats.length ? stats[0] : null;
-        if (record?.id) {
-          await entities.UserReportStats.update(record.id, {
-            banned: false,
-            updated_at: nowIso(),
-          });
-        }
-      } catch {
-        // ignore
-      }
-    }
+function statusBadgeClass(status) {
+  switch (status) {
+    case 'under_review':
+      return 'bg-amber-100 text-amber-800';
+    case 'upheld':
+      return 'bg-slate-200 text-slate-800';
+    case 'overturned':
+      return 'bg-emerald-100 text-emerald-800';
+    default:
+      return 'bg-blue-100 text-blue-800';
   }
 }
 
@@ -208,86 +63,59 @@ export default function AdminAppealsPanel({ moderatorEmail }) {
   const accessToken = session?.access_token || null;
   const authedEmail = user?.email ? String(user.email) : '';
   const canReview = isStaff(authedEmail);
-  const effectiveModeratorEmail = authedEmail || (moderatorEmail ? String(moderatorEmail) : '');
-  const [statusFilter, setStatusFilter] = useState('pending');
+  const effectiveModeratorEmail = normalizeEmail(authedEmail || moderatorEmail);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [overdueOnly, setOverdueOnly] = useState(false);
   const [selectedAppeal, setSelectedAppeal] = useState(null);
   const [reviewerNotes, setReviewerNotes] = useState('');
 
   const { data, isLoading, isError, error, refetch } = useQuery({
-    queryKey: ['adminAppeals', statusFilter],
-    enabled: canReview,
-    queryFn: async () => {
-      if (statusFilter === 'all') {
-        return entities.ModerationAppeal.list('-created_at', 100);
-      }
-      return entities.ModerationAppeal.filter(
-        { status: statusFilter },
-        '-created_at',
-        100
-      );
-    },
+    queryKey: ['adminAppeals', statusFilter, overdueOnly],
+    enabled: canReview && !!accessToken,
+    queryFn: async () => listAdminAppeals({ status: statusFilter, overdue: overdueOnly }, { accessToken }),
     retry: 1,
   });
 
   const appeals = useMemo(() => {
-    return Array.isArray(data) ? data : [];
+    return Array.isArray(data?.appeals) ? data.appeals : [];
   }, [data]);
 
-  const reviewAppealMutation = useMutation({
-    mutationFn: async ({ appeal, decision }) => {
-      if (!canReview) throw new Error('Staff access required');
-
-      const reviewer = normalizeEmail(effectiveModeratorEmail);
-      if (!reviewer) throw new Error('Your session has expired. Please sign in again.');
-
-      const updated = {
-        status: decision,
-        reviewer_email: reviewer,
-        reviewer_notes: reviewerNotes || null,
-        reviewed_at: nowIso(),
-        updated_at: nowIso(),
-      };
-
-      await entities.ModerationAppeal.update(appeal.id, updated);
-
-      await writeAuditLog({
-        moderatorEmail: reviewer,
-        actionType: 'reviewed_appeal',
-        appeal,
-        details: {
-          decision,
-          reviewer_notes: reviewerNotes || null,
-        },
-      });
-
-      if (decision === 'approved') {
-        await reverseModerationActionIfPossible({ appeal, moderatorEmail: reviewer });
-
-        await writeAuditLog({
-          moderatorEmail: reviewer,
-          actionType: 'reversed_action',
-          appeal,
-          details: {
-            reason: 'Appeal approved',
-          },
-        });
-      }
-
-      await notifyAppellant({ appeal, decision, reviewerNotes, accessToken });
-
-      return true;
+  const isOwnDecision =
+    !!selectedAppeal && normalizeEmail(selectedAppeal?.original_moderator_email) === effectiveModeratorEmail;
+  const isOpen = selectedAppeal?.status === 'submitted' || selectedAppeal?.status === 'under_review';
+
+  const onAppealUpdated = (updated) => {
+    queryClient.invalidateQueries({ queryKey: ['adminAppeals'] });
+    queryClient.invalidateQueries({ queryKey: ['adminAppealsCount'] });
+    if (updated) setSelectedAppeal((prev) => (prev ? { ...prev, ...updated } : prev));
+  };
+
+  const claimMutation = useMutation({
+    mutationFn: async (appeal) => claimAppeal(appeal?.id, { accessToken }),
+    onSuccess: (updated) => {
+      toast.success('Appeal claimed for review');
+      onAppealUpdated(updated);
+    },
+    onError: (e) => {
+      toastFriendlyError(e, 'Failed to claim appeal');
     },
-    onSuccess: () => {
-      toast.success('Appeal reviewed');
+  });
+
+  const decideMutation = useMutation({
+    mutationFn: async ({ appeal, decision }) => decideAppeal(appeal?.id, { decision, reviewerNotes }, { accessToken }),
+    onSuccess: (updated) => {
+      toast.success('Appeal decided');
+      onAppealUpdated(updated);
       setSelectedAppeal(null);
       setReviewerNotes('');
-      queryClient.invalidateQueries({ queryKey: ['adminAppeals'] });
     },
     onError: (e) => {
-      toastFriendlyError(e, 'Failed to review appeal');
+      toastFriendlyError(e, 'Failed to decide appeal');
     },
   });
 
+  const isBusy = claimMutation.isPending || decideMutation.isPending;
+
   if (!canReview) {
     return <div className="text-center py-8 text-slate-600 font-semibold">Staff access required.</div>;
   }
@@ -298,6 +126,11 @@ export default function AdminAppealsPanel({ moderatorEmail }) {
         <div className="flex items-center gap-2">
           <Scale className="w-6 h-6 text-slate-700" />
           <h3 className="text-xl font-black text-slate-900">Appeals</h3>
+          {data?.overdue ? (
+            <span className="px-2 py-1 rounded text-xs font-black bg-red-100 text-red-700">
+              {data.overdue} past SLA
+            </span>
+          ) : null}
         </div>
 
         <div className="flex items-center gap-2">
@@ -306,12 +139,23 @@ export default function AdminAppealsPanel({ moderatorEmail }) {
             onChange={(e) => setStatusFilter(e.target.value)}
             className="p-2 rounded-xl border border-slate-200 bg-slate-50 font-semibold text-sm"
           >
-            <option value="pending">Pending</option>
-            <option value="approved">Approved</option>
-            <option value="denied">Denied</option>
+            <option value="open">Open</option>
+            <option value="submitted">Submitted</option>
+            <option value="under_review">Under review</option>
+            <option value="upheld">Upheld</option>
+            <option value="overturned">Overturned</option>
             <option value="all">All</option>
           </select>
 
+          <label className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+            <input
+              type="checkbox"
+              checked={overdueOnly}
+              onChange={(e) => setOverdueOnly(e.target.checked)}
+            />
+            Past SLA
+          </label>
+
           <button
             type="button"
             onClick={() => refetch()}
@@ -337,7 +181,8 @@ export default function AdminAppealsPanel({ moderatorEmail }) {
       ) : (
         <div className="space-y-2">
           {appeals.map((a) => {
-            const createdAt = getAppealCreatedAt(a);
+            const createdAt = formatDate(a?.created_at);
+            const dueAt = formatDate(a?.sla_due_at);
             return (
               <button
                 key={String(a?.id)}
@@ -354,18 +199,24 @@ export default function AdminAppealsPanel({ moderatorEmail }) {
                       {String(a?.appellant_email || 'Unknown user')}
                     </div>
                     <div className="text-xs text-slate-500 font-semibold mt-1">
-                      Action: {String(a?.moderation_action_id || 'unknown')}
-                      {createdAt ? ` • ${format(new Date(createdAt), 'MMM d, yyyy HH:mm')}` : ''}
+                      Report #{String(a?.report_id || 'unknown')} • {String(a?.original_action_taken || 'unknown').replace(/_/g, ' ')}
+                      {createdAt ? ` • ${createdAt}` : ''}
                     </div>
                     <div className="text-sm text-slate-700 font-semibold mt-2 line-clamp-2">
                       {String(a?.appeal_reason || '')}
                     </div>
                   </div>
 
-                  <div className="shrink-0">
-                    <span className="px-2 py-1 rounded text-xs font-black bg-slate-100 text-slate-700">
-                      {String(a?.status || 'pending').replace(/_/g, ' ').toUpperCase()}
+                  <div className="shrink-0 flex flex-col items-end gap-1">
+                    <span className={`px-2 py-1 rounded text-xs font-black ${statusBadgeClass(a?.status)}`}>
+                      {(STATUS_LABELS[a?.status] || String(a?.status || '')).toUpperCase()}
                     </span>
+                    {dueAt ? (
+                      <span className={`inline-flex items-center gap-1 text-xs font-semibold ${a?.sla_breached ? 'text-red-600' : 'text-slate-500'}`}>
+                        <Clock className="w-3 h-3" />
+                        {a?.decided_at ? (a?.sla_breached ? 'Decided late' : 'Decided in SLA') : `Due ${dueAt}`}
+                      </span>
+                    ) : null}
                   </div>
                 </div>
               </button>
@@ -389,9 +240,26 @@ export default function AdminAppealsPanel({ moderatorEmail }) {
                 </div>
                 <div className="text-xs text-slate-600 font-semibold mt-2 space-y-1">
                   <div>Appellant: {String(selectedAppeal?.appellant_email || 'unknown')}</div>
-                  <div>Moderation action: {String(selectedAppeal?.moderation_action_id || 'unknown')}</div>
-                  <div>Status: {String(selectedAppeal?.status || 'pending')}</div>
+                  <div>
+                    Report #{String(selectedAppeal?.report_id || 'unknown')}
+                    {selectedAppeal?.report?.reported_content_type
+                      ? ` (${selectedAppeal.report.reported_content_type} · ${String(selectedAppeal.report.report_category || '').replace(/_/g, ' ')})`
+                      : ''}
+                  </div>
+                  <div>Action appealed: {String(selectedAppeal?.original_action_taken || 'unknown').replace(/_/g, ' ')}</div>
+                  <div>Original moderator: {String(selectedAppeal?.original_moderator_email || 'unknown')}</div>
+                  <div>Status: {STATUS_LABELS[selectedAppeal?.status] || String(selectedAppeal?.status || '')}</div>
+                  {selectedAppeal?.sla_due_at ? (
+                    <div className={selectedAppeal?.sla_breached ? 'text-red-600' : ''}>
+                      SLA due: {formatDate(selectedAppeal.sla_due_at)}
+                    </div>
+                  ) : null}
                 </div>
+                {selectedAppeal?.report?.moderator_notes ? (
+                  <div className="text-xs text-slate-700 font-semibold mt-3 whitespace-pre-wrap">
+                    Moderator notes: {String(selectedAppeal.report.moderator_notes)}
+                  </div>
+                ) : null}
               </div>
 
               <div>
@@ -420,17 +288,46 @@ export default function AdminAppealsPanel({ moderatorEmail }) {
                 </div>
               ) : null}
 
-              <div>
-                <div className="text-sm font-bold text-slate-700 mb-2">Reviewer notes (optional)</div>
-                <Textarea
-                  value={reviewerNotes}
-                  onChange={(e) => setReviewerNotes(e.target.value)}
-                  placeholder={
-                    "Notes for audit log and user notice…"
-                  }
-                  className="min-h-[120px]"
-                />
-              </div>
+              {Array.isArray(selectedAppeal?.events) && selectedAppeal.events.length ? (
+                <div>
+                  <div className="text-sm font-bold text-slate-700 mb-2">Trail</div>
+                  <ol className="space-y-1 text-xs text-slate-600 font-semibold">
+                    {selectedAppeal.events.map((ev) => (
+                      <li key={String(ev.id)}>
+                        {formatDate(ev.created_at)} · {EVENT_LABELS[ev.event_type] || ev.event_type}
+                        {ev.to_status ? ` → ${STATUS_LABELS[ev.to_status] || ev.to_status}` : ''}
+                        {ev.actor_email ? ` (${ev.actor_email})` : ''}
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              ) : null}
+
+              {isOpen && isOwnDecision ? (
+                <div className="p-3 rounded-xl border-2 border-amber-200 bg-amber-50 text-sm font-semibold text-amber-900">
+                  You resolved the original report, so another moderator must review this appeal.
+                </div>
+              ) : null}
+
+              {isOpen ? (
+                <div>
+                  <div className="text-sm font-bold text-slate-700 mb-2">Reviewer notes (shared with the appellant)</div>
+                  <Textarea
+                    value={reviewerNotes}
+                    onChange={(e) => setReviewerNotes(e.target.value)}
+                    placeholder="Explain the decision…"
+                    className="min-h-[120px]"
+                    disabled={isOwnDecision}
+                  />
+                </div>
+              ) : selectedAppeal?.reviewer_notes ? (
+                <div>
+                  <div className="text-sm font-bold text-slate-700 mb-2">Reviewer notes</div>
+                  <div className="p-4 rounded-xl border-2 border-slate-200 bg-white text-sm text-slate-800 font-semibold whitespace-pre-wrap">
+                    {String(selectedAppeal.reviewer_notes)}
+                  </div>
+                </div>
+              ) : null}
 
               <div className="flex gap-3">
                 <Button
@@ -442,31 +339,42 @@ export default function AdminAppealsPanel({ moderatorEmail }) {
                   Close
                 </Button>
 
-                <Button
-                  onClick={() => reviewAppealMutation.mutate({ appeal: selectedAppeal, decision: 'denied' })}
-                  disabled={reviewAppealMutation.isPending}
-                  className="flex-1 bg-slate-900 hover:bg-slate-800 rounded-xl font-bold"
-                >
-                  {reviewAppealMutation.isPending ? (
-                    <Loader2 className="w-4 h-4 animate-spin" />
-                  ) : (
-                    'Deny'
-                  )}
-                </Button>
-
-                <Button
-                  onClick={() => reviewAppealMutation.mutate({ appeal: selectedAppeal, decision: 'approved' })}
-                  disabled={reviewAppealMutation.isPending}
-                  className="flex-1 bg-emerald-600 hover:bg-emerald-700 rounded-xl font-bold"
-                >
-                  {reviewAppealMutation.isPending ? (
-                    <Loader2 className="w-4 h-4 animate-spin" />
-                  ) : (
-                    <span className="inline-flex items-center gap-2">
-                      <ShieldCheck className="w-4 h-4" /> Approve
-                    </span>
-                  )}
-                </Button>
+                {isOpen && selectedAppeal?.status === 'submitted' ? (
+                  <Button
+                    variant="outline"
+                    onClick={() => claimMutation.mutate(selectedAppeal)}
+                    disabled={isBusy || isOwnDecision}
+                    className="rounded-xl font-bold border-2"
+                  >
+                    {claimMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Start review'}
+                  </Button>
+                ) : null}
+
+                {isOpen ? (
+                  <>
+                    <Button
+                      onClick={() => decideMutation.mutate({ appeal: selectedAppeal, decision: 'upheld' })}
+                      disabled={isBusy || isOwnDecision}
+                      className="flex-1 bg-slate-900 hover:bg-slate-800 rounded-xl font-bold"
+                    >
+                      {decideMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Uphold action'}
+                    </Button>
+
+                    <Button
+                      onClick={() => decideMutation.mutate({ appeal: selectedAppeal, decision: 'overturned' })}
+                      disabled={isBusy || isOwnDecision}
+                      className="flex-1 bg-emerald-600 hover:bg-emerald-700 rounded-xl font-bold"
+                    >
+                      {decideMutation.isPending ? (
+                        <Loader2 className="w-4 h-4 animate-spin" />
+                      ) : (
+                        <span className="inline-flex items-center gap-2">
+                          <ShieldCheck className="w-4 h-4" /> Overturn
+                        </span>
+                      )}
+                    </Button>
+                  </>
+                ) : null}
               </div>
             </div>
           </DialogContent>
@@ -5,17 +5,21 @@ import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
 import { toast } from "sonner";
 import { toastFriendlyError } from '@/utils/toastErrors';
-import { entities } from '@/api/appClient';
 import { useAuth } from '@/auth/AuthProvider';
-import { createIncident } from '@/api/incidentsClient';
+import { submitAppeal } from '@/api/appealsClient';
 import { focusFirstInteractive, trapFocusKeyDown } from '@/components/utils/focusTrap';
 import { uploadFile } from '@/api/uploadsClient';
 import { ALLOWED_UPLOAD_MIME_TYPES, MAX_UPLOAD_BYTES, validateFileUpload } from '@/utils/uploadLimits';
 
-function nowIso() {
-  return new Date().toISOString();
+function formatActionLabel(value) {
+  const s = value == null ? '' : String(value).trim();
+  return s ? s.replace(/_/g, ' ') : 'Unknown';
 }
 
+/**
+ * Appeal a moderation action. `moderationAction` comes from a `moderation_notice`
+ * notification: { report_id, action_taken, reason_category }.
+ */
 export default function AppealForm({ moderationAction, onClose }) {
   const [appealReason, setAppealReason] = useState('');
   const [evidence, setEvidence] = useState([]);
@@ -23,7 +27,6 @@ export default function AppealForm({ moderationAction, onClose }) {
   const queryClient = useQueryClient();
   const { session } = useAuth();
   const accessToken = session?.access_token ? String(session.access_token) : null;
-  const userEmail = session?.user?.email ? String(session.user.email).trim().toLowerCase() : null;
   const dialogRef = useRef(null);
 
   useEffect(() => {
@@ -34,42 +37,19 @@ export default function AppealForm({ moderationAction, onClose }) {
 
   const submitAppealMutation = useMutation({
     mutationFn: async () => {
-      if (!userEmail) {
+      if (!accessToken) {
         throw new Error('You must be signed in to submit an appeal');
       }
 
-      return entities.ModerationAppeal.create({
-        moderation_action_id: moderationAction.id,
-        appellant_email: userEmail,
-        appeal_reason: appealReason,
-        additional_evidence: evidence,
-        status: 'pending',
-        created_at: nowIso(),
-        updated_at: nowIso(),
-      });
+      return submitAppeal(
+        moderationAction?.report_id,
+        { appealReason, additionalEvidence: evidence },
+        { accessToken }
+      );
     },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['moderationActions'] });
-      toast.success('Appeal submitted for review');
-
-      try {
-        if (accessToken && moderationAction?.id) {
-          createIncident(
-            {
-              event_type: 'appeal_submitted',
-              trigger_system: 'client_appeal',
-              human_reviewed: false,
-              related_entity_type: 'moderation_action',
-              related_entity_id: String(moderationAction.id),
-              context: { action: 'appeal_submit' },
-            },
-            { accessToken }
-          ).catch(() => {});
-        }
-      } catch {
-        // ignore
-      }
-
+      queryClient.invalidateQueries({ queryKey: ['myAppeals'] });
+      toast.success('Appeal submitted. A moderator who was not involved will review it.');
       onClose();
     },
     onError: (e) => {
@@ -146,7 +126,7 @@ export default function AppealForm({ moderationAction, onClose }) {
             <Scale className="w-8 h-8" />
             <div>
               <h2 id="appeal_modal_title" className="text-2xl font-black">Appeal Moderation Action</h2>
-              <p className="text-white/90 font-semibold text-sm">Your appeal will be reviewed by senior moderators</p>
+              <p className="text-white/90 font-semibold text-sm">Your appeal will be reviewed by a different moderator</p>
             </div>
           </div>
         </div>
@@ -154,9 +134,8 @@ export default function AppealForm({ moderationAction, onClose }) {
         <div className="p-6 space-y-4">
           <div className="p-4 bg-slate-50 rounded-xl border-2 border-slate-200">
             <p className="font-bold text-slate-900 text-sm mb-2">Action Details:</p>
-            <p className="text-xs text-slate-600">Type: {moderationAction.action_type}</p>
-            <p className="text-xs text-slate-600">Rule: {moderationAction.rule_violated}</p>
-            <p className="text-xs text-slate-600">Reason: {moderationAction.reason}</p>
+            <p className="text-xs text-slate-600">Action: {formatActionLabel(moderationAction?.action_taken)}</p>
+            <p className="text-xs text-slate-600">Reason: {formatActionLabel(moderationAction?.reason_category)}</p>
           </div>
 
           <Textarea
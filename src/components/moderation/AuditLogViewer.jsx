@@ -1,28 +1,117 @@
-import React from 'react';
-import { useQuery } from '@tanstack/react-query';
-import { FileText, Calendar, User } from 'lucide-react';
+import React, { useMemo, useState } from 'react';
+import { useInfiniteQuery, useMutation } from '@tanstack/react-query';
+import { FileText, Calendar, User, Download, ShieldCheck, ShieldAlert, Link2 } from 'lucide-react';
 import { format } from 'date-fns';
+import { toast } from 'sonner';
 import { cn } from "@/lib/utils";
-import { entities } from "@/api/appClient";
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
 import { useAuth } from '@/auth/AuthProvider';
 import { getStaffRole, isStaff } from '@/utils/staff';
+import { toastFriendlyError } from '@/utils/toastErrors';
+import ErrorState from '@/components/shared/ErrorState';
+import { exportAuditLog, listAuditLog, verifyAuditLog } from '@/api/auditLogClient';
+
+const PAGE_SIZE = 50;
+
+const ACTION_TYPES = [
+  'reviewed_report',
+  'took_moderation_action',
+  'requested_second_approval',
+  'approved_action',
+  'denied_action',
+  'cancelled_second_approval',
+  'reversed_action',
+  'claimed_appeal',
+  'reviewed_appeal',
+  'purged_movements',
+  'updated_feature_flag',
+  'deleted_feature_flag',
+  'created_challenge',
+  'updated_challenge',
+  'archived_challenge',
+  'overrode_trust_score',
+  'cleared_trust_override',
+  'hid_comment',
+  'unhid_comment',
+];
+
+const BREAK_REASONS = {
+  missing_entries: 'entries are missing',
+  unexpected_seq: 'sequence numbers are out of order',
+  prev_hash_mismatch: 'an entry does not link to its predecessor',
+  entry_hash_mismatch: 'an entry was modified',
+};
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
 
 export default function AuditLogViewer({ moderatorEmail, staffRole }) {
-  const { user } = useAuth();
+  const { user, session } = useAuth();
+  const accessToken = session?.access_token ? String(session.access_token) : null;
   const authedEmail = user?.email ? String(user.email) : '';
   const role = staffRole || getStaffRole(authedEmail);
+  const isAdminRole = role === 'admin';
   const canView = isStaff(authedEmail) || role === 'admin' || role === 'moderator';
 
-  const { data: logs = [], isLoading } = useQuery({
-    queryKey: ['auditLogs', moderatorEmail],
-    enabled: canView,
-    queryFn: async () => {
-      const filterEmail = authedEmail || moderatorEmail;
-      if (filterEmail) {
-        return entities.ModeratorAuditLog.filter({ moderator_email: filterEmail }, '-created_date', 100);
-      }
-      return entities.ModeratorAuditLog.list('-created_date', 100);
-    }
+  // Moderators are scoped to their own entries server-side; admins may filter by anyone.
+  const [moderatorFilter, setModeratorFilter] = useState(isAdminRole ? '' : String(moderatorEmail || authedEmail || ''));
+  const [actionFilter, setActionFilter] = useState('');
+  const [verifyResult, setVerifyResult] = useState(null);
+
+  const filters = useMemo(
+    () => ({
+      moderatorEmail: moderatorFilter.trim() || undefined,
+      actionType: actionFilter || undefined,
+    }),
+    [moderatorFilter, actionFilter]
+  );
+
+  const {
+    data,
+    isLoading,
+    isError,
+    error,
+    refetch,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery({
+    queryKey: ['auditLogs', filters],
+    enabled: canView && !!accessToken,
+    initialPageParam: 0,
+    queryFn: async ({ pageParam = 0 }) => listAuditLog({ ...filters, limit: PAGE_SIZE, offset: pageParam }, { accessToken }),
+    getNextPageParam: (lastPage, pages) => (lastPage?.hasMore ? pages.length * PAGE_SIZE : undefined),
+    retry: 1,
+  });
+
+  const logs = useMemo(() => {
+    const pages = Array.isArray(data?.pages) ? data.pages : [];
+    return pages.flatMap((p) => (Array.isArray(p?.items) ? p.items : []));
+  }, [data]);
+
+  const exportMutation = useMutation({
+    mutationFn: async (fileFormat) => {
+      const blob = await exportAuditLog(fileFormat, filters, { accessToken });
+      const stamp = format(new Date(), 'yyyy-MM-dd');
+      downloadBlob(blob, `moderator-audit-log-${stamp}.${fileFormat}`);
+    },
+    onSuccess: () => toast.success('Export downloaded'),
+    onError: (e) => toastFriendlyError(e, 'Export failed'),
+  });
+
+  const verifyMutation = useMutation({
+    mutationFn: async () => verifyAuditLog({ accessToken }),
+    onSuccess: (result) => setVerifyResult(result || null),
+    onError: (e) => toastFriendlyError(e, 'Verification failed'),
   });
 
   const actionColors = {
@@ -31,62 +120,146 @@ export default function AuditLogViewer({ moderatorEmail, staffRole }) {
     approved_action: 'bg-green-100 text-green-700',
     reversed_action: 'bg-red-100 text-red-700',
     reviewed_appeal: 'bg-purple-100 text-purple-700',
-    updated_permissions: 'bg-yellow-100 text-yellow-700',
-    accessed_content: 'bg-slate-100 text-slate-700'
+    claimed_appeal: 'bg-purple-100 text-purple-700',
+    purged_movements: 'bg-red-100 text-red-700',
+    updated_feature_flag: 'bg-yellow-100 text-yellow-700',
+    deleted_feature_flag: 'bg-yellow-100 text-yellow-700',
   };
 
   if (!canView) {
     return <div className="text-center py-8 text-slate-600 font-semibold">Staff access required.</div>;
   }
 
-  if (isLoading) {
-    return <div className="text-center py-8">Loading audit logs...</div>;
-  }
-
   return (
     <div className="space-y-4">
-      <div className="flex items-center gap-2 mb-4">
-        <FileText className="w-6 h-6 text-slate-600" />
-        <h3 className="text-xl font-black text-slate-900">
-          Audit Log {moderatorEmail && `- ${moderatorEmail}`}
-        </h3>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <FileText className="w-6 h-6 text-slate-600" />
+          <h3 className="text-xl font-black text-slate-900">
+            Audit Log {!isAdminRole && moderatorFilter && `- ${moderatorFilter}`}
+          </h3>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => exportMutation.mutate('csv')}
+            disabled={exportMutation.isPending}
+            className="rounded-xl font-bold"
+          >
+            <Download className="w-4 h-4 mr-1" /> CSV
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => exportMutation.mutate('json')}
+            disabled={exportMutation.isPending}
+            className="rounded-xl font-bold"
+          >
+            <Download className="w-4 h-4 mr-1" /> JSON
+          </Button>
+          {isAdminRole ? (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => verifyMutation.mutate()}
+              disabled={verifyMutation.isPending}
+              className="rounded-xl font-bold"
+            >
+              <Link2 className="w-4 h-4 mr-1" /> Verify chain
+            </Button>
+          ) : null}
+        </div>
+      </div>
+
+      {verifyResult ? (
+        <div
+          className={cn(
+            'p-3 rounded-xl border-2 text-sm font-semibold flex items-center gap-2',
+            verifyResult.ok ? 'border-emerald-200 bg-emerald-50 text-emerald-800' : 'border-red-200 bg-red-50 text-red-800'
+          )}
+        >
+          {verifyResult.ok ? <ShieldCheck className="w-4 h-4" /> : <ShieldAlert className="w-4 h-4" />}
+          {verifyResult.ok
+            ? `Hash chain intact (${verifyResult.checked} entries checked).`
+            : `Hash chain broken at entry #${verifyResult.broken?.seq}: ${BREAK_REASONS[verifyResult.broken?.reason] || verifyResult.broken?.reason}.`}
+        </div>
+      ) : null}
+
+      <div className="flex flex-wrap items-center gap-2">
+        {isAdminRole ? (
+          <Input
+            value={moderatorFilter}
+            onChange={(e) => setModeratorFilter(e.target.value)}
+            placeholder="Filter by moderator email"
+            className="max-w-xs"
+          />
+        ) : null}
+        <select
+          value={actionFilter}
+          onChange={(e) => setActionFilter(e.target.value)}
+          className="p-2 rounded-xl border border-slate-200 bg-slate-50 font-semibold text-sm"
+        >
+          <option value="">All actions</option>
+          {ACTION_TYPES.map((t) => (
+            <option key={t} value={t}>
+              {t.replace(/_/g, ' ')}
+            </option>
+          ))}
+        </select>
       </div>
 
-      {logs.length === 0 ? (
+      {isLoading ? (
+        <div className="text-center py-8">Loading audit logs...</div>
+      ) : isError ? (
+        <ErrorState
+          compact
+          error={error}
+          onRetry={() => refetch()}
+          onReload={() => window.location.reload()}
+          className="border-slate-200"
+        />
+      ) : logs.length === 0 ? (
         <div className="text-center py-12 text-slate-500">No audit logs found</div>
       ) : (
         <div className="space-y-2">
           {logs.map((log) => (
             <div key={log.id} className="p-4 bg-white rounded-xl border-2 border-slate-200">
               <div className="flex items-start justify-between gap-3">
-                <div className="flex-1">
+                <div className="flex-1 min-w-0">
                   <div className="flex items-center gap-2 mb-2">
+                    <span className="text-xs font-mono text-slate-400">#{log.seq}</span>
                     <span className={cn(
                       "px-2 py-1 rounded text-xs font-bold",
                       actionColors[log.action_type] || 'bg-slate-100 text-slate-700'
                     )}>
-                      {log.action_type.replace(/_/g, ' ').toUpperCase()}
+                      {String(log.action_type || '').replace(/_/g, ' ').toUpperCase()}
                     </span>
                     {log.target_content_type && (
                       <span className="text-xs text-slate-500">
                         on {log.target_content_type}
+                        {log.target_content_id ? ` ${log.target_content_id}` : ''}
                       </span>
                     )}
                   </div>
-                  <div className="flex items-center gap-4 text-xs text-slate-500">
+                  <div className="flex flex-wrap items-center gap-4 text-xs text-slate-500">
                     <div className="flex items-center gap-1">
                       <User className="w-3 h-3" />
                       {log.moderator_email}
                     </div>
                     <div className="flex items-center gap-1">
                       <Calendar className="w-3 h-3" />
-                      {format(new Date(log.created_date), 'MMM d, yyyy HH:mm')}
+                      {format(new Date(log.created_at), 'MMM d, yyyy HH:mm')}
                     </div>
                     {log.ip_address && (
                       <span>IP: {log.ip_address}</span>
                     )}
+                    <span className="font-mono" title={log.entry_hash}>
+                      {String(log.entry_hash || '').slice(0, 12)}
+                    </span>
                   </div>
-                  {log.details && (
+                  {log.details && Object.keys(log.details).length > 0 && (
                     <pre className="mt-2 text-xs bg-slate-50 p-2 rounded overflow-auto">
                       {JSON.stringify(log.details, null, 2)}
                     </pre>
@@ -95,8 +268,20 @@ export default function AuditLogViewer({ moderatorEmail, staffRole }) {
               </div>
             </div>
           ))}
+          {hasNextPage ? (
+            <div className="flex justify-center pt-2">
+              <button
+                type="button"
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+                className="text-sm font-semibold text-slate-600 hover:text-slate-900 transition"
+              >
+                {isFetchingNextPage ? 'Loading…' : 'Load more'}
+              </button>
+            </div>
+          ) : null}
         </div>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -103,81 +103,8 @@ export class IntensityDetector {
     }
   }
 
-  /**
-   * Detect harassment patterns in comments
-   */
-  static async detectHarassment(movementId) {
-    try {
-      const comments = await entities.Comment.filter({ movement_id: movementId }, '-created_date', {
-        limit: 300,
-        fields: ['id', 'movement_id', 'user_email', 'content', 'created_date'],
-      });
-      
-      // Get recent comments (last hour)
-      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-      const recentComments = comments.filter(c => 
-        new Date(c.created_date) > oneHourAgo
-      );
-      
-      // Signals of harassment
-      let signals = 0;
-      
-      // High volume of comments in short time
-      if (recentComments.length > 20) {
-        signals += 2;
-      }
-      
-      // Multiple comments from same user
-      const userCounts = {};
-      recentComments.forEach(c => {
-        userCounts[c.user_email] = (userCounts[c.user_email] || 0) + 1;
-      });
-      const repeatedUsers = Object.values(userCounts).filter(count => count > 3).length;
-      if (repeatedUsers > 0) {
-        signals += repeatedUsers;
-      }
-      
-      // Negative sentiment keywords
-      const negativeKeywords = ['hate', 'idiot', 'stupid', 'fake', 'liar', 'scam'];
-      const negativeComments = recentComments.filter(c => 
-        negativeKeywords.some(kw => c.content.toLowerCase().includes(kw))
-      );
-      if (negativeComments.length > 5) {
-        signals += 2;
-      }
-      
-      // If signals detected, auto-enable protection
-      if (signals >= 3) {
-        const protections = await entities.HarassmentProtection.filter({
-          entity_type: 'movement',
-          entity_id: movementId
-        }, null, { limit: 1, fields: ['id', 'slow_mode_enabled'] });
-        
-        if (protections.length === 0) {
-          await entities.HarassmentProtection.create({
-            entity_type: 'movement',
-            entity_id: movementId,
-            slow_mode_enabled: true,
-            slow_mode_seconds: 60,
-            auto_enabled: true,
-            harassment_signals_detected: signals,
-            enabled_by: 'system'
-          });
-        } else {
-          await entities.HarassmentProtection.update(protections[0].id, {
-            harassment_signals_detected: signals,
-            auto_enabled: true,
-            slow_mode_enabled: signals >= 5 ? true : protections[0].slow_mode_enabled
-          });
-        }
-      }
-      
-      return signals;
-    } catch (error) {
-      logError(error, 'IntensityDetector harassment detection failed');
-      return 0;
-    }
-  }
+  // Comment-spike harassment protection runs on the server (maybeAutoLockComments in
+  // Server/index.js) against the owner's /me/protections settings.
 }
 
 export default function IntensityDetectorComponent() {
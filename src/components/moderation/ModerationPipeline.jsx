@@ -7,7 +7,7 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { toast } from "sonner";
 import { entities } from '@/api/appClient';
 import { useAuth } from '@/auth/AuthProvider';
-import { upsertNotification } from '@/api/notificationsClient';
+import { updateReport } from '@/api/reportsClient';
 
 const ruleCategories = {
   violence_physical_harm: 'Violence / Physical Harm',
@@ -50,40 +50,17 @@ export default function ModerationPipeline({ report, moderatorProfile }) {
         affected_user_notified: false
       });
 
-      // Log action
-      await entities.ModeratorAuditLog.create({
-        moderator_email: moderatorProfile.user_email,
-        action_type: 'took_moderation_action',
-        target_content_type: report.content_type,
-        target_content_id: report.content_id,
-        details: { action_id: action.id, report_id: report.id }
-      });
-
-      // Update report status
-      await entities.Report.update(report.id, {
-        status: 'resolved',
-        reviewed_by: moderatorProfile.user_email,
-        resolution: `Action taken: ${actionData.action_type}`
-      });
-
-      // Notify affected user
-      if (report.reported_user_email) {
-        try {
-          if (accessToken) {
-            await upsertNotification(
-              {
-                recipient_email: report.reported_user_email,
-                type: 'moderation_action',
-                content: `A moderation action has been taken on your content. Rule: ${ruleCategories[actionData.rule_category]}`,
-                metadata: { action_id: action.id, can_appeal: true },
-              },
-              { accessToken }
-            );
-          }
-        } catch {
-          // ignore
-        }
-      }
+      // Update report status; the server records the audit log entry.
+      await updateReport(
+        report.id,
+        {
+          status: 'resolved',
+          action_taken: actionData.action_type,
+          moderator_notes: actionData.reason || null,
+          audit_action: 'took_moderation_action',
+        },
+        { accessToken }
+      );
 
       return action;
     },
@@ -0,0 +1,210 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Loader2, Mail, Moon } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+import { toast } from 'sonner';
+import { useAuth } from '@/auth/AuthProvider';
+import {
+  fetchMyNotificationPreferences,
+  updateMyNotificationPreferences,
+} from '@/api/notificationPreferencesClient';
+import { queryKeys } from '@/lib/queryKeys';
+
+const CHANNEL_LABELS = {
+  in_app: 'In the app',
+  email: 'In the app + email digest',
+  push: 'In the app + push',
+  off: 'Off',
+};
+
+const DIGEST_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  off: 'Never',
+};
+
+const CATEGORY_LABELS = {
+  activity: 'Activity on your movements',
+  collaboration: 'Collaboration',
+  following: 'Movements you follow',
+  events: 'Events',
+  petitions: 'Petitions',
+  evidence: 'Evidence',
+  moderation: 'Reports and moderation',
+  messages: 'Messages',
+};
+
+const DEFAULT_QUIET_HOURS = { start: '22:00', end: '07:00' };
+
+function localTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+function groupByCategory(types) {
+  const groups = new Map();
+  for (const t of types) {
+    const key = String(t?.category || 'other');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+  return Array.from(groups.entries());
+}
+
+/**
+ * Where each kind of notification is delivered, and how often email digests go out.
+ * The server emits notifications and applies these; see notificationPreferencesClient.
+ */
+export default function NotificationPreferencesPanel({ className = '' }) {
+  const { user, session } = useAuth();
+  const accessToken = session?.access_token || null;
+  const queryClient = useQueryClient();
+  const queryKey = queryKeys.notificationPreferences.mine(user?.email);
+
+  const { data, isLoading } = useQuery({
+    queryKey,
+    queryFn: () => fetchMyNotificationPreferences({ accessToken }),
+    enabled: !!user?.email && !!accessToken,
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: (patch) => updateMyNotificationPreferences(patch, { accessToken }),
+    onSuccess: (next) => {
+      if (next?.preferences) queryClient.setQueryData(queryKey, next);
+      toast.success('Notification settings updated');
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to update notification settings'),
+  });
+
+  const busy = updateMutation.isPending;
+
+  if (isLoading) {
+    return (
+      <div className={`flex items-center gap-2 text-sm text-slate-600 font-semibold ${className}`}>
+        <Loader2 className="w-4 h-4 animate-spin" />
+        Loading notification settings…
+      </div>
+    );
+  }
+
+  const channels = data?.preferences?.channels || {};
+  const digest = data?.preferences?.digest || 'daily';
+  const types = Array.isArray(data?.types) ? data.types : [];
+  const quietHours = data?.preferences?.quiet_hours || null;
+
+  const setQuietHours = (next) => {
+    updateMutation.mutate({ quiet_hours: next ? { ...next, time_zone: localTimeZone() } : null });
+  };
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 rounded-xl bg-white px-3 py-3">
+        <div className="flex items-start gap-3 min-w-0">
+          <Mail className="w-4 h-4 text-slate-600 mt-0.5 flex-shrink-0" />
+          <div className="min-w-0">
+            <div className="text-sm font-bold text-slate-800">Email digest</div>
+            <div className="text-xs text-slate-500 font-semibold">
+              One email with unread notifications set to “email digest”. Nothing is sent when there’s nothing new.
+            </div>
+          </div>
+        </div>
+        <Select value={digest} onValueChange={(v) => updateMutation.mutate({ digest: v })} disabled={busy}>
+          <SelectTrigger className="w-28 h-9 text-xs font-semibold">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(DIGEST_LABELS).map(([key, label]) => (
+              <SelectItem key={key} value={key}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="rounded-xl bg-white px-3 py-3 space-y-3">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-start gap-3 min-w-0">
+            <Moon className="w-4 h-4 text-slate-600 mt-0.5 flex-shrink-0" />
+            <div className="min-w-0">
+              <div className="text-sm font-bold text-slate-800">Quiet hours</div>
+              <div className="text-xs text-slate-500 font-semibold">
+                No push notifications during these hours. Anything held back arrives when they end.
+              </div>
+            </div>
+          </div>
+          <Switch
+            checked={!!quietHours}
+            onCheckedChange={(checked) => setQuietHours(checked ? DEFAULT_QUIET_HOURS : null)}
+            disabled={busy}
+          />
+        </div>
+        {quietHours ? (
+          <div className="flex flex-wrap items-center gap-2 text-xs font-semibold text-slate-600">
+            <span>From</span>
+            <Input
+              type="time"
+              className="w-28 h-9 text-xs"
+              defaultValue={quietHours.start}
+              key={`start-${quietHours.start}`}
+              onBlur={(e) => {
+                const start = e.target.value;
+                if (start && start !== quietHours.start && start !== quietHours.end) setQuietHours({ start, end: quietHours.end });
+              }}
+              disabled={busy}
+            />
+            <span>to</span>
+            <Input
+              type="time"
+              className="w-28 h-9 text-xs"
+              defaultValue={quietHours.end}
+              key={`end-${quietHours.end}`}
+              onBlur={(e) => {
+                const end = e.target.value;
+                if (end && end !== quietHours.end && end !== quietHours.start) setQuietHours({ start: quietHours.start, end });
+              }}
+              disabled={busy}
+            />
+            <span className="text-slate-400">({quietHours.time_zone})</span>
+          </div>
+        ) : null}
+      </div>
+
+      {groupByCategory(types).map(([category, list]) => (
+        <div key={category} className="rounded-xl bg-white px-3 py-3">
+          <div className="text-xs font-black uppercase tracking-wide text-slate-500 mb-2">
+            {CATEGORY_LABELS[category] || category}
+          </div>
+          <div className="space-y-2">
+            {list.map((t) => (
+              <div key={t.type} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                <div className="text-sm font-bold text-slate-800 min-w-0">{t.label}</div>
+                <Select
+                  value={channels[t.type] || t.channels?.[0] || 'in_app'}
+                  onValueChange={(v) => updateMutation.mutate({ channels: { [t.type]: v } })}
+                  disabled={busy}
+                >
+                  <SelectTrigger className="w-full sm:w-56 h-9 text-xs font-semibold">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {(Array.isArray(t.channels) ? t.channels : []).map((c) => (
+                      <SelectItem key={c} value={c}>
+                        {CHANNEL_LABELS[c]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
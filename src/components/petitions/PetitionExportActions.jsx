@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { FileDown, FileText, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { downloadPetitionSignaturesCsv, fetchPetitionExport } from '@/api/petitionsClient';
+import { downloadPetitionPdf } from '@/utils/petitionPdf';
+
+/** Organizer downloads of a petition's public signatures, for delivering it. */
+export default function PetitionExportActions({ petition, accessToken }) {
+  const [pending, setPending] = useState(null);
+
+  const run = async (kind) => {
+    setPending(kind);
+    try {
+      if (kind === 'csv') {
+        await downloadPetitionSignaturesCsv(petition, { accessToken });
+      } else {
+        await downloadPetitionPdf(await fetchPetitionExport(petition.id, { accessToken }));
+      }
+    } catch (e) {
+      toast.error(e?.message || 'Failed to export signatures');
+    } finally {
+      setPending(null);
+    }
+  };
+
+  if (!petition?.can_manage || !accessToken) return null;
+
+  const buttonClass =
+    'inline-flex items-center gap-1.5 px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 text-xs font-black hover:bg-slate-50 disabled:opacity-60';
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-2">
+      <button type="button" onClick={() => run('pdf')} disabled={!!pending} className={buttonClass}>
+        {pending === 'pdf' ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <FileText className="w-3.5 h-3.5" />}
+        Delivery PDF
+      </button>
+      <button type="button" onClick={() => run('csv')} disabled={!!pending} className={buttonClass}>
+        {pending === 'csv' ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <FileDown className="w-3.5 h-3.5" />}
+        Signatures CSV
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+
+const fieldClass =
+  'w-full h-11 px-3 rounded-xl border-2 border-slate-200 bg-white text-slate-900 font-semibold outline-none focus:ring-2 focus:ring-slate-400 disabled:opacity-60';
+
+/**
+ * Collects the optional details that go with a signature. Name and postcode are only shared
+ * with the petition's organizers (for delivery) when the signature is public.
+ */
+export default function SignPetitionDialog({ petition, open, onOpenChange, onSubmit, submitting = false }) {
+  const [signerName, setSignerName] = useState('');
+  const [postcode, setPostcode] = useState('');
+  const [comment, setComment] = useState('');
+  const [isPublic, setIsPublic] = useState(true);
+
+  useEffect(() => {
+    if (!open) return;
+    setSignerName('');
+    setPostcode('');
+    setComment('');
+    setIsPublic(true);
+  }, [open]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    onSubmit?.({
+      signerName: signerName.trim() || undefined,
+      postcode: postcode.trim() || undefined,
+      comment: comment.trim() || undefined,
+      isPublic,
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => !submitting && onOpenChange(next)}>
+      <DialogContent className="max-w-md">
+        <form onSubmit={submit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>Sign “{petition?.title || 'petition'}”</DialogTitle>
+            <DialogDescription>
+              {petition?.target ? `This petition will be delivered to ${petition.target}. ` : ''}
+              Your name and postcode are optional and help show the decision-maker who is asking.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div className="md:col-span-2">
+              <label htmlFor="petition_signer_name" className="block text-xs font-black text-slate-600 mb-1">
+                Name (optional)
+              </label>
+              <input
+                id="petition_signer_name"
+                value={signerName}
+                maxLength={120}
+                autoComplete="name"
+                disabled={submitting}
+                onChange={(e) => setSignerName(e.target.value)}
+                className={fieldClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="petition_postcode" className="block text-xs font-black text-slate-600 mb-1">
+                Postcode (optional)
+              </label>
+              <input
+                id="petition_postcode"
+                value={postcode}
+                maxLength={16}
+                autoComplete="postal-code"
+                disabled={submitting}
+                onChange={(e) => setPostcode(e.target.value)}
+                className={fieldClass}
+              />
+            </div>
+          </div>
+
+          <textarea
+            value={comment}
+            maxLength={500}
+            disabled={submitting}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Why are you signing? (optional)"
+            className="w-full min-h-20 p-3 rounded-xl border-2 border-slate-200 bg-white text-slate-900 font-semibold outline-none focus:ring-2 focus:ring-slate-400"
+          />
+
+          <label className="flex items-start gap-3 text-sm font-semibold text-slate-800">
+            <input type="checkbox" className="mt-1" checked={isPublic} disabled={submitting} onChange={(e) => setIsPublic(e.target.checked)} />
+            <span>Include my signature in the list delivered to the decision-maker</span>
+          </label>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" className="h-10 rounded-xl font-bold" disabled={submitting} onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="h-10 rounded-xl font-bold bg-[#3A3DFF] hover:bg-[#2A2DDD]" disabled={submitting}>
+              {submitting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+              Sign petition
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
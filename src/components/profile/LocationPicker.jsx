@@ -8,7 +8,7 @@ import { Slider } from "@/components/ui/slider";
 import { toast } from 'sonner';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
-import { httpFetch } from '@/utils/httpFetch';
+import { reversePlace, searchPlaces } from '@/api/geoClient';
 
 // Fix marker icon
 delete L.Icon.Default.prototype._getIconUrl;
@@ -82,27 +82,18 @@ export default function LocationPicker({
         setPosition(newPos);
         onCoordinatesChange?.({ lat, lng });
 
-        // Reverse-geocode GPS coordinates to fill city/country
+        // Resolve the nearest city on our server to fill city/country
         try {
-          const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lng)}&zoom=10&addressdetails=1`;
-          const res = await httpFetch(url, { headers: { Accept: 'application/json' } });
-          if (res.ok) {
-            const json = await res.json();
-            const addr = json?.address || {};
-            const resolvedCity = addr.city || addr.town || addr.village || addr.municipality || addr.county || '';
-            const resolvedCountry = addr.country || '';
-            if (resolvedCity || resolvedCountry) {
-              setCity(resolvedCity);
-              setCountry(resolvedCountry);
-              onLocationChange({ city: resolvedCity, country: resolvedCountry });
-            } else {
-              onLocationChange({ city, country });
-            }
+          const place = await reversePlace({ lat, lng });
+          if (place) {
+            setCity(place.name);
+            setCountry(place.country);
+            onLocationChange({ city: place.name, country: place.country });
           } else {
             onLocationChange({ city, country });
           }
         } catch {
-          // Reverse geocode failed — still update with whatever text is in the inputs
+          // Lookup failed — still update with whatever text is in the inputs
           onLocationChange({ city, country });
         }
         setLoading(false);
@@ -123,24 +114,17 @@ export default function LocationPicker({
     setPosition(newPos);
     onCoordinatesChange?.({ lat: newPos[0], lng: newPos[1] });
 
-    // Reverse-geocode the clicked map position to update city/country
+    // Resolve the nearest city to the clicked map position to update city/country
     try {
-      const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${encodeURIComponent(newPos[0])}&lon=${encodeURIComponent(newPos[1])}&zoom=10&addressdetails=1`;
-      const res = await httpFetch(url, { headers: { Accept: 'application/json' } });
-      if (res.ok) {
-        const json = await res.json();
-        const addr = json?.address || {};
-        const resolvedCity = addr.city || addr.town || addr.village || addr.municipality || addr.county || '';
-        const resolvedCountry = addr.country || '';
-        if (resolvedCity || resolvedCountry) {
-          setCity(resolvedCity);
-          setCountry(resolvedCountry);
-          onLocationChange({ city: resolvedCity, country: resolvedCountry });
-          return;
-        }
+      const place = await reversePlace({ lat: newPos[0], lng: newPos[1] });
+      if (place) {
+        setCity(place.name);
+        setCountry(place.country);
+        onLocationChange({ city: place.name, country: place.country });
+        return;
       }
     } catch {
-      // ignore reverse geocode failure
+      // ignore lookup failure
     }
     onLocationChange({ city, country });
   };
@@ -164,15 +148,9 @@ export default function LocationPicker({
       // ignore
     }
 
-    const url = `https://nominatim.openstreetmap.org/search?format=json&limit=1&q=${encodeURIComponent(query)}`;
-    const res = await httpFetch(url, { headers: { Accept: 'application/json' } });
-    if (!res.ok) return null;
-    const json = await res.json();
-    const first = Array.isArray(json) ? json[0] : null;
-    if (!first?.lat || !first?.lon) return null;
-
-    const lat = Number(first.lat);
-    const lng = Number(first.lon);
+    const [first] = await searchPlaces(c || k, { country: c ? k : null, limit: 1 });
+    const lat = Number(first?.lat);
+    const lng = Number(first?.lng);
     if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
 
     const rounded = { lat: Number(lat.toFixed(2)), lng: Number(lng.toFixed(2)) };
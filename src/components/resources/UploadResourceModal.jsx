@@ -1,14 +1,25 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { toast } from 'sonner';
+import { Paperclip, X } from 'lucide-react';
 import { auth, entities } from '@/api/appClient';
+import { uploadMovementMedia } from '@/api/uploadsClient';
+import { useAuth } from '@/auth/AuthProvider';
+import ImageRedactionEditor from '@/components/shared/ImageRedactionEditor';
 import { focusFirstInteractive, trapFocusKeyDown } from '@/components/utils/focusTrap';
+import { isRedactableImage } from '@/utils/imageRedaction';
 import { logError } from '@/utils/logError';
+import { ALLOWED_UPLOAD_MIME_TYPES, MAX_UPLOAD_BYTES, validateFileUpload } from '@/utils/uploadLimits';
 
 export default function UploadResourceModal({ open, onOpenChange, movementId, onCreated }) {
+  const { session } = useAuth();
+  const accessToken = session?.access_token ? String(session.access_token) : null;
   const [title, setTitle] = useState('');
   const [url, setUrl] = useState('');
+  const [attachment, setAttachment] = useState(null);
+  const [redactFile, setRedactFile] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const dialogRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   const close = () => onOpenChange?.(false);
 
@@ -21,6 +32,30 @@ export default function UploadResourceModal({ open, onOpenChange, movementId, on
 
   if (!open) return null;
 
+  const acceptAttachment = (file) => {
+    const validationError = validateFileUpload({
+      file,
+      maxBytes: MAX_UPLOAD_BYTES,
+      allowedMimeTypes: ALLOWED_UPLOAD_MIME_TYPES,
+    });
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+    setAttachment(file);
+  };
+
+  const handleFileSelected = (e) => {
+    const file = e.target.files?.[0] || null;
+    e.target.value = '';
+    if (!file) return;
+    if (isRedactableImage(file)) {
+      setRedactFile(file);
+      return;
+    }
+    acceptAttachment(file);
+  };
+
   const handleCreate = async () => {
     const safeMovementId = String(movementId ?? '').trim();
     if (!safeMovementId) {
@@ -49,11 +84,24 @@ export default function UploadResourceModal({ open, onOpenChange, movementId, on
         return;
       }
 
+      let attachmentUrl = null;
+      if (attachment) {
+        try {
+          const uploaded = await uploadMovementMedia(attachment, { accessToken, movementId: safeMovementId });
+          attachmentUrl = uploaded?.url || null;
+          if (!attachmentUrl) throw new Error('Upload failed');
+        } catch (e) {
+          logError(e, 'Upload resource attachment failed', { movementId: safeMovementId });
+          toast.error(e?.message || "Couldn't upload the file right now");
+          return;
+        }
+      }
+
       try {
         const created = await entities.Resource.create({
           movement_id: safeMovementId,
           title: String(title).trim(),
-          url: String(url || '').trim() || null,
+          url: attachmentUrl || String(url || '').trim() || null,
           author_email: user.email,
           created_date: new Date().toISOString(),
         });
@@ -67,6 +115,7 @@ export default function UploadResourceModal({ open, onOpenChange, movementId, on
       toast.success('Resource added');
       setTitle('');
       setUrl('');
+      setAttachment(null);
       close();
     } finally {
       setSubmitting(false);
@@ -74,62 +123,112 @@ export default function UploadResourceModal({ open, onOpenChange, movementId, on
   };
 
   return (
-    <div
-      className="fixed inset-0 z-50 flex items-center justify-center p-4"
-      role="presentation"
-      onKeyDown={(e) => {
-        trapFocusKeyDown(e, dialogRef.current);
-        if (e.key === 'Escape') {
-          if (submitting) return;
-          close();
-        }
-      }}
-    >
-      <div className="absolute inset-0 bg-black/40" onClick={() => { if (!submitting) close(); }} />
+    <>
       <div
-        ref={dialogRef}
-        role="dialog"
-        aria-modal="true"
-        aria-labelledby="upload_resource_title"
-        tabIndex={-1}
-        className="relative w-full max-w-md rounded-2xl bg-white border border-slate-200 shadow-lg p-5 space-y-3"
+        className="fixed inset-0 z-50 flex items-center justify-center p-4"
+        role="presentation"
+        onKeyDown={(e) => {
+          trapFocusKeyDown(e, dialogRef.current);
+          if (e.key === 'Escape') {
+            if (submitting) return;
+            close();
+          }
+        }}
       >
-        <div id="upload_resource_title" className="font-black text-slate-900 text-lg">Add resource</div>
-
-        <input
-          value={title}
-          onChange={(e) => setTitle(e.target.value)}
-          className="w-full p-3 rounded-xl border border-slate-200 bg-slate-50 font-semibold"
-          placeholder="Title"
-        />
-        <input
-          value={url}
-          onChange={(e) => setUrl(e.target.value)}
-          className="w-full p-3 rounded-xl border border-slate-200 bg-slate-50 font-semibold"
-          placeholder="Link (optional)"
-        />
-
-        <div className="flex gap-2 justify-end pt-2">
-          <button
-            type="button"
-            onClick={close}
-            disabled={submitting}
-            className="px-4 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 font-black hover:bg-slate-50 disabled:opacity-60"
-          >
-            Cancel
-          </button>
-          <button
-            type="button"
-            onClick={handleCreate}
-            disabled={submitting}
-            className="px-4 py-2 rounded-xl bg-slate-900 text-white font-black hover:opacity-90 disabled:opacity-60"
-          >
-            {submitting ? 'Saving…' : 'Save'}
-          </button>
-        </div>
+        <div className="absolute inset-0 bg-black/40" onClick={() => { if (!submitting) close(); }} />
+        <div
+          ref={dialogRef}
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="upload_resource_title"
+          tabIndex={-1}
+          className="relative w-full max-w-md rounded-2xl bg-white border border-slate-200 shadow-lg p-5 space-y-3"
+        >
+          <div id="upload_resource_title" className="font-black text-slate-900 text-lg">Add resource</div>
+
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="w-full p-3 rounded-xl border border-slate-200 bg-slate-50 font-semibold"
+            placeholder="Title"
+          />
+          <input
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            className="w-full p-3 rounded-xl border border-slate-200 bg-slate-50 font-semibold"
+            placeholder="Link (optional)"
+            disabled={!!attachment}
+          />
 
-        <div className="text-xs text-slate-500 font-semibold">Saved locally.</div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".pdf,.jpg,.jpeg,.png,.gif,.webp,.heic,.heif"
+            onChange={handleFileSelected}
+            className="hidden"
+          />
+          {attachment ? (
+            <div className="flex items-center gap-2 p-3 rounded-xl border border-slate-200 bg-slate-50">
+              <Paperclip className="w-4 h-4 text-slate-500 shrink-0" />
+              <span className="flex-1 text-sm font-semibold text-slate-700 truncate">{attachment.name}</span>
+              <button
+                type="button"
+                onClick={() => setAttachment(null)}
+                disabled={submitting}
+                className="p-1 rounded-lg text-slate-500 hover:bg-slate-200 disabled:opacity-60"
+                aria-label="Remove attachment"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={submitting || !accessToken}
+              className="w-full p-3 rounded-xl border-2 border-dashed border-slate-200 text-slate-700 font-bold hover:bg-slate-50 disabled:opacity-60 flex items-center justify-center gap-2"
+            >
+              <Paperclip className="w-4 h-4" />
+              Attach a file instead
+            </button>
+          )}
+          <div className="text-xs text-slate-500 font-semibold">
+            Location and camera details are removed from photos, and you can blur faces first.
+          </div>
+
+          <div className="flex gap-2 justify-end pt-2">
+            <button
+              type="button"
+              onClick={close}
+              disabled={submitting}
+              className="px-4 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 font-black hover:bg-slate-50 disabled:opacity-60"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleCreate}
+              disabled={submitting}
+              className="px-4 py-2 rounded-xl bg-slate-900 text-white font-black hover:opacity-90 disabled:opacity-60"
+            >
+              {submitting ? 'Saving…' : 'Save'}
+            </button>
+          </div>
+
+          <div className="text-xs text-slate-500 font-semibold">Saved locally.</div>
+        </div>
       </div>
-    </div>
+
+      {/* Outside the modal so its Escape/focus-trap handlers don't see the editor's key events. */}
+      <ImageRedactionEditor
+        open={!!redactFile}
+        file={redactFile}
+        onConfirm={(file) => {
+          setRedactFile(null);
+          acceptAttachment(file);
+        }}
+        onCancel={() => setRedactFile(null)}
+      />
+    </>
   );
 }
@@ -1,71 +1,61 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Shield, Lock, Clock, Users, BellOff, AlertCircle } from 'lucide-react';
+import { Shield, Lock, Clock, AlertCircle, Settings as SettingsIcon } from 'lucide-react';
 import { Switch } from "@/components/ui/switch";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { toast } from "sonner";
-import { auth, entities } from '@/api/appClient';
+import { useAuth } from '@/auth/AuthProvider';
+import { fetchMovementCommentSettings, updateMovementCommentSettings } from '@/api/commentsClient';
+import { queryKeys } from '@/lib/queryKeys';
+import { createPageUrl } from '@/utils';
+
+// Movement comment lock + slow mode are stored and enforced server-side
+// (/movements/:id/comment-settings). Account-wide protections such as the comment-spike
+// auto-lock and new-account filters live in Settings (see ProtectionSettingsPanel).
+
+const SLOW_MODE_LABELS = { 30: '30 seconds', 60: '1 minute', 120: '2 minutes', 300: '5 minutes' };
+const DEFAULT_SLOW_MODE_SECONDS = 60;
 
 export default function ProtectionControls({ movementId, isOwner, className = '' }) {
   const queryClient = useQueryClient();
+  const { session } = useAuth();
+  const accessToken = session?.access_token || null;
+  const settingsKey = queryKeys.movements.commentSettings(movementId);
 
-  const { data: protection } = useQuery({
-    queryKey: ['protection', movementId],
-    queryFn: async () => {
-      const protections = await entities.HarassmentProtection.filter({
-        entity_type: 'movement',
-        entity_id: movementId
-      });
-      return protections[0] || null;
-    },
-    enabled: !!movementId
+  const { data: settings } = useQuery({
+    queryKey: settingsKey,
+    queryFn: () => fetchMovementCommentSettings(movementId),
+    enabled: !!movementId,
   });
 
-  const updateProtectionMutation = useMutation({
-    mutationFn: async (updates) => {
-      if (protection) {
-        return entities.HarassmentProtection.update(protection.id, updates);
-      } else {
-        const user = await auth.me();
-        return entities.HarassmentProtection.create({
-          entity_type: 'movement',
-          entity_id: movementId,
-          enabled_by: user.email,
-          ...updates
-        });
-      }
-    },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['protection', movementId] });
+  const locked = !!settings?.locked;
+  const slowModeSeconds = Number(settings?.slow_mode_seconds) || 0;
+
+  const updateSettingsMutation = useMutation({
+    // The endpoint replaces both fields, so always send the full pair.
+    mutationFn: (updates) =>
+      updateMovementCommentSettings(movementId, { locked, slow_mode_seconds: slowModeSeconds, ...updates }, { accessToken }),
+    onSuccess: (next) => {
+      if (next && typeof next === 'object') queryClient.setQueryData(settingsKey, next);
+      queryClient.invalidateQueries({ queryKey: settingsKey });
       toast.success('Protection settings updated');
-    }
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to update protection settings'),
   });
 
   if (!isOwner) {
-    const replyRestriction = String(protection?.reply_restriction || 'everyone');
-    const slow = protection?.slow_mode_enabled ? `${Number(protection?.slow_mode_seconds || 60)}s` : 'Off';
-    const locked = protection?.comments_locked ? 'On' : 'Off';
-    const silent = protection?.silent_mode ? 'On' : 'Off';
-
     return (
       <div className={`p-4 rounded-xl border border-slate-200 bg-slate-50 text-sm text-slate-600 ${className}`}>
         <div className="font-black text-slate-800">Safety tools</div>
         <div className="mt-2 grid grid-cols-2 gap-2">
           <div className="p-3 rounded-xl border border-slate-200 bg-white">
             <div className="text-xs font-bold text-slate-500 uppercase">Comments locked</div>
-            <div className="text-sm font-black text-slate-900">{locked}</div>
+            <div className="text-sm font-black text-slate-900">{locked ? 'On' : 'Off'}</div>
           </div>
           <div className="p-3 rounded-xl border border-slate-200 bg-white">
             <div className="text-xs font-bold text-slate-500 uppercase">Slow mode</div>
-            <div className="text-sm font-black text-slate-900">{slow}</div>
-          </div>
-          <div className="p-3 rounded-xl border border-slate-200 bg-white">
-            <div className="text-xs font-bold text-slate-500 uppercase">Reply restriction</div>
-            <div className="text-sm font-black text-slate-900">{replyRestriction.replace(/_/g, ' ')}</div>
-          </div>
-          <div className="p-3 rounded-xl border border-slate-200 bg-white">
-            <div className="text-xs font-bold text-slate-500 uppercase">Silent mode</div>
-            <div className="text-sm font-black text-slate-900">{silent}</div>
+            <div className="text-sm font-black text-slate-900">{slowModeSeconds > 0 ? `${slowModeSeconds}s` : 'Off'}</div>
           </div>
         </div>
         <div className="mt-2 text-xs font-semibold text-slate-500">Owner-only controls.</div>
@@ -73,12 +63,10 @@ export default function ProtectionControls({ movementId, isOwner, className = ''
     );
   }
 
-  const handleToggle = (field, value) => {
-    updateProtectionMutation.mutate({ [field]: value });
-  };
+  const pending = updateSettingsMutation.isPending;
 
   return (
-    <div className="bg-white rounded-2xl border-3 border-slate-200 p-6 space-y-6">
+    <div className={`bg-white rounded-2xl border-3 border-slate-200 p-6 space-y-6 ${className}`}>
       <div className="flex items-center gap-3 mb-4">
         <div className="w-10 h-10 bg-blue-100 rounded-xl flex items-center justify-center">
           <Shield className="w-5 h-5 text-blue-600" />
@@ -89,14 +77,13 @@ export default function ProtectionControls({ movementId, isOwner, className = ''
         </div>
       </div>
 
-      {protection?.auto_enabled && (
+      {locked && settings?.auto_locked_at && (
         <div className="bg-orange-50 border-2 border-orange-200 rounded-xl p-4 flex items-start gap-3">
           <AlertCircle className="w-5 h-5 text-orange-600 flex-shrink-0 mt-0.5" />
           <div>
-            <p className="font-bold text-orange-900 text-sm mb-1">Auto-Protection Enabled</p>
+            <p className="font-bold text-orange-900 text-sm mb-1">Comments auto-locked</p>
             <p className="text-xs text-slate-600">
-              Harassment signals detected ({protection.harassment_signals_detected}). 
-              Some protections were automatically enabled.
+              A sudden spike in comments triggered your auto-lock. Unlock when you’re ready to reopen the discussion.
             </p>
           </div>
         </div>
@@ -113,9 +100,9 @@ export default function ProtectionControls({ movementId, isOwner, className = ''
             </div>
           </div>
           <Switch
-            checked={protection?.comments_locked || false}
-            onCheckedChange={(checked) => handleToggle('comments_locked', checked)}
-            disabled={updateProtectionMutation.isPending}
+            checked={locked}
+            onCheckedChange={(checked) => updateSettingsMutation.mutate({ locked: checked })}
+            disabled={pending}
           />
         </div>
 
@@ -126,72 +113,51 @@ export default function ProtectionControls({ movementId, isOwner, className = ''
             <div className="flex-1">
               <p className="font-bold text-slate-900 text-sm">Slow Mode</p>
               <p className="text-xs text-slate-500 mb-2">Rate limit comments to prevent spam</p>
-              {protection?.slow_mode_enabled && (
+              {slowModeSeconds > 0 && (
                 <Select
-                  value={String(protection?.slow_mode_seconds || 60)}
-                  onValueChange={(value) => handleToggle('slow_mode_seconds', parseInt(value))}
+                  value={String(slowModeSeconds)}
+                  onValueChange={(value) => updateSettingsMutation.mutate({ slow_mode_seconds: parseInt(value, 10) })}
                 >
                   <SelectTrigger className="w-32 h-8 text-xs">
                     <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="30">30 seconds</SelectItem>
-                    <SelectItem value="60">1 minute</SelectItem>
-                    <SelectItem value="120">2 minutes</SelectItem>
-                    <SelectItem value="300">5 minutes</SelectItem>
+                    {SLOW_MODE_LABELS[slowModeSeconds] ? null : (
+                      <SelectItem value={String(slowModeSeconds)}>{slowModeSeconds} seconds</SelectItem>
+                    )}
+                    {Object.entries(SLOW_MODE_LABELS).map(([seconds, label]) => (
+                      <SelectItem key={seconds} value={seconds}>
+                        {label}
+                      </SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
               )}
             </div>
           </div>
           <Switch
-            checked={protection?.slow_mode_enabled || false}
-            onCheckedChange={(checked) => handleToggle('slow_mode_enabled', checked)}
-            disabled={updateProtectionMutation.isPending}
+            checked={slowModeSeconds > 0}
+            onCheckedChange={(checked) =>
+              updateSettingsMutation.mutate({ slow_mode_seconds: checked ? DEFAULT_SLOW_MODE_SECONDS : 0 })
+            }
+            disabled={pending}
           />
         </div>
 
-        {/* Reply Restrictions */}
-        <div className="p-4 bg-slate-50 rounded-xl border-2 border-slate-200">
-          <div className="flex items-start gap-3 mb-3">
-            <Users className="w-5 h-5 text-slate-600 mt-0.5" />
-            <div className="flex-1">
-              <p className="font-bold text-slate-900 text-sm">Reply Restrictions</p>
-              <p className="text-xs text-slate-500">Control who can comment</p>
-            </div>
-          </div>
-          <Select
-            value={protection?.reply_restriction || 'everyone'}
-            onValueChange={(value) => handleToggle('reply_restriction', value)}
-          >
-            <SelectTrigger className="w-full">
-              <SelectValue />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="everyone">Everyone can reply</SelectItem>
-              <SelectItem value="followers_only">Followers only</SelectItem>
-              <SelectItem value="collaborators_only">Collaborators only</SelectItem>
-              <SelectItem value="disabled">Replies disabled</SelectItem>
-            </SelectContent>
-          </Select>
-        </div>
-
-        {/* Silent Mode */}
-        <div className="flex items-center justify-between p-4 bg-slate-50 rounded-xl border-2 border-slate-200">
-          <div className="flex items-start gap-3">
-            <BellOff className="w-5 h-5 text-slate-600 mt-0.5" />
-            <div>
-              <p className="font-bold text-slate-900 text-sm">Silent Mode</p>
-              <p className="text-xs text-slate-500">Movement stays live but stops sending notifications</p>
-            </div>
+        {/* Account-wide protections */}
+        <Link
+          to={createPageUrl('Settings')}
+          className="flex items-start gap-3 p-4 bg-slate-50 rounded-xl border-2 border-slate-200 hover:bg-slate-100"
+        >
+          <SettingsIcon className="w-5 h-5 text-slate-600 mt-0.5" />
+          <div>
+            <p className="font-bold text-slate-900 text-sm">More protections</p>
+            <p className="text-xs text-slate-500">
+              Auto-lock on comment spikes, new-account filters, and who can message you apply to all your movements.
+            </p>
           </div>
-          <Switch
-            checked={protection?.silent_mode || false}
-            onCheckedChange={(checked) => handleToggle('silent_mode', checked)}
-            disabled={updateProtectionMutation.isPending}
-          />
-        </div>
+        </Link>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,155 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Loader2, MessageSquare, SmilePlus, UserX, Lock } from 'lucide-react';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from 'sonner';
+import { useAuth } from '@/auth/AuthProvider';
+import { fetchMyProtections, updateMyProtections } from '@/api/protectionsClient';
+import { queryKeys } from '@/lib/queryKeys';
+
+const AUDIENCE_LABELS = {
+  everyone: 'Everyone',
+  followers: 'People who follow me',
+  following: 'People I follow',
+  nobody: 'No one',
+};
+
+const NEW_ACCOUNT_DAYS = [1, 3, 7, 14, 30];
+const SPIKE_THRESHOLDS = [10, 25, 50, 100];
+
+// Keep a value set through the API selectable even if it isn't one of the presets.
+function withCurrent(options, current) {
+  return Array.from(new Set([...options, current])).sort((a, b) => a - b);
+}
+
+function AudienceSelect({ value, onChange, disabled }) {
+  return (
+    <Select value={value || 'everyone'} onValueChange={onChange} disabled={disabled}>
+      <SelectTrigger className="w-full sm:w-56 h-9 text-xs font-semibold">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {Object.entries(AUDIENCE_LABELS).map(([key, label]) => (
+          <SelectItem key={key} value={key}>
+            {label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+function Row({ icon: Icon, title, description, children }) {
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 rounded-xl bg-white px-3 py-3">
+      <div className="flex items-start gap-3 min-w-0">
+        <Icon className="w-4 h-4 text-slate-600 mt-0.5 flex-shrink-0" />
+        <div className="min-w-0">
+          <div className="text-sm font-bold text-slate-800">{title}</div>
+          <div className="text-xs text-slate-500 font-semibold">{description}</div>
+        </div>
+      </div>
+      <div className="flex items-center gap-2 flex-shrink-0">{children}</div>
+    </div>
+  );
+}
+
+/**
+ * Account-wide harassment protections. The server enforces these on DMs, message
+ * reactions and comments on your movements, alongside blocks.
+ */
+export default function ProtectionSettingsPanel({ className = '' }) {
+  const { user, session } = useAuth();
+  const accessToken = session?.access_token || null;
+  const queryClient = useQueryClient();
+  const queryKey = queryKeys.protections.mine(user?.email);
+
+  const { data: protections, isLoading } = useQuery({
+    queryKey,
+    queryFn: () => fetchMyProtections({ accessToken }),
+    enabled: !!user?.email && !!accessToken,
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: (patch) => updateMyProtections(patch, { accessToken }),
+    onSuccess: (next) => {
+      if (next) queryClient.setQueryData(queryKey, next);
+      toast.success('Protection settings updated');
+    },
+    onError: (e) => toast.error(e?.message || 'Failed to update protection settings'),
+  });
+
+  const update = (patch) => updateMutation.mutate(patch);
+  const busy = updateMutation.isPending;
+
+  if (isLoading) {
+    return (
+      <div className={`flex items-center gap-2 text-sm text-slate-600 font-semibold ${className}`}>
+        <Loader2 className="w-4 h-4 animate-spin" />
+        Loading protections…
+      </div>
+    );
+  }
+
+  const p = protections || {};
+  const newAccountDays = Number(p.new_account_days) || 7;
+  const spikeThreshold = Number(p.spike_comment_threshold) || 25;
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      <Row icon={MessageSquare} title="Who can message me" description="Applies to new conversations and to replies in ones you haven’t written in.">
+        <AudienceSelect value={p.dm_audience} onChange={(v) => update({ dm_audience: v })} disabled={busy} />
+      </Row>
+
+      <Row icon={SmilePlus} title="Who can react to my messages" description="Removing an existing reaction is always allowed.">
+        <AudienceSelect value={p.reaction_audience} onChange={(v) => update({ reaction_audience: v })} disabled={busy} />
+      </Row>
+
+      <Row icon={UserX} title="New accounts" description="Accounts younger than this can’t start DMs, and their comments on your movements are hidden, when the toggles below are on.">
+        <Select value={String(newAccountDays)} onValueChange={(v) => update({ new_account_days: Number(v) })} disabled={busy}>
+          <SelectTrigger className="w-28 h-9 text-xs font-semibold">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {withCurrent(NEW_ACCOUNT_DAYS, newAccountDays).map((d) => (
+              <SelectItem key={d} value={String(d)}>
+                {d} {d === 1 ? 'day' : 'days'}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </Row>
+
+      <Row icon={MessageSquare} title="Block DMs from new accounts" description={`Accounts newer than ${newAccountDays} days can’t message you.`}>
+        <Switch checked={!!p.block_new_account_dms} onCheckedChange={(v) => update({ block_new_account_dms: v })} disabled={busy} />
+      </Row>
+
+      <Row icon={UserX} title="Hide comments from new accounts" description={`Only you and the author see comments on your movements from accounts newer than ${newAccountDays} days, including earlier ones.`}>
+        <Switch checked={!!p.hide_new_account_comments} onCheckedChange={(v) => update({ hide_new_account_comments: v })} disabled={busy} />
+      </Row>
+
+      <Row icon={Lock} title="Auto-lock comments on a spike" description="Locks comments on your movement when this many arrive within 10 minutes. You’ll get a notification.">
+        {p.auto_lock_comments_on_spike ? (
+          <Select
+            value={String(spikeThreshold)}
+            onValueChange={(v) => update({ spike_comment_threshold: Number(v) })}
+            disabled={busy}
+          >
+            <SelectTrigger className="w-24 h-9 text-xs font-semibold">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {withCurrent(SPIKE_THRESHOLDS, spikeThreshold).map((n) => (
+                <SelectItem key={n} value={String(n)}>
+                  {n}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        ) : null}
+        <Switch checked={!!p.auto_lock_comments_on_spike} onCheckedChange={(v) => update({ auto_lock_comments_on_spike: v })} disabled={busy} />
+      </Row>
+    </div>
+  );
+}
@@ -6,24 +6,9 @@ import { useAuth } from '@/auth/AuthProvider';
 import { fetchMovementVotes, voteMovement } from '@/api/movementsClient';
 import { checkActionAllowed, formatWaitMs } from '@/utils/antiBrigading';
 import { getInteractionErrorMessage } from '@/utils/interactionErrors';
-import { upsertNotification } from '@/api/notificationsClient';
 import { queryKeys } from '@/lib/queryKeys';
 import { usePendingGuard } from '@/hooks/usePendingGuard';
 
-function getMovementOwnerEmail(movement) {
-  const candidates = [
-    movement?.author_email,
-    movement?.creator_email,
-    movement?.created_by_email,
-    movement?.owner_email,
-  ];
-  for (const c of candidates) {
-    const s = c ? String(c).trim().toLowerCase() : '';
-    if (s) return s;
-  }
-  return null;
-}
-
 export default function BoostButtons({
   movementId,
   movement,
@@ -109,37 +94,12 @@ export default function BoostButtons({
 
       return { previousVotes };
     },
-    onSuccess: (next, nextValue) => {
+    onSuccess: (next) => {
       const summary =
         next && typeof next === 'object' && next.votes && typeof next.votes === 'object'
           ? next.votes
           : next;
 
-      // Best-effort public activity notification.
-      try {
-        const actorEmail = user?.email ? String(user.email).trim().toLowerCase() : null;
-        const recipient = getMovementOwnerEmail(movement);
-        const title = String(movement?.title || movement?.name || '').trim() || null;
-        const justBoosted = nextValue === 1 && myVote !== 1;
-        if (justBoosted && actorEmail && recipient && actorEmail !== recipient) {
-          const actorName = null;
-          upsertNotification({
-            recipient_email: recipient,
-            type: 'movement_boost',
-            actor_name: actorName,
-            actor_email: actorEmail,
-            content_id: id,
-            content_ref: null,
-            content_title: title,
-            created_date: new Date().toISOString(),
-            is_read: false,
-            metadata: null,
-          }, { accessToken }).catch(() => {});
-        }
-      } catch {
-        // best-effort
-      }
-
       queryClient.setQueryData(queryKeys.movements.votes(id), summary);
 
       // Keep movement detail view in sync immediately.
@@ -177,6 +137,11 @@ export default function BoostButtons({
           };
         }
 
+        // Search results shape
+        if (old && typeof old === 'object' && Array.isArray(old.movements)) {
+          return { ...old, movements: old.movements.map(patchMovement) };
+        }
+
         // Normal list shape
         if (Array.isArray(old)) return old.map(patchMovement);
         return old;
@@ -0,0 +1,239 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Loader2, ScanFace, Undo2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  canDetectFaces,
+  detectFaceRegions,
+  exportRedactedImage,
+  loadImageFromFile,
+  redactionCanvasSize,
+  renderRedactedImage,
+} from '@/utils/imageRedaction';
+
+// Drags shorter than this (in canvas pixels) are treated as stray taps.
+const MIN_REGION_PX = 12;
+
+function normalizeRect(start, end) {
+  return {
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y),
+  };
+}
+
+/**
+ * Lets the user drag boxes over faces, signs or anything else identifying in a photo and
+ * pixelates them before upload. `onConfirm` receives the redacted File, or the original
+ * when nothing was marked; `onCancel` abandons the upload.
+ */
+export default function ImageRedactionEditor({ file, open, position, total, onConfirm, onCancel }) {
+  const canvasRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [regions, setRegions] = useState([]);
+  const [dragRect, setDragRect] = useState(null);
+  const [detecting, setDetecting] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const dragStartRef = useRef(null);
+
+  useEffect(() => {
+    setImage(null);
+    setLoadError(null);
+    setRegions([]);
+    setDragRect(null);
+    if (!open || !file) return undefined;
+    let cancelled = false;
+    loadImageFromFile(file)
+      .then((img) => {
+        if (!cancelled) setImage(img);
+      })
+      .catch((e) => {
+        if (!cancelled) setLoadError(e?.message || 'This image cannot be previewed');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [file, open]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image) return;
+    const size = redactionCanvasSize(image);
+    if (canvas.width !== size.width) canvas.width = size.width;
+    if (canvas.height !== size.height) canvas.height = size.height;
+    renderRedactedImage(canvas, image, regions);
+  }, [image, regions]);
+
+  const toCanvasPoint = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * canvas.width,
+      y: ((event.clientY - rect.top) / rect.height) * canvas.height,
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (!image || exporting) return;
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    const point = toCanvasPoint(event);
+    dragStartRef.current = point;
+    setDragRect(normalizeRect(point, point));
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragStartRef.current) return;
+    setDragRect(normalizeRect(dragStartRef.current, toCanvasPoint(event)));
+  };
+
+  const handlePointerUp = (event) => {
+    if (!dragStartRef.current) return;
+    const rect = normalizeRect(dragStartRef.current, toCanvasPoint(event));
+    dragStartRef.current = null;
+    setDragRect(null);
+    if (rect.width >= MIN_REGION_PX && rect.height >= MIN_REGION_PX) {
+      setRegions((prev) => [...prev, rect]);
+    }
+  };
+
+  const handleDetectFaces = async () => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image) return;
+    setDetecting(true);
+    try {
+      // Detect on the untouched photo, not on already-pixelated regions.
+      renderRedactedImage(canvas, image, []);
+      const faces = await detectFaceRegions(canvas);
+      if (faces.length) {
+        setRegions((prev) => [...prev, ...faces]);
+      } else {
+        renderRedactedImage(canvas, image, regions);
+        toast.message('No faces found. Drag over any you can see.');
+      }
+    } catch {
+      renderRedactedImage(canvas, image, regions);
+      toast.error('Face detection is not available. Drag over faces to blur them.');
+    } finally {
+      setDetecting(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!regions.length || !canvasRef.current) {
+      onConfirm(file);
+      return;
+    }
+    setExporting(true);
+    try {
+      onConfirm(await exportRedactedImage(canvasRef.current, file));
+    } catch (e) {
+      toast.error(e?.message || 'Failed to blur image');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const canvasSize = image ? redactionCanvasSize(image) : null;
+  const overlayStyle = (rect) =>
+    canvasSize
+      ? {
+          left: `${(rect.x / canvasSize.width) * 100}%`,
+          top: `${(rect.y / canvasSize.height) * 100}%`,
+          width: `${(rect.width / canvasSize.width) * 100}%`,
+          height: `${(rect.height / canvasSize.height) * 100}%`,
+        }
+      : undefined;
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => !next && !exporting && onCancel()}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            Blur faces and details
+            {total > 1 ? <span className="ml-2 text-sm font-bold text-slate-500">{position} of {total}</span> : null}
+          </DialogTitle>
+          <DialogDescription>
+            Drag over faces, name tags, license plates or anything else that could identify someone.
+            Blurred areas are removed on your device before upload. Location and camera details are
+            always removed.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loadError ? (
+          <div className="rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-xs font-semibold text-amber-900">
+            {loadError}. It will be uploaded as is, with location and camera details removed.
+          </div>
+        ) : !image ? (
+          <div className="flex justify-center py-10">
+            <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+          </div>
+        ) : (
+          <div className="relative select-none touch-none">
+            <canvas
+              ref={canvasRef}
+              className="block w-full h-auto rounded-xl border border-slate-200 cursor-crosshair"
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={() => {
+                dragStartRef.current = null;
+                setDragRect(null);
+              }}
+            />
+            {regions.map((region, index) => (
+              <div
+                key={index}
+                className="pointer-events-none absolute border-2 border-dashed border-[#3A3DFF]"
+                style={overlayStyle(region)}
+              />
+            ))}
+            {dragRect ? (
+              <div className="pointer-events-none absolute border-2 border-[#3A3DFF] bg-[#3A3DFF]/20" style={overlayStyle(dragRect)} />
+            ) : null}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2">
+          {canDetectFaces() && image ? (
+            <Button type="button" variant="outline" className="h-10 rounded-xl font-bold" disabled={detecting || exporting} onClick={handleDetectFaces}>
+              {detecting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <ScanFace className="w-4 h-4 mr-2" />}
+              Find faces
+            </Button>
+          ) : null}
+          <Button
+            type="button"
+            variant="outline"
+            className="h-10 rounded-xl font-bold"
+            disabled={!regions.length || exporting}
+            onClick={() => setRegions((prev) => prev.slice(0, -1))}
+          >
+            <Undo2 className="w-4 h-4 mr-2" />
+            Undo
+          </Button>
+          <div className="flex-1" />
+          <Button type="button" variant="outline" className="h-10 rounded-xl font-bold" disabled={exporting} onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button
+            type="button"
+            className="h-10 rounded-xl font-bold bg-[#3A3DFF] hover:bg-[#2A2DDD]"
+            disabled={exporting || (!image && !loadError)}
+            onClick={handleConfirm}
+          >
+            {exporting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+            {regions.length ? 'Blur and continue' : 'Continue'}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+const SCAN_INTERVAL_MS = 250;
+
+/**
+ * Rear-camera QR reader. Calls `onResult` with the first code it decodes and stops scanning;
+ * remount it (e.g. with a new `key`) to scan again.
+ */
+export default function QrScanner({ onResult, onClose }) {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const onResultRef = useRef(onResult);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    onResultRef.current = onResult;
+  }, [onResult]);
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+
+    const scan = async (jsQR) => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (cancelled || !video || !canvas) return;
+      if (video.readyState >= 2 && video.videoWidth > 0) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+        if (code?.data) {
+          onResultRef.current(code.data);
+          return;
+        }
+      }
+      timer = setTimeout(() => scan(jsQR), SCAN_INTERVAL_MS);
+    };
+
+    (async () => {
+      try {
+        if (!navigator?.mediaDevices?.getUserMedia) throw new Error('Camera is not available on this device');
+        const [{ default: jsQR }, media] = await Promise.all([
+          import('jsqr'),
+          navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false }),
+        ]);
+        if (cancelled) {
+          media.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        stream = media;
+        const video = videoRef.current;
+        if (video) {
+          video.srcObject = media;
+          await video.play().catch(() => {});
+        }
+        scan(jsQR);
+      } catch (e) {
+        if (!cancelled) setError(e?.message || 'Unable to open the camera');
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      if (timer) clearTimeout(timer);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  return (
+    <div className="space-y-3">
+      <div className="relative overflow-hidden rounded-xl bg-slate-900 aspect-square">
+        <video ref={videoRef} className="h-full w-full object-cover" muted playsInline />
+        <canvas ref={canvasRef} className="hidden" />
+        {error ? (
+          <div className="absolute inset-0 flex items-center justify-center p-4 text-center text-sm font-semibold text-white">
+            {error}
+          </div>
+        ) : null}
+      </div>
+      <Button type="button" variant="outline" className="w-full h-10 rounded-xl font-bold" onClick={onClose}>
+        <X className="w-4 h-4 mr-2" />
+        Cancel scan
+      </Button>
+    </div>
+  );
+}
@@ -5,7 +5,7 @@ import { toast } from "sonner";
 import { useAuth } from '@/auth/AuthProvider';
 import { createConversation, sendMessage } from '@/api/messagesClient';
 import { getInteractionErrorMessage } from '@/utils/interactionErrors';
-import { fetchPublicKey, upsertMyPublicKey } from '@/api/keysClient';
+import { fetchPublicKey } from '@/api/keysClient';
 import { fetchPublicProfileByUsername } from '@/api/userProfileClient';
 import { logError } from '@/utils/logError';
 import { DM_DISABLED, DM_DISABLED_MESSAGE } from '@/config/clientFeatureGates';
@@ -78,10 +78,7 @@ export default function ShareButton({ movement, profile, variant = "default", la
   const e2eePromiseRef = useRef(null);
   const loadE2EE = async () => {
     if (!e2eePromiseRef.current) {
-      e2eePromiseRef.current = Promise.all([
-        import('@/lib/e2eeCrypto'),
-        import('@/lib/e2eeFormat'),
-      ]).then(([crypto, format]) => ({ ...crypto, ...format }));
+      e2eePromiseRef.current = import('@/utils/e2eeMessaging');
     }
     return e2eePromiseRef.current;
   };
@@ -171,29 +168,30 @@ export default function ShareButton({ movement, profile, variant = "default", la
 
     setSendingDm(true);
     try {
-      const {
-        deriveSharedSecretKey,
-        encryptText,
-        getOrCreateIdentityKeypair,
-        packEncryptedPayload,
-      } = await loadE2EE();
+      const { encryptDirectMessage, publishMyEncryptionKeys } = await loadE2EE();
 
-      // Ensure my public key is published.
-      const kp = await getOrCreateIdentityKeypair(myEmail);
-      await upsertMyPublicKey(kp.publicKey, { accessToken });
+      // Ensure my keys are published.
+      await publishMyEncryptionKeys(myEmail, { accessToken });
 
       const otherProfile = await fetchPublicProfileByUsername(handle, { accessToken });
       const toEmail = String(otherProfile?.user_email || '').trim().toLowerCase();
       if (!toEmail) throw new Error('User not found');
 
       const otherPublicKey = await fetchPublicKey(toEmail, { accessToken });
-      const key = await deriveSharedSecretKey(kp.privateKey, otherPublicKey);
-      const plaintext = [shareTitle, shareUrl].filter(Boolean).join('\n');
-      const encrypted = await encryptText(plaintext, key);
-      const packed = packEncryptedPayload(encrypted);
 
+      // Sessions are per conversation, so resolve it before encrypting.
       const convo = await createConversation(toEmail, { accessToken });
       if (!convo?.id) throw new Error('Failed to create conversation');
+
+      const plaintext = [shareTitle, shareUrl].filter(Boolean).join('\n');
+      const packed = await encryptDirectMessage({
+        myEmail,
+        conversationId: String(convo.id),
+        peerEmail: toEmail,
+        peerPublicKey: otherPublicKey,
+        plaintext,
+        accessToken,
+      });
       await sendMessage(String(convo.id), packed, { accessToken });
 
       toast.success('Shared via DM');
@@ -7,13 +7,24 @@ import { toast } from "sonner";
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '@/auth/AuthProvider';
 import { uploadFile } from '@/api/uploadsClient';
+import ImageRedactionEditor from '@/components/shared/ImageRedactionEditor';
+import { isRedactableImage } from '@/utils/imageRedaction';
 import { ALLOWED_UPLOAD_MIME_TYPES, MAX_UPLOAD_BYTES, MAX_UPLOAD_MB, validateFileUpload } from '@/utils/uploadLimits';
 
+function nextRedactableIndex(files, from) {
+  for (let i = from; i < files.length; i += 1) {
+    if (isRedactableImage(files[i])) return i;
+  }
+  return -1;
+}
+
 export default function EvidenceUploader({ evidence, onChange }) {
   const { session } = useAuth();
   const accessToken = session?.access_token ? String(session.access_token) : null;
   const [uploading, setUploading] = useState(false);
   const [acknowledged, setAcknowledged] = useState(evidence.user_acknowledges_unverified || false);
+  // Photos waiting for the redaction step: { files, index } of the one being reviewed.
+  const [review, setReview] = useState(null);
 
   const handleFileUpload = async (e) => {
     const files = Array.from(e.target.files || []);
@@ -37,6 +48,41 @@ export default function EvidenceUploader({ evidence, onChange }) {
       return;
     }
 
+    const firstPhoto = nextRedactableIndex(files, 0);
+    if (firstPhoto >= 0) {
+      setReview({ files, index: firstPhoto });
+      return;
+    }
+    await uploadFiles(files);
+  };
+
+  const handleRedactionConfirm = (file) => {
+    if (!review) return;
+    const files = [...review.files];
+    files[review.index] = file;
+    const next = nextRedactableIndex(files, review.index + 1);
+    if (next >= 0) {
+      setReview({ files, index: next });
+      return;
+    }
+    setReview(null);
+    uploadFiles(files);
+  };
+
+  const uploadFiles = async (files) => {
+    // Blurred photos are re-encoded and can grow; check the limits again.
+    for (const file of files) {
+      const validationError = validateFileUpload({
+        file,
+        maxBytes: MAX_UPLOAD_BYTES,
+        allowedMimeTypes: ALLOWED_UPLOAD_MIME_TYPES,
+      });
+      if (validationError) {
+        toast.error(validationError);
+        return;
+      }
+    }
+
     setUploading(true);
     try {
       const uploadPromises = files.map((file) =>
@@ -55,8 +101,9 @@ export default function EvidenceUploader({ evidence, onChange }) {
         evidence_urls: [...(evidence.evidence_urls || []), ...newUrls],
         evidence_descriptions: [...(evidence.evidence_descriptions || []), ...files.map(f => f.name)]
       });
-      
-      toast.success('Evidence uploaded');
+
+      const removedLocation = results.some((r) => Array.isArray(r?.metadata_removed) && r.metadata_removed.includes('gps'));
+      toast.success(removedLocation ? 'Evidence uploaded. Location data was removed from your photos.' : 'Evidence uploaded');
     } catch {
       toast.error('Upload failed');
     } finally {
@@ -135,7 +182,7 @@ export default function EvidenceUploader({ evidence, onChange }) {
           type="file"
           id="evidence-upload"
           multiple
-          accept=".pdf,.jpg,.jpeg,.png,.gif,.webp"
+          accept=".pdf,.jpg,.jpeg,.png,.gif,.webp,.heic,.heif"
           onChange={handleFileUpload}
           className="hidden"
           disabled={!acknowledged || uploading}
@@ -162,7 +209,10 @@ export default function EvidenceUploader({ evidence, onChange }) {
           </Button>
         </label>
         <p className="text-xs text-slate-500 mt-2 text-center">
-          PDF or image (JPG/PNG/GIF/WEBP) • Max {MAX_UPLOAD_MB}MB per file
+          PDF or image (JPG/PNG/GIF/WEBP/HEIC) • Max {MAX_UPLOAD_MB}MB per file
+        </p>
+        <p className="text-xs text-slate-500 mt-1 text-center">
+          Location and camera details are removed from photos. You can blur faces before uploading.
         </p>
       </div>
 
@@ -208,6 +258,15 @@ export default function EvidenceUploader({ evidence, onChange }) {
           </motion.div>
         )}
       </AnimatePresence>
+
+      <ImageRedactionEditor
+        open={!!review}
+        file={review ? review.files[review.index] : null}
+        position={review ? review.files.slice(0, review.index + 1).filter(isRedactableImage).length : 0}
+        total={review ? review.files.filter(isRedactableImage).length : 0}
+        onConfirm={handleRedactionConfirm}
+        onCancel={() => setReview(null)}
+      />
     </div>
   );
 }
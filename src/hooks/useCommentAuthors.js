@@ -0,0 +1,57 @@
+import { useEffect, useState } from 'react';
+import { lookupUsers } from '@/api/usersClient';
+
+const EMPTY = { byEmail: {}, byUserId: {} };
+
+// Resolves comment authors to { display_name, username } via /users/lookup, keyed by
+// lowercased email and by user id. Lookups need a session; signed-out viewers get "Member".
+export function useCommentAuthors(comments, accessToken) {
+  const [authors, setAuthors] = useState(EMPTY);
+
+  useEffect(() => {
+    if (!accessToken) {
+      setAuthors(EMPTY);
+      return;
+    }
+    const list = Array.isArray(comments) ? comments : [];
+    const userIds = Array.from(
+      new Set(
+        list
+          .map((c) => (c?.author_user_id ? String(c.author_user_id).trim() : ''))
+          .filter(Boolean)
+      )
+    );
+    const emails = Array.from(new Set(list.map((c) => String(c?.author_email || '').trim().toLowerCase()).filter(Boolean)));
+
+    if (!userIds.length && !emails.length) {
+      setAuthors(EMPTY);
+      return;
+    }
+    let cancelled = false;
+    lookupUsers({ userIds, emails }, { accessToken })
+      .then((users) => {
+        if (cancelled) return;
+        const nextByEmail = {};
+        const nextByUserId = {};
+        for (const u of Array.isArray(users) ? users : []) {
+          const email = String(u?.email || '').trim().toLowerCase();
+          const userId = u?.user_id ? String(u.user_id).trim() : '';
+          const record = {
+            display_name: u?.display_name ?? null,
+            username: u?.username ?? null,
+          };
+          if (email) nextByEmail[email] = record;
+          if (userId) nextByUserId[userId] = record;
+        }
+        setAuthors({ byEmail: nextByEmail, byUserId: nextByUserId });
+      })
+      .catch(() => {
+        if (!cancelled) setAuthors(EMPTY);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [comments, accessToken]);
+
+  return authors;
+}
@@ -0,0 +1,63 @@
+import * as React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '@/auth/AuthProvider';
+import { registerPushToken } from '@/api/pushTokensClient';
+import { getDeviceId } from '@/lib/e2eeStore';
+import { initPushNotifications, isNative } from '@/utils/native';
+
+// Development builds get sandbox APNs tokens; set VITE_APNS_ENVIRONMENT=sandbox for those.
+const APNS_ENVIRONMENT = import.meta.env.VITE_APNS_ENVIRONMENT === 'sandbox' ? 'sandbox' : 'production';
+
+// initPushNotifications adds native listeners, so it runs once per app launch.
+let pushInitStarted = false;
+
+/**
+ * Registers the native app for push once a verified user is signed in, and sends the APNs
+ * token to the server (again whenever the token or the signed-in user changes). Tapping a
+ * push opens the page it links to. No-op on the web.
+ */
+export function usePushRegistration() {
+  const navigate = useNavigate();
+  const { user, accessToken, isEmailVerified } = useAuth();
+  const [deviceToken, setDeviceToken] = React.useState(null);
+  const navigateRef = React.useRef(navigate);
+  const registeredRef = React.useRef({ token: null, email: null });
+
+  navigateRef.current = navigate;
+
+  const email = user?.email ? String(user.email).trim().toLowerCase() : null;
+  const ready = isNative() && !!email && !!accessToken && !!isEmailVerified;
+
+  React.useEffect(() => {
+    if (!ready || pushInitStarted) return;
+    pushInitStarted = true;
+    initPushNotifications({
+      onToken: (token) => setDeviceToken(token ? String(token) : null),
+      onAction: (data) => {
+        const url = typeof data?.url === 'string' ? data.url : '';
+        if (url.startsWith('/')) navigateRef.current(url);
+      },
+    }).then((ok) => {
+      if (!ok) pushInitStarted = false;
+    });
+  }, [ready]);
+
+  React.useEffect(() => {
+    if (!ready) {
+      // Sign-out revokes the token, so the next sign-in has to register it again.
+      registeredRef.current = { token: null, email: null };
+      return;
+    }
+    if (!deviceToken) return;
+    const last = registeredRef.current;
+    if (last.token === deviceToken && last.email === email) return;
+    registeredRef.current = { token: deviceToken, email };
+    registerPushToken(
+      { token: deviceToken, environment: APNS_ENVIRONMENT, device_id: getDeviceId() },
+      { accessToken }
+    ).catch((e) => {
+      registeredRef.current = { token: null, email: null };
+      console.warn('[PeoplePower] Push token registration failed:', e);
+    });
+  }, [ready, deviceToken, email, accessToken]);
+}
@@ -0,0 +1,57 @@
+import { fromBase64, initSodium, toBase64 } from './e2eeCrypto';
+
+// Passphrase-encrypted identity key backups. The passphrase is stretched with PBKDF2
+// (WebCrypto; tweetnacl has no password KDF) and the identity is sealed with secretbox, so
+// the server stores a blob it cannot open. Restoring the backup on another device (or after
+// clearing storage) brings back the same identity, so contacts see no key change.
+//
+// Backup format: { v: 1, kdf: { name: 'PBKDF2-SHA256', iterations, salt }, nonce, cipher }
+
+const KDF_NAME = 'PBKDF2-SHA256';
+const KDF_ITERATIONS = 600000;
+export const MIN_BACKUP_PASSPHRASE_LENGTH = 12;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) throw new Error('Key backup is not supported in this browser');
+  const baseKey = await subtle.importKey('raw', textEncoder.encode(String(passphrase)), 'PBKDF2', false, ['deriveBits']);
+  const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, baseKey, 256);
+  return new Uint8Array(bits);
+}
+
+export async function encryptIdentityBackup(identity, passphrase) {
+  if (String(passphrase || '').length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters`);
+  }
+  const s = await initSodium();
+  const salt = s.randomBytes(16);
+  const key = await deriveBackupKey(passphrase, salt, KDF_ITERATIONS);
+  const nonce = s.randomBytes(s.secretbox.nonceLength);
+  const plaintext = JSON.stringify({
+    publicKey: identity.publicKey,
+    privateKey: identity.privateKey,
+    created_at: new Date().toISOString(),
+  });
+  const cipher = s.secretbox(textEncoder.encode(plaintext), nonce, key);
+  return {
+    v: 1,
+    kdf: { name: KDF_NAME, iterations: KDF_ITERATIONS, salt: toBase64(salt) },
+    nonce: toBase64(nonce),
+    cipher: toBase64(cipher),
+  };
+}
+
+/** Open a backup; throws 'Incorrect passphrase' when it does not decrypt. */
+export async function decryptIdentityBackup(backup, passphrase) {
+  if (backup?.v !== 1 || backup?.kdf?.name !== KDF_NAME) throw new Error('Unsupported key backup');
+  const s = await initSodium();
+  const key = await deriveBackupKey(passphrase, fromBase64(backup.kdf.salt), Number(backup.kdf.iterations));
+  const opened = s.secretbox.open(fromBase64(backup.cipher), fromBase64(backup.nonce), key);
+  if (!opened) throw new Error('Incorrect passphrase');
+  const identity = JSON.parse(textDecoder.decode(opened));
+  if (!identity?.publicKey || !identity?.privateKey) throw new Error('Key backup is damaged');
+  return identity;
+}
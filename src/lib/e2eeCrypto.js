@@ -3,7 +3,7 @@ import { logError } from '../utils/logError';
 let sodiumPromise = null;
 let didSelfTest = false;
 
-function toBase64(bytes) {
+export function toBase64(bytes) {
   const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes || []);
   let binary = '';
   const chunk = 0x8000;
@@ -13,7 +13,7 @@ function toBase64(bytes) {
   return btoa(binary);
 }
 
-function fromBase64(value) {
+export function fromBase64(value) {
   const s = String(value || '');
   const binary = atob(s);
   const u8 = new Uint8Array(binary.length);
@@ -26,6 +26,31 @@ function fromBase64(value) {
 const textEncoder = new TextEncoder();
 const textDecoder = new TextDecoder();
 
+export function concatBytes(...parts) {
+  const total = parts.reduce((n, p) => n + p.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+// HMAC-SHA512 over tweetnacl's hash (RFC 2104, 128-byte block).
+export function hmacSha512(s, key, data) {
+  const blockSize = 128;
+  const k = new Uint8Array(blockSize);
+  k.set(key.length > blockSize ? s.hash(key) : key);
+  const ipad = new Uint8Array(blockSize);
+  const opad = new Uint8Array(blockSize);
+  for (let i = 0; i < blockSize; i += 1) {
+    ipad[i] = k[i] ^ 0x36;
+    opad[i] = k[i] ^ 0x5c;
+  }
+  return s.hash(concatBytes(opad, s.hash(concatBytes(ipad, data))));
+}
+
 function u8Equal(a, b) {
   if (a === b) return true;
   if (!a || !b) return false;
@@ -84,27 +109,151 @@ export async function initSodium() {
   return sodiumPromise;
 }
 
+// --- Identity signatures (XEdDSA) ---
+// Prekeys are signed with the X25519 identity key itself, using XEdDSA
+// (https://signal.org/docs/specifications/xeddsa/): the identity's Ed25519 form is computed
+// from its X25519 public key, so a bundle's signing key is bound to its identity key and a
+// server cannot pair someone's identity with a signing key of its own. Scalars and the
+// Montgomery-to-Edwards map use BigInt; point multiplication uses tweetnacl's lowlevel API.
+
+const FIELD_P = 2n ** 255n - 19n;
+const GROUP_L = 2n ** 252n + 27742317777372353535851937790883648493n;
+
+function bytesToBigInt(bytes) {
+  let n = 0n;
+  for (let i = bytes.length - 1; i >= 0; i -= 1) n = (n << 8n) | BigInt(bytes[i]);
+  return n;
+}
+
+function bigIntTo32Bytes(n) {
+  const out = new Uint8Array(32);
+  let v = n;
+  for (let i = 0; i < 32; i += 1) {
+    out[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return out;
+}
+
+function modPow(base, exp, mod) {
+  let result = 1n;
+  let b = base % mod;
+  let e = exp;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % mod;
+    b = (b * b) % mod;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// Ed25519 public key (sign bit 0) of an X25519 public key: y = (u - 1) / (u + 1).
+function edwardsFromMontgomery(u) {
+  const uNum = bytesToBigInt(u) & ((1n << 255n) - 1n);
+  const y = ((uNum - 1n + FIELD_P) * modPow(uNum + 1n, FIELD_P - 2n, FIELD_P)) % FIELD_P;
+  return bigIntTo32Bytes(y);
+}
+
+// Encoded point scalar·B (tweetnacl's `pack`, which lowlevel does not export).
+function scalarBasePoint(s, scalar) {
+  const { gf, scalarbase, M, S, pack25519 } = s.lowlevel;
+  const p = [gf(), gf(), gf(), gf()];
+  scalarbase(p, scalar);
+  const zi = gf();
+  for (let i = 0; i < 16; i += 1) zi[i] = p[2][i];
+  for (let a = 253; a >= 0; a -= 1) {
+    S(zi, zi);
+    if (a !== 2 && a !== 4) M(zi, zi, p[2]);
+  }
+  const tx = gf();
+  const ty = gf();
+  M(tx, p[0], zi);
+  M(ty, p[1], zi);
+  const out = new Uint8Array(32);
+  const xBytes = new Uint8Array(32);
+  pack25519(out, ty);
+  pack25519(xBytes, tx);
+  out[31] ^= (xBytes[0] & 1) << 7;
+  return out;
+}
+
+/** Base64 Ed25519 form of an X25519 identity public key: the key prekey signatures verify with. */
+export function identitySigningKey(publicKeyB64) {
+  return toBase64(edwardsFromMontgomery(fromBase64(publicKeyB64)));
+}
+
+/** XEdDSA signature of `message` by an X25519 identity private key. */
+export function signWithIdentity(s, privateKeyB64, message) {
+  const k = fromBase64(privateKeyB64).slice(0, 32);
+  k[0] &= 248;
+  k[31] &= 127;
+  k[31] |= 64;
+  const publicPoint = scalarBasePoint(s, k);
+  const kNum = bytesToBigInt(k) % GROUP_L;
+  const a = publicPoint[31] & 0x80 ? (GROUP_L - kNum) % GROUP_L : kNum;
+  publicPoint[31] &= 0x7f;
+
+  const prefix = new Uint8Array(32).fill(0xff);
+  prefix[0] = 0xfe;
+  const r = bytesToBigInt(s.hash(concatBytes(prefix, bigIntTo32Bytes(a), message, s.randomBytes(64)))) % GROUP_L;
+  const R = scalarBasePoint(s, bigIntTo32Bytes(r));
+  const h = bytesToBigInt(s.hash(concatBytes(R, publicPoint, message))) % GROUP_L;
+  return concatBytes(R, bigIntTo32Bytes((r + h * a) % GROUP_L));
+}
+
+/** Check an XEdDSA signature against an X25519 identity public key. */
+export function verifyWithIdentity(s, publicKeyB64, message, signature) {
+  try {
+    return s.sign.detached.verify(message, signature, fromBase64(identitySigningKey(publicKeyB64)));
+  } catch {
+    return false;
+  }
+}
+
+// The identity is an X25519 keypair. It is used for key agreement and, through XEdDSA, to
+// sign published prekeys; `signingPublicKey` is its Ed25519 form. Identities stored by older
+// builds also hold a separate Ed25519 keypair, which is no longer used.
 export async function getOrCreateIdentityKeypair(email) {
   const s = await initSodium();
   const key = storageKey(email);
 
+  let stored = null;
   if (typeof window !== 'undefined') {
     const raw = window.localStorage.getItem(key);
     const parsed = raw ? safeParse(raw) : null;
-    if (parsed?.publicKey && parsed?.privateKey) {
-      return { publicKey: String(parsed.publicKey), privateKey: String(parsed.privateKey) };
-    }
+    if (parsed?.publicKey && parsed?.privateKey) stored = parsed;
   }
 
-  const kp = s.box.keyPair();
-  const publicKey = toBase64(kp.publicKey);
-  const privateKey = toBase64(kp.secretKey);
+  if (!stored) {
+    const kp = s.box.keyPair();
+    stored = { publicKey: toBase64(kp.publicKey), privateKey: toBase64(kp.secretKey) };
+    if (typeof window !== 'undefined') window.localStorage.setItem(key, JSON.stringify(stored));
+  }
 
-  if (typeof window !== 'undefined') {
-    window.localStorage.setItem(key, JSON.stringify({ publicKey, privateKey }));
+  return {
+    publicKey: String(stored.publicKey),
+    privateKey: String(stored.privateKey),
+    signingPublicKey: identitySigningKey(stored.publicKey),
+  };
+}
+
+/**
+ * Replace the stored identity (e.g. with one restored from a key backup). The keypair is
+ * checked for consistency first so a corrupt backup cannot leave the device unusable.
+ */
+export async function replaceIdentityKeypair(email, identity) {
+  const s = await initSodium();
+  const publicKey = fromBase64(identity?.publicKey || '');
+  const privateKey = fromBase64(identity?.privateKey || '');
+  if (privateKey.length !== s.box.secretKeyLength || !u8Equal(s.scalarMult.base(privateKey), publicKey)) {
+    throw new Error('Invalid identity key');
   }
 
-  return { publicKey, privateKey };
+  const stored = { publicKey: toBase64(publicKey), privateKey: toBase64(privateKey) };
+  if (typeof window !== 'undefined') {
+    window.localStorage.setItem(storageKey(email), JSON.stringify(stored));
+  }
+  return { ...stored, signingPublicKey: identitySigningKey(stored.publicKey) };
 }
 
 export async function getIdentityPublicKey(email) {
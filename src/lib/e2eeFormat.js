@@ -1,4 +1,16 @@
-const PREFIX = 'pp_e2ee_v1:';
+// Message bodies carry a versioned prefix followed by base64(JSON payload).
+//   v1: static pairwise key ({ v: 1, nonce, cipher }) or per-recipient group fan-out
+//       ({ v: 2, mode: 'group', recipients }).
+//   v2: double-ratchet messages fanned out to every device of the recipient and the sender
+//       ({ v: 2, mode: 'md', sender_device, devices: { [`${email}:${deviceId}`]: { header, x3dh?, nonce, cipher } } }),
+//       single-session ratchet messages from before devices were registered
+//       ({ v: 2, mode: 'dr', header, x3dh?, nonce, cipher }), or group sender-key messages
+//       ({ v: 2, mode: 'sk', key_id, epoch, n, nonce, cipher, sig }).
+// Readers accept every version; writers pick one explicitly.
+const PREFIXES = {
+  1: 'pp_e2ee_v1:',
+  2: 'pp_e2ee_v2:',
+};
 
 function safeParse(value) {
   try {
@@ -8,15 +20,25 @@ function safeParse(value) {
   }
 }
 
-export function packEncryptedPayload(payloadObj) {
+export function getEnvelopeVersion(body) {
+  const s = String(body || '');
+  for (const [version, prefix] of Object.entries(PREFIXES)) {
+    if (s.startsWith(prefix)) return Number(version);
+  }
+  return null;
+}
+
+export function packEncryptedPayload(payloadObj, { version = 1 } = {}) {
+  const prefix = PREFIXES[version];
+  if (!prefix) throw new Error(`Unsupported envelope version: ${version}`);
   const json = JSON.stringify(payloadObj);
-  return `${PREFIX}${btoa(unescape(encodeURIComponent(json)))}`;
+  return `${prefix}${btoa(unescape(encodeURIComponent(json)))}`;
 }
 
 export function unpackEncryptedPayload(body) {
-  const s = String(body || '');
-  if (!s.startsWith(PREFIX)) return null;
-  const b64 = s.slice(PREFIX.length);
+  const version = getEnvelopeVersion(body);
+  if (!version) return null;
+  const b64 = String(body).slice(PREFIXES[version].length);
   try {
     const json = decodeURIComponent(escape(atob(b64)));
     const parsed = safeParse(json);
@@ -27,5 +49,17 @@ export function unpackEncryptedPayload(body) {
 }
 
 export function isEncryptedBody(body) {
-  return typeof body === 'string' && body.startsWith(PREFIX);
+  return typeof body === 'string' && getEnvelopeVersion(body) !== null;
+}
+
+export function isRatchetPayload(payload) {
+  return !!payload && typeof payload === 'object' && payload.mode === 'dr' && !!payload.header;
+}
+
+export function isSenderKeyPayload(payload) {
+  return !!payload && typeof payload === 'object' && payload.mode === 'sk' && !!payload.key_id;
+}
+
+export function isMultiDevicePayload(payload) {
+  return !!payload && typeof payload === 'object' && payload.mode === 'md' && !!payload.devices && typeof payload.devices === 'object';
 }
@@ -0,0 +1,482 @@
+import {
+  concatBytes,
+  fromBase64,
+  getOrCreateIdentityKeypair,
+  hmacSha512,
+  identitySigningKey,
+  initSodium,
+  signWithIdentity,
+  toBase64,
+  verifyWithIdentity,
+} from './e2eeCrypto';
+import { openAtRest, pruneOldest, readStore, sealAtRest, withLock, writeStore } from './e2eeStore';
+
+// Forward-secret 1:1 messaging: X3DH key agreement followed by a Double Ratchet session
+// per channel (https://signal.org/docs/specifications/x3dh/, .../doubleratchet/). A channel
+// is one conversation between this device and one device of the peer; utils/e2eeMessaging
+// builds the channel ids and fans each message out to every device.
+//
+// Everything here runs on tweetnacl primitives: X25519 (scalarMult / box.keyPair),
+// XEdDSA signatures by the identity key over signed prekeys (see e2eeCrypto), SHA-512 for HMAC/HKDF and XSalsa20-Poly1305
+// (secretbox) for message bodies. secretbox has no associated data, so each message key
+// is bound to the session's identity keys and the message header before use.
+//
+// Local state (see e2eeStore):
+//   prekeys   this device's signed prekey (+ the previous one for late initiators) and
+//             one-time prekeys
+//   sessions  { [channelId]: { active, sessions: { [sessionId]: ratchetState } } }
+//   plaintext bodies of v2 messages this device sent (ratchet keys are one-way, so the
+//             sender cannot decrypt its own messages later) or already decrypted (their
+//             message keys are deleted after use), keyed by a hash of the envelope and
+//             sealed with the device's non-extractable at-rest key (e2eeStore). Without
+//             one (no IndexedDB/WebCrypto) they are kept in memory for the session only.
+// A session's id is the initiator's X3DH ephemeral public key and travels in every header.
+
+const SIGNED_PREKEY_ROTATE_MS = 7 * 24 * 60 * 60 * 1000;
+export const ONE_TIME_PREKEY_TARGET = 50;
+export const ONE_TIME_PREKEY_LOW_WATER = 15;
+const MAX_LOCAL_ONE_TIME_PREKEYS = 300;
+const MAX_SKIP = 1000;
+const MAX_SKIPPED_KEYS = 2000;
+const MAX_SESSIONS_PER_CONVERSATION = 5;
+const PLAINTEXT_CACHE_LIMIT = 2000;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+const X3DH_INFO = textEncoder.encode('pp-x3dh-v1');
+const ROOT_INFO = textEncoder.encode('pp-dr-root-v1');
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function hkdf(s, ikm, salt, info, length) {
+  const prk = hmacSha512(s, salt && salt.length ? salt : new Uint8Array(64), ikm);
+  const out = new Uint8Array(length);
+  let previous = new Uint8Array(0);
+  let offset = 0;
+  for (let counter = 1; offset < length; counter += 1) {
+    previous = hmacSha512(s, prk, concatBytes(previous, info, Uint8Array.of(counter)));
+    const take = Math.min(previous.length, length - offset);
+    out.set(previous.subarray(0, take), offset);
+    offset += take;
+  }
+  return out;
+}
+
+function dh(s, privateKeyB64, publicKeyB64) {
+  const shared = s.scalarMult(fromBase64(privateKeyB64), fromBase64(publicKeyB64));
+  // A low-order peer key yields an all-zero secret; refuse it rather than encrypt to it.
+  if (shared.every((b) => b === 0)) throw new Error('Invalid peer key');
+  return shared;
+}
+
+function newKeyPair(s) {
+  const kp = s.box.keyPair();
+  return { pub: toBase64(kp.publicKey), priv: toBase64(kp.secretKey) };
+}
+
+function kdfRootKey(s, rootKeyB64, dhOut) {
+  const out = hkdf(s, dhOut, fromBase64(rootKeyB64), ROOT_INFO, 64);
+  return { rootKey: toBase64(out.subarray(0, 32)), chainKey: toBase64(out.subarray(32, 64)) };
+}
+
+function kdfChainKey(s, chainKeyB64) {
+  const ck = fromBase64(chainKeyB64);
+  return {
+    messageKey: toBase64(hmacSha512(s, ck, Uint8Array.of(1)).subarray(0, 32)),
+    chainKey: toBase64(hmacSha512(s, ck, Uint8Array.of(2)).subarray(0, 32)),
+  };
+}
+
+function encodeHeader(header) {
+  return textEncoder.encode(`${header.sid}|${header.dh}|${header.pn}|${header.n}`);
+}
+
+// Bind the message key to the session's associated data (both identity keys) and header.
+function bindMessageKey(s, messageKeyB64, adB64, header) {
+  return hmacSha512(s, fromBase64(messageKeyB64), concatBytes(fromBase64(adB64), encodeHeader(header))).subarray(0, 32);
+}
+
+function sealWithMessageKey(s, state, messageKey, header, plaintext) {
+  const nonce = s.randomBytes(s.secretbox.nonceLength);
+  const cipher = s.secretbox(textEncoder.encode(String(plaintext)), nonce, bindMessageKey(s, messageKey, state.ad, header));
+  return { nonce: toBase64(nonce), cipher: toBase64(cipher) };
+}
+
+function openWithMessageKey(s, state, messageKey, header, nonceB64, cipherB64) {
+  const opened = s.secretbox.open(fromBase64(cipherB64), fromBase64(nonceB64), bindMessageKey(s, messageKey, state.ad, header));
+  if (!opened) throw new Error('Failed to decrypt message');
+  return textDecoder.decode(opened);
+}
+
+function skipMessageKeys(s, state, until) {
+  if (!state.ckr) return;
+  if (until - state.nr > MAX_SKIP) throw new Error('Too many skipped messages');
+  while (state.nr < until) {
+    const { messageKey, chainKey } = kdfChainKey(s, state.ckr);
+    state.ckr = chainKey;
+    state.skipped[`${state.dhr}:${state.nr}`] = messageKey;
+    state.nr += 1;
+  }
+  pruneOldest(state.skipped, MAX_SKIPPED_KEYS);
+}
+
+function dhRatchet(s, state, header) {
+  state.pn = state.ns;
+  state.ns = 0;
+  state.nr = 0;
+  state.dhr = header.dh;
+  const recv = kdfRootKey(s, state.rk, dh(s, state.dhs.priv, state.dhr));
+  state.rk = recv.rootKey;
+  state.ckr = recv.chainKey;
+  state.dhs = newKeyPair(s);
+  const send = kdfRootKey(s, state.rk, dh(s, state.dhs.priv, state.dhr));
+  state.rk = send.rootKey;
+  state.cks = send.chainKey;
+}
+
+function ratchetEncrypt(s, state, plaintext) {
+  const { messageKey, chainKey } = kdfChainKey(s, state.cks);
+  state.cks = chainKey;
+  const header = { sid: state.id, dh: state.dhs.pub, pn: state.pn, n: state.ns };
+  state.ns += 1;
+  return { header, ...sealWithMessageKey(s, state, messageKey, header, plaintext) };
+}
+
+function ratchetDecrypt(s, state, header, nonce, cipher) {
+  const skippedId = `${header.dh}:${header.n}`;
+  const skippedKey = state.skipped[skippedId];
+  if (skippedKey) {
+    const text = openWithMessageKey(s, state, skippedKey, header, nonce, cipher);
+    delete state.skipped[skippedId];
+    return text;
+  }
+  if (header.dh !== state.dhr) {
+    skipMessageKeys(s, state, Number(header.pn) || 0);
+    dhRatchet(s, state, header);
+  }
+  skipMessageKeys(s, state, Number(header.n) || 0);
+  const { messageKey, chainKey } = kdfChainKey(s, state.ckr);
+  state.ckr = chainKey;
+  state.nr += 1;
+  return openWithMessageKey(s, state, messageKey, header, nonce, cipher);
+}
+
+function x3dhSecret(s, parts) {
+  const ikm = concatBytes(new Uint8Array(32).fill(0xff), ...parts);
+  return toBase64(hkdf(s, ikm, new Uint8Array(64), X3DH_INFO, 32));
+}
+
+function associatedData(initiatorIdentityB64, responderIdentityB64) {
+  return toBase64(concatBytes(fromBase64(initiatorIdentityB64), fromBase64(responderIdentityB64)));
+}
+
+// The signed prekey must be signed by the bundle's identity key; a signing key that isn't
+// that identity's own Ed25519 form is rejected rather than trusted.
+function verifyBundle(s, bundle) {
+  const spk = bundle?.signed_prekey;
+  if (!bundle?.identity_key || !spk?.public_key || !spk?.signature) return false;
+  try {
+    if (bundle.signing_key && bundle.signing_key !== identitySigningKey(bundle.identity_key)) return false;
+    return verifyWithIdentity(s, bundle.identity_key, fromBase64(spk.public_key), fromBase64(spk.signature));
+  } catch {
+    return false;
+  }
+}
+
+function initiateSession(s, identity, bundle, peerEmail) {
+  if (!verifyBundle(s, bundle)) throw new Error('Recipient prekey signature is invalid');
+  const ek = newKeyPair(s);
+  const spk = bundle.signed_prekey.public_key;
+  const opk = bundle.one_time_prekey?.public_key || null;
+  const parts = [dh(s, identity.privateKey, spk), dh(s, ek.priv, bundle.identity_key), dh(s, ek.priv, spk)];
+  if (opk) parts.push(dh(s, ek.priv, opk));
+  const sk = x3dhSecret(s, parts);
+
+  const dhs = newKeyPair(s);
+  const { rootKey, chainKey } = kdfRootKey(s, sk, dh(s, dhs.priv, spk));
+  return {
+    id: ek.pub,
+    peer: normalizeEmail(peerEmail),
+    role: 'initiator',
+    ad: associatedData(identity.publicKey, bundle.identity_key),
+    dhs,
+    dhr: spk,
+    rk: rootKey,
+    cks: chainKey,
+    ckr: null,
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    skipped: {},
+    confirmed: false,
+    x3dh: {
+      ik: identity.publicKey,
+      ek: ek.pub,
+      spk_id: Number(bundle.signed_prekey.id),
+      opk_id: bundle.one_time_prekey ? Number(bundle.one_time_prekey.id) : null,
+    },
+    created_at: new Date().toISOString(),
+  };
+}
+
+function acceptSession(s, identity, prekeys, x3dh, peerEmail) {
+  const spk = [prekeys.signed, prekeys.previous_signed].find((k) => k && Number(k.id) === Number(x3dh.spk_id));
+  if (!spk) throw new Error('Unknown signed prekey');
+  let opk = null;
+  if (x3dh.opk_id != null) {
+    opk = prekeys.one_time?.[String(x3dh.opk_id)] || null;
+    if (!opk) throw new Error('One-time prekey already used');
+  }
+  const parts = [dh(s, spk.priv, x3dh.ik), dh(s, identity.privateKey, x3dh.ek), dh(s, spk.priv, x3dh.ek)];
+  if (opk) parts.push(dh(s, opk.priv, x3dh.ek));
+  return {
+    id: x3dh.ek,
+    peer: normalizeEmail(peerEmail),
+    role: 'responder',
+    ad: associatedData(x3dh.ik, identity.publicKey),
+    dhs: { pub: spk.pub, priv: spk.priv },
+    dhr: null,
+    rk: x3dhSecret(s, parts),
+    cks: null,
+    ckr: null,
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    skipped: {},
+    confirmed: true,
+    x3dh: null,
+    created_at: new Date().toISOString(),
+  };
+}
+
+function pruneSessions(convo) {
+  const ids = Object.keys(convo.sessions);
+  if (ids.length <= MAX_SESSIONS_PER_CONVERSATION) return;
+  const removable = ids
+    .filter((id) => id !== convo.active)
+    .sort((a, b) => String(convo.sessions[a].created_at).localeCompare(String(convo.sessions[b].created_at)));
+  for (const id of removable.slice(0, ids.length - MAX_SESSIONS_PER_CONVERSATION)) delete convo.sessions[id];
+}
+
+function newPrekey(s, id) {
+  return { id, ...newKeyPair(s) };
+}
+
+/**
+ * Build the prekey part of a /me/public-key upload, rotating the signed prekey when due
+ * and minting enough one-time prekeys to bring the server back to ONE_TIME_PREKEY_TARGET.
+ * Pass `remoteOneTimeCount: null` to publish the signed prekey only.
+ */
+export async function buildPrekeyUpload(email, { remoteOneTimeCount = null } = {}) {
+  const s = await initSodium();
+  const identity = await getOrCreateIdentityKeypair(email);
+
+  return withLock(email, () => {
+    const store = readStore('prekeys', email, {});
+    store.one_time = store.one_time && typeof store.one_time === 'object' ? store.one_time : {};
+    let nextId = Number(store.next_id) || 1;
+
+    if (store.signed && store.signed.identity !== identity.publicKey) {
+      // A new identity (reset or restored from backup) starts a fresh prekey set; the server
+      // drops the old one with the device's previous identity.
+      store.signed = null;
+      store.previous_signed = null;
+      store.one_time = {};
+    }
+
+    const signedAge = store.signed?.created_at ? Date.now() - Date.parse(store.signed.created_at) : Infinity;
+    // Prekeys signed by the separate signing key of older builds don't verify any more.
+    const signedByIdentity = store.signed?.signing_key === identity.signingPublicKey;
+    if (!store.signed || !signedByIdentity || !(signedAge < SIGNED_PREKEY_ROTATE_MS)) {
+      // Keep the outgoing signed prekey so sessions started against it still complete.
+      store.previous_signed = store.signed || null;
+      const spk = newPrekey(s, nextId);
+      nextId += 1;
+      const signature = signWithIdentity(s, identity.privateKey, fromBase64(spk.pub));
+      store.signed = {
+        ...spk,
+        signature: toBase64(signature),
+        identity: identity.publicKey,
+        signing_key: identity.signingPublicKey,
+        created_at: new Date().toISOString(),
+      };
+    }
+
+    const oneTime = [];
+    if (remoteOneTimeCount !== null && remoteOneTimeCount < ONE_TIME_PREKEY_LOW_WATER) {
+      for (let i = remoteOneTimeCount; i < ONE_TIME_PREKEY_TARGET; i += 1) {
+        const opk = newPrekey(s, nextId);
+        nextId += 1;
+        store.one_time[String(opk.id)] = { pub: opk.pub, priv: opk.priv };
+        oneTime.push({ id: opk.id, public_key: opk.pub });
+      }
+      // Claimed-but-never-used prekeys would otherwise accumulate forever.
+      pruneOldest(store.one_time, MAX_LOCAL_ONE_TIME_PREKEYS);
+    }
+
+    store.next_id = nextId;
+    writeStore('prekeys', email, store);
+
+    return {
+      signing_key: identity.signingPublicKey,
+      signed_prekey: { id: store.signed.id, public_key: store.signed.pub, signature: store.signed.signature },
+      one_time_prekeys: oneTime,
+    };
+  });
+}
+
+export function hasRatchetSession(myEmail, channelId) {
+  const store = readStore('sessions', myEmail, {});
+  const convo = store[String(channelId || '')];
+  return !!(convo?.active && convo.sessions?.[convo.active]);
+}
+
+/** Forget every session and prekey, e.g. after this device's identity was replaced. */
+export async function resetRatchetState(myEmail) {
+  return withLock(myEmail, () => {
+    writeStore('sessions', myEmail, {});
+    writeStore('prekeys', myEmail, {});
+  });
+}
+
+/**
+ * Encrypt `plaintext` on the channel's active ratchet session, starting one via X3DH
+ * when there is none. `loadPeerBundle` is only called in that case and should claim a
+ * one-time prekey; when it resolves to null (peer has not published prekeys) this returns
+ * null and the caller should fall back to the v1 envelope.
+ */
+export async function encryptRatchetMessage({ myEmail, channelId, peerEmail, plaintext, loadPeerBundle }) {
+  const s = await initSodium();
+  const identity = await getOrCreateIdentityKeypair(myEmail);
+  const convoKey = String(channelId || '');
+  if (!convoKey) throw new Error('Missing channel');
+
+  return withLock(myEmail, async () => {
+    const store = readStore('sessions', myEmail, {});
+    const convo = store[convoKey] || { active: null, sessions: {} };
+    let state = convo.active ? convo.sessions[convo.active] : null;
+
+    if (!state) {
+      const bundle = typeof loadPeerBundle === 'function' ? await loadPeerBundle() : null;
+      if (!bundle) return null;
+      state = initiateSession(s, identity, bundle, peerEmail);
+      convo.sessions[state.id] = state;
+      convo.active = state.id;
+    }
+
+    const working = JSON.parse(JSON.stringify(state));
+    const sealed = ratchetEncrypt(s, working, plaintext);
+    const payload = { v: 2, mode: 'dr', ...sealed };
+    // Until the peer answers, every message carries the X3DH parameters so whichever one
+    // arrives first can establish the session.
+    if (working.role === 'initiator' && !working.confirmed && working.x3dh) payload.x3dh = working.x3dh;
+
+    convo.sessions[working.id] = working;
+    pruneSessions(convo);
+    store[convoKey] = convo;
+    writeStore('sessions', myEmail, store);
+    return payload;
+  });
+}
+
+/**
+ * Decrypt a v2 ratchet payload. `peerIdentityKey`, when known, must match the identity the
+ * sender used in X3DH. Session state is only persisted after a successful decrypt.
+ */
+export async function decryptRatchetMessage({ myEmail, channelId, peerEmail, payload, peerIdentityKey = null }) {
+  const s = await initSodium();
+  const identity = await getOrCreateIdentityKeypair(myEmail);
+  const convoKey = String(channelId || '');
+  const header = payload?.header;
+  if (!convoKey || !header?.sid || !header?.dh) throw new Error('Malformed message');
+
+  return withLock(myEmail, () => {
+    const store = readStore('sessions', myEmail, {});
+    const convo = store[convoKey] || { active: null, sessions: {} };
+    let state = convo.sessions[header.sid] || null;
+    let prekeys = null;
+    const isNew = !state;
+
+    if (isNew) {
+      const x3dh = payload?.x3dh;
+      if (!x3dh || x3dh.ek !== header.sid) throw new Error('No session for message');
+      if (peerIdentityKey && x3dh.ik !== peerIdentityKey) throw new Error('Sender identity key mismatch');
+      prekeys = readStore('prekeys', myEmail, {});
+      state = acceptSession(s, identity, prekeys, x3dh, peerEmail);
+    }
+
+    const working = JSON.parse(JSON.stringify(state));
+    const text = ratchetDecrypt(s, working, header, payload.nonce, payload.cipher);
+    if (working.role === 'initiator' && !working.confirmed) {
+      working.confirmed = true;
+      working.x3dh = null;
+    }
+    convo.sessions[working.id] = working;
+
+    if (isNew) {
+      // Simultaneous starts leave both sides with their own unconfirmed session; both
+      // converge on the lower session id. A new session replacing a confirmed one means the
+      // peer lost theirs, so follow it.
+      const active = convo.active ? convo.sessions[convo.active] : null;
+      if (!active || active.confirmed || working.id < active.id) convo.active = working.id;
+
+      if (payload.x3dh.opk_id != null && prekeys?.one_time) {
+        delete prekeys.one_time[String(payload.x3dh.opk_id)];
+        writeStore('prekeys', myEmail, prekeys);
+      }
+    }
+
+    pruneSessions(convo);
+    store[convoKey] = convo;
+    writeStore('sessions', myEmail, store);
+    return text;
+  });
+}
+
+async function plaintextCacheKey(body) {
+  const s = await initSodium();
+  return toBase64(s.hash(textEncoder.encode(String(body || ''))).subarray(0, 18));
+}
+
+// Per-user fallback when the device has no at-rest key.
+const memoryPlaintext = new Map();
+
+function memoryPlaintextCache(myEmail) {
+  const email = normalizeEmail(myEmail);
+  if (!memoryPlaintext.has(email)) memoryPlaintext.set(email, {});
+  return memoryPlaintext.get(email);
+}
+
+export async function rememberPlaintext(myEmail, body, plaintext) {
+  const key = await plaintextCacheKey(body);
+  const sealed = await sealAtRest(String(plaintext), key);
+  if (!sealed) {
+    const cache = memoryPlaintextCache(myEmail);
+    delete cache[key];
+    cache[key] = String(plaintext);
+    pruneOldest(cache, PLAINTEXT_CACHE_LIMIT);
+    return;
+  }
+  return withLock(myEmail, async () => {
+    const cache = readStore('plaintext', myEmail, {});
+    // Older builds stored plaintext; seal those entries on the way through.
+    for (const [k, value] of Object.entries(cache)) {
+      if (typeof value === 'string') cache[k] = await sealAtRest(value, k);
+    }
+    delete cache[key];
+    cache[key] = sealed;
+    pruneOldest(cache, PLAINTEXT_CACHE_LIMIT);
+    writeStore('plaintext', myEmail, cache);
+  });
+}
+
+export async function recallPlaintext(myEmail, body) {
+  const key = await plaintextCacheKey(body);
+  const inMemory = memoryPlaintextCache(myEmail)[key];
+  if (typeof inMemory === 'string') return inMemory;
+  const entry = readStore('plaintext', myEmail, {})[key];
+  if (typeof entry === 'string') return entry;
+  return entry && typeof entry === 'object' ? openAtRest(entry, key) : null;
+}
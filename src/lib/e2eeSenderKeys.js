@@ -0,0 +1,249 @@
+import { concatBytes, fromBase64, hmacSha512, initSodium, toBase64 } from './e2eeCrypto';
+import { pruneOldest, readStore, withLock, writeStore } from './e2eeStore';
+
+// Sender-key encryption for group conversations (the scheme behind Signal's groups).
+//
+// Each member device owns one sender key per group and epoch: a symmetric chain key that is
+// hashed forward after every message, plus an Ed25519 keypair that signs each ciphertext
+// so members holding the chain key still cannot forge messages from its owner. Devices
+// hand their sender key to every other member device over pairwise E2EE (see
+// utils/e2eeMessaging); the
+// copy carries the chain at its current position, so a newcomer cannot read history.
+// When someone is removed the server bumps the group's key epoch and every member starts
+// a fresh sender key that the removed member never receives.
+//
+// Local state (kind 'senderkeys'):
+//   { [conversationId]: { own: ownKey|null, own_key_ids: [keyId], peers: { [`${sender}:${keyId}`]: peerKey } } }
+// `own.distributed_to` lists the `${email}:${deviceId}` targets already holding the own key.
+
+const MAX_SKIP = 1000;
+const MAX_SKIPPED_KEYS = 500;
+const MAX_PEER_KEYS_PER_CONVERSATION = 100;
+const MAX_OWN_KEY_IDS = 20;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function stepChain(s, chainKeyB64) {
+  const ck = fromBase64(chainKeyB64);
+  return {
+    messageKey: toBase64(hmacSha512(s, ck, Uint8Array.of(1)).subarray(0, 32)),
+    chainKey: toBase64(hmacSha512(s, ck, Uint8Array.of(2)).subarray(0, 32)),
+  };
+}
+
+function headerBytes(conversationId, senderEmail, keyId, n) {
+  return textEncoder.encode(`${conversationId}|${normalizeEmail(senderEmail)}|${keyId}|${n}`);
+}
+
+function bindKey(s, messageKeyB64, header) {
+  return hmacSha512(s, fromBase64(messageKeyB64), header).subarray(0, 32);
+}
+
+function loadConversation(store, conversationId) {
+  const convo = store[conversationId] && typeof store[conversationId] === 'object' ? store[conversationId] : {};
+  return {
+    own: convo.own || null,
+    own_key_ids: Array.isArray(convo.own_key_ids) ? convo.own_key_ids : [],
+    peers: convo.peers && typeof convo.peers === 'object' ? convo.peers : {},
+  };
+}
+
+/**
+ * This member's sender key for `epoch`, creating a fresh one when there is none or the
+ * epoch has moved on. `distributed_to` lists members who already hold it.
+ */
+export async function getOwnSenderKey(myEmail, conversationId, epoch) {
+  const s = await initSodium();
+  const id = String(conversationId);
+  return withLock(myEmail, () => {
+    const store = readStore('senderkeys', myEmail, {});
+    const convo = loadConversation(store, id);
+    if (convo.own && Number(convo.own.epoch) === Number(epoch)) return convo.own;
+
+    const signing = s.sign.keyPair();
+    convo.own = {
+      key_id: toBase64(s.randomBytes(12)),
+      epoch: Number(epoch) || 0,
+      chain_key: toBase64(s.randomBytes(32)),
+      index: 0,
+      signing_key: toBase64(signing.publicKey),
+      signing_private_key: toBase64(signing.secretKey),
+      distributed_to: [],
+      created_at: new Date().toISOString(),
+    };
+    convo.own_key_ids = [...convo.own_key_ids, convo.own.key_id].slice(-MAX_OWN_KEY_IDS);
+    store[id] = convo;
+    writeStore('senderkeys', myEmail, store);
+    return convo.own;
+  });
+}
+
+/** The shareable part of an own sender key, sent to each member over pairwise E2EE. */
+export function senderKeyDistribution(own) {
+  return {
+    type: 'sender_key',
+    key_id: own.key_id,
+    epoch: own.epoch,
+    chain_key: own.chain_key,
+    index: own.index,
+    signing_key: own.signing_key,
+  };
+}
+
+export async function markSenderKeyDistributed(myEmail, conversationId, keyId, targets) {
+  const id = String(conversationId);
+  return withLock(myEmail, () => {
+    const store = readStore('senderkeys', myEmail, {});
+    const convo = loadConversation(store, id);
+    if (!convo.own || convo.own.key_id !== keyId) return;
+    convo.own.distributed_to = Array.from(new Set([...(convo.own.distributed_to || []), ...targets.map(String)]));
+    store[id] = convo;
+    writeStore('senderkeys', myEmail, store);
+  });
+}
+
+export async function encryptWithSenderKey(myEmail, conversationId, epoch, plaintext) {
+  const s = await initSodium();
+  const id = String(conversationId);
+  return withLock(myEmail, () => {
+    const store = readStore('senderkeys', myEmail, {});
+    const convo = loadConversation(store, id);
+    const own = convo.own;
+    if (!own || Number(own.epoch) !== Number(epoch)) throw new Error('Sender key is not ready');
+
+    const n = own.index;
+    const { messageKey, chainKey } = stepChain(s, own.chain_key);
+    const header = headerBytes(id, myEmail, own.key_id, n);
+    const nonce = s.randomBytes(s.secretbox.nonceLength);
+    const cipher = s.secretbox(textEncoder.encode(String(plaintext)), nonce, bindKey(s, messageKey, header));
+    const sig = s.sign.detached(concatBytes(header, nonce, cipher), fromBase64(own.signing_private_key));
+
+    own.chain_key = chainKey;
+    own.index = n + 1;
+    store[id] = convo;
+    writeStore('senderkeys', myEmail, store);
+
+    return {
+      v: 2,
+      mode: 'sk',
+      key_id: own.key_id,
+      epoch: own.epoch,
+      n,
+      nonce: toBase64(nonce),
+      cipher: toBase64(cipher),
+      sig: toBase64(sig),
+    };
+  });
+}
+
+/** True when `keyId` is (or was) this device's own sender key in the conversation. */
+export function isOwnSenderKey(myEmail, conversationId, keyId) {
+  const store = readStore('senderkeys', myEmail, {});
+  return loadConversation(store, String(conversationId)).own_key_ids.includes(String(keyId));
+}
+
+/** Drop this device's own sender keys everywhere so fresh ones get distributed. */
+export async function resetOwnSenderKeys(myEmail) {
+  return withLock(myEmail, () => {
+    const store = readStore('senderkeys', myEmail, {});
+    for (const id of Object.keys(store)) {
+      store[id] = { ...loadConversation(store, id), own: null };
+    }
+    writeStore('senderkeys', myEmail, store);
+  });
+}
+
+export async function listImportedSenderKeys(myEmail, conversationId) {
+  const store = readStore('senderkeys', myEmail, {});
+  return new Set(Object.keys(loadConversation(store, String(conversationId)).peers));
+}
+
+/** Store a member's sender key received over pairwise E2EE. Existing copies are kept. */
+export async function importSenderKey(myEmail, conversationId, senderEmail, distribution) {
+  const id = String(conversationId);
+  const sender = normalizeEmail(senderEmail);
+  if (distribution?.type !== 'sender_key' || !distribution.key_id || !distribution.chain_key || !distribution.signing_key) {
+    throw new Error('Malformed sender key');
+  }
+  return withLock(myEmail, () => {
+    const store = readStore('senderkeys', myEmail, {});
+    const convo = loadConversation(store, id);
+    const peerId = `${sender}:${distribution.key_id}`;
+    if (convo.peers[peerId]) return;
+    convo.peers[peerId] = {
+      sender,
+      key_id: String(distribution.key_id),
+      epoch: Number(distribution.epoch) || 0,
+      chain_key: String(distribution.chain_key),
+      index: Number(distribution.index) || 0,
+      signing_key: String(distribution.signing_key),
+      skipped: {},
+    };
+    pruneOldest(convo.peers, MAX_PEER_KEYS_PER_CONVERSATION);
+    store[id] = convo;
+    writeStore('senderkeys', myEmail, store);
+  });
+}
+
+/**
+ * Decrypt a group message. Throws an error with code SENDER_KEY_MISSING when the sender's
+ * key has not been imported yet, so the caller can sync keys and retry.
+ */
+export async function decryptWithSenderKey(myEmail, conversationId, senderEmail, payload) {
+  const s = await initSodium();
+  const id = String(conversationId);
+  const sender = normalizeEmail(senderEmail);
+  return withLock(myEmail, () => {
+    const store = readStore('senderkeys', myEmail, {});
+    const convo = loadConversation(store, id);
+    const peer = convo.peers[`${sender}:${payload?.key_id}`];
+    if (!peer) {
+      const err = new Error('Sender key not available');
+      err.code = 'SENDER_KEY_MISSING';
+      throw err;
+    }
+
+    const n = Number(payload.n);
+    if (!Number.isInteger(n) || n < 0) throw new Error('Malformed message');
+    const header = headerBytes(id, sender, peer.key_id, n);
+    const nonce = fromBase64(payload.nonce);
+    const cipher = fromBase64(payload.cipher);
+    if (!s.sign.detached.verify(concatBytes(header, nonce, cipher), fromBase64(payload.sig || ''), fromBase64(peer.signing_key))) {
+      throw new Error('Invalid message signature');
+    }
+
+    const working = JSON.parse(JSON.stringify(peer));
+    let messageKey = null;
+    if (n < working.index) {
+      messageKey = working.skipped[String(n)] || null;
+      if (!messageKey) throw new Error('Message key already used');
+      delete working.skipped[String(n)];
+    } else {
+      if (n - working.index > MAX_SKIP) throw new Error('Too many skipped messages');
+      while (working.index < n) {
+        const step = stepChain(s, working.chain_key);
+        working.skipped[String(working.index)] = step.messageKey;
+        working.chain_key = step.chainKey;
+        working.index += 1;
+      }
+      const step = stepChain(s, working.chain_key);
+      messageKey = step.messageKey;
+      working.chain_key = step.chainKey;
+      working.index += 1;
+      pruneOldest(working.skipped, MAX_SKIPPED_KEYS);
+    }
+
+    const opened = s.secretbox.open(cipher, nonce, bindKey(s, messageKey, header));
+    if (!opened) throw new Error('Failed to decrypt message');
+
+    convo.peers[`${sender}:${peer.key_id}`] = working;
+    store[id] = convo;
+    writeStore('senderkeys', myEmail, store);
+    return textDecoder.decode(opened);
+  });
+}
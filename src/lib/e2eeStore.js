@@ -0,0 +1,159 @@
+// Per-user E2EE state in localStorage (`peoplepower:e2ee:<kind>:<email>`), next to the
+// identity key kept by e2eeCrypto.
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function storageKey(kind, email) {
+  return `peoplepower:e2ee:${kind}:${normalizeEmail(email)}`;
+}
+
+export function readStore(kind, email, fallback) {
+  if (typeof window === 'undefined') return fallback;
+  try {
+    const raw = window.localStorage.getItem(storageKey(kind, email));
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === 'object' ? parsed : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeStore(kind, email, value) {
+  if (typeof window === 'undefined') return;
+  window.localStorage.setItem(storageKey(kind, email), JSON.stringify(value));
+}
+
+// Store updates are read-modify-write; serialize them per user so concurrent decrypts (one
+// per rendered message) don't clobber each other.
+const locks = new Map();
+
+export function withLock(email, fn) {
+  const key = normalizeEmail(email);
+  const prev = locks.get(key) || Promise.resolve();
+  const run = prev.then(fn, fn);
+  const settled = run.catch(() => {});
+  locks.set(key, settled);
+  settled.then(() => {
+    if (locks.get(key) === settled) locks.delete(key);
+  });
+  return run;
+}
+
+// Drop the oldest entries (insertion order) of a plain-object map beyond `limit`.
+export function pruneOldest(map, limit) {
+  const keys = Object.keys(map);
+  for (let i = 0; i < keys.length - limit; i += 1) delete map[keys[i]];
+}
+
+// Non-extractable AES-GCM key for data this device keeps at rest (the plaintext cache in
+// e2eeRatchet). It lives in IndexedDB as a CryptoKey, so scripts can use it on this device
+// but cannot read it out, and a copy of localStorage alone doesn't reveal what it protects.
+// Resolves to null where IndexedDB or WebCrypto is unavailable.
+const DEVICE_KEY_DB = 'peoplepower-e2ee';
+const DEVICE_KEY_STORE = 'keys';
+const DEVICE_KEY_ID = 'at-rest';
+let deviceKeyPromise = null;
+
+function idbResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function loadDeviceKey() {
+  if (typeof indexedDB === 'undefined' || !globalThis.crypto?.subtle) return null;
+  const open = indexedDB.open(DEVICE_KEY_DB, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore(DEVICE_KEY_STORE);
+  const db = await idbResult(open);
+  const read = () => idbResult(db.transaction(DEVICE_KEY_STORE).objectStore(DEVICE_KEY_STORE).get(DEVICE_KEY_ID));
+  try {
+    const existing = await read();
+    if (existing) return existing;
+    const key = await globalThis.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    try {
+      await idbResult(db.transaction(DEVICE_KEY_STORE, 'readwrite').objectStore(DEVICE_KEY_STORE).add(key, DEVICE_KEY_ID));
+      return key;
+    } catch {
+      // Another tab created it first.
+      return (await read()) || null;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+function getDeviceKey() {
+  if (!deviceKeyPromise) deviceKeyPromise = loadDeviceKey().catch(() => null);
+  return deviceKeyPromise;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+function base64ToBytes(value) {
+  return Uint8Array.from(atob(String(value || '')), (c) => c.charCodeAt(0));
+}
+
+/**
+ * Encrypt `text` with the device key: { iv, ct }, or null when there is no device key.
+ * `label` is bound as associated data, so a sealed value only opens under the same label.
+ */
+export async function sealAtRest(text, label) {
+  const key = await getDeviceKey();
+  if (!key) return null;
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  const ct = await globalThis.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(String(label)) },
+    key,
+    new TextEncoder().encode(String(text))
+  );
+  return { iv: bytesToBase64(iv), ct: bytesToBase64(new Uint8Array(ct)) };
+}
+
+/** Open a sealAtRest() value; null when it cannot be opened here. */
+export async function openAtRest(sealed, label) {
+  const key = await getDeviceKey();
+  if (!key || !sealed?.iv || !sealed?.ct) return null;
+  try {
+    const plain = await globalThis.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(sealed.iv), additionalData: new TextEncoder().encode(String(label)) },
+      key,
+      base64ToBytes(sealed.ct)
+    );
+    return new TextDecoder().decode(plain);
+  } catch {
+    return null;
+  }
+}
+
+// Stable id for this browser or app install. It is not secret; it only tells one user's
+// devices apart. Clearing storage drops the device's keys along with it, so a fresh id then
+// is correct.
+const DEVICE_ID_KEY = 'peoplepower:e2ee:deviceId';
+let cachedDeviceId = null;
+
+export function getDeviceId() {
+  if (cachedDeviceId) return cachedDeviceId;
+  let id = null;
+  if (typeof window !== 'undefined') {
+    try {
+      id = window.localStorage.getItem(DEVICE_ID_KEY);
+    } catch {
+      id = null;
+    }
+  }
+  if (!id || !/^[A-Za-z0-9_-]{8,64}$/.test(id)) {
+    const bytes = new Uint8Array(16);
+    globalThis.crypto.getRandomValues(bytes);
+    id = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    if (typeof window !== 'undefined') window.localStorage.setItem(DEVICE_ID_KEY, id);
+  }
+  cachedDeviceId = id;
+  return id;
+}
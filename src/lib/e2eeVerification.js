@@ -0,0 +1,127 @@
+import { concatBytes, fromBase64, initSodium } from './e2eeCrypto';
+import { readStore, withLock, writeStore } from './e2eeStore';
+
+// Identity verification: safety numbers and a trust-on-first-use record of each contact's
+// identity key.
+//
+// A safety number is 60 digits derived from both people's identity keys (Signal's
+// numeric fingerprint: iterated SHA-512 over the key and email, 30 digits per side, lower
+// half first so both ends show the same number). Comparing it in person or by scanning the
+// other phone's QR code proves nobody substituted a key on the server.
+//
+// Local state (kind 'trust'):
+//   { [peerEmail]: { identity_key, verified, first_seen_at, changed_at, previous_identity_key, acknowledged } }
+
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+const QR_PREFIX = 'peoplepower-safety:1:';
+
+const textEncoder = new TextEncoder();
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function fingerprintDigits(s, email, identityKeyB64) {
+  const key = fromBase64(identityKeyB64);
+  let hash = concatBytes(Uint8Array.of(0, FINGERPRINT_VERSION), key, textEncoder.encode(normalizeEmail(email)));
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i += 1) {
+    hash = s.hash(concatBytes(hash, key));
+  }
+  let digits = '';
+  for (let chunk = 0; chunk < 6; chunk += 1) {
+    let value = 0;
+    for (let i = 0; i < 5; i += 1) value = value * 256 + hash[chunk * 5 + i];
+    digits += String(value % 100000).padStart(5, '0');
+  }
+  return digits;
+}
+
+export async function computeSafetyNumber({ myEmail, myIdentityKey, peerEmail, peerIdentityKey }) {
+  const s = await initSodium();
+  const mine = fingerprintDigits(s, myEmail, myIdentityKey);
+  const theirs = fingerprintDigits(s, peerEmail, peerIdentityKey);
+  return mine < theirs ? `${mine}${theirs}` : `${theirs}${mine}`;
+}
+
+/** Split a safety number into the 5-digit groups it is displayed in. */
+export function formatSafetyNumber(number) {
+  return String(number || '').match(/\d{5}/g) || [];
+}
+
+export function safetyNumberQrValue(number) {
+  return `${QR_PREFIX}${number}`;
+}
+
+/** Compare a scanned QR code with the local safety number: 'match', 'mismatch' or 'invalid'. */
+export function matchSafetyNumberQr(scanned, number) {
+  const value = String(scanned || '').trim();
+  if (!value.startsWith(QR_PREFIX)) return 'invalid';
+  const digits = value.slice(QR_PREFIX.length);
+  if (!/^\d{60}$/.test(digits)) return 'invalid';
+  return digits === String(number) ? 'match' : 'mismatch';
+}
+
+function describe(record) {
+  return {
+    identity_key: record.identity_key,
+    verified: !!record.verified,
+    changed: !!record.changed_at && !record.acknowledged,
+    changed_at: record.changed_at || null,
+  };
+}
+
+/**
+ * Record the identity key currently published for `peerEmail`. The first key seen is
+ * trusted; a different key later is remembered as a change (and clears verification) until
+ * acknowledged.
+ */
+export async function observePeerIdentity(myEmail, peerEmail, identityKey) {
+  const peer = normalizeEmail(peerEmail);
+  if (!peer || !identityKey) return null;
+  return withLock(myEmail, () => {
+    const store = readStore('trust', myEmail, {});
+    const now = new Date().toISOString();
+    const record = store[peer];
+    if (!record) {
+      store[peer] = { identity_key: identityKey, verified: false, first_seen_at: now, changed_at: null, acknowledged: true };
+    } else if (record.identity_key !== identityKey) {
+      store[peer] = {
+        ...record,
+        previous_identity_key: record.identity_key,
+        identity_key: identityKey,
+        verified: false,
+        changed_at: now,
+        acknowledged: false,
+      };
+    } else {
+      return describe(record);
+    }
+    writeStore('trust', myEmail, store);
+    return describe(store[peer]);
+  });
+}
+
+export async function acknowledgeIdentityChange(myEmail, peerEmail) {
+  const peer = normalizeEmail(peerEmail);
+  return withLock(myEmail, () => {
+    const store = readStore('trust', myEmail, {});
+    if (!store[peer]) return null;
+    store[peer] = { ...store[peer], acknowledged: true };
+    writeStore('trust', myEmail, store);
+    return describe(store[peer]);
+  });
+}
+
+/** Mark (or unmark) `identityKey` as verified; ignored if the contact's key has moved on. */
+export async function setPeerVerified(myEmail, peerEmail, identityKey, verified) {
+  const peer = normalizeEmail(peerEmail);
+  return withLock(myEmail, () => {
+    const store = readStore('trust', myEmail, {});
+    const record = store[peer];
+    if (!record || record.identity_key !== identityKey) return record ? describe(record) : null;
+    store[peer] = { ...record, verified: !!verified, acknowledged: true };
+    writeStore('trust', myEmail, store);
+    return describe(store[peer]);
+  });
+}
@@ -0,0 +1,273 @@
+// Entity query engine shared by the EntityStore Durable Object (cloudflare/src/entityStore.js)
+// and the local dev client (src/api/dataClient.js), so both backends return identical results.
+//
+// Filter operators (values without `$` keys are equality matches):
+//   $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+//   $prefix (case-insensitive string prefix), $contains (array field contains value / all values),
+//   $exists, plus top-level $and / $or arrays.
+// Numbers compare numerically, date strings chronologically, everything else as strings.
+
+const COMPARISON_OPERATORS = new Set(['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$prefix', '$contains', '$exists']);
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function isOperatorObject(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((k) => k.startsWith('$'));
+}
+
+function getFieldValue(record, field) {
+  if (!field.includes('.')) return record?.[field];
+  let cur = record;
+  for (const part of field.split('.')) {
+    if (cur == null) return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function toTime(value) {
+  if (typeof value !== 'string' && !(value instanceof Date)) return null;
+  const t = new Date(value).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+function compareValues(av, bv) {
+  const an = typeof av === 'number' ? av : Number(av);
+  const bn = typeof bv === 'number' ? bv : Number(bv);
+  if (Number.isFinite(an) && Number.isFinite(bn) && av !== '' && bv !== '') return an - bn;
+
+  const at = toTime(av);
+  const bt = toTime(bv);
+  if (at != null && bt != null) return at - bt;
+
+  return String(av).localeCompare(String(bv));
+}
+
+function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function matchesOperator(value, op, arg) {
+  switch (op) {
+    case '$eq':
+      return valuesEqual(value, arg);
+    case '$ne':
+      return !valuesEqual(value, arg);
+    case '$gt':
+      return value != null && compareValues(value, arg) > 0;
+    case '$gte':
+      return value != null && compareValues(value, arg) >= 0;
+    case '$lt':
+      return value != null && compareValues(value, arg) < 0;
+    case '$lte':
+      return value != null && compareValues(value, arg) <= 0;
+    case '$in':
+      return Array.isArray(value)
+        ? value.some((v) => arg.some((a) => valuesEqual(v, a)))
+        : arg.some((a) => valuesEqual(value, a));
+    case '$nin':
+      return !matchesOperator(value, '$in', arg);
+    case '$prefix':
+      return typeof value === 'string' && value.toLowerCase().startsWith(String(arg).toLowerCase());
+    case '$contains': {
+      if (!Array.isArray(value)) return false;
+      const wanted = Array.isArray(arg) ? arg : [arg];
+      return wanted.every((w) => value.some((v) => valuesEqual(v, w)));
+    }
+    case '$exists':
+      return (value !== undefined && value !== null) === !!arg;
+    default:
+      return false;
+  }
+}
+
+function matchesCondition(value, condition) {
+  if (!isOperatorObject(condition)) return valuesEqual(value, condition);
+  return Object.entries(condition).every(([op, arg]) => matchesOperator(value, op, arg));
+}
+
+function matchesWhere(record, where) {
+  if (!where) return true;
+  for (const [k, v] of Object.entries(where)) {
+    if (k === '$and') {
+      if (!v.every((sub) => matchesWhere(record, sub))) return false;
+    } else if (k === '$or') {
+      if (!v.some((sub) => matchesWhere(record, sub))) return false;
+    } else if (!matchesCondition(getFieldValue(record, k), v)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Returns an error message for a malformed `where`, or null when it is usable.
+ */
+export function validateWhere(where) {
+  if (where == null) return null;
+  if (!isPlainObject(where)) return 'where must be an object';
+  for (const [k, v] of Object.entries(where)) {
+    if (k === '$and' || k === '$or') {
+      if (!Array.isArray(v)) return `${k} must be an array`;
+      for (const sub of v) {
+        const err = validateWhere(sub);
+        if (err) return err;
+      }
+      continue;
+    }
+    if (k.startsWith('$')) return `Unsupported operator ${k}`;
+    if (!isOperatorObject(v)) continue;
+    for (const [op, arg] of Object.entries(v)) {
+      if (!COMPARISON_OPERATORS.has(op)) return `Unsupported operator ${op}`;
+      if ((op === '$in' || op === '$nin') && !Array.isArray(arg)) return `${op} expects an array`;
+      if (op === '$prefix' && typeof arg !== 'string') return '$prefix expects a string';
+    }
+  }
+  return null;
+}
+
+/**
+ * Accepts "-created_date", "status,-created_date" or ['status', '-created_date'].
+ */
+function normalizeSort(sort) {
+  if (!sort) return [];
+  const list = Array.isArray(sort) ? sort : String(sort).split(',');
+  return list
+    .map((s) => String(s || '').trim())
+    .filter((s) => s && s !== '-')
+    .map((s) => (s.startsWith('-') ? { field: s.slice(1), desc: true } : { field: s, desc: false }));
+}
+
+function compareForSort(a, b, keys) {
+  for (const { field, desc } of keys) {
+    const av = getFieldValue(a, field);
+    const bv = getFieldValue(b, field);
+    let cmp = 0;
+    if (av == null && bv == null) cmp = 0;
+    else if (av == null) cmp = 1;
+    else if (bv == null) cmp = -1;
+    else cmp = compareValues(av, bv);
+    if (cmp !== 0) return desc ? -cmp : cmp;
+  }
+  // Stable tiebreak so cursors always land on a well-defined position.
+  return String(a?.id ?? '').localeCompare(String(b?.id ?? ''));
+}
+
+function encodeCursor(record, keys) {
+  const payload = JSON.stringify({ v: keys.map(({ field }) => getFieldValue(record, field) ?? null), id: record?.id ?? null });
+  const bytes = new TextEncoder().encode(payload);
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor, keys) {
+  try {
+    const b64 = String(cursor).replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    const parsed = JSON.parse(new TextDecoder().decode(bytes));
+    if (!Array.isArray(parsed?.v) || parsed.v.length !== keys.length) return null;
+    const anchor = { id: parsed.id };
+    keys.forEach(({ field }, idx) => {
+      const parts = field.split('.');
+      let target = anchor;
+      for (const part of parts.slice(0, -1)) {
+        if (!isPlainObject(target[part])) target[part] = {};
+        target = target[part];
+      }
+      target[parts[parts.length - 1]] = parsed.v[idx];
+    });
+    return anchor;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Apply sort + pagination to already-filtered records.
+ *
+ * Offset mode (no `cursor`) returns an array, as before. Cursor mode (`cursor` is a string;
+ * pass '' for the first page) returns { items, next_cursor } and seeks past the cursor's sort
+ * position, so pages stay consistent while records are inserted.
+ * Returns { error } when the cursor cannot be decoded.
+ */
+function queryRecords(records, { sort, limit, offset, cursor } = {}) {
+  const keys = normalizeSort(sort);
+  const sorted = keys.length ? [...records].sort((a, b) => compareForSort(a, b, keys)) : records;
+
+  const limitNum = Number.isFinite(Number(limit)) && limit !== null && limit !== '' ? Math.max(0, Number(limit)) : null;
+  const offsetNum = Number.isFinite(Number(offset)) ? Math.max(0, Number(offset)) : 0;
+
+  if (cursor == null) {
+    return limitNum != null ? sorted.slice(offsetNum, offsetNum + limitNum) : sorted.slice(offsetNum);
+  }
+
+  const cursorKeys = keys.length ? keys : [{ field: 'id', desc: false }];
+  const ordered = keys.length ? sorted : [...records].sort((a, b) => compareForSort(a, b, cursorKeys));
+  let start = 0;
+  if (cursor !== '') {
+    const anchor = decodeCursor(cursor, cursorKeys);
+    if (!anchor) return { error: 'Invalid cursor' };
+    start = ordered.findIndex((r) => compareForSort(r, anchor, cursorKeys) > 0);
+    if (start === -1) start = ordered.length;
+  }
+
+  const pageSize = limitNum != null ? limitNum : 50;
+  const items = ordered.slice(start, start + pageSize);
+  const hasMore = start + pageSize < ordered.length;
+  const last = items[items.length - 1];
+  return { items, next_cursor: hasMore && last ? encodeCursor(last, cursorKeys) : null };
+}
+
+function normalizeFields(fields) {
+  if (!fields) return null;
+  const list = (Array.isArray(fields) ? fields : String(fields).split(','))
+    .map((f) => String(f || '').trim())
+    .filter(Boolean);
+  return list.length ? Array.from(new Set(list)) : null;
+}
+
+function projectFields(record, fields) {
+  if (!fields) return record;
+  const out = {};
+  const want = new Set(['id', ...fields]);
+  for (const key of want) {
+    if (Object.prototype.hasOwnProperty.call(record, key)) out[key] = record[key];
+  }
+  return out;
+}
+
+/**
+ * Filter, sort, paginate and project records for a list/filter call.
+ *
+ * Returns an array (offset mode), { items, next_cursor } (cursor mode, see queryRecords) or
+ * { error } for a malformed `where` or cursor, which the Worker answers with a 400.
+ */
+export function queryEntities(records, { where, sort, limit, offset, cursor, fields } = {}) {
+  const whereError = validateWhere(where);
+  if (whereError) return { error: whereError };
+
+  const filtered = where ? records.filter((r) => matchesWhere(r, where)) : records;
+  const result = queryRecords(filtered, { sort, limit, offset, cursor: cursor != null ? String(cursor) : null });
+  if (result?.error) return result;
+
+  const wanted = normalizeFields(fields);
+  const project = (list) => (wanted ? list.map((r) => projectFields(r, wanted)) : list);
+  if (Array.isArray(result)) return project(result);
+  return { items: project(result.items), next_cursor: result.next_cursor };
+}
+
+/** A record as stored on create: keeps a caller-supplied id and created_date, fills in the rest. */
+export function newEntityRecord(data, makeId) {
+  const record = { ...(data ?? {}) };
+  if (!record.id) record.id = makeId();
+  if (!record.created_date) record.created_date = new Date().toISOString();
+  return record;
+}
@@ -0,0 +1,32 @@
+// Check-in pass QR codes. The attendee's app shows the event id and their code; the organizer's
+// scanner reads them back and sends the code to POST /events/:id/check-in.
+
+const QR_PREFIX = 'peoplepower-checkin:1:';
+
+export function checkInQrValue(eventId, code) {
+  return `${QR_PREFIX}${String(eventId)}:${String(code)}`;
+}
+
+/** Format a code for reading aloud or typing: "ABCD-EFGH". */
+export function formatCheckInCode(code) {
+  const clean = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return clean.match(/.{1,4}/g)?.join('-') || '';
+}
+
+/**
+ * Read a scanned check-in QR: { eventId, code }, or null when it is not a check-in pass.
+ * Codes typed by hand (no prefix) come back with a null eventId.
+ */
+export function parseCheckInQr(scanned) {
+  const value = String(scanned || '').trim();
+  if (!value.startsWith(QR_PREFIX)) {
+    const code = value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return /^[A-Z0-9]{4,64}$/.test(code) && !value.includes(':') ? { eventId: null, code } : null;
+  }
+  const rest = value.slice(QR_PREFIX.length);
+  const idx = rest.lastIndexOf(':');
+  if (idx <= 0) return null;
+  const eventId = rest.slice(0, idx);
+  const code = rest.slice(idx + 1);
+  return code ? { eventId, code } : null;
+}
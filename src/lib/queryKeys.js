@@ -35,9 +35,31 @@ export const queryKeys = {
     any: () => ['myBlocks'],
   },
 
+  protections: {
+    mine: (email) => ['myProtections', normalizeEmail(email)],
+  },
+
+  notificationPreferences: {
+    mine: (email) => ['myNotificationPreferences', normalizeEmail(email)],
+  },
+
+  e2ee: {
+    devices: (email) => ['e2eeDevices', normalizeEmail(email)],
+    backup: (email) => ['e2eeKeyBackup', normalizeEmail(email)],
+  },
+
+  calendarFeeds: {
+    movement: (id, email) => ['movementCalendarFeed', normalizeId(id), normalizeEmail(email)],
+    mine: (email) => ['myCalendarFeed', normalizeEmail(email)],
+  },
+
+  leaderboards: {
+    board: (board, period, country, city) => ['leaderboards', board, period, country || null, city || null],
+    places: (board, period) => ['leaderboards', 'places', board, period],
+  },
+
   movements: {
     feed: () => ['movements', 'feed'],
-    leaderboard: () => ['movements', 'leaderboard'],
 
     // NOTE: Keep movement lists under the 'movements' prefix so that broad
     // invalidations like queryClient.invalidateQueries({ queryKey: ['movements'] })
@@ -54,7 +76,14 @@ export const queryKeys = {
     followersCount: (id) => ['movementFollowersCount', normalizeId(id)],
     commentsCount: (id) => ['movementCommentsCount', normalizeId(id)],
     comments: (id) => ['comments', normalizeId(id)],
+    // Nested under comments(id) so invalidating a movement's comments refreshes open threads too.
+    commentReplies: (id, parentId) => ['comments', normalizeId(id), 'replies', normalizeId(parentId)],
+    commentEdits: (id, commentId) => ['commentEdits', normalizeId(id), normalizeId(commentId)],
     commentSettings: (id) => ['commentSettings', normalizeId(id)],
+    polls: (id) => ['polls', normalizeId(id)],
+    revisions: (id) => ['movementRevisions', normalizeId(id)],
+    // Revision snapshots never change, but nest them so clearing a movement's history covers both.
+    revision: (id, revisionId) => ['movementRevisions', normalizeId(id), 'revision', normalizeId(revisionId)],
     engagementActivity: (id, ownerEmail) => [
       'movementEngagementActivity',
       normalizeId(id),
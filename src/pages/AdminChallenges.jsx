@@ -3,8 +3,16 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '@/auth/AuthProvider';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
-import { fetchAdminChallenges, saveAdminChallenge, archiveAdminChallenge } from '@/api/challengesClient';
+import {
+  fetchAdminChallenges,
+  saveAdminChallenge,
+  archiveAdminChallenge,
+  fetchAdminChallengeCompletions,
+  revokeChallengeCompletion,
+} from '@/api/challengesClient';
 import { logError } from '@/utils/logError';
+import { toast } from 'sonner';
+import { toastFriendlyError } from '@/utils/toastErrors';
 import AdminBackButton from '@/components/admin/AdminBackButton';
 
 const CATEGORY_OPTIONS = [
@@ -49,6 +57,32 @@ export default function AdminChallenges() {
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
   const [status, setStatus] = useState('active');
+  const [points, setPoints] = useState('10');
+  const [completionEmail, setCompletionEmail] = useState('');
+  // Only filter once something email-like is typed, rather than refetching on every keystroke.
+  const completionFilter = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(completionEmail.trim()) ? completionEmail.trim().toLowerCase() : '';
+
+  const { data: completions = [], isLoading: completionsLoading } = useQuery({
+    queryKey: ['adminChallengeCompletions', completionFilter],
+    enabled: !!accessToken && isAdmin,
+    queryFn: () => fetchAdminChallengeCompletions({ userEmail: completionFilter || null }, accessToken),
+    retry: 1,
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: ({ id, reason }) => revokeChallengeCompletion(id, reason, accessToken),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['adminChallengeCompletions'] });
+      toast.success(`Completion revoked (${Number(result?.revoked_points || 0)} points taken back)`);
+    },
+    onError: (e) => toastFriendlyError(e, 'Failed to revoke completion'),
+  });
+
+  const challengeTitles = useMemo(() => {
+    const map = new Map();
+    for (const c of Array.isArray(challenges) ? challenges : []) map.set(String(c.id), String(c.title || ''));
+    return map;
+  }, [challenges]);
 
   const sortedChallenges = useMemo(() => {
     const list = Array.isArray(challenges) ? challenges : [];
@@ -92,6 +126,7 @@ export default function AdminChallenges() {
               start_date: startDate || null,
               end_date: endDate || null,
               status,
+              points: Math.max(0, Math.min(1000, Number.parseInt(points, 10) || 0)),
             });
           }}
         >
@@ -140,6 +175,16 @@ export default function AdminChallenges() {
               />
             </div>
           </div>
+          <div className="grid gap-2">
+            <label className="text-xs font-black text-slate-600">Points per completion</label>
+            <Input
+              type="number"
+              min={0}
+              max={1000}
+              value={points}
+              onChange={(e) => setPoints(e.target.value)}
+            />
+          </div>
           <div className="grid gap-2">
             <label className="text-xs font-black text-slate-600">Status</label>
             <select
@@ -167,6 +212,7 @@ export default function AdminChallenges() {
                 setStartDate('');
                 setEndDate('');
                 setStatus('active');
+                setPoints('10');
               }}
             >
               Reset
@@ -195,7 +241,7 @@ export default function AdminChallenges() {
                 <div className="min-w-0">
                   <div className="font-black text-slate-900">{challenge.title}</div>
                   <div className="text-xs font-semibold text-slate-600 mt-1">
-                    {challenge.category} · {challenge.status || 'active'}
+                    {challenge.category} · {challenge.status || 'active'} · {Number(challenge.points ?? 10)} pts
                   </div>
                   {challenge.description ? (
                     <div className="text-sm text-slate-600 mt-2 line-clamp-3">{challenge.description}</div>
@@ -219,6 +265,7 @@ export default function AdminChallenges() {
                       setStartDate(String(challenge.start_date || ''));
                       setEndDate(String(challenge.end_date || ''));
                       setStatus(String(challenge.status || 'active'));
+                      setPoints(String(challenge.points ?? 10));
                     }}
                   >
                     Edit
@@ -238,6 +285,61 @@ export default function AdminChallenges() {
           </div>
         )}
       </div>
+
+      <div className="p-4 rounded-2xl border border-slate-200 bg-white shadow-sm space-y-3">
+        <div>
+          <div className="font-black text-slate-900">Recent completions</div>
+          <div className="text-xs font-semibold text-slate-500 mt-1">
+            Revoking a fraudulent completion takes back its points and any streak bonus it earned.
+          </div>
+        </div>
+        <Input
+          placeholder="Filter by user email"
+          value={completionEmail}
+          onChange={(e) => setCompletionEmail(e.target.value)}
+          className="max-w-md"
+        />
+        {completionsLoading ? (
+          <div className="text-slate-600 font-semibold">Loading completions…</div>
+        ) : completions.length === 0 ? (
+          <div className="text-slate-600 font-semibold">No completions found.</div>
+        ) : (
+          <div className="grid gap-2">
+            {completions.map((completion) => (
+              <div
+                key={completion.id}
+                className="rounded-xl border border-slate-200 bg-slate-50 p-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2"
+              >
+                <div className="min-w-0">
+                  <div className="text-sm font-black text-slate-900 truncate">
+                    {challengeTitles.get(String(completion.challenge_id)) || completion.challenge_id}
+                  </div>
+                  <div className="text-xs font-semibold text-slate-600 mt-1 truncate">
+                    {completion.user_email} · {completion.date} · {Number(completion.points || 0)} pts
+                    {completion.evidence_type && completion.evidence_type !== 'none' ? ` · evidence: ${completion.evidence_type}` : ''}
+                  </div>
+                  {completion.evidence_text ? (
+                    <div className="text-xs text-slate-600 mt-1 line-clamp-2">{completion.evidence_text}</div>
+                  ) : null}
+                </div>
+                <Button
+                  type="button"
+                  variant="outline"
+                  className="rounded-xl font-bold"
+                  disabled={revokeMutation.isPending}
+                  onClick={() => {
+                    const reason = window.prompt('Why is this completion being revoked?');
+                    if (!reason || !reason.trim()) return;
+                    revokeMutation.mutate({ id: completion.id, reason: reason.trim() });
+                  }}
+                >
+                  Revoke
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
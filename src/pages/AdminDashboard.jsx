@@ -65,6 +65,15 @@ export default function AdminDashboard() {
             <div className="text-sm font-semibold text-slate-600 mt-1">View safety-related incidents (read-only).</div>
           </Link>
 
+          <Link
+            to={createPageUrl('AdminTrustScores')}
+            state={{ fromLabel: 'Admin Dashboard', fromPath: createPageUrl('AdminDashboard') }}
+            className="p-4 rounded-2xl border border-slate-200 bg-white hover:bg-slate-50 transition-colors"
+          >
+            <div className="font-black text-slate-900">Trust Scores</div>
+            <div className="text-sm font-semibold text-slate-600 mt-1">Inspect account trust and override scores.</div>
+          </Link>
+
           <Link
             to={createPageUrl('SystemHealth')}
             state={{ fromLabel: 'Admin Dashboard', fromPath: createPageUrl('AdminDashboard') }}
@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '@/auth/AuthProvider';
 import { fetchReports } from '@/api/reportsClient';
+import { listAdminAppeals } from '@/api/appealsClient';
 import ReportCard from '@/components/admin/ReportCard';
 import ReportActions from '@/components/admin/ReportActions';
 import AuditLogViewer from '@/components/moderation/AuditLogViewer';
@@ -43,11 +44,11 @@ export default function AdminReports() {
   });
 
   const { data: pendingAppealsCount = 0 } = useQuery({
-    queryKey: ['adminAppealsCount', 'pending'],
+    queryKey: ['adminAppealsCount', 'open'],
     enabled: canView,
     queryFn: async () => {
-      const appeals = await entities.ModerationAppeal.filter({ status: 'pending' });
-      return Array.isArray(appeals) ? appeals.length : 0;
+      const { counts } = await listAdminAppeals({ status: 'open' }, { accessToken });
+      return (Number(counts?.submitted) || 0) + (Number(counts?.under_review) || 0);
     },
     retry: 1,
   });
@@ -116,7 +117,7 @@ export default function AdminReports() {
 
           <div className="flex items-center gap-2">
             <span className="px-3 py-1 rounded-full border border-slate-200 bg-slate-50 text-slate-800 text-xs font-black">
-              Pending appeals: {Number.isFinite(pendingAppealsCount) ? pendingAppealsCount : 0}
+              Open appeals: {Number.isFinite(pendingAppealsCount) ? pendingAppealsCount : 0}
             </span>
           </div>
 
@@ -0,0 +1,402 @@
+import React, { useMemo, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'sonner';
+import AdminBackButton from '@/components/admin/AdminBackButton';
+import { useAuth } from '@/auth/AuthProvider';
+import { clearTrustOverride, fetchTrustScore, listTrustScores, setTrustOverride } from '@/api/trustClient';
+import ErrorState from '@/components/shared/ErrorState';
+import { toastFriendlyError } from '@/utils/toastErrors';
+
+const PAGE_SIZE = 50;
+
+const SIGNAL_LABELS = {
+  account_age_days: 'Account age (days)',
+  reports_upheld: 'Reports filed that were upheld',
+  reports_dismissed: 'Reports filed that were dismissed',
+  reports_against_upheld: 'Upheld reports against this account',
+  blocked_by_count: 'Blocked by',
+  throttled_24h: 'Throttled in last 24h',
+};
+
+function formatWhen(value) {
+  if (!value) return '';
+  try {
+    return new Date(value).toLocaleString();
+  } catch {
+    return String(value);
+  }
+}
+
+function formatScore(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n.toFixed(2) : '—';
+}
+
+function scoreClass(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return 'text-slate-500';
+  if (n >= 0.75) return 'text-emerald-700';
+  if (n >= 0.45) return 'text-slate-900';
+  return 'text-red-700';
+}
+
+function TrustDetail({ email, accessToken, onClose }) {
+  const queryClient = useQueryClient();
+  const [overrideScore, setOverrideScore] = useState('');
+  const [overrideReason, setOverrideReason] = useState('');
+
+  const { data, isLoading, isError, error, refetch } = useQuery({
+    queryKey: ['adminTrustScore', email],
+    enabled: !!email && !!accessToken,
+    queryFn: () => fetchTrustScore(email, { accessToken }),
+    retry: 1,
+  });
+
+  const onSaved = () => {
+    queryClient.invalidateQueries({ queryKey: ['adminTrustScore', email] });
+    queryClient.invalidateQueries({ queryKey: ['adminTrustScores'] });
+  };
+
+  const overrideMutation = useMutation({
+    mutationFn: () => setTrustOverride(email, { score: Number(overrideScore), reason: overrideReason }, { accessToken }),
+    onSuccess: () => {
+      toast.success('Override saved');
+      setOverrideReason('');
+      onSaved();
+    },
+    onError: (e) => toastFriendlyError(e, 'Failed to save override'),
+  });
+
+  const clearMutation = useMutation({
+    mutationFn: () => clearTrustOverride(email, { accessToken }),
+    onSuccess: () => {
+      toast.success('Override cleared');
+      onSaved();
+    },
+    onError: (e) => toastFriendlyError(e, 'Failed to clear override'),
+  });
+
+  const trust = data?.trust || null;
+  const incidents = Array.isArray(data?.incidents) ? data.incidents : [];
+  const actions = data?.actions_24h && typeof data.actions_24h === 'object' ? Object.entries(data.actions_24h) : [];
+  const scoreNum = Number(overrideScore);
+  const canSaveOverride =
+    overrideScore !== '' && Number.isFinite(scoreNum) && scoreNum >= 0 && scoreNum <= 1 && overrideReason.trim().length >= 3;
+
+  return (
+    <div className="p-6 rounded-2xl border border-slate-200 bg-white shadow-sm space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <h2 className="text-lg font-black text-slate-900 truncate">{email}</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 rounded-xl border border-slate-200 bg-white text-slate-800 font-black text-xs hover:bg-slate-50"
+        >
+          Close
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="text-slate-600 font-semibold">Loading…</div>
+      ) : isError ? (
+        <ErrorState compact error={error} onRetry={() => refetch()} className="border-slate-200" />
+      ) : trust ? (
+        <>
+          <div className="flex flex-wrap items-end gap-6">
+            <div>
+              <div className="text-xs font-black uppercase text-slate-500">Effective</div>
+              <div className={`text-3xl font-black ${scoreClass(trust.trust_score)}`}>{formatScore(trust.trust_score)}</div>
+            </div>
+            <div>
+              <div className="text-xs font-black uppercase text-slate-500">Computed</div>
+              <div className="text-xl font-black text-slate-700">{formatScore(trust.computed_score)}</div>
+            </div>
+            {trust.override_score != null ? (
+              <div className="text-sm font-semibold text-slate-700">
+                Overridden by {trust.override_by || 'admin'} on {formatWhen(trust.override_at)}
+                {trust.override_reason ? <div className="text-slate-500">“{trust.override_reason}”</div> : null}
+              </div>
+            ) : null}
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            <div>
+              <div className="text-xs font-black uppercase text-slate-500 mb-2">Signals</div>
+              <ul className="space-y-1 text-sm">
+                {Object.entries(SIGNAL_LABELS).map(([key, label]) => (
+                  <li key={key} className="flex justify-between gap-3">
+                    <span className="text-slate-600 font-semibold">{label}</span>
+                    <span className="text-slate-900 font-black">{trust.signals?.[key] ?? '—'}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div>
+              <div className="text-xs font-black uppercase text-slate-500 mb-2">Score factors</div>
+              {trust.factors?.length ? (
+                <ul className="space-y-1 text-sm">
+                  {trust.factors.map((f) => (
+                    <li key={f.signal} className="flex justify-between gap-3">
+                      <span className="text-slate-600 font-semibold">{String(f.signal).replace(/_/g, ' ')}</span>
+                      <span className={`font-black ${f.delta >= 0 ? 'text-emerald-700' : 'text-red-700'}`}>
+                        {f.delta >= 0 ? '+' : ''}
+                        {formatScore(f.delta)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="text-sm text-slate-500 font-semibold">Baseline score.</div>
+              )}
+              {actions.length ? (
+                <div className="mt-3 text-xs text-slate-500 font-semibold">
+                  Last 24h: {actions.map(([action, count]) => `${action.replace(/_/g, ' ')} ×${count}`).join(', ')}
+                </div>
+              ) : null}
+            </div>
+          </div>
+
+          <form
+            className="p-4 rounded-xl border border-slate-200 bg-slate-50 space-y-3"
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (canSaveOverride) overrideMutation.mutate();
+            }}
+          >
+            <div className="text-xs font-black uppercase text-slate-500">Override</div>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={overrideScore}
+                onChange={(e) => setOverrideScore(e.target.value)}
+                placeholder="Score 0–1"
+                className="sm:w-32 p-2 rounded-xl border border-slate-200 bg-white font-semibold text-sm"
+              />
+              <input
+                value={overrideReason}
+                onChange={(e) => setOverrideReason(e.target.value)}
+                placeholder="Reason (recorded in the audit log)"
+                maxLength={500}
+                className="flex-1 p-2 rounded-xl border border-slate-200 bg-white font-semibold text-sm"
+              />
+              <button
+                type="submit"
+                disabled={!canSaveOverride || overrideMutation.isPending}
+                className="px-4 py-2 rounded-xl bg-slate-900 text-white font-black text-sm disabled:opacity-60"
+              >
+                Save
+              </button>
+              {trust.override_score != null ? (
+                <button
+                  type="button"
+                  onClick={() => clearMutation.mutate()}
+                  disabled={clearMutation.isPending}
+                  className="px-4 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 font-black text-sm hover:bg-slate-50 disabled:opacity-60"
+                >
+                  Clear override
+                </button>
+              ) : null}
+            </div>
+          </form>
+
+          <div>
+            <div className="text-xs font-black uppercase text-slate-500 mb-2">Throttling history</div>
+            {incidents.length === 0 ? (
+              <div className="text-sm text-slate-500 font-semibold">No throttling incidents.</div>
+            ) : (
+              <ul className="space-y-1 text-sm">
+                {incidents.map((it) => (
+                  <li key={it.id} className="flex flex-wrap gap-x-3 text-slate-700 font-semibold">
+                    <span className="text-slate-500">{formatWhen(it.created_at)}</span>
+                    <span className="font-black text-slate-900">{String(it.event_type || '')}</span>
+                    <span>{String(it.context?.action || '').replace(/_/g, ' ')}</span>
+                    {it.related_entity_id ? <span className="font-mono text-xs">{it.related_entity_id}</span> : null}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+export default function AdminTrustScores() {
+  const { session, isAdmin } = useAuth();
+
+  const accessToken = session?.access_token ? String(session.access_token) : null;
+  const canView = !!accessToken && !!isAdmin;
+
+  const [draftQuery, setDraftQuery] = useState('');
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState('lowest');
+  const [offset, setOffset] = useState(0);
+  const [selectedEmail, setSelectedEmail] = useState(null);
+
+  const { data, isLoading, isError, error, refetch, isFetching } = useQuery({
+    queryKey: ['adminTrustScores', query, sort, offset],
+    enabled: canView,
+    queryFn: () => listTrustScores({ q: query, sort, limit: PAGE_SIZE, offset }, { accessToken }),
+    retry: 1,
+  });
+
+  const items = useMemo(() => (Array.isArray(data?.items) ? data.items : []), [data]);
+  const hasMore = !!data?.hasMore;
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-12 space-y-6">
+      <div className="flex items-center justify-between gap-3">
+        <AdminBackButton />
+        <button
+          type="button"
+          onClick={() => refetch()}
+          disabled={!canView || isFetching}
+          className="px-4 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 font-black text-sm hover:bg-slate-50 disabled:opacity-60"
+        >
+          Refresh
+        </button>
+      </div>
+
+      <div className="p-6 rounded-2xl border border-slate-200 bg-white shadow-sm space-y-4">
+        <div>
+          <h1 className="text-2xl font-black text-slate-900">Trust Scores</h1>
+          <p className="text-slate-600 font-semibold text-sm">
+            Server-computed trust drives action rate limits and brigading throttles. Overrides are audit-logged.
+          </p>
+        </div>
+
+        {!canView ? (
+          <div className="p-4 rounded-xl border border-slate-200 bg-slate-50 text-slate-700">
+            <div className="font-black text-slate-900">Not authorized</div>
+            <div className="text-sm font-semibold mt-1">Admin access required.</div>
+          </div>
+        ) : (
+          <form
+            className="flex flex-col sm:flex-row sm:items-center gap-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              setOffset(0);
+              const next = String(draftQuery || '').trim();
+              setQuery(next);
+              if (next.includes('@')) setSelectedEmail(next.toLowerCase());
+            }}
+          >
+            <input
+              value={draftQuery}
+              onChange={(e) => setDraftQuery(e.target.value)}
+              placeholder="Search by email (full email opens the account)"
+              className="flex-1 p-2 rounded-xl border border-slate-200 bg-slate-50 font-semibold text-sm"
+            />
+            <select
+              value={sort}
+              onChange={(e) => {
+                setOffset(0);
+                setSort(e.target.value);
+              }}
+              className="p-2 rounded-xl border border-slate-200 bg-slate-50 font-semibold text-sm"
+            >
+              <option value="lowest">Lowest first</option>
+              <option value="recent">Recently updated</option>
+              <option value="overridden">Overridden only</option>
+            </select>
+            <button
+              type="submit"
+              className="px-4 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 font-black text-sm hover:bg-slate-50"
+            >
+              Search
+            </button>
+          </form>
+        )}
+      </div>
+
+      {canView && selectedEmail ? (
+        <TrustDetail email={selectedEmail} accessToken={accessToken} onClose={() => setSelectedEmail(null)} />
+      ) : null}
+
+      {canView ? (
+        <div className="p-6 rounded-2xl border border-slate-200 bg-white shadow-sm space-y-4">
+          {isLoading ? (
+            <div className="text-slate-600 font-semibold">Loading trust scores…</div>
+          ) : isError ? (
+            <ErrorState
+              compact
+              error={error}
+              onRetry={() => refetch()}
+              onReload={() => window.location.reload()}
+              className="border-slate-200"
+            />
+          ) : items.length === 0 ? (
+            <div className="text-slate-600 font-semibold">No scored accounts yet.</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-slate-600">
+                    <th className="py-2 pr-3 font-black">Account</th>
+                    <th className="py-2 pr-3 font-black">Score</th>
+                    <th className="py-2 pr-3 font-black">Computed</th>
+                    <th className="py-2 pr-3 font-black">Override</th>
+                    <th className="py-2 pr-3 font-black">Account age</th>
+                    <th className="py-2 pr-3 font-black">Updated</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {items.map((it) => (
+                    <tr
+                      key={it.user_email}
+                      onClick={() => setSelectedEmail(it.user_email)}
+                      className="border-t border-slate-100 cursor-pointer hover:bg-slate-50"
+                    >
+                      <td className="py-2 pr-3 whitespace-nowrap text-slate-900 font-black">{it.user_email}</td>
+                      <td className={`py-2 pr-3 whitespace-nowrap font-black ${scoreClass(it.trust_score)}`}>
+                        {formatScore(it.trust_score)}
+                      </td>
+                      <td className="py-2 pr-3 whitespace-nowrap text-slate-700 font-semibold">{formatScore(it.computed_score)}</td>
+                      <td className="py-2 pr-3 whitespace-nowrap text-slate-700 font-semibold">
+                        {it.override_score != null ? formatScore(it.override_score) : ''}
+                      </td>
+                      <td className="py-2 pr-3 whitespace-nowrap text-slate-700 font-semibold">
+                        {it.signals?.account_age_days != null ? `${it.signals.account_age_days}d` : 'unknown'}
+                      </td>
+                      <td className="py-2 pr-3 whitespace-nowrap text-slate-700 font-semibold">
+                        {formatWhen(it.override_at || it.computed_at)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between gap-3">
+            <div className="text-xs text-slate-500 font-semibold">
+              Showing {items.length} (offset {offset})
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() => setOffset((o) => Math.max(0, o - PAGE_SIZE))}
+                disabled={offset === 0 || isFetching}
+                className="px-4 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 font-black text-sm hover:bg-slate-50 disabled:opacity-60"
+              >
+                Prev
+              </button>
+              <button
+                type="button"
+                onClick={() => setOffset((o) => o + PAGE_SIZE)}
+                disabled={!hasMore || isFetching}
+                className="px-4 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 font-black text-sm hover:bg-slate-50 disabled:opacity-60"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -8,6 +8,7 @@ import { cn } from "@/lib/utils";
 import LanguageSwitcher from '@/components/shared/LanguageSwitcher';
 import { LanguageProvider, useLanguage } from '@/components/utils/LanguageContext';
 import { useAuth } from '@/auth/AuthProvider';
+import { usePushRegistration } from '@/hooks/usePushRegistration';
 import ErrorBoundary from '@/components/shared/ErrorBoundary';
 import { useFeatureFlag } from '@/utils/featureFlags';
 import { useIsFetching, useQuery, useQueryClient } from '@tanstack/react-query';
@@ -79,6 +80,8 @@ function LayoutContent({ children }) {
   const { t } = useLanguage();
   const queryClient = useQueryClient();
 
+  usePushRegistration();
+
   const getHttpStatus = (err) => {
     if (!err) return null;
     const direct = err?.status ?? err?.statusCode;
@@ -1,90 +1,160 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
-import { Trophy, Loader2 } from 'lucide-react';
-import { fetchMovementsPage } from '@/api/movementsClient';
-import { isAdmin as isAdminEmail } from '@/utils/staff';
-import { useAuth } from '@/auth/AuthProvider';
-
-function normalizeEmail(value) {
-  const s = String(value ?? '').trim().toLowerCase();
-  return s || null;
+import { Trophy, Loader2, Scale } from 'lucide-react';
+import { fetchLeaderboard, fetchLeaderboardPlaces } from '@/api/leaderboardsClient';
+import { queryKeys } from '@/lib/queryKeys';
+
+const BOARDS = [
+  { id: 'creators', label: 'Creators', subtitle: 'Movement creators by momentum', scoreLabel: 'Momentum' },
+  { id: 'participants', label: 'Participants', subtitle: 'People by verified event attendance', scoreLabel: 'Check-ins' },
+  { id: 'points', label: 'Challenges', subtitle: 'People by challenge points earned', scoreLabel: 'Points' },
+  { id: 'movements', label: 'Movements', subtitle: 'Movements by momentum', scoreLabel: 'Momentum' },
+];
+
+const PERIODS = [
+  { id: 'week', label: 'This week' },
+  { id: 'month', label: 'This month' },
+  { id: 'all', label: 'All time' },
+];
+
+function formatScore(value) {
+  const n = Number(value) || 0;
+  return Number.isInteger(n) ? String(n) : n.toFixed(1);
+}
+
+function entryDetail(board, entry) {
+  const d = entry?.details || {};
+  if (board === 'creators' && d.boosters) return `${d.boosters} ${d.boosters === 1 ? 'booster' : 'boosters'}`;
+  if (board === 'movements') {
+    const place = [entry?.movement?.location_city, entry?.movement?.location_country].filter(Boolean).join(', ');
+    return place || null;
+  }
+  return null;
+}
+
+function EntryLabel({ board, entry }) {
+  if (board === 'movements') {
+    const title = entry?.movement?.title || 'Movement';
+    return entry?.movement?.id ? (
+      <Link to={`/movements/${encodeURIComponent(entry.movement.id)}`} className="font-black text-slate-900 truncate hover:underline">
+        {title}
+      </Link>
+    ) : (
+      <div className="font-black text-slate-900 truncate">{title}</div>
+    );
+  }
+  const username = entry?.user?.username || null;
+  const label = entry?.user?.display_name || (username ? `@${username}` : 'Member');
+  return username ? (
+    <Link to={`/u/${encodeURIComponent(username)}`} className="font-black text-slate-900 truncate hover:underline">
+      {label}
+    </Link>
+  ) : (
+    <div className="font-black text-slate-900 truncate">{label}</div>
+  );
 }
 
 export default function Leaderboard() {
-  const { session } = useAuth();
-  const accessToken = session?.access_token ? String(session.access_token) : null;
-  const { data: movements = [], isLoading } = useQuery({
-    queryKey: ['movements'],
-    queryFn: () =>
-      fetchMovementsPage({
-        limit: 500,
-        offset: 0,
-        fields: [
-          'id',
-          'author_email',
-          'creator_display_name',
-          'creator_username',
-          'author_display_name',
-          'author_username',
-          'momentum_score',
-          'created_at',
-          'created_date',
-        ].join(','),
-        accessToken,
-      }),
+  const [board, setBoard] = useState('creators');
+  const [period, setPeriod] = useState('week');
+  const [country, setCountry] = useState('');
+  const [city, setCity] = useState('');
+
+  const boardMeta = BOARDS.find((b) => b.id === board) || BOARDS[0];
+
+  const { data: places = [] } = useQuery({
+    queryKey: queryKeys.leaderboards.places(board, period),
+    queryFn: () => fetchLeaderboardPlaces({ board, period }),
+    staleTime: 5 * 60 * 1000,
   });
 
-  const rows = useMemo(() => {
-    const byAuthor = new Map();
-    for (const m of movements) {
-      const author = normalizeEmail(m?.author_email) || 'unknown';
-      const displayName = String(m?.creator_display_name || m?.author_display_name || '').trim();
-      const username = String(m?.creator_username || m?.author_username || '').trim();
-      const label = displayName || (username ? `@${username}` : 'Member');
-      const prev = byAuthor.get(author) || {
-        author_email: author,
-        display_name: displayName || null,
-        username: username || null,
-        label,
-        created_count: 0,
-        total_momentum: 0,
-        last_created_at: null,
-      };
-      const momentum = Number(m?.momentum_score || 0);
-      const createdAt = m?.created_at || null;
-      byAuthor.set(author, {
-        ...prev,
-        created_count: prev.created_count + 1,
-        total_momentum: prev.total_momentum + (Number.isFinite(momentum) ? momentum : 0),
-        last_created_at: createdAt && (!prev.last_created_at || String(createdAt) > String(prev.last_created_at))
-          ? createdAt
-          : prev.last_created_at,
-      });
-    }
-
-    return Array.from(byAuthor.values())
-      .filter((r) => r.author_email !== 'unknown')
-      .sort((a, b) => {
-        if (b.total_momentum !== a.total_momentum) return b.total_momentum - a.total_momentum;
-        if (b.created_count !== a.created_count) return b.created_count - a.created_count;
-        return String(a.label || '').localeCompare(String(b.label || ''));
-      })
-      .slice(0, 50);
-  }, [movements]);
+  const countries = useMemo(
+    () => Array.from(new Set(places.filter((p) => p?.country && !p?.city).map((p) => p.country))).sort(),
+    [places]
+  );
+  const cities = useMemo(
+    () => (country ? places.filter((p) => p?.country === country && p?.city).map((p) => p.city).sort() : []),
+    [places, country]
+  );
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: queryKeys.leaderboards.board(board, period, country, city),
+    queryFn: () => fetchLeaderboard({ board, period, country: country || null, city: city || null }),
+    staleTime: 60 * 1000,
+  });
+  const entries = data?.entries || [];
+  const anyAdjusted = entries.some((e) => e?.adjusted);
 
   return (
     <div className="max-w-4xl mx-auto space-y-6">
       <div className="bg-white rounded-3xl shadow-2xl border-3 border-slate-200 overflow-hidden">
-        <div className="p-8 border-b border-slate-200">
+        <div className="p-8 border-b border-slate-200 space-y-5">
           <div className="flex items-center gap-3">
             <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-[#FFC947] to-[#FFD666] flex items-center justify-center">
               <Trophy className="w-6 h-6 text-slate-900" />
             </div>
             <div>
               <h1 className="text-3xl font-black text-slate-900">Leaderboard</h1>
-              <p className="text-slate-600 font-semibold">Top movement creators by momentum</p>
+              <p className="text-slate-600 font-semibold">{boardMeta.subtitle}</p>
             </div>
           </div>
+
+          <div className="flex flex-wrap gap-2">
+            {BOARDS.map((b) => (
+              <button
+                key={b.id}
+                type="button"
+                onClick={() => setBoard(b.id)}
+                className={`px-4 py-2 rounded-xl border font-black text-sm ${
+                  board === b.id
+                    ? 'bg-[#3A3DFF] border-[#3A3DFF] text-white'
+                    : 'bg-white border-slate-200 text-slate-800 hover:bg-slate-50'
+                }`}
+              >
+                {b.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              className="p-2 rounded-xl border border-slate-200 bg-slate-50 font-semibold text-sm"
+            >
+              {PERIODS.map((p) => (
+                <option key={p.id} value={p.id}>{p.label}</option>
+              ))}
+            </select>
+
+            <select
+              value={country}
+              onChange={(e) => {
+                setCountry(e.target.value);
+                setCity('');
+              }}
+              className="p-2 rounded-xl border border-slate-200 bg-slate-50 font-semibold text-sm"
+            >
+              <option value="">Worldwide</option>
+              {countries.map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+
+            {country && cities.length > 0 ? (
+              <select
+                value={city}
+                onChange={(e) => setCity(e.target.value)}
+                className="p-2 rounded-xl border border-slate-200 bg-slate-50 font-semibold text-sm"
+              >
+                <option value="">All of {country}</option>
+                {cities.map((c) => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
+              </select>
+            ) : null}
+          </div>
         </div>
 
         {isLoading ? (
@@ -92,38 +162,49 @@ export default function Leaderboard() {
             <Loader2 className="w-4 h-4 animate-spin" />
             Loading leaderboard...
           </div>
-        ) : rows.length === 0 ? (
+        ) : isError ? (
+          <div className="p-10 text-slate-600 font-semibold">Couldn’t load the leaderboard. Please try again later.</div>
+        ) : entries.length === 0 ? (
           <div className="p-10 text-slate-600 font-semibold">No leaderboard data yet.</div>
         ) : (
           <div className="divide-y divide-slate-100">
-            {rows.map((r, idx) => (
-              <div key={r.author_email} className="p-6 flex items-center justify-between">
-                <div className="flex items-center gap-4 min-w-0">
-                  <div className="w-10 h-10 rounded-2xl bg-slate-100 flex items-center justify-center font-black text-slate-900">
-                    {idx + 1}
+            {entries.map((entry) => {
+              const detail = entryDetail(board, entry);
+              return (
+                <div key={entry.rank} className="p-6 flex items-center justify-between gap-4">
+                  <div className="flex items-center gap-4 min-w-0">
+                    <div className="w-10 h-10 rounded-2xl bg-slate-100 flex items-center justify-center font-black text-slate-900 shrink-0">
+                      {entry.rank}
+                    </div>
+                    <div className="min-w-0">
+                      <EntryLabel board={board} entry={entry} />
+                      {detail ? <div className="text-sm text-slate-500 font-semibold truncate">{detail}</div> : null}
+                    </div>
                   </div>
-                  <div className="min-w-0">
-                    <div className="flex items-center gap-2 min-w-0">
-                      <div className="font-black text-slate-900 truncate">{r.label || 'Member'}</div>
-                      {isAdminEmail(r.author_email) ? (
-                        <span className="inline-flex px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-[10px] font-black uppercase">
-                          Admin
-                        </span>
+                  <div className="text-right shrink-0">
+                    <div className="text-2xl font-black text-[#3A3DFF] inline-flex items-center gap-1">
+                      {entry.adjusted ? (
+                        <Scale className="w-4 h-4 text-slate-400" aria-label={`Adjusted from ${formatScore(entry.raw_score)}`} />
                       ) : null}
+                      {formatScore(entry.score)}
                     </div>
-                    <div className="text-sm text-slate-500 font-semibold">
-                      {r.created_count} created
-                    </div>
+                    <div className="text-xs text-slate-500 font-bold uppercase tracking-wide">{boardMeta.scoreLabel}</div>
                   </div>
                 </div>
-                <div className="text-right">
-                  <div className="text-2xl font-black text-[#3A3DFF]">{r.total_momentum}</div>
-                  <div className="text-xs text-slate-500 font-bold uppercase tracking-wide">Momentum</div>
-                </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         )}
+
+        {anyAdjusted ? (
+          <div className="px-8 py-4 border-t border-slate-200 bg-slate-50 text-xs text-slate-500 font-semibold flex items-start gap-2">
+            <Scale className="w-4 h-4 shrink-0" />
+            <span>
+              Scores marked like this were reduced so a few accounts can’t hold the top spots: people leading many
+              movements, and last period’s top three, count a little less.
+            </span>
+          </div>
+        ) : null}
       </div>
     </div>
   );
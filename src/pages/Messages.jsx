@@ -1,7 +1,7 @@
 import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { useInfiniteQuery, useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { ArrowLeft, Check, CheckCheck, Image as ImageIcon, Loader2, MessageCircle, Plus, Search, Send, SmilePlus } from 'lucide-react';
+import { ArrowLeft, Check, CheckCheck, Image as ImageIcon, KeyRound, Loader2, MessageCircle, Plus, Search, Send, ShieldCheck, SmilePlus } from 'lucide-react';
 import { useAuth } from '@/auth/AuthProvider';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -14,6 +14,8 @@ import {
   DialogTitle,
 } from '@/components/ui/dialog';
 import ComposeModal from '@/components/messages/ComposeModal';
+import EncryptionKeysDialog from '@/components/messages/EncryptionKeysDialog';
+import SafetyNumberDialog from '@/components/messages/SafetyNumberDialog';
 import { cn } from '@/lib/utils';
 import {
   actOnConversationRequest,
@@ -31,14 +33,23 @@ import { fetchMyBlocks } from '@/api/blocksClient';
 import { fetchMyFollowingUsers } from '@/api/userFollowsClient';
 import { acceptCollaborationInvite, listMyCollaborationInvites, removeCollaborator } from '@/api/collaboratorsClient';
 import { fetchMovementById } from '@/api/movementsClient';
-import { fetchPublicKey, upsertMyPublicKey } from '@/api/keysClient';
+import { fetchPublicKey } from '@/api/keysClient';
+import { getOrCreateIdentityKeypair } from '@/lib/e2eeCrypto';
 import {
-  deriveSharedSecretKey,
-  decryptText,
-  encryptText,
-  getOrCreateIdentityKeypair,
-} from '@/lib/e2eeCrypto';
-import { isEncryptedBody, packEncryptedPayload, unpackEncryptedPayload } from '@/lib/e2eeFormat';
+  isEncryptedBody,
+  isMultiDevicePayload,
+  isRatchetPayload,
+  isSenderKeyPayload,
+  unpackEncryptedPayload,
+} from '@/lib/e2eeFormat';
+import { acknowledgeIdentityChange, observePeerIdentity, setPeerVerified } from '@/lib/e2eeVerification';
+import {
+  decryptDirectMessage,
+  encryptDirectMessage,
+  encryptGroupMessage,
+  publishMyEncryptionKeys,
+  syncGroupSenderKeys,
+} from '@/utils/e2eeMessaging';
 import { toast } from 'sonner';
 import { getInteractionErrorMessage } from '@/utils/interactionErrors';
 import { uploadAvatar, uploadFile } from '@/api/uploadsClient';
@@ -190,6 +201,15 @@ function getConversationLabel(conversation, myEmail, profileLookup) {
   return other ? 'Member' : 'Conversation';
 }
 
+function getParticipantLabel(email, profileLookup) {
+  const normalized = normalizeEmail(email);
+  const profile = normalized ? profileLookup?.get(normalized) : null;
+  const display = String(profile?.display_name || '').trim();
+  if (display) return display;
+  const username = String(profile?.username || '').trim();
+  return username ? `@${username}` : 'Member';
+}
+
 function getGroupAdmins(conversation) {
   const list = Array.isArray(conversation?.group_admin_emails) ? conversation.group_admin_emails : [];
   const owner = normalizeEmail(conversation?.created_by_email);
@@ -230,34 +250,32 @@ function formatTime(value) {
   }
 }
 
-function EncryptedMessage({ myEmail, senderPublicKey, encryptedPayload, messageId }) {
+function EncryptedMessage({ myEmail, conversationId, senderEmail, senderPublicKey, body, encryptedPayload, messageId, mine, syncSenderKeys }) {
   const [text, setText] = useState(null);
   const [failed, setFailed] = useState(false);
 
   useEffect(() => {
     let cancelled = false;
-    async function run() {
-      try {
-        if (!senderPublicKey) throw new Error('Missing sender key');
-        const recipientKey = normalizeEmail(myEmail);
-        const payload =
-          encryptedPayload && typeof encryptedPayload === 'object' && encryptedPayload.recipients
-            ? encryptedPayload.recipients[recipientKey]
-            : encryptedPayload;
-        if (!payload) throw new Error('Missing recipient payload');
-        const { privateKey } = await getOrCreateIdentityKeypair(myEmail);
-        const key = await deriveSharedSecretKey(privateKey, senderPublicKey);
-        const plaintext = await decryptText(payload, key);
+    decryptDirectMessage({
+      myEmail,
+      conversationId,
+      senderEmail,
+      senderPublicKey,
+      body,
+      payload: encryptedPayload,
+      mine,
+      syncSenderKeys,
+    })
+      .then((plaintext) => {
         if (!cancelled) setText(plaintext);
-      } catch {
+      })
+      .catch(() => {
         if (!cancelled) setFailed(true);
-      }
-    }
-    run();
+      });
     return () => {
       cancelled = true;
     };
-  }, [myEmail, senderPublicKey, encryptedPayload]);
+  }, [myEmail, conversationId, senderEmail, senderPublicKey, body, encryptedPayload, mine, syncSenderKeys]);
 
   if (failed) {
     return <span className="opacity-80">[Unable to decrypt on this device]</span>;
@@ -322,6 +340,15 @@ function MessagesInner() {
   const [groupAvatarPreview, setGroupAvatarPreview] = useState('');
   const [groupPostMode, setGroupPostMode] = useState('owner_only');
 
+  // Set when this device's identity key differs from the account's ({ hasBackup }).
+  const [identityMismatch, setIdentityMismatch] = useState(null);
+  const [myIdentityKey, setMyIdentityKey] = useState(null);
+  const [identityVersion, setIdentityVersion] = useState(0);
+  const [keysDialogOpen, setKeysDialogOpen] = useState(false);
+  const [safetyNumberOpen, setSafetyNumberOpen] = useState(false);
+  // Trust records for the open conversation's participants, keyed by email.
+  const [peerTrust, setPeerTrust] = useState({});
+
   // Typing indicator state: map of conversationId → { by: email, ts: number }
   const [typingIndicators, setTypingIndicators] = useState({});
   const typingTimersRef = useRef({});
@@ -820,20 +847,32 @@ function MessagesInner() {
     async function run() {
       if (!accessToken || !myEmail) return;
       try {
-        const kp = await getOrCreateIdentityKeypair(myEmail);
-        if (cancelled) return;
-        await upsertMyPublicKey(kp.publicKey, { accessToken });
-      } catch (e) {
+        const kp = await publishMyEncryptionKeys(myEmail, { accessToken });
         if (!cancelled) {
-          toast.error(getInteractionErrorMessage(e, 'Failed to initialize encrypted messaging'));
+          setIdentityMismatch(null);
+          setMyIdentityKey(kp.publicKey);
+        }
+      } catch (e) {
+        if (cancelled) return;
+        if (e?.code === 'IDENTITY_KEY_MISMATCH') {
+          setIdentityMismatch({ hasBackup: !!e.hasBackup });
+          return;
         }
+        toast.error(getInteractionErrorMessage(e, 'Failed to initialize encrypted messaging'));
       }
     }
     run();
     return () => {
       cancelled = true;
     };
-  }, [accessToken, myEmail]);
+  }, [accessToken, myEmail, identityVersion]);
+
+  const handleIdentityChanged = useCallback(() => {
+    setIdentityMismatch(null);
+    setIdentityVersion((v) => v + 1);
+    queryClient.invalidateQueries({ queryKey: ['publicKey'] });
+    queryClient.invalidateQueries({ queryKey: ['groupPublicKeys'] });
+  }, [queryClient]);
 
   const {
     data: conversationsData,
@@ -1261,6 +1300,57 @@ function MessagesInner() {
   const groupPublicKeys = groupKeyBundle?.keys || {};
   const groupKeyMissing = Array.isArray(groupKeyBundle?.missing) ? groupKeyBundle.missing : [];
 
+  // Compare each participant's published identity key with the one seen before, so a
+  // changed key shows a warning in the thread until it is verified or dismissed.
+  useEffect(() => {
+    let cancelled = false;
+    const keys = isGroupConversation ? groupKeyBundle?.keys || {} : otherEmailNormalized && otherPublicKey ? { [otherEmailNormalized]: otherPublicKey } : {};
+    const entries = Object.entries(keys).filter(([email, key]) => email && email !== myEmailNormalized && key);
+    setPeerTrust({});
+    if (!myEmail || !entries.length) return undefined;
+    Promise.all(entries.map(async ([email, key]) => [email, await observePeerIdentity(myEmail, email, key)]))
+      .then((results) => {
+        if (!cancelled) setPeerTrust(Object.fromEntries(results.filter(([, record]) => record)));
+      })
+      .catch((e) => logError(e, 'Messages identity check failed'));
+    return () => {
+      cancelled = true;
+    };
+  }, [myEmail, myEmailNormalized, isGroupConversation, groupKeyBundle, otherEmailNormalized, otherPublicKey]);
+
+  const changedIdentityEmails = useMemo(
+    () => Object.entries(peerTrust).filter(([, record]) => record?.changed).map(([email]) => email),
+    [peerTrust]
+  );
+  const otherVerified = !isGroupConversation && !!peerTrust[otherEmailNormalized]?.verified;
+
+  const dismissIdentityChanges = async () => {
+    try {
+      const results = await Promise.all(
+        changedIdentityEmails.map(async (email) => [email, await acknowledgeIdentityChange(myEmail, email)])
+      );
+      setPeerTrust((prev) => ({ ...prev, ...Object.fromEntries(results.filter(([, record]) => record)) }));
+    } catch (e) {
+      logError(e, 'Messages identity acknowledge failed');
+    }
+  };
+
+  const handleOtherVerifiedChange = async (verified) => {
+    if (!otherEmailNormalized || !otherPublicKey) return;
+    try {
+      const record = await setPeerVerified(myEmail, otherEmailNormalized, otherPublicKey, verified);
+      if (record) setPeerTrust((prev) => ({ ...prev, [otherEmailNormalized]: record }));
+    } catch (e) {
+      toast.error(getInteractionErrorMessage(e, 'Failed to update verification'));
+    }
+  };
+
+  const groupKeysLoaded = groupKeyBundle?.keys;
+  const syncSelectedGroupSenderKeys = useCallback(
+    () => syncGroupSenderKeys({ myEmail, conversationId: selectedId, publicKeys: groupKeysLoaded, accessToken }),
+    [myEmail, selectedId, groupKeysLoaded, accessToken]
+  );
+
   const {
     data: messagesData,
     isLoading: messagesLoading,
@@ -1415,7 +1505,6 @@ function MessagesInner() {
         throw new Error(String(rateCheck?.reason || 'Please slow down.') + wait);
       }
 
-      const { privateKey } = await getOrCreateIdentityKeypair(myEmail);
       const payload = JSON.stringify({ type: 'text', text: nextText });
       if (isGroupConversation) {
         if (!groupParticipants.length) throw new Error('Missing group participants');
@@ -1425,22 +1514,24 @@ function MessagesInner() {
         if (groupKeyMissing.length) {
           throw new Error('Some participants have not published encryption keys yet');
         }
-        const recipients = {};
-        for (const email of groupParticipants) {
-          const publicKey = groupPublicKeys[email];
-          if (!publicKey) {
-            throw new Error(`Missing encryption key for ${email}`);
-          }
-          const key = await deriveSharedSecretKey(privateKey, publicKey);
-          recipients[email] = await encryptText(payload, key);
-        }
-        const packed = packEncryptedPayload({ v: 2, mode: 'group', recipients });
+        const packed = await encryptGroupMessage({
+          myEmail,
+          conversation: selectedConversation,
+          publicKeys: groupPublicKeys,
+          plaintext: payload,
+          accessToken,
+        });
         return sendMessage(selectedId, packed, { accessToken, myEmail });
       }
 
-      const key = await deriveSharedSecretKey(privateKey, otherPublicKey);
-      const encrypted = await encryptText(payload, key);
-      const packed = packEncryptedPayload(encrypted);
+      const packed = await encryptDirectMessage({
+        myEmail,
+        conversationId: selectedId,
+        peerEmail: otherEmail,
+        peerPublicKey: otherPublicKey,
+        plaintext: payload,
+        accessToken,
+      });
       return sendMessage(selectedId, packed, { accessToken, myEmail });
     },
     onMutate: ({ text, clientId }) => {
@@ -1551,7 +1642,6 @@ function MessagesInner() {
       const url = uploaded?.url ? String(uploaded.url) : null;
       if (!url) throw new Error('Upload failed');
 
-      const { privateKey } = await getOrCreateIdentityKeypair(myEmail);
       const payload = JSON.stringify({ type: 'media', url, caption: '', sensitive: !!pendingMediaSensitive });
       let packed = null;
       if (isGroupConversation) {
@@ -1559,20 +1649,22 @@ function MessagesInner() {
         if (!groupPublicKeys || !Object.keys(groupPublicKeys).length) {
           throw new Error('Encryption keys are still loading');
         }
-        const recipients = {};
-        for (const email of groupParticipants) {
-          const publicKey = groupPublicKeys[email];
-          if (!publicKey) {
-            throw new Error(`Missing encryption key for ${email}`);
-          }
-          const key = await deriveSharedSecretKey(privateKey, publicKey);
-          recipients[email] = await encryptText(payload, key);
-        }
-        packed = packEncryptedPayload({ v: 2, mode: 'group', recipients });
+        packed = await encryptGroupMessage({
+          myEmail,
+          conversation: selectedConversation,
+          publicKeys: groupPublicKeys,
+          plaintext: payload,
+          accessToken,
+        });
       } else {
-        const key = await deriveSharedSecretKey(privateKey, otherPublicKey);
-        const encrypted = await encryptText(payload, key);
-        packed = packEncryptedPayload(encrypted);
+        packed = await encryptDirectMessage({
+          myEmail,
+          conversationId: selectedId,
+          peerEmail: otherEmail,
+          peerPublicKey: otherPublicKey,
+          plaintext: payload,
+          accessToken,
+        });
       }
 
       const created = await sendMessage(selectedId, packed, { accessToken, myEmail });
@@ -1792,15 +1884,43 @@ function MessagesInner() {
                 <MessageCircle className="w-5 h-5 text-slate-700" />
                 <h1 className="text-lg font-black text-slate-900">Messages</h1>
               </div>
-              <Button
-                onClick={() => setComposeOpen(true)}
-                className="h-10 rounded-xl font-bold bg-[#3A3DFF] hover:bg-[#2A2DDD]"
-              >
-                <Plus className="w-4 h-4 mr-2" />
-                New
-              </Button>
+              <div className="flex items-center gap-2">
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="icon"
+                  className="h-10 w-10 rounded-xl"
+                  aria-label="Encryption keys"
+                  onClick={() => setKeysDialogOpen(true)}
+                >
+                  <KeyRound className="w-4 h-4" />
+                </Button>
+                <Button
+                  onClick={() => setComposeOpen(true)}
+                  className="h-10 rounded-xl font-bold bg-[#3A3DFF] hover:bg-[#2A2DDD]"
+                >
+                  <Plus className="w-4 h-4 mr-2" />
+                  New
+                </Button>
+              </div>
             </div>
 
+            {identityMismatch ? (
+              <div className="mx-4 mb-4 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-xs font-semibold text-amber-900 space-y-2">
+                <div>
+                  This device cannot read or send encrypted messages until it uses the encryption key of your account.
+                </div>
+                <Button
+                  type="button"
+                  variant="outline"
+                  className="h-8 rounded-lg font-bold"
+                  onClick={() => setKeysDialogOpen(true)}
+                >
+                  {identityMismatch.hasBackup ? 'Restore from backup' : 'Fix encryption key'}
+                </Button>
+              </div>
+            ) : null}
+
             <div className="px-4 pb-4">
               <div className="text-xs font-bold text-slate-500">Signed in as {signedInLabel}</div>
             </div>
@@ -2089,11 +2209,29 @@ function MessagesInner() {
                           {!isGroupConversation && otherKeyError ? ' (key unavailable)' : ''}
                           {isGroupConversation && groupKeysLoading ? ' (loading keys...)' : ''}
                           {isGroupConversation && groupKeyMissing.length ? ' (missing keys)' : ''}
+                          {otherVerified ? (
+                            <span className="inline-flex items-center gap-0.5 text-green-700">
+                              <ShieldCheck className="w-3.5 h-3.5" />
+                              Verified
+                            </span>
+                          ) : null}
                         </div>
                       </div>
                     </div>
 
                     <div className="flex items-center gap-2 flex-wrap justify-end">
+                      {!isGroupConversation && otherPublicKey ? (
+                        <Button
+                          type="button"
+                          variant="outline"
+                          className="h-10 rounded-xl font-bold"
+                          onClick={() => setSafetyNumberOpen(true)}
+                        >
+                          <ShieldCheck className="w-4 h-4 mr-2" />
+                          Verify
+                        </Button>
+                      ) : null}
+
                       {isGroupConversation && isGroupAdminUser ? (
                         <Button
                           type="button"
@@ -2157,6 +2295,35 @@ function MessagesInner() {
                       Someone in this chat is blocked. Their messages are hidden from you.
                     </div>
                   )}
+
+                  {changedIdentityEmails.length ? (
+                    <div className="mt-3 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-xs font-semibold text-amber-900">
+                      <div>
+                        {isGroupConversation
+                          ? `The encryption key changed for ${changedIdentityEmails
+                              .map((email) => getParticipantLabel(email, profileLookup))
+                              .join(', ')}.`
+                          : `${selectedTitle || 'This contact'}'s encryption key changed.`}{' '}
+                        This happens when someone reinstalls the app or resets their key, but it could also
+                        mean someone is intercepting messages.
+                      </div>
+                      <div className="mt-2 flex items-center gap-2">
+                        {!isGroupConversation ? (
+                          <Button
+                            type="button"
+                            variant="outline"
+                            className="h-8 rounded-lg font-bold"
+                            onClick={() => setSafetyNumberOpen(true)}
+                          >
+                            Verify safety number
+                          </Button>
+                        ) : null}
+                        <Button type="button" variant="ghost" className="h-8 rounded-lg font-bold" onClick={dismissIdentityChanges}>
+                          Dismiss
+                        </Button>
+                      </div>
+                    </div>
+                  ) : null}
                 </div>
 
                 <div ref={messagesContainerRef} className="flex-1 p-4 overflow-y-auto bg-slate-50">
@@ -2258,12 +2425,20 @@ function MessagesInner() {
                               ) : null}
                               <div className="text-sm font-semibold whitespace-pre-wrap">
                                 {encryptedPayload ? (
-                                  senderPublicKey ? (
+                                  senderPublicKey ||
+                                  isMultiDevicePayload(encryptedPayload) ||
+                                  isRatchetPayload(encryptedPayload) ||
+                                  isSenderKeyPayload(encryptedPayload) ? (
                                     <EncryptedMessage
                                       myEmail={myEmail}
+                                      conversationId={selectedId}
+                                      senderEmail={senderEmail}
                                       senderPublicKey={senderPublicKey}
+                                      body={displayBody}
                                       encryptedPayload={encryptedPayload}
                                       messageId={String(m?.id || '')}
+                                      mine={mine}
+                                      syncSenderKeys={isGroupConversation ? syncSelectedGroupSenderKeys : undefined}
                                     />
                                   ) : (
                                     <span className="opacity-80">[Encrypted message]</span>
@@ -2547,6 +2722,27 @@ function MessagesInner() {
         onConversationStarted={handleConversationStarted}
       />
 
+      <EncryptionKeysDialog
+        open={keysDialogOpen}
+        onOpenChange={setKeysDialogOpen}
+        myEmail={myEmail}
+        accessToken={accessToken}
+        mismatch={identityMismatch}
+        onIdentityChanged={handleIdentityChanged}
+      />
+
+      <SafetyNumberDialog
+        open={safetyNumberOpen}
+        onOpenChange={setSafetyNumberOpen}
+        myEmail={myEmail}
+        myIdentityKey={myIdentityKey}
+        peerEmail={otherEmailNormalized}
+        peerIdentityKey={otherPublicKey || null}
+        peerLabel={selectedTitle}
+        verified={otherVerified}
+        onVerifiedChange={handleOtherVerifiedChange}
+      />
+
       <Dialog open={groupSettingsOpen} onOpenChange={setGroupSettingsOpen}>
         <DialogContent className="sm:max-w-lg max-h-[85vh] overflow-y-auto">
           <DialogHeader>
@@ -1,6 +1,7 @@
 import React, { Suspense, useEffect, useMemo, useState } from 'react';
 import { fetchMovementLocks, setMovementLock } from '@/api/movementLocksClient';
 import { fetchCollaboratorActions } from '@/api/collaboratorActionsClient';
+import MovementRevisionHistory from '@/components/collaboration/MovementRevisionHistory';
 import { getCurrentBackendStatus, subscribeBackendStatus } from '../utils/backendStatus';
 import { Link, useLocation, useParams } from 'react-router-dom';
 import { useInfiniteQuery, useMutation, useQuery } from '@tanstack/react-query';
@@ -68,6 +69,14 @@ import {
   deleteResource,
 } from '@/api/resourcesClient';
 import { listMovementEventsPage, createMovementEvent } from '@/api/eventsClient';
+import EventActions from '@/components/events/EventActions';
+import EventCheckInPass from '@/components/events/EventCheckInPass';
+import SignPetitionDialog from '@/components/petitions/SignPetitionDialog';
+import PetitionExportActions from '@/components/petitions/PetitionExportActions';
+import EventScheduleFields from '@/components/events/EventScheduleFields';
+import EventScheduleSummary from '@/components/events/EventScheduleSummary';
+import CalendarFeedCard from '@/components/events/CalendarFeedCard';
+import { emptySchedule, scheduleToPayload } from '@/utils/eventSchedule';
 import { listMovementPetitionsPage, createMovementPetition } from '@/api/petitionsClient';
 import { filterNotifications, upsertNotification } from '@/api/notificationsClient';
 
@@ -175,7 +184,7 @@ function EventRsvpControls({ event, movementId, accessToken, myEmail, backendSta
     queryFn: async () => fetchEventRsvpSummary(event.id, { accessToken: accessToken || undefined }),
   });
 
-  const summary = data?.summary || { going_count: 0, interested_count: 0, attended_count: 0 };
+  const summary = data?.summary || { going_count: 0, interested_count: 0, waitlisted_count: 0, attended_count: 0, checked_in_count: 0 };
   const myRsvp = data?.my_rsvp || null;
 
   const rsvpMutation = useMutation({
@@ -183,12 +192,22 @@ function EventRsvpControls({ event, movementId, accessToken, myEmail, backendSta
       if (!accessToken) throw new Error('Please log in to RSVP');
       return setMyEventRsvp(event.id, status, { accessToken });
     },
-    onSuccess: async (_res, status) => {
-      await queryClient.invalidateQueries({ queryKey: ['eventRsvps', String(event?.id || ''), myEmail] });
+    onSuccess: async (res, status) => {
+      await queryClient.invalidateQueries({ queryKey: ['eventRsvps', String(event?.id || '')] });
 
       const safeStatus = String(status || '').trim();
       if (safeStatus === 'cancel') return;
 
+      if (res?.waitlisted) {
+        const position = res?.rsvp?.waitlist_position;
+        toast.message(
+          position
+            ? `This event is full. You’re #${position} on the waitlist and will be notified if a spot opens.`
+            : 'This event is full. You’re on the waitlist and will be notified if a spot opens.'
+        );
+        return;
+      }
+
       if (myEmail && safeStatus === 'going') {
         try {
           const existing = await filterNotifications(
@@ -210,7 +229,7 @@ function EventRsvpControls({ event, movementId, accessToken, myEmail, backendSta
               content_title: `Upcoming event: ${String(event?.title || 'Event')}`,
               created_date: new Date().toISOString(),
               is_read: false,
-              starts_at: event?.starts_at ? String(event.starts_at) : null,
+              starts_at: event?.next_occurrence_at || event?.starts_at ? String(event.next_occurrence_at || event.starts_at) : null,
             }, { accessToken });
           }
         } catch (e) {
@@ -230,8 +249,9 @@ function EventRsvpControls({ event, movementId, accessToken, myEmail, backendSta
     },
   });
 
-  const max = typeof event?.max_attendees === 'number' ? event.max_attendees : null;
-  const isPast = isPastIso(event?.starts_at);
+  const max = summary.max_attendees ?? (typeof event?.max_attendees === 'number' ? event.max_attendees : null);
+  const waitlisted = myRsvp?.status === 'waitlisted';
+  const isPast = isPastIso(event?.next_occurrence_at || event?.starts_at);
   const canMarkAttendance = !!myRsvp && isPast;
 
   return (
@@ -242,8 +262,10 @@ function EventRsvpControls({ event, movementId, accessToken, myEmail, backendSta
           <span>
             {summary.going_count} going
             {summary.interested_count ? ` • ${summary.interested_count} interested` : ''}
+            {summary.waitlisted_count ? ` • ${summary.waitlisted_count} waitlisted` : ''}
+            {summary.checked_in_count ? ` • ${summary.checked_in_count} checked in` : ''}
             {summary.attended_count ? ` • ${summary.attended_count} attended` : ''}
-            {max ? ` • ${max} capacity` : ''}
+            {max ? ` • ${summary.spots_left === 0 ? 'full' : `${max} capacity`}` : ''}
           </span>
         </div>
 
@@ -259,9 +281,11 @@ function EventRsvpControls({ event, movementId, accessToken, myEmail, backendSta
                 className={`h-9 w-9 rounded-xl border-2 flex items-center justify-center font-black ${
                   myRsvp?.status === 'going'
                     ? 'bg-green-500 border-green-600 text-white'
-                    : 'bg-white border-slate-200 text-slate-700 hover:bg-slate-50'
+                    : waitlisted
+                      ? 'bg-amber-100 border-amber-400 text-amber-800'
+                      : 'bg-white border-slate-200 text-slate-700 hover:bg-slate-50'
                 }`}
-                title="RSVP going"
+                title={waitlisted ? 'On the waitlist' : 'RSVP going'}
               >
                 <Check className="w-4 h-4" />
               </button>
@@ -297,6 +321,18 @@ function EventRsvpControls({ event, movementId, accessToken, myEmail, backendSta
         )}
       </div>
 
+      {waitlisted ? (
+        <div className="mt-2 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-xs font-semibold text-amber-800">
+          {myRsvp?.waitlist_position
+            ? `You’re #${myRsvp.waitlist_position} on the waitlist. We’ll notify you if a spot opens.`
+            : 'You’re on the waitlist. We’ll notify you if a spot opens.'}
+        </div>
+      ) : myRsvp && !isPast ? (
+        <div className="mt-2">
+          <EventCheckInPass event={event} rsvp={myRsvp} />
+        </div>
+      ) : null}
+
       {canMarkAttendance ? (
         backendStatus === 'offline' ? (
           <div className="text-xs text-red-500 font-bold mt-2">Offline: Attendance marking disabled</div>
@@ -324,6 +360,21 @@ function EventRsvpControls({ event, movementId, accessToken, myEmail, backendSta
   );
 }
 
+function PetitionBody({ text }) {
+  const [expanded, setExpanded] = useState(false);
+  const long = text.length > 280;
+  return (
+    <div className="mt-2">
+      <p className={`text-sm text-slate-700 font-medium whitespace-pre-line ${long && !expanded ? 'line-clamp-4' : ''}`}>{text}</p>
+      {long ? (
+        <button type="button" onClick={() => setExpanded((v) => !v)} className="mt-1 text-xs font-black text-[#3A3DFF] hover:underline">
+          {expanded ? 'Show less' : 'Read the full petition'}
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
 function PetitionSignControls({ petition, accessToken, myEmail, backendStatus = 'healthy' }) {
   const queryClient = useQueryClient();
 
@@ -336,9 +387,10 @@ function PetitionSignControls({ petition, accessToken, myEmail, backendStatus =
 
   const summary = data?.summary || { count: 0, velocity_7d: 0, velocity_24h: 0 };
   const mySig = data?.my_signature || null;
+  const [signOpen, setSignOpen] = useState(false);
 
   const signMutation = useMutation({
-    mutationFn: async () => {
+    mutationFn: async (details) => {
       if (!accessToken) throw new Error('Please log in to sign');
 
       const rateCheck = await checkActionAllowed({
@@ -352,10 +404,10 @@ function PetitionSignControls({ petition, accessToken, myEmail, backendStatus =
         throw new Error(String(rateCheck?.reason || 'Please slow down.') + wait);
       }
 
-      const comment = window.prompt('Optional comment (leave blank for none):', '') ?? '';
-      return signPetition(petition.id, { comment, isPublic: true }, { accessToken });
+      return signPetition(petition.id, details || {}, { accessToken });
     },
     onSuccess: async () => {
+      setSignOpen(false);
       await queryClient.invalidateQueries({ queryKey: ['petitionSignatures', String(petition?.id || ''), myEmail] });
     },
     onError: (e) => {
@@ -377,9 +429,29 @@ function PetitionSignControls({ petition, accessToken, myEmail, backendStatus =
   });
 
   const effectiveBackendStatus = backendStatus || 'healthy';
+  const goal = Number(petition?.goal_signatures) || 0;
+  const progress = goal ? Math.min(100, Math.round((summary.count / goal) * 100)) : null;
+  const closed = !!petition?.is_closed;
 
   return (
     <div className="mt-3 p-3 rounded-xl border border-slate-200 bg-white">
+      {progress != null ? (
+        <div className="mb-3">
+          <div
+            className="h-2 rounded-full bg-slate-100 overflow-hidden"
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={progress}
+            aria-label="Progress towards the signature goal"
+          >
+            <div className="h-full bg-[#3A3DFF]" style={{ width: `${progress}%` }} />
+          </div>
+          <div className="mt-1 text-xs font-bold text-slate-600">
+            {summary.count.toLocaleString()} of {goal.toLocaleString()} verified signatures ({progress}%)
+          </div>
+        </div>
+      ) : null}
       <div className="flex items-center justify-between gap-3">
         <div className="text-xs font-black text-slate-600 flex items-center gap-2">
           <Users className="w-4 h-4" />
@@ -389,7 +461,9 @@ function PetitionSignControls({ petition, accessToken, myEmail, backendStatus =
             {summary.velocity_24h ? ` • ${summary.velocity_24h} last 24h` : ''}
           </span>
         </div>
-        {accessToken ? (
+        {closed ? (
+          <div className="text-xs text-slate-500 font-bold">{mySig ? 'You signed • Closed' : 'Closed'}</div>
+        ) : accessToken ? (
           effectiveBackendStatus === 'offline' ? (
             <div className="text-xs text-red-500 font-bold">Offline: Petition signing disabled</div>
           ) : mySig ? (
@@ -404,7 +478,7 @@ function PetitionSignControls({ petition, accessToken, myEmail, backendStatus =
           ) : (
             <button
               type="button"
-              onClick={() => signMutation.mutate()}
+              onClick={() => setSignOpen(true)}
               disabled={signMutation.isPending || effectiveBackendStatus !== 'healthy'}
               className="px-3 py-2 rounded-xl bg-slate-900 text-white text-xs font-black hover:opacity-90 disabled:opacity-60"
             >
@@ -415,6 +489,16 @@ function PetitionSignControls({ petition, accessToken, myEmail, backendStatus =
           <div className="text-xs text-slate-500 font-bold">Log in to sign</div>
         )}
       </div>
+
+      <PetitionExportActions petition={petition} accessToken={accessToken} />
+
+      <SignPetitionDialog
+        petition={petition}
+        open={signOpen}
+        onOpenChange={setSignOpen}
+        submitting={signMutation.isPending}
+        onSubmit={(details) => signMutation.mutate(details)}
+      />
     </div>
   );
 }
@@ -687,6 +771,9 @@ export default function MovementDetails() {
             pages: old.pages.map((page) => (Array.isArray(page) ? page.map(patchRecord) : page)),
           };
         }
+        if (old && typeof old === 'object' && Array.isArray(old.movements)) {
+          return { ...old, movements: old.movements.map(patchRecord) };
+        }
         if (Array.isArray(old)) return old.map(patchRecord);
         return old;
       };
@@ -711,6 +798,22 @@ export default function MovementDetails() {
         return;
       }
 
+      if (event?.type === 'movement:comment:updated') {
+        queryClient.invalidateQueries({ queryKey: queryKeys.movements.comments(movementId) });
+        queryClient.invalidateQueries({ queryKey: queryKeys.movements.commentsCount(movementId) });
+        return;
+      }
+
+      if (event?.type === 'movement:poll:updated') {
+        queryClient.invalidateQueries({ queryKey: queryKeys.movements.polls(movementId) });
+        return;
+      }
+
+      if (event?.type === 'movement:comment-settings:updated') {
+        queryClient.invalidateQueries({ queryKey: queryKeys.movements.commentSettings(movementId) });
+        return;
+      }
+
       if (event?.type === 'movement:follow:updated') {
         const count = Number(event?.followers_count);
         if (!Number.isFinite(count)) return;
@@ -911,6 +1014,7 @@ export default function MovementDetails() {
       const updated = await updateMovement(movementId, payload, { accessToken });
       queryClient.setQueryData(queryKeys.movements.detail(movementId), updated);
       queryClient.invalidateQueries({ queryKey: ['movements'] });
+      queryClient.invalidateQueries({ queryKey: queryKeys.movements.revisions(movementId), exact: true });
       setEditMovementOpen(false);
       toast.success('Movement updated.');
     } catch (err) {
@@ -999,7 +1103,7 @@ export default function MovementDetails() {
 
       return { previousFollow };
     },
-    onSuccess: (next, nextFollowing) => {
+    onSuccess: (next) => {
       queryClient.setQueryData(['movementFollow', movementId], next);
 
       if (next && typeof next.followers_count === 'number') {
@@ -1030,30 +1134,6 @@ export default function MovementDetails() {
         });
       }
 
-      // Best-effort activity item (for creators/admins) when someone follows this movement.
-      try {
-        const justFollowed = !!nextFollowing && !following;
-        if (justFollowed && ownerEmail && myEmail && movementId && myEmail !== String(ownerEmail).toLowerCase()) {
-          const actorName =
-            (userProfile?.display_name ? String(userProfile.display_name).trim() : '') ||
-            (userProfile?.username ? `@${String(userProfile.username).trim()}` : null);
-          upsertNotification({
-            recipient_email: String(ownerEmail).trim().toLowerCase(),
-            type: 'movement_follow',
-            actor_name: actorName,
-            actor_email: String(myEmail).trim().toLowerCase(),
-            content_id: String(movementId),
-            content_ref: null,
-            content_title: String(movement?.title || movement?.name || '').trim() || null,
-            created_date: new Date().toISOString(),
-            is_read: false,
-            metadata: null,
-          }).catch(() => {});
-        }
-      } catch {
-        // best-effort
-      }
-
       // Refresh the home feed and followed-movements list so they reflect the follow/unfollow.
       queryClient.invalidateQueries({ queryKey: queryKeys.movements.feed() });
       queryClient.invalidateQueries({ queryKey: ['followedMovements'] });
@@ -1326,18 +1406,26 @@ export default function MovementDetails() {
     hasNextPage: hasNextEventsPage,
     isFetchingNextPage: isFetchingNextEventsPage,
   } = useInfiniteQuery({
-    queryKey: ['events', movementId],
+    queryKey: ['events', movementId, user?.email || null],
     enabled: !!movementId,
     initialPageParam: 0,
     queryFn: ({ pageParam = 0 }) =>
       listMovementEventsPage(movementId, {
         limit: 20,
         offset: pageParam,
+        accessToken: accessToken || undefined,
         fields: [
           'id',
           'movement_id',
           'title',
           'starts_at',
+          'ends_at',
+          'time_zone',
+          'recurrence_rule',
+          'next_occurrence_at',
+          'status',
+          'cancellation_reason',
+          'can_manage',
           'location',
           'url',
           'virtual_link',
@@ -1368,14 +1456,27 @@ export default function MovementDetails() {
     hasNextPage: hasNextPetitionsPage,
     isFetchingNextPage: isFetchingNextPetitionsPage,
   } = useInfiniteQuery({
-    queryKey: ['petitions', movementId],
+    queryKey: ['petitions', movementId, user?.email || null],
     enabled: !!movementId && petitionsEnabled,
     initialPageParam: 0,
     queryFn: ({ pageParam = 0 }) =>
       listMovementPetitionsPage(movementId, {
         limit: 20,
         offset: pageParam,
-        fields: ['id', 'movement_id', 'title', 'url', 'goal_signatures', 'created_at'],
+        accessToken: accessToken || undefined,
+        fields: [
+          'id',
+          'movement_id',
+          'title',
+          'body',
+          'target',
+          'deadline',
+          'url',
+          'goal_signatures',
+          'is_closed',
+          'can_manage',
+          'created_at',
+        ],
       }),
     getNextPageParam: (lastPage, pages) => {
       const list = Array.isArray(lastPage) ? lastPage : [];
@@ -1908,7 +2009,7 @@ export default function MovementDetails() {
   });
 
   const [eventTitle, setEventTitle] = useState('');
-  const [eventStartsAt, setEventStartsAt] = useState('');
+  const [eventSchedule, setEventSchedule] = useState(() => emptySchedule());
   const [eventLocation, setEventLocation] = useState('');
   const [eventUrl, setEventUrl] = useState('');
   const [eventVirtualLink, setEventVirtualLink] = useState('');
@@ -1931,11 +2032,15 @@ export default function MovementDetails() {
 
       const capRaw = String(eventMaxAttendees || '').trim();
       const cap = capRaw ? Number(capRaw) : undefined;
+      const schedule = scheduleToPayload(eventSchedule);
       return createMovementEvent(
         movementId,
         {
           title: String(eventTitle).trim(),
-          starts_at: String(eventStartsAt).trim() || undefined,
+          starts_at: schedule.starts_at || undefined,
+          ends_at: schedule.ends_at || undefined,
+          time_zone: schedule.starts_at ? schedule.time_zone : undefined,
+          recurrence_rule: schedule.recurrence_rule || undefined,
           location: String(eventLocation).trim() || undefined,
           url: String(eventUrl).trim() || undefined,
           virtual_link: String(eventVirtualLink).trim() || undefined,
@@ -1947,7 +2052,7 @@ export default function MovementDetails() {
     },
     onSuccess: async () => {
       setEventTitle('');
-      setEventStartsAt('');
+      setEventSchedule(emptySchedule());
       setEventLocation('');
       setEventUrl('');
       setEventVirtualLink('');
@@ -1961,6 +2066,9 @@ export default function MovementDetails() {
   });
 
   const [petitionTitle, setPetitionTitle] = useState('');
+  const [petitionBody, setPetitionBody] = useState('');
+  const [petitionTarget, setPetitionTarget] = useState('');
+  const [petitionDeadline, setPetitionDeadline] = useState('');
   const [petitionUrl, setPetitionUrl] = useState('');
   const [petitionGoal, setPetitionGoal] = useState('');
   const addPetitionMutation = useMutation({
@@ -1980,11 +2088,19 @@ export default function MovementDetails() {
       }
 
       const goal = String(petitionGoal || '').trim();
+      const body = String(petitionBody || '').trim();
+      const url = String(petitionUrl || '').trim();
+      if (!body && !url) throw new Error('Write the petition text, or link to a petition hosted elsewhere');
+      // A deadline date closes signing at the end of that day, local time.
+      const deadline = petitionDeadline ? new Date(`${petitionDeadline}T23:59:59`).toISOString() : undefined;
       return createMovementPetition(
         movementId,
         {
           title: String(petitionTitle).trim(),
-          url: String(petitionUrl).trim(),
+          body: body || undefined,
+          target: String(petitionTarget || '').trim() || undefined,
+          deadline,
+          url: url || undefined,
           goal_signatures: goal ? Number(goal) : undefined,
         },
         { accessToken }
@@ -1992,6 +2108,9 @@ export default function MovementDetails() {
     },
     onSuccess: async () => {
       setPetitionTitle('');
+      setPetitionBody('');
+      setPetitionTarget('');
+      setPetitionDeadline('');
       setPetitionUrl('');
       setPetitionGoal('');
       await queryClient.invalidateQueries({ queryKey: ['petitions', movementId] });
@@ -2406,6 +2525,7 @@ export default function MovementDetails() {
         <div id="events">
         <SectionCard title="Events">
           <div className="space-y-3">
+            <CalendarFeedCard movementId={movementId} accessToken={accessToken} myEmail={myEmail} />
             {eventsLoading ? (
               <EmptyState>Loading events…</EmptyState>
             ) : eventsError ? (
@@ -2428,10 +2548,12 @@ export default function MovementDetails() {
                 {events.map((ev) => (
                   <div key={String(ev?.id)} className="p-4 rounded-xl border border-slate-200 bg-slate-50">
                     <div className="font-black text-slate-900">{String(ev?.title || '')}</div>
-                    <div className="mt-1 text-xs text-slate-600 font-bold">
-                      {ev?.starts_at ? `Starts: ${String(ev.starts_at)}` : 'Start time not specified'}
-                      {ev?.location ? ` • Location: ${String(ev.location)}` : ''}
+                    <div className="mt-1">
+                      <EventScheduleSummary event={ev} />
                     </div>
+                    {ev?.location ? (
+                      <div className="mt-1 text-xs text-slate-600 font-bold">Location: {String(ev.location)}</div>
+                    ) : null}
                     {typeof ev?.max_attendees === 'number' ? (
                       <div className="mt-1 text-xs text-slate-600 font-bold">
                         Capacity: {String(ev.max_attendees)}
@@ -2461,13 +2583,21 @@ export default function MovementDetails() {
                       <div className="mt-2 text-sm text-slate-700 font-semibold whitespace-pre-wrap">{String(ev.description)}</div>
                     ) : null}
 
-                    <EventRsvpControls
+                    <EventActions
                       event={ev}
-                      movementId={movementId}
                       accessToken={accessToken}
-                      myEmail={myEmail}
-                      backendStatus={backendStatus}
+                      onChanged={() => queryClient.invalidateQueries({ queryKey: ['events', movementId] })}
                     />
+
+                    {ev?.status !== 'cancelled' ? (
+                      <EventRsvpControls
+                        event={ev}
+                        movementId={movementId}
+                        accessToken={accessToken}
+                        myEmail={myEmail}
+                        backendStatus={backendStatus}
+                      />
+                    ) : null}
                   </div>
                 ))}
 
@@ -2515,9 +2645,14 @@ export default function MovementDetails() {
                     {petitions.map((p) => (
                       <div key={String(p?.id)} className="p-4 rounded-xl border border-slate-200 bg-slate-50">
                         <div className="font-black text-slate-900">{String(p?.title || '')}</div>
+                        {p?.target ? <div className="mt-1 text-sm text-slate-700 font-bold">To: {String(p.target)}</div> : null}
                         <div className="mt-1 text-xs text-slate-600 font-bold">
                           {p?.goal_signatures ? `Goal: ${String(p.goal_signatures)} signatures` : 'No goal set'}
+                          {p?.deadline
+                            ? ` • ${p?.is_closed ? 'Closed' : 'Closes'} ${new Date(p.deadline).toLocaleDateString(undefined, { dateStyle: 'medium' })}`
+                            : ''}
                         </div>
+                        {p?.body ? <PetitionBody text={String(p.body)} /> : null}
                         {p?.url ? (
                           <a
                             className="mt-2 block text-sm font-bold text-[#3A3DFF] break-all"
@@ -3303,20 +3438,33 @@ export default function MovementDetails() {
                   </button>
                 </SectionCard>
               )}
+              <SectionCard title="Version history">
+                <div className="text-sm text-slate-600 font-semibold mb-3">
+                  Every saved change to the title, description, claims, tags, location and media. Compare any two
+                  versions. Owners and admins can restore an earlier one.
+                </div>
+                {accessToken ? (
+                  <MovementRevisionHistory
+                    movementId={movementId}
+                    accessToken={accessToken}
+                    onRestored={(restored) => {
+                      queryClient.setQueryData(queryKeys.movements.detail(movementId), restored);
+                      queryClient.invalidateQueries({ queryKey: ['movements'] });
+                    }}
+                  />
+                ) : (
+                  <SignInCallout action="see version history" />
+                )}
+              </SectionCard>
               <SectionCard title="Create event">
                 <div className="space-y-3">
                   {accessToken ? (
                     <>
-                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-                        <div className="md:col-span-2">
-                          <Label>Title</Label>
-                          <TextInput value={eventTitle} onChange={setEventTitle} placeholder="e.g. City hall meetup" />
-                        </div>
-                        <div>
-                          <Label>Starts at (ISO, optional)</Label>
-                          <TextInput value={eventStartsAt} onChange={setEventStartsAt} placeholder="2026-01-05T18:00:00Z" />
-                        </div>
+                      <div>
+                        <Label>Title</Label>
+                        <TextInput value={eventTitle} onChange={setEventTitle} placeholder="e.g. City hall meetup" />
                       </div>
+                      <EventScheduleFields value={eventSchedule} onChange={setEventSchedule} idPrefix="new_event" />
                       <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                         <div>
                           <Label>Location (optional)</Label>
@@ -3372,7 +3520,25 @@ export default function MovementDetails() {
                           </div>
                         </div>
                         <div>
-                          <Label>URL</Label>
+                          <Label>Petition text</Label>
+                          <TextArea
+                            value={petitionBody}
+                            onChange={setPetitionBody}
+                            placeholder="What are you asking for, and why does it matter?"
+                          />
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                          <div className="md:col-span-2">
+                            <Label>Addressed to (optional)</Label>
+                            <TextInput value={petitionTarget} onChange={setPetitionTarget} placeholder="e.g. City Council Transport Committee" />
+                          </div>
+                          <div>
+                            <Label>Deadline (optional)</Label>
+                            <TextInput value={petitionDeadline} onChange={setPetitionDeadline} type="date" />
+                          </div>
+                        </div>
+                        <div>
+                          <Label>Or link to a petition hosted elsewhere</Label>
                           <TextInput value={petitionUrl} onChange={setPetitionUrl} placeholder="https://…" />
                         </div>
                         <button
@@ -1,8 +1,8 @@
-import React, { useEffect, useMemo, useRef } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
 import { useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Bell, Loader2, Heart, UserPlus, MessageSquare } from 'lucide-react';
+import { Bell, Loader2, Heart, UserPlus, MessageSquare, Scale, ShieldAlert, Lock, CalendarCheck, CalendarClock, CalendarPlus, CalendarX, Flag, Users, ClipboardCheck, BadgeCheck, HelpCircle } from 'lucide-react';
 import { motion } from 'framer-motion';
 import { format } from 'date-fns';
 import { Button } from "@/components/ui/button";
@@ -13,13 +13,40 @@ import {
 } from '@/api/notificationsClient';
 import { useAuth } from '@/auth/AuthProvider';
 import { logError } from '@/utils/logError';
+import AppealForm from '@/components/moderation/AppealForm';
+import { formatEventTimeRange } from '@/utils/eventSchedule';
 
-const ALLOWED_PUBLIC_TYPES = new Set(['follow', 'movement_boost', 'comment']);
+const ALLOWED_PUBLIC_TYPES = new Set([
+  'follow',
+  'movement_follow',
+  'movement_boost',
+  'comment',
+  'comment_reply',
+  'collaborator_invite',
+  'task_assigned',
+  'movement_event_new',
+  'movement_petition_new',
+  'event_reminder',
+  'evidence_reviewed',
+  'report_update',
+  'moderation_request_more_info',
+  'moderation_notice',
+  'moderation_appeal_update',
+  'moderation_appeal_decision',
+  'comments_auto_locked',
+  'event_cancelled',
+  'event_rescheduled',
+  'event_waitlist_promoted',
+  'petition_milestone',
+]);
+
+const NON_APPEALABLE_ACTIONS = new Set(['none', 'request_more_info']);
 
 export default function Notifications() {
   const { session, user: supaUser, loading } = useAuth();
   const queryClient = useQueryClient();
   const navigate = useNavigate();
+  const [appealTarget, setAppealTarget] = useState(null);
 
   const userEmail = useMemo(() => {
     const email = supaUser?.email ? String(supaUser.email).trim().toLowerCase() : null;
@@ -223,6 +250,7 @@ export default function Notifications() {
                   key={notification.id}
                   notification={notification}
                   onMarkRead={() => markAsReadMutation.mutate(notification.id)}
+                  onAppeal={setAppealTarget}
                 />
               ))}
               {hasNextPage ? (
@@ -241,22 +269,50 @@ export default function Notifications() {
           )}
         </div>
       </motion.div>
+
+      {appealTarget ? (
+        <AppealForm moderationAction={appealTarget} onClose={() => setAppealTarget(null)} />
+      ) : null}
     </div>
   );
 }
 
-function NotificationItem({ notification, onMarkRead }) {
+function NotificationItem({ notification, onMarkRead, onAppeal }) {
   const safeActorName = useMemo(() => {
     const raw = String(notification?.actor_name || '').trim();
     if (raw && !raw.includes('@')) return raw;
     return 'Member';
   }, [notification]);
 
+  // Coalesced rows (boosts, follows, comments) count every distinct actor while unread.
+  const who = useMemo(() => {
+    const count = Math.max(1, Number(notification?.actor_count) || 1);
+    return count > 1 ? `${count.toLocaleString()} people` : safeActorName;
+  }, [notification, safeActorName]);
+
   const getIcon = () => {
     switch (notification.type) {
-      case 'follow': return <UserPlus className="w-5 h-5 text-blue-500" />;
+      case 'follow':
+      case 'movement_follow': return <UserPlus className="w-5 h-5 text-blue-500" />;
       case 'movement_boost': return <Heart className="w-5 h-5 text-red-500" />;
-      case 'comment': return <MessageSquare className="w-5 h-5 text-purple-500" />;
+      case 'comment':
+      case 'comment_reply': return <MessageSquare className="w-5 h-5 text-purple-500" />;
+      case 'collaborator_invite': return <Users className="w-5 h-5 text-[#3A3DFF]" />;
+      case 'task_assigned': return <ClipboardCheck className="w-5 h-5 text-[#3A3DFF]" />;
+      case 'movement_event_new': return <CalendarPlus className="w-5 h-5 text-[#3A3DFF]" />;
+      case 'event_reminder': return <CalendarClock className="w-5 h-5 text-[#3A3DFF]" />;
+      case 'movement_petition_new': return <Flag className="w-5 h-5 text-[#3A3DFF]" />;
+      case 'evidence_reviewed': return <BadgeCheck className="w-5 h-5 text-green-600" />;
+      case 'report_update': return <ShieldAlert className="w-5 h-5 text-slate-600" />;
+      case 'moderation_request_more_info': return <HelpCircle className="w-5 h-5 text-amber-600" />;
+      case 'moderation_notice': return <ShieldAlert className="w-5 h-5 text-amber-600" />;
+      case 'moderation_appeal_update':
+      case 'moderation_appeal_decision': return <Scale className="w-5 h-5 text-slate-700" />;
+      case 'comments_auto_locked': return <Lock className="w-5 h-5 text-orange-600" />;
+      case 'event_cancelled': return <CalendarX className="w-5 h-5 text-red-600" />;
+      case 'event_rescheduled': return <CalendarClock className="w-5 h-5 text-[#3A3DFF]" />;
+      case 'event_waitlist_promoted': return <CalendarCheck className="w-5 h-5 text-green-600" />;
+      case 'petition_milestone': return <Flag className="w-5 h-5 text-[#3A3DFF]" />;
       default: return <Bell className="w-5 h-5 text-slate-500" />;
     }
   };
@@ -264,11 +320,74 @@ function NotificationItem({ notification, onMarkRead }) {
   const getMessage = () => {
     switch (notification.type) {
       case 'follow':
-        return `${safeActorName} started following you`;
+        return `${who} started following you`;
+      case 'movement_follow':
+        return `${who} followed "${notification.content_title}"`;
       case 'movement_boost':
-        return `${safeActorName} boosted "${notification.content_title}"`;
+        return `${who} boosted "${notification.content_title}"`;
       case 'comment':
-        return `${safeActorName} commented on "${notification.content_title}"`;
+        return `${who} commented on "${notification.content_title}"`;
+      case 'comment_reply':
+        return `${who} replied to your comment on "${notification.content_title}"`;
+      case 'collaborator_invite':
+        return `${safeActorName} invited you to collaborate on "${notification.content_title}"`;
+      case 'task_assigned': {
+        const task = notification?.metadata?.task_title ? `: ${notification.metadata.task_title}` : '';
+        return `${safeActorName} assigned you a task on "${notification.content_title}"${task}`;
+      }
+      case 'movement_event_new': {
+        const title = notification?.metadata?.event_title ? ` "${notification.metadata.event_title}"` : '';
+        const when = formatEventTimeRange(notification?.metadata?.starts_at, null, notification?.metadata?.time_zone);
+        return `New event${title} on "${notification.content_title}"${when ? ` · ${when}` : ''}`;
+      }
+      case 'movement_petition_new': {
+        const title = notification?.metadata?.petition_title ? ` "${notification.metadata.petition_title}"` : '';
+        return `New petition${title} on "${notification.content_title}"`;
+      }
+      case 'event_reminder':
+        return notification.content_title || 'Upcoming event';
+      case 'evidence_reviewed':
+        return notification?.metadata?.status === 'approved'
+          ? `Your evidence for "${notification.content_title}" was verified.`
+          : `Your evidence for "${notification.content_title}" wasn’t accepted.`;
+      case 'report_update':
+        return notification?.metadata?.status === 'dismissed'
+          ? 'A report you made was reviewed and closed without action.'
+          : 'A report you made was reviewed and resolved. Thanks for helping keep People Power safe.';
+      case 'moderation_request_more_info':
+        return 'A moderator asked for more information about your report. Reply with any helpful context or evidence.';
+      case 'moderation_notice':
+        return notification?.metadata?.reversed_action
+          ? 'A previous moderation action on your account or content was reversed after review.'
+          : 'A moderation action was applied to your account or content.';
+      case 'comments_auto_locked':
+        return 'Comments on your movement were locked automatically after a sudden spike. You can reopen them from the movement.';
+      case 'event_cancelled': {
+        const when = formatEventTimeRange(notification?.metadata?.occurrence_start, null, notification?.metadata?.time_zone);
+        const what = when ? `The ${when} date of "${notification.content_title}"` : `"${notification.content_title}"`;
+        const reason = notification?.metadata?.reason ? ` Reason: ${notification.metadata.reason}` : '';
+        return `${what} was cancelled.${reason}`;
+      }
+      case 'event_rescheduled': {
+        const when = formatEventTimeRange(notification?.metadata?.starts_at, null, notification?.metadata?.time_zone);
+        return when
+          ? `"${notification.content_title}" was rescheduled to ${when}.`
+          : `"${notification.content_title}" was rescheduled.`;
+      }
+      case 'event_waitlist_promoted': {
+        const when = formatEventTimeRange(notification?.metadata?.starts_at, null, notification?.metadata?.time_zone);
+        return when
+          ? `A spot opened up: you’re now going to "${notification.content_title}" on ${when}.`
+          : `A spot opened up: you’re now going to "${notification.content_title}".`;
+      }
+      case 'petition_milestone': {
+        const percent = Number(notification?.metadata?.percent) || 0;
+        const count = Number(notification?.metadata?.count) || 0;
+        const signatures = count ? ` with ${count.toLocaleString()} signatures` : '';
+        return percent >= 100
+          ? `"${notification.content_title}" reached its goal${signatures}!`
+          : `"${notification.content_title}" is ${percent}% of the way to its goal${signatures}.`;
+      }
       default:
         return notification.content_title || 'New notification';
     }
@@ -278,8 +397,21 @@ function NotificationItem({ notification, onMarkRead }) {
     switch (notification.type) {
       case 'follow':
         return createPageUrl(`UserProfile?email=${notification.actor_email}`);
+      case 'movement_follow':
       case 'movement_boost':
       case 'comment':
+      case 'comment_reply':
+      case 'collaborator_invite':
+      case 'task_assigned':
+      case 'movement_event_new':
+      case 'movement_petition_new':
+      case 'event_reminder':
+      case 'evidence_reviewed':
+      case 'comments_auto_locked':
+      case 'event_cancelled':
+      case 'event_rescheduled':
+      case 'event_waitlist_promoted':
+      case 'petition_milestone':
         return notification.content_id ? `/movement/${encodeURIComponent(String(notification.content_id))}` : null;
       default:
         return null;
@@ -288,12 +420,20 @@ function NotificationItem({ notification, onMarkRead }) {
 
   const created = (() => {
     try {
-      return format(new Date(notification?.created_date || Date.now()), 'MMM d, h:mm a');
+      return format(new Date(notification?.updated_date || notification?.created_date || Date.now()), 'MMM d, h:mm a');
     } catch {
       return '';
     }
   })();
 
+  const appealable = (() => {
+    if (notification.type !== 'moderation_notice') return null;
+    const meta = notification?.metadata || {};
+    const action = String(meta.action_taken || '');
+    if (!meta.report_id || !action || NON_APPEALABLE_ACTIONS.has(action) || meta.reversed_action) return null;
+    return { report_id: String(meta.report_id), action_taken: action, reason_category: meta.reason_category || null };
+  })();
+
   const link = getLink();
   const content = (
     <div
@@ -313,6 +453,18 @@ function NotificationItem({ notification, onMarkRead }) {
           <p className="text-xs text-slate-400 mt-0.5">
             {created}
           </p>
+          {appealable ? (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                onAppeal?.(appealable);
+              }}
+              className="mt-1.5 text-xs font-semibold text-[#3A3DFF] hover:underline"
+            >
+              Appeal this decision
+            </button>
+          ) : null}
         </div>
         {!notification.is_read && (
           <div className="w-2 h-2 bg-[#3A3DFF] rounded-full flex-shrink-0 mt-2" />
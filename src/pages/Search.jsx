@@ -1,7 +1,8 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
-import { Loader2, MapPin, Search as SearchIcon } from 'lucide-react';
+import { Loader2, MapPin, Search as SearchIcon, X } from 'lucide-react';
+import { toast } from 'sonner';
 import { useAuth } from '@/auth/AuthProvider';
 import { searchMovements, searchUsers } from '@/api/searchClient';
 import { fetchMyProfile } from '@/api/userProfileClient';
@@ -13,11 +14,19 @@ import { queryKeys } from '@/lib/queryKeys';
 
 const SEARCH_STATE_CACHE_KEY = 'pp_search_state_v1';
 
-function makeMovementsCacheKey({ q, city, country }) {
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Most relevant' },
+  { value: 'momentum', label: 'Most momentum' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'nearest', label: 'Nearest to me' },
+];
+
+function makeMovementsCacheKey({ q, city, country, tags, category, sort }) {
   const qp = String(q || '').trim().slice(0, 80);
   const c = String(city || '').trim().slice(0, 80);
   const co = String(country || '').trim().slice(0, 80);
-  return `pp_search_movements_v1:${encodeURIComponent(qp)}:${encodeURIComponent(c)}:${encodeURIComponent(co)}`;
+  const filters = [...(tags || []), category || '', sort || ''].join('|').slice(0, 160);
+  return `pp_search_movements_v2:${encodeURIComponent(qp)}:${encodeURIComponent(c)}:${encodeURIComponent(co)}:${encodeURIComponent(filters)}`;
 }
 
 function makeUsersCacheKey({ q }) {
@@ -30,6 +39,36 @@ function formatLocation(city, country) {
   return parts.length ? parts.join(', ') : null;
 }
 
+function FacetGroup({ title, items, isActive, onToggle }) {
+  if (!Array.isArray(items) || items.length === 0) return null;
+  return (
+    <div>
+      <div className="text-[11px] font-black uppercase tracking-wide text-slate-500 mb-2">{title}</div>
+      <div className="flex flex-wrap gap-2">
+        {items.slice(0, 12).map((item) => {
+          const active = isActive(item.value);
+          return (
+            <button
+              key={item.value}
+              type="button"
+              onClick={() => onToggle(item.value)}
+              className={`inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-bold border transition ${
+                active
+                  ? 'bg-[#3A3DFF] border-[#3A3DFF] text-white'
+                  : 'bg-white border-slate-200 text-slate-700 hover:border-[#3A3DFF]'
+              }`}
+            >
+              {item.value}
+              <span className={active ? 'text-white/80' : 'text-slate-400'}>{item.count}</span>
+              {active ? <X className="w-3 h-3" /> : null}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 function MovementResult({ movement }) {
   const id = movement?.id ?? movement?._id;
   const title = String(movement?.title || movement?.name || 'Untitled movement');
@@ -42,6 +81,7 @@ function MovementResult({ movement }) {
   const authorLabel = displayName || (username ? `@${username}` : 'Member');
   const authorPath = username ? `/u/${encodeURIComponent(username)}` : null;
   const isAdminAuthor = !!(movement?.creator_is_admin || movement?.author_is_admin);
+  const distanceKm = movement?.distance_km != null && Number.isFinite(Number(movement.distance_km)) ? Number(movement.distance_km) : null;
   const to = id ? `/movement/${encodeURIComponent(String(id))}` : '/';
 
   return (
@@ -73,6 +113,7 @@ function MovementResult({ movement }) {
               {locationLabel}
             </span>
           ) : null}
+          {distanceKm != null ? <span>{distanceKm < 1 ? '<1' : Math.round(distanceKm)} km away</span> : null}
         </div>
       </Link>
       {tags.length ? (
@@ -139,6 +180,10 @@ export default function Search() {
   const [debounced, setDebounced] = useState('');
   const [city, setCity] = useState('');
   const [country, setCountry] = useState('');
+  const [tags, setTags] = useState([]);
+  const [category, setCategory] = useState('');
+  const [sort, setSort] = useState('relevance');
+  const [coords, setCoords] = useState(null);
 
   useEffect(() => {
     const unsub = subscribeBackendStatus(setBackendStatus);
@@ -151,9 +196,16 @@ export default function Search() {
     const q = typeof cached.query === 'string' ? cached.query : '';
     const c = typeof cached.city === 'string' ? cached.city : '';
     const co = typeof cached.country === 'string' ? cached.country : '';
+    const t = Array.isArray(cached.tags) ? cached.tags.filter((v) => typeof v === 'string').slice(0, 10) : [];
+    const cat = typeof cached.category === 'string' ? cached.category : '';
+    // "nearest" needs a fresh location fix, so it isn't restored.
+    const s = SORT_OPTIONS.some((o) => o.value === cached.sort) && cached.sort !== 'nearest' ? cached.sort : '';
     if (q) setQuery(q);
     if (c) setCity(c);
     if (co) setCountry(co);
+    if (t.length) setTags(t);
+    if (cat) setCategory(cat);
+    if (s) setSort(s);
   }, []);
 
   useEffect(() => {
@@ -161,8 +213,11 @@ export default function Search() {
       query: String(query || '').slice(0, 120),
       city: String(city || '').slice(0, 120),
       country: String(country || '').slice(0, 120),
+      tags,
+      category,
+      sort,
     });
-  }, [query, city, country]);
+  }, [query, city, country, tags, category, sort]);
 
   useEffect(() => {
     const t = setTimeout(() => setDebounced(query), 400);
@@ -171,12 +226,14 @@ export default function Search() {
 
   const trimmed = String(debounced || '').trim();
   const locationActive = Boolean(String(city || '').trim() || String(country || '').trim());
-  const movementEnabled = Boolean(trimmed || locationActive);
+  const facetActive = tags.length > 0 || Boolean(category);
+  const nearestReady = sort !== 'nearest' || !!coords;
+  const movementEnabled = Boolean(trimmed || locationActive || facetActive) && nearestReady;
   const userEnabled = Boolean(accessToken && trimmed.length >= 2);
 
   const movementsCacheKey = useMemo(
-    () => makeMovementsCacheKey({ q: trimmed, city, country }),
-    [trimmed, city, country]
+    () => makeMovementsCacheKey({ q: trimmed, city, country, tags, category, sort }),
+    [trimmed, city, country, tags, category, sort]
   );
   const usersCacheKey = useMemo(() => makeUsersCacheKey({ q: trimmed }), [trimmed]);
 
@@ -190,17 +247,36 @@ export default function Search() {
   });
 
   const {
-    data: movementResults = [],
+    data: movementSearch,
     isLoading: movementsLoading,
     isError: movementsError,
     error: movementsErrorObj,
     refetch: refetchMovements,
   } = useQuery({
-    queryKey: ['searchMovements', trimmed, city, country],
+    queryKey: ['searchMovements', trimmed, city, country, tags, category, sort, sort === 'nearest' ? coords : null],
     enabled: movementEnabled,
-    queryFn: () => searchMovements({ q: trimmed, city, country, limit: 20, offset: 0, accessToken }),
+    queryFn: () =>
+      searchMovements({
+        q: trimmed,
+        city,
+        country,
+        tags,
+        category,
+        sort,
+        lat: sort === 'nearest' ? coords?.lat : undefined,
+        lon: sort === 'nearest' ? coords?.lon : undefined,
+        limit: 20,
+        offset: 0,
+        accessToken,
+      }),
     retry: 1,
   });
+  const movementResults = useMemo(
+    () => (Array.isArray(movementSearch?.movements) ? movementSearch.movements : []),
+    [movementSearch]
+  );
+  const facets = movementSearch?.facets || null;
+  const movementTotal = Number(movementSearch?.total) || 0;
 
   const {
     data: userResults = [],
@@ -254,7 +330,7 @@ export default function Search() {
     allowOfflineResultsCache && isOffline && usersError && !usersLoading && cachedUserResults && cachedUserResults.length > 0
   );
 
-  const hasQuery = Boolean(trimmed || locationActive);
+  const hasQuery = Boolean(trimmed || locationActive || facetActive);
   const showEmptyPrompt = !hasQuery;
 
   const applyProfileLocation = () => {
@@ -264,6 +340,36 @@ export default function Search() {
     setCountry(String(loc.country || '').trim());
   };
 
+  const handleSortChange = (next) => {
+    if (next !== 'nearest') {
+      setSort(next);
+      return;
+    }
+    if (!navigator.geolocation) {
+      toast.error('Geolocation is not supported by your browser');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        // Coarse coordinates are enough to order results by distance.
+        setCoords({
+          lat: Math.round(pos.coords.latitude * 100) / 100,
+          lon: Math.round(pos.coords.longitude * 100) / 100,
+        });
+        setSort('nearest');
+      },
+      () => toast.error('Unable to retrieve your location')
+    );
+  };
+
+  const toggleTag = (value) => {
+    setTags((prev) => (prev.includes(value) ? prev.filter((t) => t !== value) : [...prev, value].slice(0, 10)));
+  };
+
+  const hasFacets = Boolean(
+    facets && (facets.tags?.length || facets.categories?.length || facets.countries?.length)
+  );
+
   const profileLocationLabel = formatLocation(myProfile?.location?.city, myProfile?.location?.country);
 
   return (
@@ -308,11 +414,59 @@ export default function Search() {
               Profile location: {profileLocationLabel}
             </p>
           ) : null}
+
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <label htmlFor="search-sort" className="text-xs font-bold text-slate-500">
+              Sort by
+            </label>
+            <select
+              id="search-sort"
+              value={sort}
+              onChange={(e) => handleSortChange(e.target.value)}
+              className="rounded-xl border-2 border-slate-200 bg-white px-3 py-1.5 text-sm font-semibold focus:outline-none focus:border-[#3A3DFF]"
+            >
+              {SORT_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            {facetActive ? (
+              <button
+                type="button"
+                onClick={() => {
+                  setTags([]);
+                  setCategory('');
+                }}
+                className="text-xs font-bold text-slate-500 hover:text-slate-900"
+              >
+                Clear filters
+              </button>
+            ) : null}
+          </div>
         </div>
 
         {showEmptyPrompt ? (
           <div className="p-6 text-sm text-slate-600 font-semibold">
-            Start typing to search movements and people, or filter by city/country.
+            Start typing to search movements and people, or filter by city/country. Use &quot;quotes&quot; for exact phrases.
+          </div>
+        ) : null}
+
+        {hasQuery && hasFacets ? (
+          <div className="p-5 sm:p-6 space-y-4 bg-slate-50/60">
+            <FacetGroup title="Tags" items={facets.tags} isActive={(v) => tags.includes(v)} onToggle={toggleTag} />
+            <FacetGroup
+              title="Categories"
+              items={facets.categories}
+              isActive={(v) => category === v}
+              onToggle={(v) => setCategory((prev) => (prev === v ? '' : v))}
+            />
+            <FacetGroup
+              title="Countries"
+              items={facets.countries}
+              isActive={(v) => country === v}
+              onToggle={(v) => setCountry((prev) => (prev === v ? '' : v))}
+            />
           </div>
         ) : null}
       </div>
@@ -321,7 +475,12 @@ export default function Search() {
         <div className="grid gap-6 lg:grid-cols-[2fr_1fr]">
           <section className="space-y-4">
             <div className="flex items-center justify-between">
-              <h2 className="text-lg font-black text-slate-900">Movements</h2>
+              <h2 className="text-lg font-black text-slate-900">
+                Movements
+                {!movementsLoading && !movementsError && movementSearch ? (
+                  <span className="ml-2 text-sm font-bold text-slate-400">{movementTotal}</span>
+                ) : null}
+              </h2>
               {movementsLoading ? (
                 <div className="text-xs text-slate-500 font-semibold flex items-center gap-2">
                   <Loader2 className="w-3 h-3 animate-spin" />
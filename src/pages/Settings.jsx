@@ -7,6 +7,9 @@ import { Button } from '@/components/ui/button';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { useAuth } from '@/auth/AuthProvider';
 import { fetchMyBlocks, unblockUser } from '@/api/blocksClient';
+import ProtectionSettingsPanel from '@/components/safety/ProtectionSettingsPanel';
+import NotificationPreferencesPanel from '@/components/notifications/NotificationPreferencesPanel';
+import CalendarFeedCard from '@/components/events/CalendarFeedCard';
 import { getInteractionErrorMessage } from '@/utils/interactionErrors';
 import { queryKeys } from '@/lib/queryKeys';
 
@@ -58,6 +61,29 @@ export default function Settings() {
             </div>
           </div>
 
+          <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4 mb-4">
+            <div className="text-sm font-bold text-slate-900 mb-2">Harassment protections</div>
+            <p className="text-xs text-slate-600 font-semibold mb-3">
+              Limit who can reach you. These apply on top of blocks.
+            </p>
+            <ProtectionSettingsPanel />
+          </div>
+
+          <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4 mb-4">
+            <div className="text-sm font-bold text-slate-900 mb-2">Notifications</div>
+            <p className="text-xs text-slate-600 font-semibold mb-3">
+              Choose where each kind of notification reaches you.
+            </p>
+            <NotificationPreferencesPanel />
+          </div>
+
+          {accessToken ? (
+            <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4 mb-4">
+              <div className="text-sm font-bold text-slate-900 mb-2">Calendar</div>
+              <CalendarFeedCard accessToken={accessToken} myEmail={user?.email || null} />
+            </div>
+          ) : null}
+
           <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4">
             <div className="text-sm font-bold text-slate-900 mb-2">Blocked users</div>
             <p className="text-xs text-slate-600 font-semibold mb-3">
@@ -1,5 +1,6 @@
-import React, { useEffect } from 'react';
-import { useQuery } from '@tanstack/react-query';
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'sonner';
 import { useAuth } from '../auth/AuthProvider';
 import { Navigate } from 'react-router-dom';
 import AdminBackButton from '@/components/admin/AdminBackButton';
@@ -20,6 +21,29 @@ function fetchMigrationLogs(token) {
   });
 }
 
+async function adminRequest(token, path, { method = 'GET', body } = {}) {
+  const baseUrl = getServerBaseUrl();
+  const r = await httpFetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      Accept: 'application/json',
+      Authorization: `Bearer ${token}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const payload = await r.json().catch(() => null);
+  if (!r.ok) throw new Error(payload?.error || 'Request failed');
+  return payload;
+}
+
+function formatBytes(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function getLastBackup(logs) {
   return logs.find((l) => l.type === 'backup' && l.status === 'success');
 }
@@ -37,11 +61,39 @@ function getBackupStatus(logs) {
 export default function SystemHealth() {
   const { user, session, loading, isAdmin } = useAuth();
   const accessToken = session?.access_token || null;
+  const queryClient = useQueryClient();
+  const [restoreCheck, setRestoreCheck] = useState(null);
   const { data, error, isLoading } = useQuery({
     queryKey: ['migrationLogs', accessToken],
     queryFn: () => fetchMigrationLogs(accessToken),
     enabled: !!accessToken,
   });
+  const backupsQuery = useQuery({
+    queryKey: ['adminBackups', accessToken],
+    queryFn: () => adminRequest(accessToken, '/admin/backups'),
+    enabled: !!accessToken,
+  });
+
+  const backupMutation = useMutation({
+    mutationFn: (kind) => adminRequest(accessToken, '/admin/backup', { method: 'POST', body: { kind } }),
+    onSuccess: (res) => {
+      toast.success(res?.message || 'Backup completed');
+      queryClient.invalidateQueries({ queryKey: ['adminBackups'] });
+      queryClient.invalidateQueries({ queryKey: ['migrationLogs'] });
+    },
+    onError: (e) => toast.error(e?.message || 'Backup failed'),
+  });
+
+  // Dry run only: real restores are deliberate API calls against a fresh database.
+  const restoreCheckMutation = useMutation({
+    mutationFn: (id) =>
+      adminRequest(accessToken, `/admin/backups/${encodeURIComponent(id)}/restore`, {
+        method: 'POST',
+        body: { target: 'postgres', dry_run: true },
+      }),
+    onSuccess: (res) => setRestoreCheck(res),
+    onError: (e) => toast.error(e?.message || 'Restore check failed'),
+  });
 
   useEffect(() => {
     if (error) logError(error, 'SystemHealth load failed');
@@ -53,8 +105,11 @@ export default function SystemHealth() {
   if (error) return <div>Unable to load system health right now.</div>;
 
   const logs = data?.logs || [];
+  const schema = data?.schema || null;
   const lastBackup = getLastBackup(logs);
   const backupStatus = getBackupStatus(logs);
+  const backups = backupsQuery.data?.backups || [];
+  const schedule = backupsQuery.data?.schedule || null;
 
   return (
     <div className="max-w-5xl mx-auto px-4 py-10 space-y-6">
@@ -71,6 +126,138 @@ export default function SystemHealth() {
         <div className="text-sm text-slate-600 font-semibold">
           Last backup: {lastBackup ? new Date(lastBackup.finished_at).toLocaleString() : 'Never'}
         </div>
+        {schedule ? (
+          <div className="text-sm text-slate-600 font-semibold">
+            {schedule.interval_hours
+              ? `Automatic backups every ${schedule.interval_hours}h (full every ${schedule.full_interval_days} days), kept for ${schedule.retention_days} days.`
+              : 'Automatic backups are turned off.'}
+          </div>
+        ) : null}
+        <div className="flex flex-wrap gap-2 pt-1">
+          <button
+            type="button"
+            disabled={backupMutation.isPending}
+            onClick={() => backupMutation.mutate('full')}
+            className="px-3 py-2 rounded-xl bg-slate-900 text-white text-xs font-black disabled:opacity-60"
+          >
+            {backupMutation.isPending ? 'Backing up…' : 'Full backup now'}
+          </button>
+          <button
+            type="button"
+            disabled={backupMutation.isPending || !backups.length}
+            onClick={() => backupMutation.mutate('incremental')}
+            className="px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-800 text-xs font-black disabled:opacity-60"
+          >
+            Incremental backup now
+          </button>
+        </div>
+      </div>
+
+      {schema ? (
+        <div
+          className={`p-4 rounded-2xl border shadow-sm space-y-2 ${schema.pending?.length ? 'border-red-200 bg-red-50' : 'border-slate-200 bg-white'}`}
+        >
+          <div className="font-black text-slate-900">
+            Schema version {schema.current_version}
+            {schema.pending?.length ? ` (${schema.pending.length} pending)` : ' (up to date)'}
+          </div>
+          {schema.pending?.length ? (
+            <div className="text-sm text-slate-700 font-semibold">
+              Pending: {schema.pending.map((m) => `${String(m.version).padStart(4, '0')}_${m.name}`).join(', ')}
+            </div>
+          ) : null}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-slate-500">
+                <tr>
+                  <th className="py-2 pr-4">Version</th>
+                  <th className="py-2 pr-4">Name</th>
+                  <th className="py-2 pr-4">Applied</th>
+                  <th className="py-2">Took</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(schema.applied || [])
+                  .slice()
+                  .reverse()
+                  .map((m) => (
+                    <tr key={m.version} className={m.changed ? 'bg-amber-50' : ''}>
+                      <td className="py-2 pr-4">{String(m.version).padStart(4, '0')}</td>
+                      <td className="py-2 pr-4">
+                        {m.name}
+                        {m.changed ? ' (file edited after it was applied)' : ''}
+                      </td>
+                      <td className="py-2 pr-4 whitespace-nowrap">{m.applied_at ? new Date(m.applied_at).toLocaleString() : ''}</td>
+                      <td className="py-2">{m.execution_ms} ms</td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ) : null}
+
+      <div className="p-4 rounded-2xl border border-slate-200 bg-white shadow-sm">
+        <h2 className="text-lg font-black text-slate-900 mb-3">Backups</h2>
+        {backupsQuery.isError ? (
+          <div className="text-sm text-slate-600 font-semibold">Unable to list backups right now.</div>
+        ) : !backups.length ? (
+          <div className="text-sm text-slate-600 font-semibold">No backups on disk yet.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-slate-500">
+                <tr>
+                  <th className="py-2 pr-4">Snapshot</th>
+                  <th className="py-2 pr-4">Kind</th>
+                  <th className="py-2 pr-4">Tables</th>
+                  <th className="py-2 pr-4">Rows</th>
+                  <th className="py-2 pr-4">Size</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {backups.map((b) => (
+                  <tr key={b.id}>
+                    <td className="py-2 pr-4 whitespace-nowrap">{new Date(b.snapshot_at).toLocaleString()}</td>
+                    <td className="py-2 pr-4" title={b.includes_deletes ? undefined : 'Deleted rows come back on restore until the next full backup'}>
+                      {b.kind}
+                      {b.includes_deletes ? '' : ' (no deletes)'}
+                    </td>
+                    <td className="py-2 pr-4">{b.table_count}</td>
+                    <td className="py-2 pr-4">{b.total_rows}</td>
+                    <td className="py-2 pr-4">{formatBytes(b.total_bytes)}</td>
+                    <td className="py-2 text-right">
+                      <button
+                        type="button"
+                        disabled={restoreCheckMutation.isPending}
+                        onClick={() => restoreCheckMutation.mutate(b.id)}
+                        className="px-3 py-1 rounded-xl border border-slate-200 text-xs font-black disabled:opacity-60"
+                      >
+                        Check restore
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {restoreCheck ? (
+          <div className={`mt-3 rounded-xl border p-3 text-sm ${restoreCheck.ok ? 'border-slate-200 bg-slate-50' : 'border-red-200 bg-red-50'}`}>
+            <div className="font-black text-slate-900">
+              Restore check for {restoreCheck.backup_id}:{' '}
+              {restoreCheck.ok ? 'checksums verified, target is empty' : 'would be refused'}
+            </div>
+            {restoreCheck.problems?.length ? (
+              <ul className="mt-1 list-disc pl-5 text-slate-700">
+                {restoreCheck.problems.map((p) => (
+                  <li key={p}>{p}</li>
+                ))}
+              </ul>
+            ) : null}
+          </div>
+        ) : null}
       </div>
 
       <div className="p-4 rounded-2xl border border-slate-200 bg-white shadow-sm">
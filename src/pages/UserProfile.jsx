@@ -17,7 +17,6 @@ import ShareButton from '@/components/shared/ShareButton';
 import { entities } from '@/api/appClient';
 import { useAuth } from '@/auth/AuthProvider';
 import { fetchMyFollowers, fetchMyFollowingUsers, fetchUserFollow, fetchUserFollowers, fetchUserFollowingUsers, setUserFollow } from '@/api/userFollowsClient';
-import { upsertNotification } from '@/api/notificationsClient';
 import { checkActionAllowed, formatWaitMs } from '@/utils/antiBrigading';
 import { fetchOrCreateUserChallengeStats } from '@/api/userChallengeStatsClient';
 import { giftPoints } from '@/api/pointGiftsClient';
@@ -305,8 +304,7 @@ export default function UserProfile() {
 
       return setUserFollow(resolvedProfileEmail, desired, { accessToken });
     },
-    onSuccess: async (next, nextFollowing) => {
-      const justFollowed = !!nextFollowing && !isFollowing;
+    onSuccess: async (next) => {
       setIsFollowing(!!next?.following);
       await queryClient.invalidateQueries({ queryKey: queryKeys.follows.userFollow(resolvedProfileEmail, currentUser?.email) });
       await queryClient.invalidateQueries({ queryKey: queryKeys.follows.userFollowers(resolvedProfileEmail, currentUser?.email) });
@@ -314,34 +312,6 @@ export default function UserProfile() {
       await queryClient.invalidateQueries({ queryKey: queryKeys.follows.myFollowers(currentUser?.email) });
       await queryClient.invalidateQueries({ queryKey: queryKeys.follows.myFollowingUsers(currentUser?.email) });
 
-      if (justFollowed && currentUser?.email && resolvedProfileEmail) {
-        try {
-          const actorEmail = String(currentUser.email).trim().toLowerCase();
-          const recipient = String(resolvedProfileEmail).trim().toLowerCase();
-          if (actorEmail && recipient && actorEmail !== recipient) {
-            const cachedMyProfile = queryClient.getQueryData(queryKeys.userProfile.me(actorEmail));
-            const rawName =
-              (cachedMyProfile?.display_name || cachedMyProfile?.username || '')
-                ? String(cachedMyProfile?.display_name || cachedMyProfile?.username || '').trim()
-                : '';
-            const actorName = rawName && !rawName.includes('@') ? rawName : null;
-            upsertNotification({
-              recipient_email: recipient,
-              type: 'follow',
-              actor_name: actorName,
-              actor_email: actorEmail,
-              content_id: null,
-              content_ref: null,
-              content_title: null,
-              created_date: new Date().toISOString(),
-              is_read: false,
-              metadata: null,
-            }, { accessToken }).catch(() => {});
-          }
-        } catch {
-          // best-effort
-        }
-      }
       toast.success(next?.following ? 'Following!' : 'Unfollowed');
     },
     onError: (e) => toast.error(getInteractionErrorMessage(e, 'Failed to update follow')),
@@ -721,7 +691,7 @@ export default function UserProfile() {
                           return;
                         }
                         if (!challengesEnabled) {
-                          toast.message('Point gifting is temporarily disabled while we add server persistence.');
+                          toast.message('Points are turned off right now.');
                           return;
                         }
                         setShowGiftModal(true);
@@ -910,7 +880,7 @@ export default function UserProfile() {
           toUser={userProfile}
           userStats={myStats}
           onGift={async ({ amount, message }) => {
-            await giftPoints(currentUser.email, resolvedProfileEmail, { amount, message });
+            await giftPoints(resolvedProfileEmail, { amount, message });
             await queryClient.invalidateQueries({ queryKey: ['userChallengeStats'] });
             toast.success('Gift sent');
           }}
@@ -1,11 +1,12 @@
-// In-memory AI guardrails: cache + per-session budgeting.
-// Not persisted between reloads.
-
-const MAX_AI_CALLS_PER_SESSION = 15;
+// In-memory AI guardrails: result cache + the last quota reported by the server.
+// The quota itself is per user per day and enforced by POST /integrations/llm;
+// this module only mirrors it so components can skip calls that would be refused.
 
 /** @type {Map<string, any>} */
 const cache = new Map();
-let aiCallsThisSession = 0;
+
+/** @type {{ used: number, limit: number, remaining: number, resets_at: string } | null} */
+let lastKnownQuota = null;
 
 function stableStringify(value) {
   if (value == null) return 'null';
@@ -48,19 +49,22 @@ export function getCachedAIResult(queryKey, payloadHash) {
   return cache.has(key) ? cache.get(key) : null;
 }
 
-export function incrementAICounter() {
-  aiCallsThisSession += 1;
-  return aiCallsThisSession;
-}
-
-export function hasExceededAILimit() {
-  return aiCallsThisSession >= MAX_AI_CALLS_PER_SESSION;
+export function recordAIQuota(quota) {
+  if (!quota || typeof quota !== 'object') return;
+  lastKnownQuota = {
+    used: Number(quota.used) || 0,
+    limit: Number(quota.limit) || 0,
+    remaining: Number(quota.remaining) || 0,
+    resets_at: quota.resets_at ? String(quota.resets_at) : null,
+  };
 }
 
-export function getAICallsThisSession() {
-  return aiCallsThisSession;
+export function getAIQuota() {
+  return lastKnownQuota;
 }
 
-export function getMaxAICallsPerSession() {
-  return MAX_AI_CALLS_PER_SESSION;
+export function hasExceededAILimit() {
+  if (!lastKnownQuota || lastKnownQuota.remaining > 0) return false;
+  const resetsAt = lastKnownQuota.resets_at ? new Date(lastKnownQuota.resets_at).getTime() : NaN;
+  return !Number.isFinite(resetsAt) || resetsAt > Date.now();
 }
@@ -0,0 +1,452 @@
+import { fetchKeyDevices, fetchMyKeyBackup, saveMyKeyBackup, upsertMyPublicKey } from '@/api/keysClient';
+import { fetchGroupSenderKeys, publishGroupSenderKeys } from '@/api/messagesClient';
+import { decryptIdentityBackup, encryptIdentityBackup } from '@/lib/e2eeBackup';
+import {
+  decryptText,
+  deriveSharedSecretKey,
+  encryptText,
+  getOrCreateIdentityKeypair,
+  replaceIdentityKeypair,
+} from '@/lib/e2eeCrypto';
+import {
+  isMultiDevicePayload,
+  isRatchetPayload,
+  isSenderKeyPayload,
+  packEncryptedPayload,
+  unpackEncryptedPayload,
+} from '@/lib/e2eeFormat';
+import {
+  ONE_TIME_PREKEY_LOW_WATER,
+  buildPrekeyUpload,
+  decryptRatchetMessage,
+  encryptRatchetMessage,
+  hasRatchetSession,
+  recallPlaintext,
+  rememberPlaintext,
+  resetRatchetState,
+} from '@/lib/e2eeRatchet';
+import {
+  decryptWithSenderKey,
+  encryptWithSenderKey,
+  getOwnSenderKey,
+  importSenderKey,
+  isOwnSenderKey,
+  listImportedSenderKeys,
+  markSenderKeyDistributed,
+  resetOwnSenderKeys,
+  senderKeyDistribution,
+} from '@/lib/e2eeSenderKeys';
+import { getDeviceId } from '@/lib/e2eeStore';
+import { logError } from '@/utils/logError';
+import { getPlatform } from '@/utils/native';
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function describeThisDevice() {
+  const platform = getPlatform();
+  if (platform === 'ios') return { platform, label: 'iOS app' };
+  if (platform === 'android') return { platform, label: 'Android app' };
+  const ua = typeof navigator !== 'undefined' ? String(navigator.userAgent || '') : '';
+  const browser = /Edg\//.test(ua)
+    ? 'Edge'
+    : /Firefox\//.test(ua)
+      ? 'Firefox'
+      : /Chrome\//.test(ua)
+        ? 'Chrome'
+        : /Safari\//.test(ua)
+          ? 'Safari'
+          : 'Browser';
+  const os = /iPhone|iPad/.test(ua)
+    ? 'iOS'
+    : /Android/.test(ua)
+      ? 'Android'
+      : /Mac OS X/.test(ua)
+        ? 'macOS'
+        : /Windows/.test(ua)
+          ? 'Windows'
+          : /Linux/.test(ua)
+            ? 'Linux'
+            : '';
+  return { platform: 'web', label: os ? `${browser} on ${os}` : browser };
+}
+
+// Device lists change rarely; cache them briefly so each send doesn't refetch every member.
+const DEVICE_CACHE_MS = 60 * 1000;
+const deviceCache = new Map();
+
+async function loadKeyDevices(email, accessToken) {
+  const key = normalizeEmail(email);
+  const cached = deviceCache.get(key);
+  if (cached && Date.now() - cached.at < DEVICE_CACHE_MS) return cached.record;
+  let record = null;
+  try {
+    record = await fetchKeyDevices(key, { accessToken });
+  } catch (e) {
+    if (e?.status !== 404) throw e;
+    record = { public_key: null, devices: [] };
+  }
+  deviceCache.set(key, { at: Date.now(), record });
+  return record;
+}
+
+export function forgetCachedKeyDevices(email) {
+  if (email) deviceCache.delete(normalizeEmail(email));
+  else deviceCache.clear();
+}
+
+/**
+ * Publish the identity key and register this device with its X3DH prekeys, topping the
+ * one-time prekey pool up when the server reports it running low. Resolves to the local
+ * identity keypair.
+ *
+ * Rejects with code IDENTITY_KEY_MISMATCH when the account already uses a different identity
+ * (another device's, or one lost with cleared storage). The user then restores it from the
+ * key backup or passes `replaceIdentity` to start over with this device's key.
+ */
+export async function publishMyEncryptionKeys(email, { accessToken, replaceIdentity = false } = {}) {
+  const kp = await getOrCreateIdentityKeypair(email);
+  const { platform, label } = describeThisDevice();
+  const device = { device_id: getDeviceId(), device_label: label, platform };
+  const prekeys = await buildPrekeyUpload(email);
+  const res = await upsertMyPublicKey(kp.publicKey, { accessToken, prekeys, device, replaceIdentity });
+  const remaining = Number(res?.one_time_prekey_count);
+  if (Number.isFinite(remaining) && remaining < ONE_TIME_PREKEY_LOW_WATER) {
+    const topUp = await buildPrekeyUpload(email, { remoteOneTimeCount: remaining });
+    await upsertMyPublicKey(kp.publicKey, { accessToken, prekeys: topUp, device });
+  }
+  forgetCachedKeyDevices(email);
+  return kp;
+}
+
+/** Encrypt this device's identity with `passphrase` and store the backup on the server. */
+export async function backUpIdentityKey(email, passphrase, { accessToken } = {}) {
+  const identity = await getOrCreateIdentityKeypair(email);
+  const backup = await encryptIdentityBackup(identity, passphrase);
+  return saveMyKeyBackup({ identityKey: identity.publicKey, backup }, { accessToken });
+}
+
+/**
+ * Replace this device's identity with the one in the account's key backup, then register the
+ * device under it. Sessions and prekeys made with the old local identity are discarded.
+ */
+export async function restoreIdentityKey(email, passphrase, { accessToken } = {}) {
+  const stored = await fetchMyKeyBackup({ accessToken });
+  if (!stored?.backup) throw new Error('No key backup found for this account');
+  const identity = await decryptIdentityBackup(stored.backup, passphrase);
+  if (identity.publicKey !== stored.identity_key) throw new Error('Key backup is damaged');
+
+  const current = await getOrCreateIdentityKeypair(email);
+  if (current.publicKey !== identity.publicKey) {
+    await replaceIdentityKeypair(email, identity);
+    await resetRatchetState(email);
+    await resetOwnSenderKeys(email);
+  }
+  return publishMyEncryptionKeys(email, { accessToken });
+}
+
+function deviceChannelId(conversationId, email, deviceId) {
+  return `${conversationId}|${normalizeEmail(email)}:${deviceId}`;
+}
+
+function identityMismatchError() {
+  const err = new Error("This device's encryption key doesn't match your account. Restore it from your key backup.");
+  err.code = 'IDENTITY_KEY_MISMATCH';
+  return err;
+}
+
+// Seal `plaintext` on one ratchet session per device of the peer (and, unless disabled, per
+// other device of this account). Resolves to null when the peer has no registered devices.
+async function encryptForDevices({ myEmail, conversationId, peerEmail, peerPublicKey, plaintext, accessToken, includeOwnDevices }) {
+  const me = normalizeEmail(myEmail);
+  const peer = normalizeEmail(peerEmail);
+  const myDeviceId = getDeviceId();
+  const identity = await getOrCreateIdentityKeypair(myEmail);
+
+  const peerRecord = await loadKeyDevices(peer, accessToken);
+  if (peerPublicKey && peerRecord.public_key && peerRecord.public_key !== peerPublicKey) {
+    throw new Error('Recipient encryption key changed; reload and try again');
+  }
+  if (!peerRecord.devices.length) return null;
+  const ownRecord = peer === me ? peerRecord : includeOwnDevices ? await loadKeyDevices(me, accessToken) : null;
+  if (ownRecord?.public_key && ownRecord.public_key !== identity.publicKey) throw identityMismatchError();
+
+  const targets = new Map();
+  const addTargets = (email, record, identityKey) => {
+    for (const device of record.devices) {
+      if (email === me && device.device_id === myDeviceId) continue;
+      const key = `${email}:${device.device_id}`;
+      targets.set(key, { key, email, device, identityKey });
+    }
+  };
+  addTargets(peer, peerRecord, peer === me ? identity.publicKey : peerPublicKey || peerRecord.public_key);
+  if (ownRecord && peer !== me) addTargets(me, ownRecord, identity.publicKey);
+  if (!targets.size) return null;
+
+  // Claim one-time prekeys only for devices this device has no session with yet.
+  const claimed = new Map();
+  const needSession = Array.from(targets.values()).filter(
+    (t) => !hasRatchetSession(myEmail, deviceChannelId(conversationId, t.email, t.device.device_id))
+  );
+  for (const email of new Set(needSession.map((t) => t.email))) {
+    const claimDeviceIds = needSession.filter((t) => t.email === email).map((t) => t.device.device_id);
+    const record = await fetchKeyDevices(email, { accessToken, claimDeviceIds });
+    for (const bundle of record.devices) claimed.set(`${email}:${bundle.device_id}`, bundle);
+  }
+
+  const devices = {};
+  for (const t of targets.values()) {
+    const sealed = await encryptRatchetMessage({
+      myEmail,
+      channelId: deviceChannelId(conversationId, t.email, t.device.device_id),
+      peerEmail: t.email,
+      plaintext,
+      loadPeerBundle: async () => {
+        const bundle = claimed.get(t.key) || t.device;
+        if (bundle.identity_key !== t.identityKey) throw new Error('Recipient encryption key changed; reload and try again');
+        return bundle;
+      },
+    });
+    devices[t.key] = {
+      header: sealed.header,
+      ...(sealed.x3dh ? { x3dh: sealed.x3dh } : {}),
+      nonce: sealed.nonce,
+      cipher: sealed.cipher,
+    };
+  }
+  return packEncryptedPayload({ v: 2, mode: 'md', sender_device: myDeviceId, devices }, { version: 2 });
+}
+
+/**
+ * Encrypt a 1:1 message body for every registered device of the recipient and of this
+ * account (v2 envelope, one double-ratchet session per device), falling back to the
+ * static-key v1 envelope only when the recipient has no registered devices yet.
+ */
+export async function encryptDirectMessage({
+  myEmail,
+  conversationId,
+  peerEmail,
+  peerPublicKey,
+  plaintext,
+  accessToken,
+  includeOwnDevices = true,
+}) {
+  const packed = await encryptForDevices({
+    myEmail,
+    conversationId: String(conversationId || ''),
+    peerEmail,
+    peerPublicKey,
+    plaintext,
+    accessToken,
+    includeOwnDevices,
+  });
+
+  if (packed) {
+    await rememberPlaintext(myEmail, packed, plaintext);
+    return packed;
+  }
+
+  if (!peerPublicKey) throw new Error('Recipient has no encryption key yet');
+  const { privateKey } = await getOrCreateIdentityKeypair(myEmail);
+  const key = await deriveSharedSecretKey(privateKey, peerPublicKey);
+  return packEncryptedPayload(await encryptText(plaintext, key));
+}
+
+// Sender keys travel over a ratchet session per pair of members that is separate from any
+// 1:1 conversation they may have, so both ends derive the same channel id.
+function pairwiseChannelId(a, b) {
+  return `pair:${[normalizeEmail(a), normalizeEmail(b)].sort().join('|')}`;
+}
+
+async function ensureGroupSenderKey({ myEmail, conversation, publicKeys, accessToken }) {
+  const me = normalizeEmail(myEmail);
+  const myDeviceId = getDeviceId();
+  const conversationId = String(conversation.id);
+  const epoch = Number(conversation.group_key_epoch) || 0;
+  const own = await getOwnSenderKey(myEmail, conversationId, epoch);
+
+  const members = Array.from(
+    new Set((Array.isArray(conversation.participant_emails) ? conversation.participant_emails : []).map(normalizeEmail))
+  ).filter(Boolean);
+
+  // A member with any device lacking the key gets a fresh copy for all of their devices.
+  const targetsByEmail = new Map();
+  for (const email of members) {
+    const record = await loadKeyDevices(email, accessToken);
+    const targets = record.devices
+      .map((d) => `${email}:${d.device_id}`)
+      .filter((target) => target !== `${me}:${myDeviceId}`);
+    if (targets.some((target) => !own.distributed_to.includes(target))) targetsByEmail.set(email, targets);
+  }
+  if (!targetsByEmail.size) return own;
+
+  const identity = await getOrCreateIdentityKeypair(myEmail);
+  const plaintext = JSON.stringify(senderKeyDistribution(own));
+  const distributions = [];
+  for (const email of targetsByEmail.keys()) {
+    const peerPublicKey = email === me ? identity.publicKey : publicKeys?.[email];
+    if (!peerPublicKey) throw new Error(`Missing encryption key for ${email}`);
+    const ciphertext = await encryptDirectMessage({
+      myEmail,
+      conversationId: pairwiseChannelId(me, email),
+      peerEmail: email,
+      peerPublicKey,
+      plaintext,
+      accessToken,
+      includeOwnDevices: false,
+    });
+    distributions.push({ recipient_email: email, ciphertext });
+  }
+
+  try {
+    await publishGroupSenderKeys(conversationId, { keyId: own.key_id, epoch, distributions }, { accessToken });
+  } catch (e) {
+    if (e?.status === 409) {
+      throw new Error('Group membership changed; wait a moment and send again');
+    }
+    throw e;
+  }
+  await markSenderKeyDistributed(myEmail, conversationId, own.key_id, Array.from(targetsByEmail.values()).flat());
+  return own;
+}
+
+/**
+ * Encrypt a group message with this device's sender key for the conversation's current key
+ * epoch, first handing the key to any member device that does not hold it yet.
+ */
+export async function encryptGroupMessage({ myEmail, conversation, publicKeys, plaintext, accessToken }) {
+  if (!conversation?.id) throw new Error('Select a conversation');
+  await ensureGroupSenderKey({ myEmail, conversation, publicKeys, accessToken });
+  const payload = await encryptWithSenderKey(myEmail, conversation.id, Number(conversation.group_key_epoch) || 0, plaintext);
+  const packed = packEncryptedPayload(payload, { version: 2 });
+  await rememberPlaintext(myEmail, packed, plaintext);
+  return packed;
+}
+
+const syncing = new Map();
+// Distributions that could not be opened here (e.g. sent before this device was linked),
+// keyed by id and timestamp so a re-sent copy is tried again.
+const unreadableSenderKeys = new Set();
+
+/**
+ * Import the sender keys other devices have distributed to this account. Keys already held
+ * are skipped, so this is cheap to call whenever a message arrives under an unknown key.
+ */
+export function syncGroupSenderKeys({ myEmail, conversationId, publicKeys, accessToken }) {
+  const me = normalizeEmail(myEmail);
+  const id = String(conversationId || '');
+  const lockKey = `${me}|${id}`;
+  if (syncing.has(lockKey)) return syncing.get(lockKey);
+
+  const run = (async () => {
+    const { sender_keys: entries } = await fetchGroupSenderKeys(id, { accessToken });
+    const held = await listImportedSenderKeys(myEmail, id);
+    const myDeviceId = getDeviceId();
+    let imported = 0;
+    for (const entry of entries) {
+      const sender = normalizeEmail(entry?.sender_email);
+      const attempt = `${entry?.id}:${entry?.created_at}`;
+      if (!sender || held.has(`${sender}:${entry.key_id}`) || unreadableSenderKeys.has(attempt)) continue;
+      const payload = unpackEncryptedPayload(entry.ciphertext);
+      if (sender === me && payload?.sender_device === myDeviceId) continue;
+      try {
+        const text = await decryptDirectMessage({
+          myEmail,
+          conversationId: pairwiseChannelId(me, sender),
+          senderEmail: sender,
+          senderPublicKey: publicKeys?.[sender] || null,
+          body: entry.ciphertext,
+          payload,
+          mine: sender === me,
+        });
+        await importSenderKey(myEmail, id, sender, JSON.parse(text));
+        imported += 1;
+      } catch (e) {
+        unreadableSenderKeys.add(attempt);
+        logError(e, 'e2ee: failed to import sender key', { conversationId: id, sender });
+      }
+    }
+    return imported;
+  })().finally(() => syncing.delete(lockKey));
+  syncing.set(lockKey, run);
+  return run;
+}
+
+async function decryptFromDevice({ myEmail, conversationId, senderEmail, senderPublicKey, payload, mine }) {
+  const myDeviceId = getDeviceId();
+  const senderDevice = String(payload.sender_device || '');
+  const entry = payload.devices[`${normalizeEmail(myEmail)}:${myDeviceId}`];
+  if (!entry || !senderDevice) {
+    throw new Error(
+      mine && senderDevice === myDeviceId ? 'Message is no longer available on this device' : 'Message was not encrypted for this device'
+    );
+  }
+  const peerIdentityKey = mine ? (await getOrCreateIdentityKeypair(myEmail)).publicKey : senderPublicKey || null;
+  return decryptRatchetMessage({
+    myEmail,
+    channelId: deviceChannelId(conversationId, senderEmail, senderDevice),
+    peerEmail: senderEmail,
+    payload: { v: 2, mode: 'dr', ...entry },
+    peerIdentityKey,
+  });
+}
+
+// Ratchet message keys are single-use, so concurrent attempts on the same body (e.g. an
+// effect re-running) must share one decrypt.
+const inflight = new Map();
+
+/**
+ * Decrypt any envelope version. v2 bodies are answered from the local plaintext cache when
+ * possible; messages this account sent reach its other devices through their own entries.
+ * Group sender-key messages under a key not held yet call `syncSenderKeys` once and retry.
+ */
+export function decryptDirectMessage({ myEmail, conversationId, senderEmail, senderPublicKey, body, payload, mine = false, syncSenderKeys }) {
+  if (isMultiDevicePayload(payload) || isRatchetPayload(payload) || isSenderKeyPayload(payload)) {
+    const key = `${normalizeEmail(myEmail)}|${body}`;
+    if (inflight.has(key)) return inflight.get(key);
+    const run = (async () => {
+      const cached = await recallPlaintext(myEmail, body);
+      if (cached != null) return cached;
+      let text = null;
+      if (isMultiDevicePayload(payload)) {
+        text = await decryptFromDevice({ myEmail, conversationId, senderEmail, senderPublicKey, payload, mine });
+      } else if (isSenderKeyPayload(payload)) {
+        if (mine && isOwnSenderKey(myEmail, conversationId, payload.key_id)) {
+          throw new Error('Message is no longer available on this device');
+        }
+        try {
+          text = await decryptWithSenderKey(myEmail, conversationId, senderEmail, payload);
+        } catch (e) {
+          if (e?.code !== 'SENDER_KEY_MISSING' || typeof syncSenderKeys !== 'function') throw e;
+          await syncSenderKeys();
+          text = await decryptWithSenderKey(myEmail, conversationId, senderEmail, payload);
+        }
+      } else {
+        // Single-session messages from before devices were registered.
+        if (mine) throw new Error('Message was sent from another device');
+        text = await decryptRatchetMessage({
+          myEmail,
+          channelId: conversationId,
+          peerEmail: senderEmail,
+          payload,
+          peerIdentityKey: senderPublicKey || null,
+        });
+      }
+      await rememberPlaintext(myEmail, body, text);
+      return text;
+    })().finally(() => inflight.delete(key));
+    inflight.set(key, run);
+    return run;
+  }
+
+  return (async () => {
+    if (!senderPublicKey) throw new Error('Missing sender key');
+    const recipientKey = normalizeEmail(myEmail);
+    const v1 = payload && typeof payload === 'object' && payload.recipients ? payload.recipients[recipientKey] : payload;
+    if (!v1) throw new Error('Missing recipient payload');
+    const { privateKey } = await getOrCreateIdentityKeypair(myEmail);
+    const key = await deriveSharedSecretKey(privateKey, senderPublicKey);
+    return decryptText(v1, key);
+  })();
+}
@@ -0,0 +1,264 @@
+// Client helpers for event start/end times, time zones and repeat rules. The server owns the
+// rules (see Server/services/eventSchedule.js); this builds the RRULE subset it accepts from
+// form fields and turns stored events back into readable text.
+
+export const WEEKDAYS = [
+  { code: 'MO', short: 'Mon', long: 'Monday' },
+  { code: 'TU', short: 'Tue', long: 'Tuesday' },
+  { code: 'WE', short: 'Wed', long: 'Wednesday' },
+  { code: 'TH', short: 'Thu', long: 'Thursday' },
+  { code: 'FR', short: 'Fri', long: 'Friday' },
+  { code: 'SA', short: 'Sat', long: 'Saturday' },
+  { code: 'SU', short: 'Sun', long: 'Sunday' },
+];
+
+const ORDINAL_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+const FREQUENCY_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+
+export function browserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+export function listTimeZones() {
+  const current = browserTimeZone();
+  let zones = [];
+  try {
+    zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  } catch {
+    zones = [];
+  }
+  return Array.from(new Set([current, 'UTC', ...zones]));
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function zonedParts(ms, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+  for (const { type, value } of formatter.formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+function zoneOffsetMs(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/** ISO instant for a datetime-local value ("2026-10-20T18:00") read as wall-clock time in `timeZone`. */
+export function zonedInputToIso(value, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(String(value || ''));
+  if (!m) return null;
+  const guess = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]));
+  const tz = timeZone || 'UTC';
+  const firstOffset = zoneOffsetMs(guess, tz);
+  const secondOffset = zoneOffsetMs(guess - firstOffset, tz);
+  return new Date(guess - (secondOffset === firstOffset ? firstOffset : secondOffset)).toISOString();
+}
+
+/** datetime-local value for an ISO instant, shown as wall-clock time in `timeZone`. */
+export function isoToZonedInput(iso, timeZone) {
+  const ms = Date.parse(String(iso || ''));
+  if (!Number.isFinite(ms)) return '';
+  const p = zonedParts(ms, timeZone || 'UTC');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+function inputWeekday(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+  if (!m) return null;
+  return (new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]))).getUTCDay() + 6) % 7;
+}
+
+function inputDayOfMonth(value) {
+  const m = /^\d{4}-\d{2}-(\d{2})/.exec(String(value || ''));
+  return m ? Number(m[1]) : null;
+}
+
+/** Ordinal of the start date's weekday within its month: 1-4, or -1 for a date past the 28th. */
+export function monthlyOrdinalFor(startsAt) {
+  const day = inputDayOfMonth(startsAt);
+  if (!day) return null;
+  return day > 28 ? -1 : Math.ceil(day / 7);
+}
+
+export function emptySchedule() {
+  return {
+    startsAt: '',
+    endsAt: '',
+    timeZone: browserTimeZone(),
+    frequency: 'NONE',
+    interval: 1,
+    weekdays: [],
+    monthlyMode: 'day',
+    endMode: 'never',
+    until: '',
+    count: 10,
+  };
+}
+
+function parseRuleFields(text) {
+  const fields = {};
+  for (const part of String(text || '').replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (key && value) fields[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+  return fields;
+}
+
+/** Form state for rescheduling an existing event. */
+export function scheduleFromEvent(event) {
+  const timeZone = event?.time_zone || browserTimeZone();
+  const schedule = {
+    ...emptySchedule(),
+    timeZone,
+    startsAt: isoToZonedInput(event?.starts_at, timeZone),
+    endsAt: isoToZonedInput(event?.ends_at, timeZone),
+  };
+  const fields = parseRuleFields(event?.recurrence_rule);
+  if (!fields.FREQ) return schedule;
+
+  schedule.frequency = fields.FREQ;
+  schedule.interval = Number(fields.INTERVAL) || 1;
+  if (fields.FREQ === 'WEEKLY') schedule.weekdays = (fields.BYDAY || '').split(',').filter(Boolean);
+  if (fields.FREQ === 'MONTHLY' && fields.BYDAY) schedule.monthlyMode = 'weekday';
+  if (fields.COUNT) {
+    schedule.endMode = 'count';
+    schedule.count = Number(fields.COUNT) || 10;
+  } else if (fields.UNTIL) {
+    schedule.endMode = 'until';
+    schedule.until = isoToZonedInput(untilToIso(fields.UNTIL), timeZone).slice(0, 10);
+  }
+  return schedule;
+}
+
+function untilToIso(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(String(value || ''));
+  if (!m) return null;
+  return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0))).toISOString();
+}
+
+function buildRecurrenceRule(schedule) {
+  if (!schedule.frequency || schedule.frequency === 'NONE') return null;
+  const parts = [`FREQ=${schedule.frequency}`];
+  const interval = Math.max(1, Math.min(99, Number(schedule.interval) || 1));
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  if (schedule.frequency === 'WEEKLY') {
+    const fallback = WEEKDAYS[inputWeekday(schedule.startsAt)]?.code;
+    const days = schedule.weekdays?.length ? schedule.weekdays : fallback ? [fallback] : [];
+    const ordered = WEEKDAYS.map((d) => d.code).filter((code) => days.includes(code));
+    if (ordered.length) parts.push(`BYDAY=${ordered.join(',')}`);
+  }
+  if (schedule.frequency === 'MONTHLY') {
+    if (schedule.monthlyMode === 'weekday') {
+      const weekday = WEEKDAYS[inputWeekday(schedule.startsAt)]?.code;
+      const ordinal = monthlyOrdinalFor(schedule.startsAt);
+      if (weekday && ordinal) parts.push(`BYDAY=${ordinal}${weekday}`);
+    } else {
+      const day = inputDayOfMonth(schedule.startsAt);
+      if (day) parts.push(`BYMONTHDAY=${day}`);
+    }
+  }
+
+  if (schedule.endMode === 'count') {
+    const count = Math.max(1, Math.min(500, Number(schedule.count) || 1));
+    parts.push(`COUNT=${count}`);
+  } else if (schedule.endMode === 'until' && schedule.until) {
+    parts.push(`UNTIL=${String(schedule.until).replace(/-/g, '')}`);
+  }
+  return parts.join(';');
+}
+
+/**
+ * API fields for a schedule form: { starts_at, ends_at, time_zone, recurrence_rule }.
+ * Throws with a user-facing message when the combination is incomplete.
+ */
+export function scheduleToPayload(schedule) {
+  const timeZone = schedule?.timeZone || browserTimeZone();
+  const startsAt = schedule?.startsAt ? zonedInputToIso(schedule.startsAt, timeZone) : null;
+  const endsAt = schedule?.endsAt ? zonedInputToIso(schedule.endsAt, timeZone) : null;
+  const recurrenceRule = buildRecurrenceRule(schedule || {});
+
+  if (endsAt && !startsAt) throw new Error('Add a start time before the end time');
+  if (startsAt && endsAt && Date.parse(endsAt) <= Date.parse(startsAt)) throw new Error('The end time must be after the start');
+  if (recurrenceRule && !startsAt) throw new Error('A repeating event needs a start time');
+  if (recurrenceRule && schedule.endMode === 'until') {
+    if (!schedule.until) throw new Error('Choose when the event stops repeating');
+    if (schedule.until < String(schedule.startsAt).slice(0, 10)) throw new Error('The repeat end date is before the first event');
+  }
+
+  return { starts_at: startsAt, ends_at: endsAt, time_zone: timeZone, recurrence_rule: recurrenceRule };
+}
+
+function formatList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/** Plain-language summary of an event's repeat rule, or null for one-off events. */
+export function describeRecurrence(event) {
+  const fields = parseRuleFields(event?.recurrence_rule);
+  const unit = FREQUENCY_UNITS[fields.FREQ];
+  if (!unit) return null;
+
+  const interval = Number(fields.INTERVAL) || 1;
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+  if (fields.FREQ === 'WEEKLY' && fields.BYDAY) {
+    const days = fields.BYDAY.split(',').map((code) => WEEKDAYS.find((d) => d.code === code)?.short).filter(Boolean);
+    if (days.length) text += ` on ${formatList(days)}`;
+  }
+  if (fields.FREQ === 'MONTHLY') {
+    const m = /^(-?\d)([A-Z]{2})$/.exec(fields.BYDAY || '');
+    if (m) text += ` on the ${ORDINAL_LABELS[m[1]] || m[1]} ${WEEKDAYS.find((d) => d.code === m[2])?.long || m[2]}`;
+    else if (fields.BYMONTHDAY) text += ` on day ${fields.BYMONTHDAY}`;
+  }
+  if (fields.COUNT) text += `, ${fields.COUNT} times`;
+  if (fields.UNTIL) {
+    const until = untilToIso(fields.UNTIL);
+    if (until) {
+      text += `, until ${new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeZone: event?.time_zone || 'UTC' }).format(new Date(until))}`;
+    }
+  }
+  return text;
+}
+
+/** "Tue, Oct 20, 6:00 PM – 7:30 PM EDT", in the event's own time zone. */
+export function formatEventTimeRange(startIso, endIso, timeZone) {
+  const start = Date.parse(String(startIso || ''));
+  if (!Number.isFinite(start)) return null;
+  const tz = timeZone || undefined;
+  const dateTime = new Intl.DateTimeFormat(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: tz,
+    timeZoneName: 'short',
+  });
+  const end = Date.parse(String(endIso || ''));
+  if (!Number.isFinite(end)) return dateTime.format(new Date(start));
+  try {
+    return dateTime.formatRange(new Date(start), new Date(end));
+  } catch {
+    return `${dateTime.format(new Date(start))} – ${dateTime.format(new Date(end))}`;
+  }
+}
@@ -31,6 +31,7 @@ function isBackendApiUrl(url) {
       raw.startsWith('/public-keys') ||
       raw.startsWith('/platform-acknowledgment') ||
       raw.startsWith('/incidents') ||
+      raw.startsWith('/integrations/') ||
       raw.startsWith('/events') ||
       raw.startsWith('/notifications') ||
       raw.startsWith('/reports') ||
@@ -0,0 +1,128 @@
+// Client-side redaction for photos before upload: blur faces or other regions so they never
+// leave the device. Regions are pixelated with coarse blocks (a soft blur can be partly
+// reversed) and the result is re-encoded from a canvas, which also drops all metadata.
+// The server strips EXIF/GPS from every upload regardless (see Server/services/imageMetadata).
+
+// Large photos are scaled down so the canvas stays inside mobile Safari's memory limits.
+const MAX_CANVAS_EDGE = 4096;
+// Each redacted region is reduced to roughly this many blocks along its shorter side.
+const PIXELATE_BLOCKS = 6;
+const MIN_BLOCK_PX = 8;
+const FACE_PADDING = 0.25;
+const JPEG_QUALITY = 0.92;
+
+const REDACTABLE_MIME_TYPES = new Set(['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif']);
+
+export function isRedactableImage(file) {
+  return !!file && REDACTABLE_MIME_TYPES.has(String(file.type || '').toLowerCase());
+}
+
+/** Decode `file` into an image element; rejects when this browser cannot decode it (e.g. HEIC). */
+export function loadImageFromFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('This image cannot be previewed in your browser'));
+    };
+    img.src = url;
+  });
+}
+
+/** Canvas dimensions for `image`, capped at MAX_CANVAS_EDGE. */
+export function redactionCanvasSize(image) {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const scale = Math.min(1, MAX_CANVAS_EDGE / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+function clampRegion(region, width, height) {
+  const x = Math.max(0, Math.min(width, Math.round(region.x)));
+  const y = Math.max(0, Math.min(height, Math.round(region.y)));
+  return {
+    x,
+    y,
+    width: Math.max(0, Math.min(width - x, Math.round(region.width))),
+    height: Math.max(0, Math.min(height - y, Math.round(region.height))),
+  };
+}
+
+function pixelateRegion(ctx, region) {
+  const { x, y, width, height } = clampRegion(region, ctx.canvas.width, ctx.canvas.height);
+  if (width < 2 || height < 2) return;
+  const block = Math.max(MIN_BLOCK_PX, Math.ceil(Math.min(width, height) / PIXELATE_BLOCKS));
+  const small = document.createElement('canvas');
+  small.width = Math.max(1, Math.ceil(width / block));
+  small.height = Math.max(1, Math.ceil(height / block));
+  const smallCtx = small.getContext('2d');
+  smallCtx.imageSmoothingEnabled = true;
+  smallCtx.drawImage(ctx.canvas, x, y, width, height, 0, 0, small.width, small.height);
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(small, 0, 0, small.width, small.height, x, y, width, height);
+  ctx.restore();
+}
+
+/** Draw `image` onto `canvas` (already sized via redactionCanvasSize) with `regions` pixelated. */
+export function renderRedactedImage(canvas, image, regions) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  for (const region of regions || []) pixelateRegion(ctx, region);
+}
+
+/** Encode a rendered redaction canvas as a File named after `original`. */
+export function exportRedactedImage(canvas, original) {
+  const keepPng = String(original?.type || '').toLowerCase() === 'image/png';
+  const type = keepPng ? 'image/png' : 'image/jpeg';
+  const baseName = String(original?.name || 'photo').replace(/\.[^.]+$/, '') || 'photo';
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error('Failed to export image'));
+          return;
+        }
+        resolve(new File([blob], `${baseName}-redacted.${keepPng ? 'png' : 'jpg'}`, { type }));
+      },
+      type,
+      keepPng ? undefined : JPEG_QUALITY
+    );
+  });
+}
+
+export function canDetectFaces() {
+  return typeof window !== 'undefined' && typeof window.FaceDetector === 'function';
+}
+
+/**
+ * Face regions found by the browser's Shape Detection API, padded so hair and ears are
+ * covered too. Resolves to [] where the API is unavailable; detections are a starting point
+ * and the user still reviews every photo.
+ */
+export async function detectFaceRegions(canvas) {
+  if (!canDetectFaces()) return [];
+  const detector = new window.FaceDetector({ fastMode: false, maxDetectedFaces: 50 });
+  const faces = await detector.detect(canvas);
+  return faces.map(({ boundingBox }) => {
+    const padX = boundingBox.width * FACE_PADDING;
+    const padY = boundingBox.height * FACE_PADDING;
+    return clampRegion(
+      {
+        x: boundingBox.x - padX,
+        y: boundingBox.y - padY,
+        width: boundingBox.width + padX * 2,
+        height: boundingBox.height + padY * 2,
+      },
+      canvas.width,
+      canvas.height
+    );
+  });
+}
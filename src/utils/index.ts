@@ -39,6 +39,7 @@ export function createPageUrl(pageName: string) {
         AdminReports: '/admin-reports',
         AdminChallenges: '/admin-challenges',
         AdminIncidentLog: '/admin-incident-log',
+        AdminTrustScores: '/admin-trust-scores',
         SystemHealth: '/system-health',
         CommunityHealth: '/community-health',
         FeatureFlags: '/feature-flags',
@@ -92,6 +93,7 @@ export function getPageLabel(pathname: string) {
         { pattern: /^\/admin-dashboard$/, label: 'Admin Dashboard' },
         { pattern: /^\/admin-reports$/, label: 'Reports' },
         { pattern: /^\/admin-incident-log$/, label: 'Incident Log' },
+        { pattern: /^\/admin-trust-scores$/, label: 'Trust Scores' },
         { pattern: /^\/admin-challenges$/, label: 'Admin Challenges' },
         { pattern: /^\/system-health$/, label: 'System Health' },
         { pattern: /^\/community-health$/, label: 'Community Health' },
@@ -0,0 +1,87 @@
+// Builds the delivery copy of a petition: its text, who it is addressed to, and the public
+// signatures, from the organizer export (GET /petitions/:id/signatures/export).
+
+const PAGE_MARGIN_MM = 18;
+const LINE_HEIGHT_MM = 5;
+
+function formatDate(iso) {
+  const ms = Date.parse(String(iso || ''));
+  if (!Number.isFinite(ms)) return '';
+  return new Intl.DateTimeFormat(undefined, { dateStyle: 'medium' }).format(new Date(ms));
+}
+
+function safeFilename(title) {
+  return String(title || 'petition').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'petition';
+}
+
+/** Render `exportData` to a PDF and trigger the download. */
+export async function downloadPetitionPdf(exportData) {
+  const { default: jsPDF } = await import('jspdf');
+  const petition = exportData?.petition || {};
+  const signatures = Array.isArray(exportData?.signatures) ? exportData.signatures : [];
+
+  const pdf = new jsPDF('p', 'mm', 'a4');
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const textWidth = pageWidth - PAGE_MARGIN_MM * 2;
+  let y = PAGE_MARGIN_MM;
+
+  const ensureRoom = (height) => {
+    if (y + height <= pageHeight - PAGE_MARGIN_MM) return;
+    pdf.addPage();
+    y = PAGE_MARGIN_MM;
+  };
+
+  const paragraph = (text, { size = 10, style = 'normal', color = 20 } = {}) => {
+    pdf.setFont('helvetica', style);
+    pdf.setFontSize(size);
+    pdf.setTextColor(color);
+    const lineHeight = Math.max(LINE_HEIGHT_MM, size * 0.45);
+    for (const line of pdf.splitTextToSize(String(text || ''), textWidth)) {
+      ensureRoom(lineHeight);
+      pdf.text(line, PAGE_MARGIN_MM, y);
+      y += lineHeight;
+    }
+  };
+
+  paragraph(petition.title || 'Petition', { size: 18, style: 'bold' });
+  y += 2;
+  if (petition.target) paragraph(`To: ${petition.target}`, { size: 11, style: 'bold' });
+  const facts = [
+    `${Number(exportData?.total_signatures || 0).toLocaleString()} verified signatures`,
+    petition.goal_signatures ? `goal ${Number(petition.goal_signatures).toLocaleString()}` : null,
+    petition.deadline ? `closing ${formatDate(petition.deadline)}` : null,
+    `exported ${formatDate(exportData?.exported_at)}`,
+  ].filter(Boolean);
+  paragraph(facts.join(' · '), { size: 9, color: 90 });
+  y += 4;
+
+  if (petition.body) {
+    for (const block of String(petition.body).split(/\n{2,}/)) {
+      paragraph(block, { size: 11 });
+      y += 2;
+    }
+    y += 2;
+  }
+
+  paragraph(`Public signatures (${signatures.length.toLocaleString()})`, { size: 13, style: 'bold' });
+  if (exportData?.truncated) paragraph('This list was shortened to the export limit.', { size: 9, color: 90 });
+  y += 1;
+
+  signatures.forEach((sig, idx) => {
+    ensureRoom(LINE_HEIGHT_MM * 2);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    pdf.setTextColor(20);
+    const who = [sig.name, sig.postcode].filter(Boolean).join(', ');
+    pdf.text(`${idx + 1}. ${who}`, PAGE_MARGIN_MM, y);
+    pdf.setTextColor(110);
+    pdf.text(formatDate(sig.signed_at), pageWidth - PAGE_MARGIN_MM, y, { align: 'right' });
+    y += LINE_HEIGHT_MM;
+    if (sig.comment) {
+      paragraph(`“${sig.comment}”`, { size: 9, style: 'italic', color: 90 });
+    }
+  });
+
+  pdf.save(`${safeFilename(petition.title)}-signatures.pdf`);
+}
@@ -0,0 +1,79 @@
+// Small LCS diff for revision history. Returns runs of { type: 'equal'|'insert'|'delete', value }.
+
+// Beyond this many token pairs, compare line by line instead of word by word.
+const MAX_WORD_DIFF_CELLS = 2_000_000;
+
+function diffTokens(before, after) {
+  const n = before.length;
+  const m = after.length;
+  // Common prefix/suffix trimming keeps the table small for typical edits.
+  let start = 0;
+  while (start < n && start < m && before[start] === after[start]) start += 1;
+  let endA = n;
+  let endB = m;
+  while (endA > start && endB > start && before[endA - 1] === after[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const a = before.slice(start, endA);
+  const b = after.slice(start, endB);
+  const cols = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      table[i * cols + j] =
+        a[i] === b[j] ? table[(i + 1) * cols + j + 1] + 1 : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, value) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.value += value;
+    else ops.push({ type, value });
+  };
+
+  if (start) push('equal', before.slice(0, start).join(''));
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i += 1;
+      j += 1;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      push('delete', a[i]);
+      i += 1;
+    } else {
+      push('insert', b[j]);
+      j += 1;
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+  if (endA < n) push('equal', before.slice(endA).join(''));
+  return ops;
+}
+
+function splitWords(text) {
+  return String(text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+function splitLines(text) {
+  return String(text || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/** Word-level diff of two strings, falling back to lines for very long text. */
+export function diffText(before, after) {
+  const a = splitWords(before);
+  const b = splitWords(after);
+  if (a.length * b.length <= MAX_WORD_DIFF_CELLS) return diffTokens(a, b);
+  return diffTokens(splitLines(before), splitLines(after));
+}
+
+/** Line-level diff of two lists of strings; each value ends with a newline. */
+export function diffLines(beforeLines, afterLines) {
+  const withBreaks = (lines) => (Array.isArray(lines) ? lines : []).map((line) => `${line}\n`);
+  return diffTokens(withBreaks(beforeLines), withBreaks(afterLines));
+}
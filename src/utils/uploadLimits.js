@@ -19,8 +19,12 @@ export const ALLOWED_IMAGE_WITH_GIF_MIME_TYPES = [
   'image/gif',
 ];
 
+// HEIC is accepted for attachments (the server strips its metadata) but not for avatars,
+// since most browsers cannot display it.
 export const ALLOWED_UPLOAD_MIME_TYPES = [
   ...ALLOWED_IMAGE_WITH_GIF_MIME_TYPES,
+  'image/heic',
+  'image/heif',
   'application/pdf',
 ];
 
@@ -31,6 +35,7 @@ function imageLabelFromTypes(types) {
   if (set.has('image/png')) labels.push('PNG');
   if (set.has('image/gif')) labels.push('GIF');
   if (set.has('image/webp')) labels.push('WEBP');
+  if (set.has('image/heic')) labels.push('HEIC');
   return labels.length ? labels.join('/') : 'image';
 }
 